@@ -0,0 +1,23 @@
+/**
+ * 命令行脚本共用的参数解析
+ */
+
+/**
+ * 解析 --key value 参数
+ * @param {string[]} argv - 参数列表 (通常为 process.argv.slice(2))
+ * @returns {Object<string, string>} 键为去掉 -- 的参数名，值为原始字符串
+ */
+export function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(`无法解析参数: ${argv[i]}`);
+    }
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+export default {
+  parseArgs
+};
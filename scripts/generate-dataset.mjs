@@ -0,0 +1,71 @@
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { deflateSync } from 'node:zlib';
+import { SyntheticDataset } from '../src/syntheticDataset.js';
+import { pngChunk } from '../src/imageWriter.js';
+import { parseArgs } from './args.mjs';
+
+/**
+ * 合成数据集命令行生成 (Node，无需 GPU)
+ * 用法: node scripts/generate-dataset.mjs [--out dataset] [--count 20] [--seed 1] [--width 640] [--height 480] [--supersample 2]
+ * 输出: 每帧 frame-NNNNN.png + frame-NNNNN.json (真值)，以及 dataset.json (生成参数与帧列表)
+ */
+
+/**
+ * RGBA -> PNG (8 位真彩色，不含透明通道)
+ */
+function encodePNG({ width, height, data }) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (width * 3 + 1);
+    raw[row] = 0; // 无行滤波
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * 4;
+      raw[row + 1 + x * 3] = data[source];
+      raw[row + 2 + x * 3] = data[source + 1];
+      raw[row + 3 + x * 3] = data[source + 2];
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // 位深
+  header[9] = 2;  // 真彩色
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+const args = parseArgs(process.argv.slice(2));
+const out = args.out || 'dataset';
+const options = {};
+if (args.count) options.count = Number(args.count);
+if (args.seed) options.seed = Number(args.seed);
+if (args.supersample) options.supersample = Number(args.supersample);
+if (args.width || args.height) {
+  options.resolution = { width: Number(args.width || 640), height: Number(args.height || 480) };
+}
+
+const dataset = new SyntheticDataset(options);
+const frames = [];
+mkdirSync(out, { recursive: true });
+
+for (let index = 0; index < dataset.getFrameCount(); index++) {
+  const { image, annotation } = dataset.renderFrame(index);
+  const name = `frame-${String(index).padStart(5, '0')}`;
+  writeFileSync(join(out, `${name}.png`), encodePNG(image));
+  writeFileSync(join(out, `${name}.json`), JSON.stringify({ file: `${name}.png`, ...annotation }, null, 2));
+  frames.push({ image: `${name}.png`, annotation: `${name}.json`, heelLandingX: annotation.jump.heelLandingX });
+  console.log(`${name}: ${annotation.jump.phase} 落地 ${annotation.jump.heelLandingX}m，可见标记 [${annotation.visibleMarkerIds.join(', ')}]`);
+}
+
+writeFileSync(join(out, 'dataset.json'), JSON.stringify({
+  config: dataset.config,
+  mat: dataset.generator.config,
+  frames
+}, null, 2));
+console.log(`已生成 ${frames.length} 帧: ${out}`);
@@ -0,0 +1,59 @@
+import { MatGenerator } from '../src/matGenerator.js';
+import { runDesignRuleCheck } from '../src/drc.js';
+import { simulateMeasurementError, withMarkerPositions, toErrorBudgetMarkdown } from '../src/errorSimulator.js';
+import { optimizeMarkerLayout, evaluateLayout } from '../src/layoutOptimizer.js';
+import { parseArgs } from './args.mjs';
+
+/**
+ * 标记布局优化命令行 (Node)
+ * 用法: node scripts/optimize-layout.mjs [--count 4] [--step 0.1] [--trials 40]
+ * 输出: 建议的 MAT_CONFIG.aruco 字段、各预期机位下与当前布局的最差误差对比、默认机位下的完整误差预算与遮挡检查
+ */
+
+const mm = (meter) => (Number.isFinite(meter) ? `${(meter * 1000).toFixed(2)}mm` : '无法解算');
+
+const args = parseArgs(process.argv.slice(2));
+const options = { onProgress: (message) => console.log(message) };
+if (args.count) options.count = Number(args.count);
+if (args.step) options.step = Number(args.step);
+if (args.trials) options.trials = Number(args.trials);
+
+const current = new MatGenerator();
+const result = optimizeMarkerLayout(current, options);
+console.log(`共评估 ${result.evaluations} 个布局\n`);
+
+if (!result.proposed) {
+  console.log('没有满足约束的布局 (候选位置均与刻度线 / 标签冲突)');
+  process.exit(1);
+}
+
+const { positions, size, margin } = result.proposed;
+const proposed = withMarkerPositions(current, positions, { size, margin });
+const proposedEvaluation = evaluateLayout(proposed, options);
+
+console.log('## 建议配置 (MAT_CONFIG.aruco)\n');
+console.log('```json');
+console.log(JSON.stringify(result.proposed, null, 2)
+  .replace(/\[\s+([^\]]*?)\s+\]/g, (_, items) => `[${items.split(/,\s+/).join(', ')}]`));
+console.log('```\n');
+
+console.log('## 各预期机位的落地区最差 P95 (不含地毯拉伸)\n');
+console.log('| 机位 | 当前 | 建议 |');
+console.log('| --- | --- | --- |');
+result.current.poses.forEach((pose, index) => {
+  console.log(`| ${pose.name} | ${mm(pose.worstP95)} | ${mm(proposedEvaluation.poses[index].worstP95)} |`);
+});
+console.log(`| **最差** | ${mm(result.current.score)} | ${mm(proposedEvaluation.score)} |\n`);
+
+console.log('## 默认机位误差预算\n');
+console.log(toErrorBudgetMarkdown([
+  { label: '当前', result: simulateMeasurementError(current) },
+  { label: '建议', result: simulateMeasurementError(proposed) }
+]));
+
+console.log('\n## 遮挡检查\n');
+[['当前', current], ['建议', proposed]].forEach(([label, generator]) => {
+  const occluded = runDesignRuleCheck(generator).violations
+    .filter(v => v.rule === 'tick-occluded' || v.rule === 'label-occluded');
+  console.log(`- ${label}: ${occluded.length === 0 ? '无' : occluded.map(v => v.message).join('；')}`);
+});
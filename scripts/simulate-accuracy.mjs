@@ -0,0 +1,44 @@
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { MatGenerator } from '../src/matGenerator.js';
+import { simulateMeasurementError, withMarkerPositions, toErrorBudgetMarkdown, renderErrorHeatmapSVG } from '../src/errorSimulator.js';
+import { parseArgs } from './args.mjs';
+
+/**
+ * 测量精度仿真命令行 (Node)
+ * 用法: node scripts/simulate-accuracy.mjs [--layouts "0,1,1.8,2.4;0,1.4,2.1,2.8"] [--trials 200] [--seed 1]
+ *   [--height 1.8] [--tilt 55] [--out accuracy]
+ * 不指定 --layouts 时仿真当前 MAT_CONFIG 布局；输出 Markdown 误差预算对比表，指定 --out 时另存各布局热力图 SVG
+ */
+
+const args = parseArgs(process.argv.slice(2));
+const options = { camera: {} };
+if (args.trials) options.trials = Number(args.trials);
+if (args.seed) options.seed = Number(args.seed);
+if (args.height) options.camera.height = Number(args.height);
+if (args.tilt) options.camera.tilt = Number(args.tilt);
+
+const base = new MatGenerator();
+const entries = args.layouts
+  ? args.layouts.split(';').map((layout, index) => {
+    const positions = layout.split(',').map(Number);
+    if (positions.some(Number.isNaN)) {
+      throw new Error(`无法解析标记位置: ${layout}`);
+    }
+    return { label: `布局 ${index + 1}`, generator: withMarkerPositions(base, positions) };
+  })
+  : [{ label: '当前', generator: base }];
+
+entries.forEach(entry => {
+  entry.result = simulateMeasurementError(entry.generator, options);
+});
+console.log(toErrorBudgetMarkdown(entries));
+
+if (args.out) {
+  mkdirSync(args.out, { recursive: true });
+  entries.forEach((entry, index) => {
+    const file = join(args.out, `heatmap-${index + 1}.svg`);
+    writeFileSync(file, renderErrorHeatmapSVG(entry.result, entry.generator));
+    console.log(`${entry.label} 热力图: ${file}`);
+  });
+}
@@ -0,0 +1,207 @@
+import { getMarkerBits } from './aruco.js';
+import { MAT_LAYERS } from './matGenerator.js';
+
+/**
+ * 印刷稿图元列表
+ * 由 MatGenerator 的刻度 / 标签 / 标记布局生成与分辨率无关的图元，
+ * SVG、PDF 等矢量导出共用，保证各格式与 Canvas 渲染一致
+ *
+ * 坐标单位为毫米，原点为地毯左上角 (起跳区开始处、左侧边缘)，y 轴向下；
+ * 颜色以角色名表示 (见 palette)，由各导出器映射为 RGB / CMYK / 专色
+ */
+
+/**
+ * 保留 3 位小数，避免浮点尾数
+ */
+export function fmt(value) {
+  return Number(value.toFixed(3));
+}
+
+/**
+ * 米转毫米
+ */
+export function mm(meter) {
+  return fmt(meter * 1000);
+}
+
+/**
+ * 解析 CSS 颜色 (#rgb / #rrggbb / rgb() / rgba())
+ * @param {string} css - 颜色字符串
+ * @returns {{r: number, g: number, b: number, a: number}} 各分量 0-1
+ */
+export function parseColor(css) {
+  const hex = css.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3
+      ? hex[1].split('').map(d => d + d).join('')
+      : hex[1];
+    return {
+      r: parseInt(digits.slice(0, 2), 16) / 255,
+      g: parseInt(digits.slice(2, 4), 16) / 255,
+      b: parseInt(digits.slice(4, 6), 16) / 255,
+      a: 1
+    };
+  }
+
+  const rgb = css.trim().match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+  if (rgb) {
+    return {
+      r: Number(rgb[1]) / 255,
+      g: Number(rgb[2]) / 255,
+      b: Number(rgb[3]) / 255,
+      a: rgb[4] === undefined ? 1 : Number(rgb[4])
+    };
+  }
+
+  throw new Error(`无法解析颜色: ${css}`);
+}
+
+/**
+ * 生成 ArUco 标记图元 - 先画黑色整块，再把位为 1 的数据格画成白色，与 createArucoMarker 一致
+ */
+function markerItems(marker, x, y, config) {
+  const { aruco } = config;
+  const bits = getMarkerBits(marker.id, aruco.dictionary);
+  const size = mm(aruco.size);
+  const cell = size / (bits.length + 2);
+  const quiet = mm(aruco.borderSize);
+  const left = x - size / 2;
+  const top = y - size / 2;
+  const group = `aruco-${marker.id}`;
+  
+  const items = [
+    { type: 'rect', layer: 'markers', group, x: fmt(left - quiet), y: fmt(top - quiet), width: fmt(size + quiet * 2), height: fmt(size + quiet * 2), fill: 'arucoWhite' },
+    { type: 'rect', layer: 'markers', group, x: fmt(left), y: fmt(top), width: size, height: size, fill: 'arucoBlack' }
+  ];
+  
+  bits.forEach((row, r) => {
+    row.forEach((bit, c) => {
+      if (bit === 1) {
+        items.push({
+          type: 'rect',
+          layer: 'markers',
+          group,
+          x: fmt(left + cell * (c + 1)),
+          y: fmt(top + cell * (r + 1)),
+          width: fmt(cell),
+          height: fmt(cell),
+          fill: 'arucoWhite'
+        });
+      }
+    });
+  });
+  
+  return items;
+}
+
+/**
+ * 生成地毯图元列表
+ * @param {MatGenerator} generator - 地毯生成器
+ * @returns {{width: number, height: number, palette: Object, items: Array}}
+ *   items 按绘制顺序排列，只含可见图层；type 为 rect (fill 或 stroke) / line / text，layer 见 MAT_LAYERS
+ */
+export function buildArtwork(generator) {
+  const { config, colors } = generator;
+  const origin = config.zones.takeoff.start;
+  const width = mm(generator.getMatLength());
+  const height = mm(config.totalWidth);
+  const getX = (position) => mm(position - origin);
+  const items = [];
+  
+  // 只收集可见图层的图元
+  const add = (item) => {
+    if (generator.isLayerVisible(item.layer)) items.push(item);
+  };
+  
+  // 背景 (不含 Canvas 预览中的哑光纹理噪点)
+  add({ type: 'rect', layer: 'background', x: 0, y: 0, width, height, fill: 'background' });
+  
+  // 刻度线
+  generator.getTickLayout().forEach(tick => {
+    const x = getX(tick.position);
+    add({
+      type: 'line',
+      layer: generator.getTickLayer(tick),
+      tier: tick.tier,
+      x1: x,
+      y1: mm(tick.y0),
+      x2: x,
+      y2: mm(tick.y1),
+      strokeWidth: mm(tick.lineWidth),
+      stroke: 'scale'
+    });
+  });
+  
+  // 标签
+  generator.getLabelLayout().forEach(label => {
+    add({
+      type: 'text',
+      layer: 'labels',
+      text: label.text,
+      x: getX(label.x),
+      y: mm(label.y),
+      rotation: fmt(label.rotation * 180 / Math.PI),
+      fontSize: mm(label.fontSize),
+      fontFamily: label.fontFamily,
+      bold: label.bold,
+      baseline: label.baseline,
+      fill: 'label'
+    });
+  });
+  
+  // 边框及内装饰线 (内装饰线宽以像素配置，按当前分辨率换算)
+  const { border } = config;
+  const borderWidth = mm(border.width);
+  const innerOffset = mm(border.innerOffset);
+  add({
+    type: 'rect',
+    layer: 'border',
+    x: fmt(borderWidth / 2),
+    y: fmt(borderWidth / 2),
+    width: fmt(width - borderWidth),
+    height: fmt(height - borderWidth),
+    stroke: 'border',
+    strokeWidth: borderWidth
+  });
+  add({
+    type: 'rect',
+    layer: 'decoration',
+    x: innerOffset,
+    y: innerOffset,
+    width: fmt(width - innerOffset * 2),
+    height: fmt(height - innerOffset * 2),
+    stroke: 'borderInner',
+    strokeWidth: mm(border.innerLineWidth / generator.pixelsPerMeter)
+  });
+  
+  // ArUco 标记
+  generator.getMarkerLayout().forEach(marker => {
+    markerItems(marker, getX(marker.center.x), mm(marker.center.y), config).forEach(add);
+  });
+  
+  // 按图层顺序稳定排序，使同一图层的图元连续 (主 / 精细刻度在布局中按位置交错)
+  const layerOrder = MAT_LAYERS.map(layer => layer.id);
+  items.sort((a, b) => layerOrder.indexOf(a.layer) - layerOrder.indexOf(b.layer));
+  
+  return {
+    width,
+    height,
+    palette: {
+      background: colors.background,
+      scale: config.scales.color,
+      label: colors.label,
+      border: colors.border,
+      borderInner: colors.borderInner,
+      arucoWhite: colors.arucoWhite,
+      arucoBlack: colors.arucoBlack
+    },
+    items
+  };
+}
+
+export default {
+  fmt,
+  mm,
+  parseColor,
+  buildArtwork
+};
@@ -1,106 +1,84 @@
 /**
  * ArUco 标记码生成器
- * 用于生成 4x4 字典的 ArUco Markers
+ * 使用 OpenCV 预定义字典 (DICT_4X4_50 / DICT_5X5_100 / DICT_APRILTAG_36h11)
+ * 生成与 cv::aruco::generateImageMarker 逐位一致的标记
  * 这些标记码是计算机视觉识别的核心锚点
  */
 
-// ArUco 4x4_50 字典 - 预定义的二进制编码
-// 每个标记是一个 4x4 的二进制矩阵
-const ARUCO_DICT_4X4_50 = [
-  // ID 0
-  [
-    [0, 0, 0, 0],
-    [0, 1, 0, 1],
-    [1, 1, 0, 0],
-    [0, 1, 1, 1]
-  ],
-  // ID 1
-  [
-    [1, 0, 0, 1],
-    [0, 1, 0, 1],
-    [1, 0, 0, 0],
-    [0, 1, 0, 1]
-  ],
-  // ID 2
-  [
-    [1, 1, 0, 0],
-    [0, 0, 1, 1],
-    [1, 0, 0, 1],
-    [1, 0, 1, 0]
-  ],
-  // ID 3
-  [
-    [0, 1, 1, 0],
-    [0, 0, 1, 1],
-    [1, 1, 0, 1],
-    [1, 0, 0, 0]
-  ],
-  // ID 4
-  [
-    [0, 0, 1, 1],
-    [1, 1, 0, 0],
-    [0, 1, 1, 0],
-    [1, 1, 0, 1]
-  ],
-  // ID 5
-  [
-    [1, 0, 1, 0],
-    [1, 1, 0, 0],
-    [0, 0, 1, 0],
-    [1, 1, 1, 1]
-  ],
-  // ID 6
-  [
-    [1, 1, 1, 1],
-    [0, 0, 0, 1],
-    [0, 0, 0, 1],
-    [0, 0, 0, 0]
-  ],
-  // ID 7
-  [
-    [0, 1, 0, 1],
-    [0, 0, 0, 1],
-    [0, 1, 0, 1],
-    [0, 0, 1, 0]
-  ],
-  // ID 8 - 用于 0m 位置
-  [
-    [0, 0, 0, 1],
-    [1, 0, 1, 0],
-    [1, 1, 1, 0],
-    [1, 0, 0, 1]
-  ],
-  // ID 9 - 用于 1m 位置
-  [
-    [1, 0, 0, 0],
-    [1, 0, 1, 0],
-    [1, 0, 1, 0],
-    [1, 0, 1, 1]
-  ],
-  // ID 10 - 用于 1.8m 位置
-  [
-    [0, 1, 1, 1],
-    [1, 1, 1, 0],
-    [0, 0, 1, 1],
-    [0, 1, 0, 0]
-  ],
-  // ID 11 - 用于 2.4m 位置
-  [
-    [1, 1, 1, 0],
-    [1, 1, 1, 0],
-    [0, 1, 1, 1],
-    [0, 0, 0, 0]
-  ],
-];
+import { PREDEFINED_DICTIONARIES } from './arucoDictionaries.js';
+import { MAT_CONFIG } from './config.js';
+import { buildMarkerLayout } from './markerLayout.js';
+
+// 默认字典 (要求.txt 推荐 DICT_4X4_50)
+export const DEFAULT_DICTIONARY = 'DICT_4X4_50';
+
+// 外边框允许的错误格比例 (与 OpenCV maxErroneousBitsInBorderRate 默认值一致)
+export const MAX_BORDER_ERROR_RATE = 0.35;
+
+/**
+ * 获取预定义字典
+ * @param {string} name - 字典名称，如 'DICT_4X4_50'
+ * @returns {{name: string, markerSize: number, maxCorrectionBits: number, codes: number[]}}
+ */
+export function getDictionary(name = DEFAULT_DICTIONARY) {
+  const dictionary = PREDEFINED_DICTIONARIES[name];
+  if (!dictionary) {
+    throw new Error(`未知的 ArUco 字典: ${name}`);
+  }
+  return dictionary;
+}
+
+/**
+ * 获取可用的字典名称列表
+ * @returns {string[]}
+ */
+export function getDictionaryNames() {
+  return Object.keys(PREDEFINED_DICTIONARIES);
+}
+
+/**
+ * 获取标记的数据位矩阵 (不含黑色外边框)
+ * @param {number} id - 标记ID
+ * @param {string} dictionaryName - 字典名称
+ * @returns {number[][]} markerSize x markerSize 矩阵，1 = 白色，0 = 黑色 (与 OpenCV 一致)
+ */
+export function getMarkerBits(id, dictionaryName = DEFAULT_DICTIONARY) {
+  const dictionary = getDictionary(dictionaryName);
+  const { markerSize, codes } = dictionary;
+  
+  if (!Number.isInteger(id) || id < 0 || id >= codes.length) {
+    throw new Error(`标记ID ${id} 超出字典 ${dictionary.name} 范围 (0-${codes.length - 1})`);
+  }
+
+  // 码字最高位对应左上角单元格 (36 位码字超出 32 位整数，使用字符串展开)
+  const nBits = markerSize * markerSize;
+  const bitString = codes[id].toString(2).padStart(nBits, '0');
+  
+  const bits = [];
+  for (let row = 0; row < markerSize; row++) {
+    const rowBits = [];
+    for (let col = 0; col < markerSize; col++) {
+      rowBits.push(bitString[row * markerSize + col] === '1' ? 1 : 0);
+    }
+    bits.push(rowBits);
+  }
+  return bits;
+}
 
 /**
  * 创建 ArUco 标记的 Canvas
- * @param {number} id - 标记ID (0-11)
- * @param {number} size - 标记尺寸 (像素)
+ * @param {number} id - 标记ID
+ * @param {number} size - 标记尺寸 (像素，含黑色外边框)
  * @param {number} borderSize - 白色边框宽度 (像素)
+ * @param {Object} options - 选项
+ * @param {string} options.dictionary - 字典名称，默认 DICT_4X4_50
  * @returns {HTMLCanvasElement}
  */
-export function createArucoMarker(id, size = 128, borderSize = 16) {
+export function createArucoMarker(id, size = 128, borderSize = 16, options = {}) {
+  const { dictionary = DEFAULT_DICTIONARY } = options;
+  const bits = getMarkerBits(id, dictionary);
+  const markerSize = bits.length;
+  
   const canvas = document.createElement('canvas');
   const totalSize = size + borderSize * 2;
   canvas.width = totalSize;
@@ -112,38 +90,29 @@ export function createArucoMarker(id, size = 128, borderSize = 16) {
   ctx.fillStyle = '#FFFFFF';
   ctx.fillRect(0, 0, totalSize, totalSize);
   
+  // 单元格边界取整，避免抗锯齿产生灰边
+  const cells = markerSize + 2; // 数据区 + 两侧各 1 格黑色边框
+  const edge = (i) => Math.round(borderSize + (size * i) / cells);
+  
   // 黑色外边框 (1个单元格宽)
-  const cellSize = size / 6; // 6 = 4 (数据) + 2 (边框)
   ctx.fillStyle = '#000000';
-  ctx.fillRect(borderSize, borderSize, size, size);
+  ctx.fillRect(edge(0), edge(0), edge(cells) - edge(0), edge(cells) - edge(0));
   
-  // 白色内部 (不包括边框)
+  // 绘制数据单元格 (位为 1 的白色格子，黑色已由底色覆盖)
   ctx.fillStyle = '#FFFFFF';
-  ctx.fillRect(
-    borderSize + cellSize,
-    borderSize + cellSize,
-    size - cellSize * 2,
-    size - cellSize * 2
-  );
-  
-  // 绘制数据单元格
-  const pattern = ARUCO_DICT_4X4_50[id % ARUCO_DICT_4X4_50.length];
-  for (let row = 0; row < 4; row++) {
-    for (let col = 0; col < 4; col++) {
-      if (pattern[row][col] === 1) {
-        ctx.fillStyle = '#000000';
-      } else {
-        ctx.fillStyle = '#FFFFFF';
+  for (let row = 0; row < markerSize; row++) {
+    for (let col = 0; col < markerSize; col++) {
+      if (bits[row][col] === 1) {
+        ctx.fillRect(
+          edge(col + 1),
+          edge(row + 1),
+          edge(col + 2) - edge(col + 1),
+          edge(row + 2) - edge(row + 1)
+        );
       }
-      ctx.fillRect(
-        borderSize + cellSize * (col + 1),
-        borderSize + cellSize * (row + 1),
-        cellSize,
-        cellSize
-      );
     }
   }
-  
+
   return canvas;
 }
 
@@ -151,33 +120,277 @@ export function createArucoMarker(id, size = 128, borderSize = 16) {
  * 获取 ArUco 标记的 Data URL
  * @param {number} id - 标记ID
  * @param {number} size - 标记尺寸
+ * @param {Object} options - 选项 (同 createArucoMarker)
  * @returns {string}
  */
-export function getArucoMarkerDataURL(id, size = 128) {
-  const canvas = createArucoMarker(id, size);
+export function getArucoMarkerDataURL(id, size = 128, options = {}) {
+  const canvas = createArucoMarker(id, size, 16, options);
   return canvas.toDataURL('image/png');
 }
 
+/**
+ * 将位矩阵顺时针旋转 90°
+ * @param {number[][]} bits - 方形位矩阵
+ * @returns {number[][]}
+ */
+export function rotateBits(bits) {
+  const n = bits.length;
+  const rotated = [];
+  for (let row = 0; row < n; row++) {
+    const rowBits = [];
+    for (let col = 0; col < n; col++) {
+      rowBits.push(bits[n - 1 - col][row]);
+    }
+    rotated.push(rowBits);
+  }
+  return rotated;
+}
+
+/**
+ * 两个位矩阵的汉明距离
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let row = 0; row < a.length; row++) {
+    for (let col = 0; col < a[row].length; col++) {
+      if (a[row][col] !== b[row][col]) distance++;
+    }
+  }
+  return distance;
+}
+
+/**
+ * 获取 ImageData (支持 Canvas 或 ImageData)
+ */
+function toImageData(source) {
+  if (source.data && source.width && source.height) {
+    return source;
+  }
+  const ctx = source.getContext('2d');
+  return ctx.getImageData(0, 0, source.width, source.height);
+}
+
+/**
+ * 采样标记网格
+ * 先找到黑色外边框的包围盒，再按 (markerSize + 2) x (markerSize + 2) 网格
+ * 对每个单元格中心区域取平均亮度并二值化
+ * @param {HTMLCanvasElement|ImageData} source - 渲染好的标记图像
+ * @param {number} markerSize - 数据区边长 (4x4 字典为 4)
+ * @returns {number[][]|null} 含外边框的完整网格，1 = 白色、0 = 黑色 (同 getMarkerBits)；找不到标记时返回 null
+ */
+export function sampleMarkerGrid(source, markerSize = 4) {
+  const { data, width, height } = toImageData(source);
+  const luminance = (x, y) => {
+    const i = (y * width + x) * 4;
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  };
+  
+  // 黑色像素包围盒 = 标记外边框
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (luminance(x, y) < 128) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+  if (maxX < 0) return null;
+  
+  const cells = markerSize + 2;
+  const cellW = (maxX - minX + 1) / cells;
+  const cellH = (maxY - minY + 1) / cells;
+  
+  const grid = [];
+  for (let row = 0; row < cells; row++) {
+    const rowBits = [];
+    for (let col = 0; col < cells; col++) {
+      // 只取单元格中心一半区域，避开边缘抗锯齿
+      const x0 = Math.floor(minX + (col + 0.25) * cellW);
+      const x1 = Math.max(x0, Math.ceil(minX + (col + 0.75) * cellW) - 1);
+      const y0 = Math.floor(minY + (row + 0.25) * cellH);
+      const y1 = Math.max(y0, Math.ceil(minY + (row + 0.75) * cellH) - 1);
+      
+      let sum = 0;
+      let count = 0;
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          sum += luminance(x, y);
+          count++;
+        }
+      }
+      rowBits.push(sum / count < 128 ? 0 : 1);
+    }
+    grid.push(rowBits);
+  }
+  return grid;
+}
+
+/**
+ * 识别采样得到的标记网格
+ * @param {number[][]} grid - 含外边框的 (markerSize + 2)² 网格，1 = 白色、0 = 黑色
+ * @param {string} dictionary - 字典名称
+ * @param {Object} options - 选项
+ * @param {number} options.maxBorderErrorRate - 外边框允许的错误格比例，默认 MAX_BORDER_ERROR_RATE
+ * @returns {{id: number, rotation: number, bitErrors: number, borderErrors: number}|null}
+ *   rotation 为标记相对标准朝向的顺时针旋转角度 (0/90/180/270)；
+ *   外边框错误格过多 (不是标记) 或错误位数超过字典纠错能力时返回 null
+ */
+export function identifyMarkerGrid(grid, dictionary = DEFAULT_DICTIONARY, options = {}) {
+  const { maxBorderErrorRate = MAX_BORDER_ERROR_RATE } = options;
+  const { maxCorrectionBits, codes } = getDictionary(dictionary);
+  
+  // 外边框应全部为黑色 (0)
+  const cells = grid.length;
+  let borderErrors = 0;
+  for (let i = 0; i < cells; i++) {
+    if (grid[0][i]) borderErrors++;
+    if (grid[cells - 1][i]) borderErrors++;
+    if (i > 0 && i < cells - 1) {
+      if (grid[i][0]) borderErrors++;
+      if (grid[i][cells - 1]) borderErrors++;
+    }
+  }
+  if (borderErrors > (cells * 4 - 4) * maxBorderErrorRate) return null;
+
+  const observed = grid.slice(1, -1).map(row => row.slice(1, -1));
+  
+  let best = null;
+  for (let id = 0; id < codes.length; id++) {
+    let candidate = getMarkerBits(id, dictionary);
+    for (let turn = 0; turn < 4; turn++) {
+      const bitErrors = hammingDistance(observed, candidate);
+      if (!best || bitErrors < best.bitErrors) {
+        best = { id, rotation: turn * 90, bitErrors, borderErrors };
+      }
+      candidate = rotateBits(candidate);
+    }
+    if (best.bitErrors === 0) break;
+  }
+
+  return best.bitErrors <= maxCorrectionBits ? best : null;
+}
+
+/**
+ * 解码渲染好的 ArUco 标记
+ * @param {HTMLCanvasElement|ImageData} source - createArucoMarker 生成的标记图像
+ * @param {Object} options - 选项
+ * @param {string} options.dictionary - 字典名称，默认 DICT_4X4_50
+ * @param {number} options.maxBorderErrorRate - 外边框允许的错误格比例 (同 identifyMarkerGrid)
+ * @returns {{id: number, rotation: number, bitErrors: number, borderErrors: number}|null}
+ *   同 identifyMarkerGrid
+ */
+export function decodeArucoMarker(source, options = {}) {
+  const { dictionary = DEFAULT_DICTIONARY, ...identifyOptions } = options;
+  const { markerSize } = getDictionary(dictionary);
+  
+  const grid = sampleMarkerGrid(source, markerSize);
+  if (!grid) return null;
+  
+  return identifyMarkerGrid(grid, dictionary, identifyOptions);
+}
+
+/**
+ * 分析一组标记ID的可区分性
+ * 计算不同标记之间 (含四个旋转方向) 的最小汉明距离，
+ * 以及每个标记与自身旋转后的最小距离 (旋转歧义)
+ * @param {number[]} ids - 标记ID列表
+ * @param {string} dictionaryName - 字典名称
+ * @returns {Object} 分析结果，warnings 非空表示该组ID不宜用于生产
+ */
+export function analyzeMarkerSet(ids, dictionaryName = DEFAULT_DICTIONARY) {
+  const { maxCorrectionBits } = getDictionary(dictionaryName);
+  // 距离不大于 2 倍纠错位数时，纠错可能把一个标记误判为另一个
+  const requiredDistance = 2 * maxCorrectionBits + 1;
+  const warnings = [];
+  
+  const uniqueIds = [...new Set(ids)];
+  if (uniqueIds.length !== ids.length) {
+    const duplicates = uniqueIds.filter(id => ids.indexOf(id) !== ids.lastIndexOf(id));
+    warnings.push(`标记ID重复: ${duplicates.join(', ')}`);
+  }
+
+  // 每个标记的四个旋转方向
+  const rotations = uniqueIds.map(id => {
+    const list = [getMarkerBits(id, dictionaryName)];
+    for (let turn = 1; turn < 4; turn++) {
+      list.push(rotateBits(list[turn - 1]));
+    }
+    return list;
+  });
+  
+  // 旋转歧义：标记与自身旋转 90/180/270° 的距离
+  let minRotationDistance = Infinity;
+  let leastRotationSafeId = null;
+  rotations.forEach((list, i) => {
+    const selfMin = Math.min(...[1, 2, 3].map(turn => hammingDistance(list[0], list[turn])));
+    if (selfMin < minRotationDistance) {
+      minRotationDistance = selfMin;
+      leastRotationSafeId = uniqueIds[i];
+    }
+    if (selfMin < requiredDistance) {
+      warnings.push(`标记 ${uniqueIds[i]} 旋转后自身距离仅 ${selfMin}，朝向可能无法判定`);
+    }
+  });
+  
+  // 标记间距离
+  let minDistance = Infinity;
+  let closestPair = null;
+  for (let i = 0; i < uniqueIds.length; i++) {
+    for (let j = i + 1; j < uniqueIds.length; j++) {
+      for (let turn = 0; turn < 4; turn++) {
+        const distance = hammingDistance(rotations[i][0], rotations[j][turn]);
+        if (distance < minDistance) {
+          minDistance = distance;
+          closestPair = { ids: [uniqueIds[i], uniqueIds[j]], rotation: turn * 90 };
+        }
+      }
+    }
+  }
+  if (closestPair && minDistance < requiredDistance) {
+    const [a, b] = closestPair.ids;
+    warnings.push(`标记 ${a} 与 ${b} (旋转 ${closestPair.rotation}°) 距离仅 ${minDistance}，容易混淆`);
+  }
+
+  return {
+    dictionary: dictionaryName,
+    requiredDistance,
+    minDistance,
+    closestPair,
+    minRotationDistance,
+    leastRotationSafeId,
+    warnings
+  };
+}
+
+// ArUco 4x4_50 字典 - 每个标记是一个 4x4 的二进制矩阵 (兼容旧接口)
+const ARUCO_DICT_4X4_50 = getDictionary('DICT_4X4_50').codes.map(
+  (_, id) => getMarkerBits(id, 'DICT_4X4_50')
+);
+
 /**
  * ArUco 标记配置
- * 定义地毯上各个 ArUco 标记的位置
+ * 定义地毯上各个 ArUco 标记的位置 (由 markerLayout 布局模型生成，与印刷图案一致)
  */
-export const ARUCO_POSITIONS = [
-  // 左侧标记
-  { id: 8, position: 0, side: 'left', label: '0m' },
-  { id: 9, position: 1.0, side: 'left', label: '1m' },
-  { id: 10, position: 1.8, side: 'left', label: '1.8m' },
-  { id: 11, position: 2.4, side: 'left', label: '2.4m' },
-  // 右侧标记
-  { id: 0, position: 0, side: 'right', label: '0m' },
-  { id: 1, position: 1.0, side: 'right', label: '1m' },
-  { id: 2, position: 1.8, side: 'right', label: '1.8m' },
-  { id: 3, position: 2.4, side: 'right', label: '2.4m' },
-];
+export const ARUCO_POSITIONS = buildMarkerLayout(MAT_CONFIG).map(
+  ({ id, position, side, label }) => ({ id, position, side, label })
+);
 
 export default {
+  DEFAULT_DICTIONARY,
+  MAX_BORDER_ERROR_RATE,
+  getDictionary,
+  getDictionaryNames,
+  getMarkerBits,
   createArucoMarker,
   getArucoMarkerDataURL,
+  rotateBits,
+  sampleMarkerGrid,
+  identifyMarkerGrid,
+  decodeArucoMarker,
+  analyzeMarkerSet,
   ARUCO_POSITIONS,
   ARUCO_DICT_4X4_50
 };
@@ -0,0 +1,393 @@
+import { getDictionary, identifyMarkerGrid, DEFAULT_DICTIONARY } from './aruco.js';
+import { solveHomography, applyHomography } from './homography.js';
+
+/**
+ * ArUco 标记检测 (纯 JS，不依赖 OpenCV)
+ * 流程与 cv::aruco::detectMarkers 相同：
+ * 自适应阈值 -> 暗色连通域 -> 凸包拟合四边形 -> 边缘直线拟合细化角点 -> 透视采样网格 -> 字典匹配
+ * 输入为 ImageData 布局的 RGBA 数据，可在浏览器与 Node 中使用
+ */
+
+/**
+ * RGBA -> 灰度 (0-255)
+ */
+function toGray({ data, width, height }) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * 自适应阈值：比邻域均值暗 offset 以上的像素记为 1
+ * 邻域取较大窗口，使整个标记 (含白色静区) 落入窗口，黑色核心区整体被判为暗色
+ */
+function adaptiveThreshold(gray, width, height, windowSize, offset) {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += gray[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const half = Math.floor(windowSize / 2);
+  const mask = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] -
+        integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      mask[y * width + x] = gray[y * width + x] < mean - offset ? 1 : 0;
+    }
+  }
+  return mask;
+}
+
+/**
+ * 4 连通域标记
+ * @returns {{labels: Int32Array, components: Array<{label: number, count: number,
+ *   minX: number, minY: number, maxX: number, maxY: number}>}} 触及图像边缘的连通域不返回
+ */
+function labelComponents(mask, width, height) {
+  const labels = new Int32Array(width * height);
+  const components = [];
+  const stack = new Int32Array(width * height);
+  
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+    const label = components.length + 1;
+    const component = { label, count: 0, minX: width, minY: height, maxX: -1, maxY: -1, touchesEdge: false };
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = label;
+    
+    while (top > 0) {
+      const index = stack[--top];
+      const x = index % width;
+      const y = (index - x) / width;
+      component.count++;
+      if (x < component.minX) component.minX = x;
+      if (x > component.maxX) component.maxX = x;
+      if (y < component.minY) component.minY = y;
+      if (y > component.maxY) component.maxY = y;
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) component.touchesEdge = true;
+      
+      const neighbors = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+      neighbors.forEach(n => {
+        if (n >= 0 && mask[n] && !labels[n]) {
+          labels[n] = label;
+          stack[top++] = n;
+        }
+      });
+    }
+    components.push(component);
+  }
+
+  return { labels, components: components.filter(c => !c.touchesEdge) };
+}
+
+/**
+ * 连通域的边界像素 (有 4 邻域不属于该连通域)，坐标取像素中心
+ */
+function boundaryPoints(labels, width, component) {
+  const points = [];
+  const { label, minX, minY, maxX, maxY } = component;
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const index = y * width + x;
+      if (labels[index] !== label) continue;
+      if (labels[index - 1] !== label || labels[index + 1] !== label ||
+        labels[index - width] !== label || labels[index + width] !== label) {
+        points.push([x + 0.5, y + 0.5]);
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * 二维叉积 (o->a) x (o->b)
+ */
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+/**
+ * 凸包 (单调链)
+ */
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const build = (list) => {
+    const hull = [];
+    list.forEach(p => {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+      hull.push(p);
+    });
+    hull.pop();
+    return hull;
+  };
+  return [...build(sorted), ...build(sorted.reverse())];
+}
+
+/**
+ * 多边形有向面积 (图像坐标 y 向下时，正值为顺时针)
+ */
+function polygonArea(polygon) {
+  let area = 0;
+  polygon.forEach((p, i) => {
+    const q = polygon[(i + 1) % polygon.length];
+    area += p[0] * q[1] - q[0] * p[1];
+  });
+  return area / 2;
+}
+
+/**
+ * 从凸包取四个角点：离中心最远的点、离它最远的对角点、对角线两侧最远的点
+ * @returns {number[][]|null} 顺时针排列的四个角点
+ */
+function fitQuad(hull) {
+  if (hull.length < 4) return null;
+  const cx = hull.reduce((sum, p) => sum + p[0], 0) / hull.length;
+  const cy = hull.reduce((sum, p) => sum + p[1], 0) / hull.length;
+  const farthest = (from, list) => list.reduce((best, p) =>
+    (Math.hypot(p[0] - from[0], p[1] - from[1]) > Math.hypot(best[0] - from[0], best[1] - from[1]) ? p : best));
+  
+  const a = farthest([cx, cy], hull);
+  const c = farthest(a, hull);
+  let b = null;
+  let d = null;
+  hull.forEach(p => {
+    const side = cross(a, c, p);
+    if (side > 0 && (!b || side > cross(a, c, b))) b = p;
+    if (side < 0 && (!d || side < cross(a, c, d))) d = p;
+  });
+  if (!b || !d) return null;
+  
+  const quad = [a, b, c, d];
+  return polygonArea(quad) > 0 ? quad : quad.reverse();
+}
+
+/**
+ * 点集拟合直线 (质心 + 协方差矩阵主方向)
+ * @returns {{point: number[], direction: number[]}}
+ */
+function fitLine(points) {
+  const mx = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+  const my = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+  let sxx = 0, sxy = 0, syy = 0;
+  points.forEach(([x, y]) => {
+    sxx += (x - mx) * (x - mx);
+    sxy += (x - mx) * (y - my);
+    syy += (y - my) * (y - my);
+  });
+  const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+  return { point: [mx, my], direction: [Math.cos(angle), Math.sin(angle)] };
+}
+
+/**
+ * 两直线交点
+ */
+function intersectLines(a, b) {
+  const det = a.direction[0] * b.direction[1] - a.direction[1] * b.direction[0];
+  if (Math.abs(det) < 1e-6) return null;
+  const dx = b.point[0] - a.point[0];
+  const dy = b.point[1] - a.point[1];
+  const t = (dx * b.direction[1] - dy * b.direction[0]) / det;
+  return [a.point[0] + a.direction[0] * t, a.point[1] + a.direction[1] * t];
+}
+
+/**
+ * 亚像素角点细化
+ * 先用靠近各边的边界像素拟合直线，再沿法线方向采样灰度剖面，
+ * 取黑色核心区与白色静区的半亮度交界为边缘点重新拟合 (不受二值化阈值偏差影响)，四条边两两求交
+ */
+function refineCorners(quad, points, gray, width, height, cells) {
+  const cx = quad.reduce((sum, p) => sum + p[0], 0) / 4;
+  const cy = quad.reduce((sum, p) => sum + p[1], 0) / 4;
+  
+  const lines = quad.map((p, i) => {
+    const q = quad[(i + 1) % 4];
+    const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+    // 剖面深度不超过一格，避免采到内部的白色数据位
+    const reach = Math.max(1, Math.min(3, 0.8 * length / cells));
+    const dx = (q[0] - p[0]) / length;
+    const dy = (q[1] - p[1]) / length;
+    
+    // 只用边中段、距粗略边线 1.5px 以内的点，避开角点圆化
+    const near = points.filter(([x, y]) => {
+      const along = (x - p[0]) * dx + (y - p[1]) * dy;
+      const across = Math.abs((x - p[0]) * dy - (y - p[1]) * dx);
+      return along > length * 0.1 && along < length * 0.9 && across < 1.5;
+    });
+    if (near.length < 5) return null;
+    const coarse = fitLine(near);
+    
+    // 法线朝外
+    let normal = [-coarse.direction[1], coarse.direction[0]];
+    if (normal[0] * (coarse.point[0] - cx) + normal[1] * (coarse.point[1] - cy) < 0) {
+      normal = [-normal[0], -normal[1]];
+    }
+    
+    // 沿边取若干剖面，在 [-reach, reach] 内找半亮度交界
+    const edges = [];
+    const samples = Math.max(5, Math.floor(length / 2));
+    for (let k = 0; k < samples; k++) {
+      const along = length * (0.15 + 0.7 * k / (samples - 1));
+      const base = [p[0] + dx * along, p[1] + dy * along];
+      const offset = (base[0] - coarse.point[0]) * normal[0] + (base[1] - coarse.point[1]) * normal[1];
+      const origin = [base[0] - normal[0] * offset, base[1] - normal[1] * offset];
+      const profile = [];
+      for (let s = -reach; s <= reach + 1e-9; s += reach / 12) {
+        profile.push([s, sampleGray(gray, width, height, origin[0] + normal[0] * s, origin[1] + normal[1] * s)]);
+      }
+      const inside = Math.min(...profile.slice(0, 4).map(([, v]) => v));
+      const outside = Math.max(...profile.slice(-4).map(([, v]) => v));
+      if (outside - inside < 30) continue;
+      const level = (inside + outside) / 2;
+      for (let j = 1; j < profile.length; j++) {
+        const [s0, v0] = profile[j - 1];
+        const [s1, v1] = profile[j];
+        if (v0 < level && v1 >= level) {
+          const s = s0 + (s1 - s0) * (level - v0) / (v1 - v0);
+          edges.push([origin[0] + normal[0] * s, origin[1] + normal[1] * s]);
+          break;
+        }
+      }
+    }
+    return edges.length >= 3 ? fitLine(edges) : coarse;
+  });
+  if (lines.some(line => !line)) return quad;
+  
+  const corners = lines.map((line, i) => intersectLines(lines[(i + 3) % 4], line));
+  
+  // 细化结果偏离粗略角点过远时放弃 (边缘被遮挡等)
+  const valid = corners.every((corner, i) =>
+    corner && Math.hypot(corner[0] - quad[i][0], corner[1] - quad[i][1]) < 3);
+  return valid ? corners : quad;
+}
+
+/**
+ * 双线性插值取灰度
+ */
+function sampleGray(gray, width, height, x, y) {
+  const fx = Math.min(width - 1.001, Math.max(0, x - 0.5));
+  const fy = Math.min(height - 1.001, Math.max(0, y - 0.5));
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const tx = fx - x0;
+  const ty = fy - y0;
+  const i = y0 * width + x0;
+  return (gray[i] * (1 - tx) + gray[i + 1] * tx) * (1 - ty) +
+    (gray[i + width] * (1 - tx) + gray[i + width + 1] * tx) * ty;
+}
+
+/**
+ * 按四边形透视采样标记网格
+ * @returns {number[][]|null} 1 = 白色、0 = 黑色 (同 getMarkerBits)；对比度不足时返回 null
+ */
+function sampleGrid(gray, width, height, corners, cells) {
+  const h = solveHomography([[0, 0], [1, 0], [1, 1], [0, 1]], corners);
+  const means = [];
+  for (let row = 0; row < cells; row++) {
+    for (let col = 0; col < cells; col++) {
+      // 单元格中心一半区域 3x3 采样，避开边缘模糊
+      let sum = 0;
+      for (let sy = 0; sy < 3; sy++) {
+        for (let sx = 0; sx < 3; sx++) {
+          const [x, y] = applyHomography(h, [(col + 0.25 + sx * 0.25) / cells, (row + 0.25 + sy * 0.25) / cells]);
+          sum += sampleGray(gray, width, height, x, y);
+        }
+      }
+      means.push(sum / 9);
+    }
+  }
+
+  const min = Math.min(...means);
+  const max = Math.max(...means);
+  if (max - min < 30) return null;
+  const threshold = (min + max) / 2;
+  
+  const grid = [];
+  for (let row = 0; row < cells; row++) {
+    grid.push(means.slice(row * cells, (row + 1) * cells).map(v => (v < threshold ? 0 : 1)));
+  }
+  return grid;
+}
+
+/**
+ * 检测图像中的 ArUco 标记
+ * @param {ImageData|{data: Uint8ClampedArray, width: number, height: number}} image - RGBA 图像
+ * @param {Object} options - 选项
+ * @param {string} options.dictionary - 字典名称，默认 DICT_4X4_50
+ * @param {number} options.minSide - 标记最短边 (px)，更小的候选丢弃
+ * @param {number} options.thresholdOffset - 自适应阈值偏移 (灰度)
+ * @returns {Array<{id: number, corners: number[][], rotation: number, bitErrors: number}>}
+ *   按 ID 排序；corners 为亚像素图像坐标，顺序与 markerLayout 一致 (标记正向的左上、右上、右下、左下)
+ */
+export function detectMarkers(image, options = {}) {
+  const { dictionary = DEFAULT_DICTIONARY, minSide = 12, thresholdOffset = 7 } = options;
+  const { width, height } = image;
+  const { markerSize } = getDictionary(dictionary);
+  const cells = markerSize + 2;
+  
+  const gray = toGray(image);
+  const windowSize = Math.max(15, Math.round(Math.min(width, height) / 8)) | 1;
+  const mask = adaptiveThreshold(gray, width, height, windowSize, thresholdOffset);
+  const { labels, components } = labelComponents(mask, width, height);
+  
+  const found = new Map();
+  components.forEach(component => {
+    const boxWidth = component.maxX - component.minX + 1;
+    const boxHeight = component.maxY - component.minY + 1;
+    if (Math.min(boxWidth, boxHeight) < minSide || component.count < minSide * minSide * 0.3) return;
+    if (boxWidth > width / 2 || boxHeight > height / 2) return;
+    
+    const points = boundaryPoints(labels, width, component);
+    const hull = convexHull(points);
+    const coarse = fitQuad(hull);
+    if (!coarse) return;
+    
+    // 形状检查：凸包接近四边形、边长足够且不过分悬殊、暗色像素占比合理
+    const quadArea = polygonArea(coarse);
+    const sides = coarse.map((p, i) => Math.hypot(coarse[(i + 1) % 4][0] - p[0], coarse[(i + 1) % 4][1] - p[1]));
+    if (quadArea / Math.abs(polygonArea(hull)) < 0.85) return;
+    if (Math.min(...sides) < minSide || Math.min(...sides) / Math.max(...sides) < 0.2) return;
+    if (component.count / quadArea < 0.3) return;
+    
+    const corners = refineCorners(coarse, points, gray, width, height, cells);
+    const grid = sampleGrid(gray, width, height, corners, cells);
+    if (!grid) return;
+    const match = identifyMarkerGrid(grid, dictionary);
+    if (!match) return;
+    
+    // 观察到的网格是标准朝向顺时针旋转 rotation 后的结果，标准左上角位于第 rotation / 90 个角点
+    const turn = match.rotation / 90;
+    const ordered = [0, 1, 2, 3].map(i => corners[(i + turn) % 4]);
+    
+    // 同一 ID 只保留面积最大的候选
+    const existing = found.get(match.id);
+    if (!existing || existing.area < quadArea) {
+      found.set(match.id, { id: match.id, corners: ordered, rotation: match.rotation, bitErrors: match.bitErrors, area: quadArea });
+    }
+  });
+  
+  return [...found.values()]
+    .sort((a, b) => a.id - b.id)
+    .map(({ id, corners, rotation, bitErrors }) => ({ id, corners, rotation, bitErrors }));
+}
+
+export default {
+  detectMarkers
+};
@@ -0,0 +1,148 @@
+import { exportMarkerLayout } from './markerLayout.js';
+
+/**
+ * 标定板文件导出
+ * 由 MatGenerator 的标记布局与刻度布局生成，供检测端直接加载：
+ * - JSON：完整的标记角点与刻度线位置 (含所属单位制与沿宽度方向的范围)
+ * - YAML：OpenCV cv::FileStorage 格式，字段与 cv::aruco::Board(objPoints, dictionary, ids) 对应
+ */
+
+// 导出格式版本，字段变化时递增
+export const BOARD_FORMAT_VERSION = 2;
+
+/**
+ * 生成标定板描述
+ * @param {MatGenerator} generator - 地毯生成器 (与印刷图案使用同一份布局)
+ * @returns {Object}
+ */
+export function buildBoardDescription(generator) {
+  const { config } = generator;
+  const { width, ...markerLayout } = exportMarkerLayout(config);
+  
+  return {
+    format: 'jump-mat-board',
+    version: BOARD_FORMAT_VERSION,
+    ...markerLayout,
+    mat: {
+      start: config.zones.takeoff.start,
+      end: config.totalLength,
+      width,
+      scaleSystem: config.scales.system
+    },
+    ticks: generator.getTickLayout().map(({ position, tier, zone, system, length, y0, y1, lineWidth }) => ({
+      position,
+      tier,
+      zone,
+      system,
+      length,
+      y0,
+      y1,
+      lineWidth
+    }))
+  };
+}
+
+/**
+ * 生成多跑道合并标定板描述
+ * 坐标系原点为起跳线与第 1 条跑道左侧边缘的交点，其余跑道的标记角点按跑道偏移沿 y 平移
+ * @param {Array<{name: string, offset: number, generator: MatGenerator}>} lanes - 各跑道 (见 buildLaneLayout)
+ * @returns {Object} 字段同 buildBoardDescription，另含 lanes (各跑道偏移与标记 ID)，markers 带所属跑道序号
+ */
+export function buildLaneBoardDescription(lanes) {
+  const boards = lanes.map(lane => buildBoardDescription(lane.generator));
+  const [first] = boards;
+  const last = lanes[lanes.length - 1];
+  const round = (v) => Number(v.toFixed(6));
+  
+  return {
+    ...first,
+    frame: {
+      ...first.frame,
+      origin: '起跳线与跑道 1 左侧边缘交点',
+      y: '沿宽度方向，由跑道 1 左侧边缘指向其余跑道'
+    },
+    mat: {
+      ...first.mat,
+      width: round(last.offset + boards[boards.length - 1].mat.width)
+    },
+    lanes: lanes.map((lane, index) => ({
+      index,
+      name: lane.name,
+      offset: lane.offset,
+      width: boards[index].mat.width,
+      ids: boards[index].markers.map(m => m.id)
+    })),
+    markers: boards.flatMap((board, index) => board.markers.map(marker => ({
+      ...marker,
+      lane: index,
+      corners: marker.corners.map(([x, y]) => [x, round(y + lanes[index].offset)])
+    })))
+  };
+}
+
+/**
+ * 标定板 JSON
+ * @param {Object} board - buildBoardDescription 的结果
+ * @returns {string}
+ */
+export function toBoardJSON(board) {
+  return JSON.stringify(board, null, 2);
+}
+
+/**
+ * 标定板 OpenCV YAML
+ * objPoints 为每个标记 4x3 的角点矩阵 (z = 0)，角点顺序与 ids 一一对应
+ * @param {Object} board - buildBoardDescription 的结果
+ * @returns {string}
+ */
+export function toOpenCVBoardYAML(board) {
+  const lines = [
+    '%YAML:1.0',
+    '---',
+    `dictionary: "${board.dictionary}"`,
+    `units: "${board.units}"`,
+    `ids: [ ${board.markers.map(m => m.id).join(', ')} ]`,
+    'objPoints:'
+  ];
+  
+  board.markers.forEach(marker => {
+    const data = marker.corners.map(([x, y]) => `${x}, ${y}, 0.`).join(', ');
+    lines.push(
+      '   - !!opencv-matrix',
+      '      rows: 4',
+      '      cols: 3',
+      '      dt: f',
+      `      data: [ ${data} ]`
+    );
+  });
+  
+  // 刻度线位置 (按级别分组)，供检测端做二次校准；英制刻度单独放在 ticks_imperial。
+  // span 为该组刻度线沿宽度方向的范围 (距左侧边缘，起跳线除外)，双制时两组各靠一侧边缘
+  lines.push(`scale_system: "${board.mat.scaleSystem}"`);
+  [
+    { key: 'ticks', ticks: board.ticks.filter(t => t.system !== 'imperial' || t.tier === 'start') },
+    { key: 'ticks_imperial', ticks: board.ticks.filter(t => t.system === 'imperial' && t.tier !== 'start') }
+  ].filter(group => group.ticks.length > 0).forEach(group => {
+    lines.push(`${group.key}:`);
+    const spanned = group.ticks.filter(t => t.tier !== 'start');
+    if (spanned.length > 0) {
+      lines.push(`   span: [ ${Math.min(...spanned.map(t => t.y0))}, ${Math.max(...spanned.map(t => t.y1))} ]`);
+    }
+    ['start', 'major', 'half', 'medium', 'fine'].forEach(tier => {
+      const positions = group.ticks.filter(t => t.tier === tier).map(t => t.position);
+      if (positions.length > 0) {
+        lines.push(`   ${tier}: [ ${positions.join(', ')} ]`);
+      }
+    });
+  });
+  
+  return lines.join('\n') + '\n';
+}
+
+export default {
+  BOARD_FORMAT_VERSION,
+  buildBoardDescription,
+  buildLaneBoardDescription,
+  toBoardJSON,
+  toOpenCVBoardYAML
+};
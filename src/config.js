@@ -36,57 +36,175 @@ export const MAT_CONFIG = {
     }
   },
   
-  // 刻度线配置
+  // 刻度线配置 (单一单位制时居中绘制，lineLength 为沿地毯宽度方向的长度)
   scales: {
-    // 精细刻度 (1cm) - 只在核心落地区两侧
+    system: 'metric',      // 单位制：metric 公制 / imperial 英制 / dual 双制 (公制靠顶边、英制靠底边，各占半长)
+    edgeOffset: 0.2,       // 双制时刻度线距各自边缘 20cm (外侧留给标记与刻度标注)
+    color: '#c9a227',      // 金黄色
+    // 精细刻度 (1cm) - 只在核心落地区
     fine: {
       spacing: 0.01,       // 1cm
-      lineWidth: 0.0015,   // 1.5mm
-      lineLength: 0.03,    // 3cm (两侧边缘)
-      color: '#e6ff00',    // 荧光黄
-      startPosition: 1.4,  // 从 1.4m 开始
-      endPosition: 2.8     // 到 2.8m 结束
+      lineWidth: 0.0012,   // 1.2mm
+      lineLength: 0.12     // 12cm
     },
     // 中等刻度 (10cm)
     medium: {
       spacing: 0.1,        // 10cm
-      lineWidth: 0.003,    // 3mm
-      color: '#ffffff',    // 纯白色
-      zones: {
-        flight: {
-          lineLength: 0.06,    // 6cm
-          showLabel: true
-        },
-        landing: {
-          lineLength: 0.10,    // 10cm (中央横跨)
-          showLabel: true
-        }
-      }
+      lineWidth: 0.002,    // 2mm
+      lineLength: 0.25     // 25cm
+    },
+    // 半米刻度 (50cm)
+    half: {
+      spacing: 0.5,        // 50cm
+      lineWidth: 0.0025,   // 2.5mm
+      lineLength: 0.35     // 35cm
     },
     // 粗刻度 (整米)
     major: {
       spacing: 1.0,        // 1m
-      lineWidth: 0.005,    // 5mm
-      lineLength: 0.15,    // 15cm
-      color: '#ffffff',
-      showLabel: true
+      lineWidth: 0.003,    // 3mm
+      lineLength: 0.45     // 45cm
     },
-    // 起跳线
+    // 飞行区 / 扩展区只画 10cm 稀疏刻度 (线宽同中等刻度)
+    sparse: {
+      flightLineLength: 0.15,     // 飞行区 10cm 刻度 15cm
+      flightEmphasisLength: 0.25, // 飞行区 50cm 刻度 25cm
+      extendedLineLength: 0.2     // 扩展区 20cm
+    },
+    // 起跳线 (占满整个宽度)
     startLine: {
       position: 0,
-      lineWidth: 0.006,    // 6mm
-      color: '#ff4444',    // 红色
+      lineWidth: 0.004,    // 4mm
       label: '起跳线'
+    },
+    // 英制刻度间距 (线宽与长度沿用上面同级的公制刻度)
+    imperial: {
+      fine: { spacing: 0.0254 },    // 1 英寸
+      medium: { spacing: 0.0762 },  // 3 英寸
+      half: { spacing: 0.1524 },    // 6 英寸
+      major: { spacing: 0.3048 }    // 1 英尺
     }
   },
   
   // ArUco 标记配置
   aruco: {
+    dictionary: 'DICT_4X4_50',  // OpenCV 预定义字典 (可选 DICT_5X5_100 / DICT_APRILTAG_36h11)
     size: 0.08,            // 8cm x 8cm
-    borderSize: 0.015,     // 1.5cm 白色边框
-    totalSize: 0.11,       // 总占用 11cm
+    borderSize: 0.015,     // 1.5cm 白色边框 (总占用 size + 2 * borderSize)
     margin: 0.02,          // 距离边缘 2cm
-    positions: [0, 1.0, 1.8, 2.4]  // 标记位置
+    positions: [0, 1.0, 1.8, 2.4], // 标记位置
+    // 各位置对应的标记ID (与 positions 一一对应，全局唯一)
+    ids: {
+      left: [0, 1, 2, 3],  // 左侧 (图案上方)
+      right: [4, 5, 6, 7]  // 右侧 (图案下方)
+    }
+  },
+  
+  // 边框
+  border: {
+    width: 0.008,          // 8mm 金色边框
+    innerOffset: 0.015,    // 内装饰线距边缘 1.5cm
+    innerLineWidth: 1      // 内装饰线宽 (像素)
+  },
+  
+  // 刻度标签 (由 labelEngine.js 按刻度配置生成)
+  labels: {
+    unit: 'm',             // 标注单位：mm / cm / m / ftin (英尺英寸)
+    locale: 'zh-CN',       // 文字语言：zh-CN / en / ja (译文见 i18n.js)
+    clearance: 0.003,      // 与标记、刻度线的最小间隙 3mm
+    startLine: {
+      offset: -0.08,       // 起跳线前 8cm，竖排
+      fontSize: 0.035
+    },
+    precisionStart: {
+      offset: -0.05,       // 精密区起点前 5cm，竖排
+      fontSize: 0.03
+    },
+    ticks: {
+      flightInterval: 0.5,     // 飞行区每 50cm 标注
+      landingInterval: 0.1,    // 落地区及扩展区每 10cm 标注
+      bottomOffset: 0.04,      // 距底边 4cm
+      fontSize: 0.014,
+      emphasisFontSize: 0.018, // 落地区标签加粗
+      maxShift: 0.2,           // 避让标记时最多向内移动 20cm
+      // 英制刻度标注 (固定按英尺英寸书写；双制时公制标注移到顶边)
+      imperialFlightInterval: 0.3048,  // 飞行区每 1 英尺
+      imperialLandingInterval: 0.1524  // 落地区及扩展区每 6 英寸
+    }
+  },
+  
+  // 地毯图案颜色
+  colors: {
+    background: '#1a1a1a',             // 深黑色背景
+    border: '#c9a227',                 // 金色边框
+    borderInner: 'rgba(201, 162, 39, 0.3)',
+    label: '#c9a227',                  // 金色文字
+    arucoWhite: '#ffffff',
+    arucoBlack: '#000000'
+  },
+  
+  // 图层显示开关 (图层定义见 matGenerator.js 的 MAT_LAYERS)
+  layers: {
+    background: true,
+    coarseScale: true,
+    fineScale: true,
+    labels: true,
+    border: true,
+    decoration: true,
+    markers: true
+  },
+  
+  // 哑光纹理噪点 (仅位图预览；矢量印刷稿不含)
+  texture: {
+    mode: 'seeded',        // seeded: 固定种子，重复生成结果一致；none: 不绘制 (生产稿)
+    seed: 20240601,
+    count: 50,
+    color: 'rgba(0, 0, 0, 0.1)',
+    minSize: 0.5,          // 噪点尺寸 (像素)
+    maxSize: 2.5,
+    clearance: 0.005       // 避开刻度线、标记 5mm
+  },
+  
+  // 印刷输出
+  print: {
+    bleed: 0.003,          // 3mm 出血
+    slug: 0.02,            // 单页版成品外 2cm 辅助区 (裁切线、校验尺)
+    tileMargin: 0.015,     // 拼版页边距 1.5cm
+    tileOverlap: 0.01,     // 拼版重叠 1cm
+    // 刻度专色 (要求.txt 推荐 Pantone 123C)，roles 为使用该专色的颜色角色
+    spotColor: {
+      name: 'PANTONE 123 C',
+      cmyk: [0, 0.24, 0.94, 0],
+      roles: ['scale', 'label', 'border', 'borderInner']
+    }
+  },
+  
+  // 设计规则检查阈值 (要求.txt 视觉识别印刷规范)
+  drc: {
+    markerMinSize: 0.08,           // 标记黑色核心区 ≥ 8cm
+    quietZoneMin: 0.01,            // 白色静区 ≥ 1cm
+    quietZoneRecommended: 0.015,   // 建议 1.5cm
+    minMarkers: 4,                 // 至少 4 个标记
+    fineMinWidth: 0.001,           // 刻度线宽下限 1mm
+    fineRecommendedWidth: 0.0015,  // 1cm 刻度建议 1.5mm
+    mediumRecommendedWidth: 0.003, // 10cm 刻度建议 3mm
+    majorRecommendedWidth: 0.005,  // 整米线 / 起跳线建议 5mm+
+    maxBackgroundLuminance: 0.05,  // 底色相对亮度上限 (深色)
+    minScaleContrast: 4.5          // 刻度与底色对比度
+  },
+  
+  // 规格书中无法由图案推导的生产要求
+  spec: {
+    thickness: '8-10mm',
+    material: '天然橡胶底 + PU表层 或 加厚TPE',
+    surface: '必须哑光 (Matte Finish)，禁止反光/光面处理',
+    tolerances: {
+      marker: 0.0005,      // ArUco 标记 ±0.5mm
+      tick: 0.001,         // 刻度线位置 ±1mm
+      perspective: 0.001,  // 照片透视校正误差 < 1mm
+      measurement: 0.01,   // 跳远成绩测量精度 1cm
+      deltaE: 3            // 颜色色差 ΔE
+    }
   },
   
   // 边缘刻度尺区域
@@ -176,10 +294,154 @@ export const RENDER_CONFIG = {
     }
   },
   
+  // 手机相机 (演示三脚架)，位置单位为米，世界坐标 x 沿跳跃方向 (起跳线为 0)，z 为横向 (地毯中线为 0)
+  phoneCamera: {
+    focalLength: 4.25,     // 镜头焦距 (mm，典型手机主摄)
+    sensorWidth: 5.6,      // 传感器长边 (mm，1/2.55")，短边按分辨率宽高比 (竖拍时长边为画面高度)
+    resolution: { width: 1920, height: 1440 },
+    position: { x: 2.0, z: -1.2 }, // 三脚架落点
+    height: 1.8,           // 镜头离地高度 (建议 1.5-2.5m)
+    tilt: 55,              // 俯角 (度，0 为水平，90 为垂直向下)
+    aimX: 2.1,             // 水平朝向地毯中线上的该位置
+    captureInterval: 10    // 录制演示时每隔多少帧导出一张
+  },
+  
+  // 多跑道 (各跑道地毯沿宽度方向并排，标记 ID 按跑道分块，见 laneLayout.js)
+  lanes: {
+    count: 1,              // 跑道数量
+    maxCount: 8,           // 界面可选的最大跑道数 (实际上限由字典大小决定)
+    spacing: 0.3,          // 相邻地毯间距 (m)
+    firstId: 0             // 第 1 条跑道的起始标记 ID
+  },
+  
+  // 地毯编辑器 (字段定义见 matEditor.js)
+  editor: {
+    historyLimit: 100,     // 可撤销的步数
+    markerSnap: 0.01       // 拖动标记时的位置吸附步长 (m)
+  },
+  
+  // 演示跳跃 (人物脚跟按抛体运动落在起跳线前 distance 处)
+  jump: {
+    distance: 2.1,         // 跳跃距离 (m，脚跟落点到起跳线)
+    takeoffAngle: 35,      // 起跳角 (度)
+    athleteHeight: 1.6,    // 运动员身高 (m)
+    landingStyle: 'heels', // 落地方式：heels 脚跟落地、fallBack 后坐、handTouch 手撑地
+    startGap: 0.02,        // 起跳前脚尖到起跳线的距离 (m，负值为越过起跳线)
+    lateralOffset: 0,      // 人物横向位置 (m，世界 z，地毯中线为 0)
+    slowMotion: 0.25,      // 慢动作倍速
+    stepTime: 1 / 30       // 单帧步进时长 (s)
+  },
+  
+  // 演示犯规与边界情况 (裁判培训、检测应用规则测试)，params 覆盖 jump
+  jumpScenarios: [
+    { key: 'normal', name: '正常试跳', params: {} },
+    { key: 'lineFoul', name: '起跳踩线', params: { startGap: 0 } },
+    { key: 'overLine', name: '起跳过线', params: { startGap: -0.03, distance: 2.2 } },
+    { key: 'handBehind', name: '后倒手撑地', params: { landingStyle: 'handTouch', distance: 2.0 } },
+    { key: 'partlyOffMat', name: '单脚落在地毯外', params: { lateralOffset: 0.4, distance: 2.3 } },
+    { key: 'beyondMat', name: '落在地毯末端外', params: { distance: 3.1, takeoffAngle: 30 } }
+  ],
+  
+  // 合成数据集 (落地检测训练 / 评测)，各 {min, max} 为均匀随机范围
+  dataset: {
+    seed: 1,               // 随机种子，相同种子生成相同数据集
+    count: 20,             // 帧数
+    resolution: { width: 640, height: 480 },
+    supersample: 2,        // 每像素 supersample² 个采样点抗锯齿
+    jumpDistance: { min: 1.2, max: 2.8 },
+    phaseWeights: [0.05, 0.1, 0.35, 0.5], // 各动作阶段的取样权重 (偏重落地)
+    lateralOffset: { min: -0.3, max: 0.3 }, // 人物横向偏移 (m)，偏向两侧时遮挡标记
+    camera: {
+      focalLength: { min: 3.5, max: 6 },
+      height: { min: 1.4, max: 2.5 },
+      x: { min: 0.8, max: 3.0 },
+      distance: { min: 0.9, max: 2.0 }, // 三脚架到地毯中线的横向距离，随机左右两侧
+      aimX: { min: 1.4, max: 2.6 },
+      tiltJitter: 4        // 俯角在对准落地区基础上的随机偏差 (度)
+    },
+    lighting: {
+      ambient: { min: 0.25, max: 0.6 },
+      directional: { min: 0.3, max: 1.0 },
+      elevation: { min: 20, max: 85 }, // 主光源仰角 (度)
+      tint: 0.08,          // 色温偏差 (各通道增益 ±tint)
+      vignette: { min: 0, max: 0.35 }
+    },
+    motionBlur: {
+      probability: 0.6,
+      exposure: { min: 1 / 500, max: 1 / 30 }, // 快门时间 (s)
+      samples: 6,          // 快门时间内的人物姿态采样数
+      shake: { min: 0, max: 3 } // 手机抖动造成的整帧模糊长度 (px)
+    },
+    noise: {
+      read: { min: 0.002, max: 0.02 },  // 读出噪声标准差 (0-1 亮度)
+      shot: { min: 0, max: 0.03 }       // 散粒噪声系数 (乘以亮度平方根)
+    },
+    floorColor: '#0a0a0f'  // 地毯外地面颜色
+  },
+  
+  // 测量精度仿真 (蒙特卡洛误差预算)，机位默认取 phoneCamera
+  accuracy: {
+    seed: 1,
+    trials: 200,           // 每个误差源的仿真次数
+    region: 'landing',     // 评估区域 (MAT_CONFIG.zones 中的名称)
+    grid: { x: 0.1, y: 0.15 }, // 热力图网格 (m)
+    pixelNoise: 0.3,       // 角点检测噪声标准差 (px)
+    printTolerance: 0.0005, // 标记印刷位置公差 (±m，均匀分布，同 spec.tolerances.marker)
+    stretch: 0.002,        // 地毯铺设拉伸 (沿跳跃方向的相对长度，标准差)
+    tilt: 2,               // 机位俯角偏差标准差 (度)
+    minMarkerSide: 12,     // 画面中边长小于该值 (px) 的标记视为检测不到 (同 detectMarkers)
+    breakdown: true,       // 逐项仿真各误差源 (关闭时只仿真合计)
+    camera: {}             // 按深度合并覆盖 phoneCamera
+  },
+  
+  // 标记布局优化：在多个预期机位下最小化落地区最差误差 (P95)，仿真参数沿用 accuracy
+  layoutOptimizer: {
+    count: 4,              // 每侧标记数量
+    step: 0.1,             // 候选位置间距 (m)
+    sizes: [0.08, 0.09, 0.1], // 候选黑色核心区尺寸 (m，不小于 drc.markerMinSize)
+    margins: [0.02, 0.06], // 候选静区外框距边缘距离 (m)
+    trials: 40,            // 每次评估的仿真次数
+    maxSweeps: 2,          // 逐个调整位置的最大轮数
+    cameraPoses: [         // 预期机位 (按深度合并覆盖 phoneCamera)
+      { name: '侧后方 (默认)' },
+      { name: '对侧', position: { x: 2.0, z: 1.2 } },
+      { name: '低机位', position: { x: 1.4, z: -1.4 }, height: 1.5, tilt: 45, aimX: 1.9 },
+      { name: '落地区远端', position: { x: 3.2, z: -1.0 }, height: 2.2, tilt: 60, aimX: 2.2 }
+    ]
+  },
+  
+  // 分块高分辨率位图导出 (见 rasterExport.js)：单块画布不超过浏览器的画布尺寸限制
+  rasterExport: {
+    tileWidth: 4096,       // 分块宽度 (像素)
+    tileHeight: 512,       // 分块高度 (像素)，也是每次编码的行数与 TIFF 条带行数
+    dpiOptions: [150, 300, 600],
+    defaultDpi: 300,
+    textureMaxSize: 4096   // 3D 预览纹理最长边 (像素)，超出时按比例降低纹理分辨率
+  },
+  
   // 网格变换 (米转换为 Three.js 单位)
   scale: 1.0              // 1:1 比例
 };
 
+/**
+ * 深度合并配置 (数组整体替换，不逐项合并)
+ * 用于在 MAT_CONFIG 基础上只覆盖部分字段，生成自定义地毯
+ * @param {Object} base - 基础配置
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 新的配置对象
+ */
+export function mergeConfig(base, overrides = {}) {
+  const result = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    const baseValue = base[key];
+    const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    result[key] = isPlainObject(value) && isPlainObject(baseValue)
+      ? mergeConfig(baseValue, value)
+      : value;
+  });
+  return result;
+}
+
 export default {
   MAT_CONFIG,
   COLORS,
@@ -0,0 +1,549 @@
+import * as THREE from 'three';
+import { RENDER_CONFIG, mergeConfig } from './config.js';
+
+/**
+ * 演示场景
+ * 演示模式的人物 / 三脚架模型与立定跳远动作，供 3D 预览与无界面的合成数据生成共用
+ */
+
+// 动作阶段与时长 (秒)：0 下蹲准备、1 起跳蹬伸、2 腾空、3 落地缓冲；腾空时长由抛体运动求得
+export const JUMP_PHASES = [
+  { name: 'crouch', label: '下蹲', duration: 0.9 },
+  { name: 'takeoff', label: '起跳', duration: 0.25 },
+  { name: 'flight', label: '腾空', duration: null },
+  { name: 'landing', label: '落地', duration: 0.8 }
+];
+
+// 触地部位 (键用于判定，值为显示名称，界面中再按语言翻译)
+export const BODY_PARTS = {
+  heel: '脚跟',
+  hips: '臀部',
+  hand: '手'
+};
+
+// 落地方式：part 为 BODY_PARTS 的键；reach 为最靠近起跳线的触地点在脚跟之后的距离 (占身高比例)，成绩按该点计
+export const LANDING_STYLES = {
+  heels: { name: '脚跟落地', part: 'heel', reach: 0 },
+  fallBack: { name: '后坐', part: 'hips', reach: 0.25 },
+  handTouch: { name: '手撑地', part: 'hand', reach: 0.2 }
+};
+
+// 人物模型 (未缩放) 的鞋底高度、鞋底到头顶的高度、脚跟 (鞋后沿)、鞋长、鞋宽与两脚中线距身体中线的距离
+const MODEL_SOLE_Y = 0.455;
+const MODEL_HEIGHT = 1.7 - MODEL_SOLE_Y;
+const MODEL_HEEL_Z = 0.02 - 0.075;
+const MODEL_SHOE_LENGTH = 0.15;
+const MODEL_SHOE_WIDTH = 0.08;
+const MODEL_FOOT_OFFSET = 0.08;
+
+// 起跳蹬伸结束时脚跟相对站立位置的前移与抬高 (未缩放)
+const TAKEOFF_REACH = 0.12;
+const TAKEOFF_RISE = 0.06;
+
+const GRAVITY = 9.81;
+
+/**
+ * 创建简易人物模型
+ * 原点位于脚跟着地点、面朝跳跃方向 (+x)，未缩放时身高 (鞋底到头顶) 约 1.25m，按身高缩放见 planJump
+ */
+export function createPerson() {
+  const group = new THREE.Group();
+  
+  // 身体颜色
+  const skinColor = 0xffdbac;
+  const clothColor = 0x2563eb;
+  const shoeColor = 0xffffff;
+  
+  // 头部
+  const headGeometry = new THREE.SphereGeometry(0.1, 16, 16);
+  const headMaterial = new THREE.MeshStandardMaterial({ color: skinColor });
+  const head = new THREE.Mesh(headGeometry, headMaterial);
+  head.position.y = 1.6;
+  group.add(head);
+  
+  // 身体
+  const bodyGeometry = new THREE.CylinderGeometry(0.12, 0.15, 0.5, 8);
+  const bodyMaterial = new THREE.MeshStandardMaterial({ color: clothColor });
+  const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+  body.position.y = 1.25;
+  group.add(body);
+  
+  // 左臂 (绕肩摆动)
+  const armGeometry = new THREE.CylinderGeometry(0.03, 0.04, 0.4, 8);
+  armGeometry.translate(0, -0.2, 0);
+  const armMaterial = new THREE.MeshStandardMaterial({ color: skinColor });
+  const leftArm = new THREE.Mesh(armGeometry, armMaterial);
+  leftArm.position.set(-0.18, 1.5, 0);
+  leftArm.rotation.z = Math.PI / 6;
+  leftArm.name = 'leftArm';
+  group.add(leftArm);
+  
+  // 右臂
+  const rightArm = new THREE.Mesh(armGeometry, armMaterial);
+  rightArm.position.set(0.18, 1.5, 0);
+  rightArm.rotation.z = -Math.PI / 6;
+  rightArm.name = 'rightArm';
+  group.add(rightArm);
+  
+  // 左腿 (绕髋摆动)
+  const legGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.5, 8);
+  legGeometry.translate(0, -0.25, 0);
+  const legMaterial = new THREE.MeshStandardMaterial({ color: clothColor });
+  const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
+  leftLeg.position.set(-0.08, 1.0, 0);
+  leftLeg.name = 'leftLeg';
+  group.add(leftLeg);
+  
+  // 右腿
+  const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
+  rightLeg.position.set(0.08, 1.0, 0);
+  rightLeg.name = 'rightLeg';
+  group.add(rightLeg);
+  
+  // 左脚（运动鞋，随腿摆动）
+  const shoeGeometry = new THREE.BoxGeometry(0.08, 0.05, 0.15);
+  const shoeMaterial = new THREE.MeshStandardMaterial({ color: shoeColor });
+  const leftShoe = new THREE.Mesh(shoeGeometry, shoeMaterial);
+  leftShoe.position.set(0, -0.52, 0.02);
+  leftShoe.name = 'leftShoe';
+  leftLeg.add(leftShoe);
+  
+  // 右脚
+  const rightShoe = new THREE.Mesh(shoeGeometry, shoeMaterial);
+  rightShoe.position.set(0, -0.52, 0.02);
+  rightShoe.name = 'rightShoe';
+  rightLeg.add(rightShoe);
+  
+  // 模型按面朝 +z 搭建：转向跳跃方向 (+x)，并平移使原点位于脚跟着地点
+  group.rotation.y = Math.PI / 2;
+  group.position.set(-MODEL_HEEL_Z, -MODEL_SOLE_Y, 0);
+  group.name = 'body';
+  
+  const person = new THREE.Group();
+  person.add(group);
+  person.name = 'person';
+  return person;
+}
+
+/**
+ * 创建摄像机三脚架模型
+ */
+export function createTripodWithPhone() {
+  const group = new THREE.Group();
+  
+  // 使用更亮的颜色 - 银色/白色系
+  const silverColor = 0xb8b8b8;        // 银色
+  const darkSilver = 0x888888;         // 深银色
+  const whiteColor = 0xffffff;         // 白色
+  const phoneFrameColor = 0xe0e0e0;    // 浅灰色手机边框
+  
+  // 三脚架腿 - 银色金属
+  const legGeometry = new THREE.CylinderGeometry(0.012, 0.018, 1.0, 8);
+  const legMaterial = new THREE.MeshStandardMaterial({ 
+    color: silverColor, 
+    metalness: 0.9, 
+    roughness: 0.2 
+  });
+  
+  for (let i = 0; i < 3; i++) {
+    const leg = new THREE.Mesh(legGeometry, legMaterial);
+    const angle = (i * 2 * Math.PI) / 3;
+    leg.position.set(Math.sin(angle) * 0.25, 0.5, Math.cos(angle) * 0.25);
+    leg.rotation.x = Math.PI / 10;
+    leg.rotation.z = -Math.sin(angle) * Math.PI / 10;
+    group.add(leg);
+    
+    // 腿部关节装饰
+    const jointGeometry = new THREE.SphereGeometry(0.02, 8, 8);
+    const joint = new THREE.Mesh(jointGeometry, legMaterial);
+    joint.position.set(Math.sin(angle) * 0.12, 0.95, Math.cos(angle) * 0.12);
+    group.add(joint);
+  }
+
+  // 三脚架脚垫 - 橙色橡胶
+  const footMaterial = new THREE.MeshStandardMaterial({ color: 0xff6600, roughness: 0.8 });
+  for (let i = 0; i < 3; i++) {
+    const footGeometry = new THREE.CylinderGeometry(0.025, 0.03, 0.02, 8);
+    const foot = new THREE.Mesh(footGeometry, footMaterial);
+    const angle = (i * 2 * Math.PI) / 3;
+    foot.position.set(Math.sin(angle) * 0.35, 0.01, Math.cos(angle) * 0.35);
+    group.add(foot);
+  }
+
+  // 中心连接柱
+  const centerGeometry = new THREE.CylinderGeometry(0.018, 0.022, 0.6, 12);
+  const centerMaterial = new THREE.MeshStandardMaterial({ 
+    color: darkSilver, 
+    metalness: 0.8, 
+    roughness: 0.3 
+  });
+  const center = new THREE.Mesh(centerGeometry, centerMaterial);
+  center.position.y = 1.2;
+  group.add(center);
+  
+  // 云台头 - 球形
+  const headGeometry = new THREE.SphereGeometry(0.04, 16, 16);
+  const head = new THREE.Mesh(headGeometry, centerMaterial);
+  head.position.y = 1.52;
+  group.add(head);
+  
+  // 手机夹持器 - 更精致
+  const holderGeometry = new THREE.BoxGeometry(0.12, 0.04, 0.03);
+  const holderMaterial = new THREE.MeshStandardMaterial({ 
+    color: whiteColor, 
+    metalness: 0.3, 
+    roughness: 0.5 
+  });
+  const holder = new THREE.Mesh(holderGeometry, holderMaterial);
+  holder.position.set(0, 1.58, 0);
+  holder.rotation.x = -Math.PI / 8;
+  group.add(holder);
+  
+  // 手机边框 - 浅灰色
+  const phoneFrameGeometry = new THREE.BoxGeometry(0.085, 0.17, 0.012);
+  const phoneFrameMaterial = new THREE.MeshStandardMaterial({ 
+    color: phoneFrameColor, 
+    metalness: 0.5, 
+    roughness: 0.3 
+  });
+  const phoneFrame = new THREE.Mesh(phoneFrameGeometry, phoneFrameMaterial);
+  phoneFrame.position.set(0, 1.68, 0.02);
+  phoneFrame.rotation.x = -Math.PI / 8;
+  group.add(phoneFrame);
+  
+  // 手机屏幕 - 深色
+  const screenGeometry = new THREE.PlaneGeometry(0.075, 0.15);
+  const screenMaterial = new THREE.MeshStandardMaterial({ 
+    color: 0x1a1a1a,
+    emissive: 0x222222,
+    emissiveIntensity: 0.3
+  });
+  const screen = new THREE.Mesh(screenGeometry, screenMaterial);
+  screen.position.set(0, 1.68, 0.027);
+  screen.rotation.x = -Math.PI / 8;
+  group.add(screen);
+  
+  // 录制指示区域 - 绿色 (表示正在录制)
+  const recordAreaGeometry = new THREE.PlaneGeometry(0.065, 0.12);
+  const recordAreaMaterial = new THREE.MeshBasicMaterial({ 
+    color: 0x22c55e,  // 绿色
+    transparent: true,
+    opacity: 0.9
+  });
+  const recordArea = new THREE.Mesh(recordAreaGeometry, recordAreaMaterial);
+  recordArea.position.set(0, 1.68, 0.028);
+  recordArea.rotation.x = -Math.PI / 8;
+  group.add(recordArea);
+  
+  // 摄像头镜头 - 顶部
+  const lensGeometry = new THREE.CylinderGeometry(0.008, 0.01, 0.005, 16);
+  const lensMaterial = new THREE.MeshStandardMaterial({ 
+    color: 0x111111, 
+    metalness: 0.9, 
+    roughness: 0.1 
+  });
+  const lens = new THREE.Mesh(lensGeometry, lensMaterial);
+  lens.position.set(0, 1.77, 0.03);
+  lens.rotation.x = Math.PI / 2 - Math.PI / 8;
+  group.add(lens);
+  
+  // 录制指示灯（红色闪烁）
+  const indicatorGeometry = new THREE.SphereGeometry(0.008, 8, 8);
+  const indicatorMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+  const indicator = new THREE.Mesh(indicatorGeometry, indicatorMaterial);
+  indicator.position.set(0.035, 1.77, 0.025);
+  indicator.name = 'recordingIndicator';
+  group.add(indicator);
+  
+  group.name = 'tripod';
+  return group;
+}
+
+/**
+ * 规划一次跳跃
+ * 以脚跟代替重心做抛体运动 (近似)：由起跳角与离地点、落地点 (起跳线前 distance 处) 求初速度与腾空时间
+ * @param {Object} options - 按深度合并覆盖 RENDER_CONFIG.jump
+ * @returns {{distance: number, takeoffAngle: number, athleteHeight: number, landingStyle: string, scale: number,
+ *   startX: number, takeoff: {x: number, y: number}, velocity: {x: number, y: number}, speed: number, apex: number,
+ *   phases: Array<{name: string, label: string, start: number, duration: number}>, duration: number,
+ *   lateralOffset: number, footprints: {start: Array, landing: Array}, marks: Array<{part: string, x: number, z: number}>,
+ *   measuredDistance: number}}
+ *   长度单位为米、时间为秒，坐标为世界坐标 (x 沿跳跃方向、z 横向)；apex 为脚跟最高点；
+ *   footprints 为起跳前与落地后两只鞋的鞋底范围 {x0, x1, z0, z1}；
+ *   marks 为落地后的触地点 (part 为 BODY_PARTS 的键)，measuredDistance 为离起跳线最近的触地点 (成绩)
+ */
+export function planJump(options = {}) {
+  const { distance, takeoffAngle, athleteHeight, landingStyle, startGap, lateralOffset } =
+    mergeConfig(RENDER_CONFIG.jump, options);
+  const style = LANDING_STYLES[landingStyle];
+  if (!style) {
+    throw new Error(`未知落地方式: ${landingStyle}`);
+  }
+  if (!(takeoffAngle > 0 && takeoffAngle < 90)) {
+    throw new Error(`起跳角 ${takeoffAngle}° 超出范围 (0-90°)`);
+  }
+
+  // 起跳前脚尖离起跳线 startGap (负值为脚尖越过起跳线后沿)
+  const scale = athleteHeight / MODEL_HEIGHT;
+  const startX = -(startGap + MODEL_SHOE_LENGTH * scale);
+  const takeoff = { x: startX + TAKEOFF_REACH * scale, y: TAKEOFF_RISE * scale };
+  const dx = distance - takeoff.x;
+  if (dx <= 0) {
+    throw new Error(`跳跃距离 ${distance}m 过短`);
+  }
+
+  // dx = v·cosθ·t，-takeoff.y = v·sinθ·t - g·t²/2
+  const angle = takeoffAngle * Math.PI / 180;
+  const flightTime = Math.sqrt(2 * (dx * Math.tan(angle) + takeoff.y) / GRAVITY);
+  const speed = dx / (Math.cos(angle) * flightTime);
+  const velocity = { x: speed * Math.cos(angle), y: speed * Math.sin(angle) };
+  
+  let start = 0;
+  const phases = JUMP_PHASES.map(phase => {
+    const duration = phase.duration === null ? flightTime : phase.duration;
+    const entry = { name: phase.name, label: phase.label, start, duration };
+    start += duration;
+    return entry;
+  });
+  
+  // 两只鞋的鞋底范围 (脚跟在 heelX)
+  const feet = (heelX) => [-1, 1].map(side => {
+    const z = lateralOffset + side * MODEL_FOOT_OFFSET * scale;
+    return {
+      x0: heelX,
+      x1: heelX + MODEL_SHOE_LENGTH * scale,
+      z0: z - MODEL_SHOE_WIDTH * scale / 2,
+      z1: z + MODEL_SHOE_WIDTH * scale / 2
+    };
+  });
+  const footprints = { start: feet(startX), landing: feet(distance) };
+  
+  const marks = footprints.landing.map(foot => ({ part: 'heel', x: distance, z: (foot.z0 + foot.z1) / 2 }));
+  if (style.reach > 0) {
+    marks.push({ part: style.part, x: Number((distance - style.reach * athleteHeight).toFixed(4)), z: lateralOffset });
+  }
+
+  return {
+    distance,
+    takeoffAngle,
+    athleteHeight,
+    landingStyle,
+    scale,
+    startX,
+    takeoff,
+    velocity,
+    speed,
+    apex: takeoff.y + velocity.y * velocity.y / (2 * GRAVITY),
+    phases,
+    duration: start,
+    lateralOffset,
+    footprints,
+    marks,
+    measuredDistance: Math.min(...marks.map(mark => mark.x))
+  };
+}
+
+/**
+ * 某一时刻所处的动作阶段
+ * @returns {{index: number, name: string, label: string, progress: number}} progress 为阶段内进度 (0-1)
+ */
+export function getJumpPhaseAt(plan, time) {
+  const t = Math.min(plan.duration, Math.max(0, time));
+  const index = plan.phases.findIndex(phase => t < phase.start + phase.duration);
+  const phase = plan.phases[index === -1 ? plan.phases.length - 1 : index];
+  return {
+    index: plan.phases.indexOf(phase),
+    name: phase.name,
+    label: phase.label,
+    progress: Math.min(1, (t - phase.start) / phase.duration)
+  };
+}
+
+// 各阶段结束时的身体姿态 (弧度)：lean 为整体绕脚跟前倾 (负值前倾)，arms / legs 为手臂、双腿摆角 (负值向前)
+const POSE_KEYS = {
+  start: { lean: 0, arms: 0, legs: 0 },
+  crouch: { lean: -0.35, arms: 1.0, legs: 0 },
+  takeoff: { lean: -0.6, arms: -2.2, legs: 0.3 },
+  flight: { lean: 0.1, arms: -0.6, legs: -0.5 },
+  // 落地后双腿伸直，整体绕脚跟转动，脚跟保持在落点
+  landing: {
+    heels: { lean: 0, arms: -0.9, legs: 0 },
+    fallBack: { lean: 1.1, arms: 0.5, legs: 0 },
+    handTouch: { lean: 0.6, arms: 1.6, legs: 0 }
+  }
+};
+
+/**
+ * 缓入缓出插值
+ */
+function ease(t) {
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * 把人物设为某一时刻的姿态 (与播放历史无关，可任意跳转)
+ * 人物横向位置取 plan.lateralOffset
+ * @param {THREE.Object3D} person - createPerson 创建的模型
+ * @param {Object} plan - planJump 的结果
+ * @param {number} time - 动作开始后的时间 (s)，超出范围时取起止姿态
+ * @returns {{index: number, name: string, label: string, progress: number}} 所处阶段
+ */
+export function poseJumpAt(person, plan, time) {
+  const phase = getJumpPhaseAt(plan, time);
+  const t = phase.progress;
+  const keys = [POSE_KEYS.start, POSE_KEYS.crouch, POSE_KEYS.takeoff, POSE_KEYS.flight, POSE_KEYS.landing[plan.landingStyle]];
+  const from = keys[phase.index];
+  const to = keys[phase.index + 1];
+  const mix = (key) => from[key] + (to[key] - from[key]) * ease(t);
+  
+  // 脚跟轨迹：站立 -> 蹬伸离地 -> 抛物线 -> 落地点
+  const { startX, takeoff, velocity, distance } = plan;
+  switch (phase.name) {
+    case 'crouch':
+      person.position.x = startX;
+      person.position.y = 0;
+      break;
+    case 'takeoff':
+      person.position.x = startX + (takeoff.x - startX) * ease(t);
+      person.position.y = takeoff.y * t * t;
+      break;
+    case 'flight': {
+      const s = t * plan.phases[phase.index].duration;
+      person.position.x = takeoff.x + velocity.x * s;
+      person.position.y = Math.max(0, takeoff.y + velocity.y * s - GRAVITY * s * s / 2);
+      break;
+    }
+    default:
+      person.position.x = distance;
+      person.position.y = 0;
+  }
+  person.position.z = plan.lateralOffset;
+  
+  person.scale.setScalar(plan.scale);
+  person.rotation.set(0, 0, mix('lean'));
+  const arms = mix('arms');
+  const legs = mix('legs');
+  ['leftArm', 'rightArm'].forEach(name => {
+    const part = person.getObjectByName(name);
+    if (part) part.rotation.x = arms;
+  });
+  ['leftLeg', 'rightLeg'].forEach(name => {
+    const part = person.getObjectByName(name);
+    if (part) part.rotation.x = legs;
+  });
+  person.updateMatrixWorld(true);
+  
+  // 前倾时脚尖会低于地面：整体抬高到鞋底贴地 (踮脚)
+  const shoes = new THREE.Box3();
+  ['leftShoe', 'rightShoe'].forEach(name => {
+    const shoe = person.getObjectByName(name);
+    if (shoe) shoes.expandByObject(shoe, true);
+  });
+  if (!shoes.isEmpty() && shoes.min.y < 0) {
+    person.position.y -= shoes.min.y;
+    person.updateMatrixWorld(true);
+  }
+  return phase;
+}
+
+/**
+ * 文字贴图 (平放在地毯上的标签)
+ */
+function createTextPlane(text, height, color) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const font = 'bold 48px "JetBrains Mono", "PingFang SC", sans-serif';
+  ctx.font = font;
+  canvas.width = Math.ceil(ctx.measureText(text).width) + 16;
+  canvas.height = 64;
+  ctx.font = font;
+  ctx.fillStyle = color;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, 8, canvas.height / 2);
+  
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const plane = new THREE.Mesh(
+    new THREE.PlaneGeometry(height * canvas.width / canvas.height, height),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+  );
+  plane.rotation.x = -Math.PI / 2;
+  return plane;
+}
+
+/**
+ * 地面上的矩形框
+ */
+function createOutline({ x0, x1, z0, z1 }, height, color) {
+  return new THREE.LineLoop(
+    new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(x0, height, z0),
+      new THREE.Vector3(x1, height, z0),
+      new THREE.Vector3(x1, height, z1),
+      new THREE.Vector3(x0, height, z1)
+    ]),
+    new THREE.LineBasicMaterial({ color })
+  );
+}
+
+/**
+ * 创建落地标记：各触地点、成绩线 (离起跳线最近的触地点，横贯地毯) 与成绩标签
+ * 给出裁判结果时按有效 (绿) / 无效 (红) 着色，放大最近触地点并框出犯规与提示涉及的鞋底范围
+ * @param {Object} plan - planJump 的结果
+ * @param {number} totalWidth - 地毯宽度 (m)
+ * @param {Object} judgement - judgeJump 的结果 (可选)
+ * @returns {THREE.Group}
+ */
+export function createLandingMark(plan, totalWidth, judgement = null) {
+  const group = new THREE.Group();
+  const height = 0.004;
+  let color = 0xff3366;
+  if (judgement) color = judgement.valid ? 0x00ff88 : 0xff4444;
+  
+  const line = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(plan.measuredDistance, height, -totalWidth / 2),
+      new THREE.Vector3(plan.measuredDistance, height, totalWidth / 2)
+    ]),
+    new THREE.LineBasicMaterial({ color })
+  );
+  group.add(line);
+  
+  plan.marks.forEach(mark => {
+    const nearest = judgement && judgement.nearest === mark;
+    const ring = new THREE.Mesh(
+      nearest ? new THREE.RingGeometry(0.035, 0.05, 32) : new THREE.RingGeometry(0.02, 0.03, 24),
+      new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.set(mark.x, height, mark.z);
+    group.add(ring);
+  });
+  
+  if (judgement) {
+    [...judgement.fouls, ...judgement.warnings].forEach(entry => {
+      (entry.areas || []).forEach(area => group.add(createOutline(area, height, entry.severity === 'foul' ? 0xff4444 : 0xffb800)));
+    });
+  }
+
+  const style = LANDING_STYLES[plan.landingStyle];
+  const text = judgement ? judgement.summary : `${(plan.measuredDistance * 100).toFixed(1)} cm · ${style.name}`;
+  const label = createTextPlane(text, 0.06, `#${color.toString(16).padStart(6, '0')}`);
+  label.position.set(plan.measuredDistance + 0.02 + label.geometry.parameters.width / 2, height, totalWidth / 2 - 0.12);
+  group.add(label);
+  
+  group.name = 'landingMark';
+  return group;
+}
+
+export default {
+  JUMP_PHASES,
+  BODY_PARTS,
+  LANDING_STYLES,
+  createPerson,
+  createTripodWithPhone,
+  planJump,
+  getJumpPhaseAt,
+  poseJumpAt,
+  createLandingMark
+};
@@ -0,0 +1,218 @@
+import { MAT_CONFIG, mergeConfig } from './config.js';
+import { getDictionary } from './aruco.js';
+import { buildMarkerLayout, validateMarkerLayout } from './markerLayout.js';
+import { validateEditorConfig } from './matEditor.js';
+
+/**
+ * 设计状态的保存与分享
+ * 把完整的地毯配置、查看器显示选项与相机位姿序列化为带版本号的对象，用于 URL 片段 (#design=...)、
+ * localStorage 命名预设与 JSON 文件导入导出。
+ * 新增配置字段无需迁移 (读取时按当前 MAT_CONFIG 补全)；字段改名或含义变化时递增 DESIGN_SCHEMA_VERSION，
+ * 并在 DESIGN_MIGRATIONS 中加入 旧版本 -> 新版本 的转换，旧链接与预设读取时逐级迁移
+ */
+
+// 格式标识与版本
+export const DESIGN_FORMAT = 'jump-mat-design';
+export const DESIGN_SCHEMA_VERSION = 2;
+
+// 迁移：DESIGN_MIGRATIONS[n] 把版本 n 的对象转换为版本 n + 1
+export const DESIGN_MIGRATIONS = {
+  // v2：标签文字改由标签引擎按语言生成，去掉固定的起跳线文字与精密区后缀
+  1: (state) => {
+    const { startLine = {}, precisionStart = {}, ...labels } = (state.mat && state.mat.labels) || {};
+    const { text, ...startLineRest } = startLine;
+    const { suffix, ...precisionStartRest } = precisionStart;
+    return { ...state, mat: { ...state.mat, labels: { ...labels, startLine: startLineRest, precisionStart: precisionStartRest } } };
+  }
+};
+
+// URL 片段参数名与 localStorage 键
+export const DESIGN_HASH_KEY = 'design';
+export const PRESET_STORAGE_KEY = 'jump-mat-presets';
+
+// 可保存的查看器显示选项及其类型 (JumpMatViewer.state 的子集)
+export const VIEW_FIELDS = {
+  showAruco: 'boolean',
+  showFineScale: 'boolean',
+  showGrid: 'boolean',
+  laneCount: 'number',
+  laneSpacing: 'number'
+};
+
+/**
+ * 生成设计状态
+ * @param {Object} matConfig - 完整地毯配置
+ * @param {Object} view - 查看器状态 (只保留 VIEW_FIELDS 中的字段)
+ * @param {{position: number[], target: number[]}} camera - 相机位置与注视点 (米)
+ * @returns {{format: string, version: number, mat: Object, view: Object, camera: Object}}
+ */
+export function createDesignState(matConfig, view, camera) {
+  return {
+    format: DESIGN_FORMAT,
+    version: DESIGN_SCHEMA_VERSION,
+    mat: JSON.parse(JSON.stringify(matConfig)),
+    view: Object.fromEntries(Object.keys(VIEW_FIELDS).map(key => [key, view[key]])),
+    camera: {
+      position: camera.position.map(v => Number(v.toFixed(4))),
+      target: camera.target.map(v => Number(v.toFixed(4)))
+    }
+  };
+}
+
+/**
+ * 三维坐标 [x, y, z]
+ */
+function isVector(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+/**
+ * 读取设计状态：校验格式、逐级迁移到当前版本、按当前 MAT_CONFIG 补全缺失字段并校验标记布局
+ * @param {Object} data - 设计状态对象 (可为旧版本)
+ * @returns {{format: string, version: number, mat: Object, view: Object, camera: Object|null}}
+ *   view 只含类型正确的已知字段；camera 缺失或无效时为 null
+ */
+export function parseDesignState(data) {
+  if (!data || typeof data !== 'object' || data.format !== DESIGN_FORMAT) {
+    throw new Error('不是地毯设计文件');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error(`设计文件版本无效: ${data.version}`);
+  }
+  if (data.version > DESIGN_SCHEMA_VERSION) {
+    throw new Error(`设计文件由更新版本创建 (v${data.version})，当前支持到 v${DESIGN_SCHEMA_VERSION}`);
+  }
+
+  let state = data;
+  for (let version = data.version; version < DESIGN_SCHEMA_VERSION; version++) {
+    const migrate = DESIGN_MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`缺少设计文件 v${version} -> v${version + 1} 的迁移`);
+    }
+    state = { ...migrate(state), version: version + 1 };
+  }
+
+  const mat = mergeConfig(MAT_CONFIG, state.mat || {});
+  const configErrors = validateEditorConfig(mat);
+  if (configErrors.length > 0) {
+    throw new Error(`设计文件中的地毯配置无效:\n${configErrors.join('\n')}`);
+  }
+  let errors;
+  try {
+    errors = validateMarkerLayout(buildMarkerLayout(mat), getDictionary(mat.aruco.dictionary).codes.length);
+  } catch (error) {
+    errors = [error.message];
+  }
+  if (errors.length > 0) {
+    throw new Error(`设计文件中的 ArUco 布局无效:\n${errors.join('\n')}`);
+  }
+
+  const view = Object.fromEntries(Object.entries(state.view || {})
+    .filter(([key, value]) => VIEW_FIELDS[key] && typeof value === VIEW_FIELDS[key]));
+  const { camera } = state;
+  const valid = camera && isVector(camera.position) && isVector(camera.target);
+  
+  return {
+    format: DESIGN_FORMAT,
+    version: DESIGN_SCHEMA_VERSION,
+    mat,
+    view,
+    camera: valid ? { position: camera.position, target: camera.target } : null
+  };
+}
+
+/**
+ * 编码为 URL 片段参数值 (UTF-8 JSON 的 base64url)
+ * @param {Object} state - createDesignState 的结果
+ * @returns {string}
+ */
+export function encodeDesignState(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 解码 URL 片段参数值并读取
+ * @param {string} encoded - encodeDesignState 的结果
+ * @returns {Object} parseDesignState 的结果
+ */
+export function decodeDesignState(encoded) {
+  let data;
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+  } catch (error) {
+    throw new Error('链接中的设计数据已损坏');
+  }
+  return parseDesignState(data);
+}
+
+/**
+ * 从 URL 片段 (location.hash) 中取出设计参数
+ * @param {string} hash - 如 '#design=...'
+ * @returns {string|null}
+ */
+export function getDesignFromHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  return params.get(DESIGN_HASH_KEY);
+}
+
+/**
+ * 读取全部命名预设 (原样返回，载入时再经 parseDesignState 迁移)
+ * @param {Storage} storage - localStorage
+ * @returns {Object<string, Object>}
+ */
+export function loadPresets(storage) {
+  const text = storage.getItem(PRESET_STORAGE_KEY);
+  if (!text) return {};
+  try {
+    const presets = JSON.parse(text);
+    return presets && typeof presets === 'object' ? presets : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * 保存命名预设 (同名覆盖)
+ * @param {Storage} storage - localStorage
+ * @param {string} name - 预设名称
+ * @param {Object} state - createDesignState 的结果
+ */
+export function savePreset(storage, name, state) {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('请填写预设名称');
+  }
+  storage.setItem(PRESET_STORAGE_KEY, JSON.stringify({ ...loadPresets(storage), [trimmed]: state }));
+}
+
+/**
+ * 删除命名预设
+ * @param {Storage} storage - localStorage
+ * @param {string} name - 预设名称
+ */
+export function deletePreset(storage, name) {
+  const presets = loadPresets(storage);
+  delete presets[name];
+  storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+}
+
+export default {
+  DESIGN_FORMAT,
+  DESIGN_SCHEMA_VERSION,
+  DESIGN_MIGRATIONS,
+  VIEW_FIELDS,
+  createDesignState,
+  parseDesignState,
+  encodeDesignState,
+  decodeDesignState,
+  getDesignFromHash,
+  loadPresets,
+  savePreset,
+  deletePreset
+};
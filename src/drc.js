@@ -0,0 +1,307 @@
+import { analyzeMarkerSet, getDictionary } from './aruco.js';
+import { validateMarkerLayout } from './markerLayout.js';
+import { parseColor } from './artwork.js';
+import { getLabelBounds } from './labelEngine.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+/**
+ * 设计规则检查 (DRC)
+ * 按 要求.txt 的视觉识别印刷规范检查配置与布局模型 (不依赖渲染结果)：
+ * - error：红线规则 (标记尺寸、静区、纯黑白、标记数量与可区分性)，阻止生产导出
+ * - warning：建议值 (刻度线宽、对比度等)，仅提示
+ * 阈值见 MAT_CONFIG.drc；说明与位置文字按 locale 翻译 (原文为简体中文)
+ */
+
+export const DRC_SEVERITIES = ['error', 'warning'];
+
+const ZONE_NAMES = {
+  takeoff: '起跳区',
+  flight: '飞行区',
+  landing: '落地区',
+  extended: '扩展区'
+};
+
+/**
+ * 米 -> 毫米文本
+ */
+function mmText(meter) {
+  return `${Number((meter * 1000).toFixed(2))}mm`;
+}
+
+/**
+ * 相对亮度 (WCAG)
+ */
+function luminance(css) {
+  const { r, g, b } = parseColor(css);
+  const linear = (c) => (c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * 对比度 (WCAG，1-21)
+ */
+function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * 两个矩形 [x0, y0, x1, y1] 是否相交
+ */
+function intersects(a, b) {
+  return a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+}
+
+/**
+ * 标记连同白色静区的外框 (米)
+ */
+function markerFootprint(marker, aruco) {
+  const half = aruco.size / 2 + aruco.borderSize;
+  return [marker.center.x - half, marker.center.y - half, marker.center.x + half, marker.center.y + half];
+}
+
+/**
+ * 刻度按 单位制 + 级别 + 区域 + 线宽 分组，便于按组报告
+ */
+function groupTicks(ticks) {
+  const groups = [];
+  ticks.forEach(tick => {
+    const group = groups.find(g =>
+      g.system === tick.system && g.tier === tick.tier && g.zone === tick.zone && g.lineWidth === tick.lineWidth
+    );
+    if (group) {
+      group.positions.push(tick.position);
+    } else {
+      groups.push({ system: tick.system, tier: tick.tier, zone: tick.zone, lineWidth: tick.lineWidth, positions: [tick.position] });
+    }
+  });
+  return groups;
+}
+
+/**
+ * 刻度组位置描述
+ */
+function tickLocation(group, t) {
+  const first = group.positions[0];
+  const last = group.positions[group.positions.length - 1];
+  const range = first === last
+    ? `${first}m`
+    : t('{first}m - {last}m ({count} 条)', { first, last, count: group.positions.length });
+  return `${t(ZONE_NAMES[group.zone] || group.zone)}${group.system === 'imperial' ? ` (${t('英制')})` : ''} ${range}`;
+}
+
+/**
+ * 检查标记规则
+ */
+function checkMarkers(generator, report, t) {
+  const { config } = generator;
+  const { aruco, colors, drc, zones, totalWidth } = config;
+  
+  let layout;
+  try {
+    layout = generator.getMarkerLayout();
+  } catch (error) {
+    report('marker-layout', 'error', error.message, 'aruco.ids', 'aruco');
+    return;
+  }
+
+  // 黑色核心区尺寸
+  if (aruco.size < drc.markerMinSize) {
+    report('marker-size', 'error',
+      t('标记黑色核心区 {size}，要求 ≥ {min}', { size: mmText(aruco.size), min: mmText(drc.markerMinSize) }),
+      'aruco.size', t('全部标记'));
+  }
+
+  // 白色静区
+  if (aruco.borderSize < drc.quietZoneMin) {
+    report('quiet-zone', 'error',
+      t('白色静区 {size}，要求 ≥ {min}', { size: mmText(aruco.borderSize), min: mmText(drc.quietZoneMin) }),
+      'aruco.borderSize', t('全部标记'));
+  } else if (aruco.borderSize < drc.quietZoneRecommended) {
+    report('quiet-zone', 'warning',
+      t('白色静区 {size}，建议 {recommended}', { size: mmText(aruco.borderSize), recommended: mmText(drc.quietZoneRecommended) }),
+      'aruco.borderSize', t('全部标记'));
+  }
+
+  // 纯黑纯白
+  [['arucoBlack', [0, 0, 0], '#000000'], ['arucoWhite', [1, 1, 1], '#FFFFFF']].forEach(([role, rgb, expected]) => {
+    const color = parseColor(colors[role]);
+    if (color.r !== rgb[0] || color.g !== rgb[1] || color.b !== rgb[2] || color.a !== 1) {
+      report('marker-color', 'error',
+        t('标记颜色 {color} 必须为纯色 {expected}', { color: colors[role], expected }),
+        `colors.${role}`, t('全部标记'));
+    }
+  });
+  
+  // 数量
+  if (layout.length < drc.minMarkers) {
+    report('marker-count', 'error',
+      t('标记共 {count} 个，至少需要 {min} 个才能构建稳定坐标系', { count: layout.length, min: drc.minMarkers }),
+      'aruco.positions', 'aruco');
+  }
+
+  // ID 合法性与可区分性
+  const dictionarySize = getDictionary(aruco.dictionary).codes.length;
+  validateMarkerLayout(layout, dictionarySize).forEach(message => {
+    report('marker-id', 'error', message, 'aruco.ids', 'aruco');
+  });
+  const ids = [...new Set(layout.map(marker => marker.id))]
+    .filter(id => Number.isInteger(id) && id >= 0 && id < dictionarySize);
+  if (ids.length > 1) {
+    const set = analyzeMarkerSet(ids, aruco.dictionary);
+    if (set.minDistance < set.requiredDistance) {
+      report('marker-distance', 'error',
+        t('标记 {first} 与 {second} 汉明距离 {distance}，要求 ≥ {required}', {
+          first: set.closestPair.ids[0],
+          second: set.closestPair.ids[1],
+          distance: set.minDistance,
+          required: set.requiredDistance
+        }),
+        'aruco.ids', `ID ${set.closestPair.ids.join(', ')}`);
+    }
+    if (set.minRotationDistance < set.requiredDistance) {
+      report('marker-rotation', 'warning',
+        t('标记 {id} 旋转后自身距离 {distance}，朝向可能无法判定', { id: set.leastRotationSafeId, distance: set.minRotationDistance }),
+        'aruco.ids', `ID ${set.leastRotationSafeId}`);
+    }
+  }
+
+  // 标记 (含静区) 必须完整落在地毯内，且互不重叠
+  const bounds = [zones.takeoff.start, 0, config.totalLength, totalWidth];
+  const footprints = layout.map(marker => ({ marker, rect: markerFootprint(marker, aruco) }));
+  footprints.forEach(({ marker, rect }, index) => {
+    const where = `ID ${marker.id} @ ${marker.position}m`;
+    if (rect[0] < bounds[0] || rect[1] < bounds[1] || rect[2] > bounds[2] || rect[3] > bounds[3]) {
+      report('marker-bounds', 'error', t('标记 {id} (含静区) 超出地毯边缘', { id: marker.id }), 'aruco.positions', where);
+    }
+    footprints.slice(index + 1).forEach(other => {
+      if (intersects(rect, other.rect)) {
+        report('marker-overlap', 'error',
+          t('标记 {id} 与 {other} 的静区重叠', { id: marker.id, other: other.marker.id }),
+          'aruco.positions', `${where} / ID ${other.marker.id} @ ${other.marker.position}m`);
+      }
+    });
+  });
+  
+  return footprints;
+}
+
+/**
+ * 检查刻度规则
+ */
+function checkTicks(generator, report, footprints, t) {
+  const { config } = generator;
+  const { drc } = config;
+  const ticks = generator.getTickLayout();
+  
+  // 各级刻度线宽 (起跳线与整米线同级要求)
+  const widthRules = {
+    fine: { min: drc.fineMinWidth, recommended: drc.fineRecommendedWidth, path: 'scales.fine.lineWidth' },
+    medium: { min: drc.fineMinWidth, recommended: drc.mediumRecommendedWidth, path: 'scales.medium.lineWidth' },
+    half: { min: drc.fineMinWidth, recommended: drc.mediumRecommendedWidth, path: 'scales.half.lineWidth' },
+    major: { min: drc.fineMinWidth, recommended: drc.majorRecommendedWidth, path: 'scales.major.lineWidth' },
+    start: { min: drc.fineMinWidth, recommended: drc.majorRecommendedWidth, path: 'scales.startLine.lineWidth' }
+  };
+  
+  groupTicks(ticks).forEach(group => {
+    const rule = widthRules[group.tier];
+    // 飞行区 / 扩展区的稀疏刻度统一使用 10cm 线宽
+    const path = group.zone === 'flight' || group.zone === 'extended' ? 'scales.medium.lineWidth' : rule.path;
+    if (group.lineWidth < rule.min - 1e-9) {
+      report('tick-width', 'error',
+        t('刻度线宽 {width}，低于 {min} 会被摄像头噪点吞没', { width: mmText(group.lineWidth), min: mmText(rule.min) }),
+        path, tickLocation(group, t));
+    } else if (group.lineWidth < rule.recommended - 1e-9) {
+      report('tick-width', 'warning',
+        t('刻度线宽 {width}，建议 ≥ {recommended}', { width: mmText(group.lineWidth), recommended: mmText(rule.recommended) }),
+        path, tickLocation(group, t));
+    }
+  });
+  
+  // 被标记遮挡的刻度线
+  if (footprints) {
+    ticks.forEach(tick => {
+      const rect = [
+        tick.position - tick.lineWidth / 2,
+        tick.y0,
+        tick.position + tick.lineWidth / 2,
+        tick.y1
+      ];
+      footprints.filter(f => intersects(rect, f.rect)).forEach(({ marker }) => {
+        report('tick-occluded', 'warning',
+          t('{position}m 刻度线被标记 {id} 遮挡', { position: tick.position, id: marker.id }),
+          'aruco.positions', `ID ${marker.id} @ ${marker.position}m`);
+      });
+    });
+  }
+}
+
+/**
+ * 检查被标记遮挡的标签
+ */
+function checkLabels(generator, report, footprints, t) {
+  if (!footprints) return;
+  generator.getLabelLayout().forEach(label => {
+    const rect = getLabelBounds(label);
+    footprints.filter(f => intersects(rect, f.rect)).forEach(({ marker }) => {
+      report('label-occluded', 'warning',
+        t('标签 "{text}" 被标记 {id} 遮挡', { text: label.text, id: marker.id }),
+        'aruco.positions', `ID ${marker.id} @ ${marker.position}m`);
+    });
+  });
+}
+
+/**
+ * 检查颜色规则
+ */
+function checkColors(generator, report, t) {
+  const { colors, scales, drc } = generator.config;
+  
+  if (luminance(colors.background) > drc.maxBackgroundLuminance) {
+    report('background-dark', 'warning',
+      t('底色 {color} 偏亮，应为深色哑光以减少反光', { color: colors.background }),
+      'colors.background', t('底色'));
+  }
+
+  const contrast = contrastRatio(scales.color, colors.background);
+  if (contrast < drc.minScaleContrast) {
+    report('scale-contrast', 'warning',
+      t('刻度与底色对比度 {contrast}:1，建议 ≥ {min}:1', { contrast: contrast.toFixed(1), min: drc.minScaleContrast }),
+      'scales.color', t('全部刻度'));
+  }
+}
+
+/**
+ * 运行设计规则检查
+ * @param {MatGenerator} generator - 地毯生成器 (使用其配置与布局模型)
+ * @param {Object} options - locale: 说明与位置文字的语言 (LOCALES 的键)
+ * @returns {{violations: Array<{rule: string, severity: string, message: string, path: string, location: string}>,
+ *   errorCount: number, warningCount: number, passed: boolean}} passed 为 false 时不得生产导出
+ */
+export function runDesignRuleCheck(generator, { locale = DEFAULT_LOCALE } = {}) {
+  const violations = [];
+  const report = (rule, severity, message, path, location) => {
+    violations.push({ rule, severity, message, path, location });
+  };
+  const t = (text, params) => translate(text, locale, params);
+  
+  const footprints = checkMarkers(generator, report, t);
+  checkTicks(generator, report, footprints, t);
+  checkLabels(generator, report, footprints, t);
+  checkColors(generator, report, t);
+  
+  violations.sort((a, b) => DRC_SEVERITIES.indexOf(a.severity) - DRC_SEVERITIES.indexOf(b.severity));
+  const errorCount = violations.filter(v => v.severity === 'error').length;
+  
+  return {
+    violations,
+    errorCount,
+    warningCount: violations.length - errorCount,
+    passed: errorCount === 0
+  };
+}
+
+export default {
+  DRC_SEVERITIES,
+  runDesignRuleCheck
+};
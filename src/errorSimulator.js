@@ -0,0 +1,325 @@
+import { RENDER_CONFIG, mergeConfig } from './config.js';
+import { MatGenerator } from './matGenerator.js';
+import { PhoneCamera } from './phoneCamera.js';
+import { validateMarkerLayout } from './markerLayout.js';
+import { getDictionary } from './aruco.js';
+import { solveHomography, applyHomography, invertHomography } from './homography.js';
+import { MIN_MARKERS } from './photoVerify.js';
+import { createRandom, gaussian } from './random.js';
+
+/**
+ * 测量精度仿真 (蒙特卡洛误差预算)
+ * 在给定地毯布局与机位下，对标记角点施加扰动 (检测噪声、印刷公差、地毯拉伸、机位俯角偏差)，
+ * 按 photoVerify 的方式由可见标记求解单应矩阵，再测量评估区域网格点上的落地位置，统计成绩误差分布；
+ * 用于客观比较不同的 MAT_CONFIG.aruco.positions 布局。配置见 RENDER_CONFIG.accuracy
+ */
+
+// 误差源：逐项单独仿真，再全部叠加 (合计)
+// 平面单应与机位无关，俯角偏差只改变标记可见性与透视缩短，须与检测噪声一起仿真 (with)
+export const ERROR_SOURCES = [
+  { key: 'pixelNoise', name: '角点检测噪声', with: [] },
+  { key: 'printTolerance', name: '标记印刷公差', with: [] },
+  { key: 'stretch', name: '地毯拉伸', with: [] },
+  { key: 'tilt', name: '机位俯角偏差 (含检测噪声)', with: ['pixelNoise'] }
+];
+
+/**
+ * 误差统计 (米)：偏差、均方根、|误差| 的 95 分位与最大值
+ * @returns {{bias: number, rms: number, p95: number, max: number}|null} 无样本时为 null
+ */
+function errorStats(errors) {
+  if (errors.length === 0) return null;
+  const sorted = errors.map(Math.abs).sort((a, b) => a - b);
+  return {
+    bias: errors.reduce((sum, e) => sum + e, 0) / errors.length,
+    rms: Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length),
+    p95: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * 标记在画面中能否被检测：四角都在画面内且最短边不小于 minSide
+ */
+function isDetectable(corners, resolution, minSide) {
+  const inImage = corners.every(p => p.inFront && p.u >= 0 && p.u <= resolution.width && p.v >= 0 && p.v <= resolution.height);
+  const sides = corners.map((p, i) => {
+    const q = corners[(i + 1) % 4];
+    return Math.hypot(q.u - p.u, q.v - p.v);
+  });
+  return inImage && Math.min(...sides) >= minSide;
+}
+
+/**
+ * 一次仿真
+ * 随机数按固定顺序抽取 (与启用了哪些误差源无关)，因此各误差源、各布局的同一次仿真共享机位与拉伸扰动
+ * @param {Object} context - 布局、网格与名义机位
+ * @param {Object} amounts - 各误差源的幅度 (未启用的为 0)
+ * @param {function(): number} random - 随机数生成器
+ * @returns {Array<number|null>|null} 各网格点的成绩误差 (m，不可见的点为 null)；可见标记不足时为 null
+ */
+function runTrial(context, amounts, random) {
+  const { layout, cells, camera, totalWidth, minMarkerSide } = context;
+  const tilt = camera.tilt + gaussian(random) * amounts.tilt;
+  const stretch = 1 + gaussian(random) * amounts.stretch;
+  const phone = new PhoneCamera({ ...camera, tilt });
+  
+  // 实际地毯：以起跳线为基准沿跳跃方向拉伸，标记整体偏离布局位置 (印刷公差)
+  const project = (x, y) => phone.projectPoint(x * stretch, 0, y - totalWidth / 2);
+  const from = [];
+  const to = [];
+  let markers = 0;
+  layout.forEach(marker => {
+    const dx = (random() * 2 - 1) * amounts.printTolerance;
+    const dy = (random() * 2 - 1) * amounts.printTolerance;
+    const noise = marker.corners.map(() => [gaussian(random) * amounts.pixelNoise, gaussian(random) * amounts.pixelNoise]);
+    const corners = marker.corners.map(([x, y]) => project(x + dx, y + dy));
+    if (!isDetectable(corners, camera.resolution, minMarkerSide)) return;
+    
+    markers++;
+    from.push(...marker.corners);
+    to.push(...corners.map((p, i) => [p.u + noise[i][0], p.v + noise[i][1]]));
+  });
+  if (markers < MIN_MARKERS) return null;
+  
+  // 落地点按实际地毯上的位置成像，经单应矩阵换算回布局坐标；真实成绩为实际位置到起跳线的距离
+  const inverse = invertHomography(solveHomography(from, to));
+  return cells.map(cell => {
+    if (!cell.visible) return null;
+    const { u, v } = phone.projectPoint(cell.x, 0, cell.y - totalWidth / 2);
+    return applyHomography(inverse, [u, v])[0] - cell.x;
+  });
+}
+
+/**
+ * 仿真一个地毯布局的测量误差
+ * @param {MatGenerator} generator - 地毯生成器 (标记布局与区域)
+ * @param {Object} options - 按深度合并覆盖 RENDER_CONFIG.accuracy
+ * @returns {{positions: number[], region: {name: string, start: number, end: number}, grid: {x: number, y: number}, trials: number,
+ *   visibleMarkers: number[], cells: Array<{x: number, y: number, visible: boolean, stats: Object|null}>,
+ *   sources: Array<{key: string, name: string, failureRate: number, stats: Object|null}>,
+ *   worstP95: number|null, tolerance: number}}
+ *   cells 为评估区域网格 (格子中心，米，格子尺寸见 grid)，stats 为合计仿真在该点的误差统计；
+ *   sources 末项为合计 (key 'total')，关闭 breakdown 时只有合计；
+ *   failureRate 为可见标记不足 MIN_MARKERS 个、无法解算的仿真比例；误差单位均为米
+ */
+export function simulateMeasurementError(generator, options = {}) {
+  const config = mergeConfig(RENDER_CONFIG.accuracy, options);
+  const { totalWidth, zones, spec } = generator.config;
+  const region = zones[config.region];
+  if (!region) {
+    throw new Error(`未知评估区域: ${config.region}`);
+  }
+
+  const camera = new PhoneCamera(config.camera);
+  const { resolution } = camera.config;
+  const layout = generator.getMarkerLayout();
+  
+  // 评估网格：区域内等分，取格子中心；名义机位下不在画面内的点不参与统计
+  const nx = Math.max(1, Math.round((region.end - region.start) / config.grid.x));
+  const ny = Math.max(1, Math.round(totalWidth / config.grid.y));
+  const cells = [];
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const x = region.start + (i + 0.5) * (region.end - region.start) / nx;
+      const y = (j + 0.5) * totalWidth / ny;
+      const p = camera.projectPoint(x, 0, y - totalWidth / 2);
+      cells.push({ x, y, visible: p.inFront && p.u >= 0 && p.u <= resolution.width && p.v >= 0 && p.v <= resolution.height });
+    }
+  }
+
+  const context = { layout, cells, camera: camera.config, totalWidth, minMarkerSide: config.minMarkerSide };
+  const full = Object.fromEntries(ERROR_SOURCES.map(({ key }) => [key, config[key]]));
+  const none = Object.fromEntries(ERROR_SOURCES.map(({ key }) => [key, 0]));
+  const runs = [
+    ...(config.breakdown ? ERROR_SOURCES : []).map(source => {
+      const amounts = { ...none };
+      [source.key, ...source.with].forEach(key => (amounts[key] = config[key]));
+      return { key: source.key, name: source.name, amounts };
+    }),
+    { key: 'total', name: '合计', amounts: full }
+  ];
+  
+  let cellErrors = [];
+  const sources = runs.map(run => {
+    const errors = [];
+    const perCell = cells.map(() => []);
+    let failures = 0;
+    for (let trial = 0; trial < config.trials; trial++) {
+      const result = runTrial(context, run.amounts, createRandom(config.seed + trial * 7919));
+      if (!result) {
+        failures++;
+        continue;
+      }
+      result.forEach((error, k) => {
+        if (error === null) return;
+        errors.push(error);
+        perCell[k].push(error);
+      });
+    }
+    if (run.key === 'total') cellErrors = perCell;
+    return { key: run.key, name: run.name, failureRate: failures / config.trials, stats: errorStats(errors) };
+  });
+  
+  const visibleMarkers = layout
+    .filter(marker => isDetectable(
+      marker.corners.map(([x, y]) => camera.projectPoint(x, 0, y - totalWidth / 2)), resolution, config.minMarkerSide))
+    .map(marker => marker.id);
+  const cellResults = cells.map((cell, k) => ({ ...cell, stats: errorStats(cellErrors[k]) }));
+  const p95s = cellResults.filter(cell => cell.stats).map(cell => cell.stats.p95);
+  
+  return {
+    positions: generator.config.aruco.positions,
+    region: { name: config.region, start: region.start, end: region.end },
+    grid: { x: (region.end - region.start) / nx, y: totalWidth / ny },
+    trials: config.trials,
+    visibleMarkers,
+    cells: cellResults,
+    sources,
+    worstP95: p95s.length > 0 ? Math.max(...p95s) : null,
+    tolerance: spec.tolerances.measurement
+  };
+}
+
+/**
+ * 按新的标记位置创建地毯生成器 (其余配置不变)
+ * 标记 ID 按位置顺序重新分配：左侧 0..n-1，右侧 n..2n-1
+ * @param {MatGenerator} generator - 基准地毯生成器
+ * @param {number[]} positions - 标记位置 (m，距起跳线)
+ * @param {Object} overrides - 其他 aruco 字段 (如 size、margin)
+ * @returns {MatGenerator}
+ */
+export function withMarkerPositions(generator, positions, overrides = {}) {
+  const { config } = generator;
+  const count = positions.length;
+  const candidate = new MatGenerator({
+    ...config,
+    aruco: {
+      ...config.aruco,
+      ...overrides,
+      positions,
+      ids: {
+        left: positions.map((_, i) => i),
+        right: positions.map((_, i) => count + i)
+      }
+    }
+  });
+  
+  const errors = validateMarkerLayout(candidate.getMarkerLayout(), getDictionary(config.aruco.dictionary).codes.length);
+  if (errors.length > 0) {
+    throw new Error(`ArUco 布局无效:\n${errors.join('\n')}`);
+  }
+  return candidate;
+}
+
+/**
+ * 误差预算对比表 (各布局一列，数值为 mm)
+ * @param {Array<{label: string, result: Object}>} entries - 布局名称与 simulateMeasurementError 的结果
+ * @returns {{headers: string[], rows: string[][]}}
+ */
+export function buildErrorBudgetTable(entries) {
+  const mm = (meter) => (meter * 1000).toFixed(2);
+  const cell = (source) => (source && source.stats ? `${mm(source.stats.rms)} / ${mm(source.stats.p95)}` : '—');
+  
+  return {
+    headers: ['误差源 (RMS / P95 mm)', ...entries.map(entry => entry.label)],
+    rows: [
+      ['标记位置 (m)', ...entries.map(({ result }) => result.positions.join(', '))],
+      ['可见标记', ...entries.map(({ result }) => (result.visibleMarkers.length > 0 ? result.visibleMarkers.join(', ') : '无'))],
+      ...[...ERROR_SOURCES, { key: 'total', name: '合计' }].map(({ key, name }) => [
+        name,
+        ...entries.map(({ result }) => cell(result.sources.find(source => source.key === key)))
+      ]),
+      ['网格最差 P95 (mm)', ...entries.map(({ result }) => (result.worstP95 === null ? '—' : mm(result.worstP95)))],
+      ['无法解算', ...entries.map(({ result }) => `${(result.sources.find(source => source.key === 'total').failureRate * 100).toFixed(1)}%`)]
+    ]
+  };
+}
+
+/**
+ * 误差对比表转 Markdown
+ */
+export function toErrorBudgetMarkdown(entries) {
+  const { headers, rows } = buildErrorBudgetTable(entries);
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * 误差热力图颜色：0 为绿色，达到精度要求 (tolerance) 为红色
+ */
+function heatColor(value, tolerance) {
+  const t = Math.min(1, value / tolerance);
+  return `hsl(${Math.round(120 * (1 - t))}, 80%, 45%)`;
+}
+
+/**
+ * 误差热力图 (SVG，单位 mm)
+ * 整张地毯俯视，评估网格按合计仿真的 P95 着色并标注数值，标记按名义机位下是否可见区分实心 / 空心
+ * @param {Object} result - simulateMeasurementError 的结果
+ * @param {MatGenerator} generator - 同一地毯生成器
+ * @param {Object} options - xmlDeclaration: 是否输出 XML 声明 (内嵌到 HTML 时关闭)
+ * @returns {string} SVG 文本
+ */
+export function renderErrorHeatmapSVG(result, generator, { xmlDeclaration = true } = {}) {
+  const { config } = generator;
+  const origin = config.zones.takeoff.start;
+  const toX = (x) => Math.round((x - origin) * 1000);
+  const toY = (y) => Math.round(y * 1000);
+  const width = toX(config.totalLength);
+  const height = toY(config.totalWidth);
+  const legend = 120;
+  const cellWidth = Math.round(result.grid.x * 1000);
+  const cellHeight = Math.round(result.grid.y * 1000);
+  
+  const parts = [
+    ...(xmlDeclaration ? ['<?xml version="1.0" encoding="UTF-8"?>'] : []),
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height + legend}mm" viewBox="0 0 ${width} ${height + legend}">`,
+    `<rect x="0" y="0" width="${width}" height="${height}" fill="#1a1a1a" stroke="#00d4ff" stroke-width="6"/>`,
+    `<line x1="${toX(0)}" y1="0" x2="${toX(0)}" y2="${height}" stroke="#ffffff" stroke-width="8"/>`
+  ];
+  
+  result.cells.forEach(cell => {
+    const x = toX(cell.x) - cellWidth / 2;
+    const y = toY(cell.y) - cellHeight / 2;
+    if (!cell.stats) {
+      parts.push(`<rect x="${x}" y="${y}" width="${cellWidth}" height="${cellHeight}" fill="#444444" stroke="#1a1a1a" stroke-width="2"/>`);
+      return;
+    }
+    parts.push(`<rect x="${x}" y="${y}" width="${cellWidth}" height="${cellHeight}" fill="${heatColor(cell.stats.p95, result.tolerance)}" stroke="#1a1a1a" stroke-width="2"/>`);
+    parts.push(`<text x="${toX(cell.x)}" y="${toY(cell.y)}" font-family="monospace" font-size="${Math.round(Math.min(cellWidth / 4, cellHeight * 0.3))}" ` +
+      `text-anchor="middle" dominant-baseline="central" fill="#ffffff">${(cell.stats.p95 * 1000).toFixed(1)}</text>`);
+  });
+  
+  generator.getMarkerLayout().forEach(marker => {
+    const [[x1, y1], , [x2, y2]] = marker.corners;
+    const visible = result.visibleMarkers.includes(marker.id);
+    const left = toX(Math.min(x1, x2));
+    const top = toY(Math.min(y1, y2));
+    parts.push(`<rect x="${left}" y="${top}" width="${Math.abs(toX(x2) - toX(x1))}" height="${Math.abs(toY(y2) - toY(y1))}" ` +
+      `fill="${visible ? '#ffffff' : 'none'}" stroke="#ffffff" stroke-width="6"/>`);
+  });
+  
+  // 图例
+  const total = result.sources.find(source => source.key === 'total');
+  const summary = total.stats
+    ? `P95 (mm) · 合计 RMS ${(total.stats.rms * 1000).toFixed(2)}mm · 红色 ≥ ${(result.tolerance * 1000).toFixed(0)}mm · ${result.trials} 次仿真`
+    : '可见标记不足，无法解算';
+  parts.push(`<text x="20" y="${height + legend / 2}" font-family="sans-serif" font-size="50" dominant-baseline="central" fill="#888888">` +
+    `标记 ${result.positions.join(', ')}m · ${summary}</text>`);
+  
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+export default {
+  ERROR_SOURCES,
+  simulateMeasurementError,
+  withMarkerPositions,
+  buildErrorBudgetTable,
+  toErrorBudgetMarkdown,
+  renderErrorHeatmapSVG
+};
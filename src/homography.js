@@ -0,0 +1,155 @@
+/**
+ * 平面单应矩阵
+ * 3x3 矩阵按行存为长度 9 的数组，h[8] 归一化为 1；
+ * 用于图像与地毯平面 (米) 之间的透视变换
+ */
+
+/**
+ * 高斯消元解线性方程组 (列主元)
+ * @param {number[][]} a - n x n 系数矩阵 (会被修改)
+ * @param {number[]} b - 右端向量 (会被修改)
+ * @returns {number[]|null} 奇异时返回 null
+ */
+function solveLinear(a, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k < n; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) {
+      sum -= a[row][k] * x[k];
+    }
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * 3x3 矩阵乘法
+ */
+function multiply(a, b) {
+  const result = new Array(9).fill(0);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      for (let k = 0; k < 3; k++) {
+        result[row * 3 + col] += a[row * 3 + k] * b[k * 3 + col];
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * 点集归一化 (Hartley)：平移到质心、平均距离缩放为 √2，提高数值稳定性
+ * @returns {number[]} 3x3 归一化矩阵
+ */
+function normalization(points) {
+  const cx = points.reduce((sum, p) => sum + p[0], 0) / points.length;
+  const cy = points.reduce((sum, p) => sum + p[1], 0) / points.length;
+  const mean = points.reduce((sum, p) => sum + Math.hypot(p[0] - cx, p[1] - cy), 0) / points.length;
+  const s = mean > 0 ? Math.SQRT2 / mean : 1;
+  return [s, 0, -s * cx, 0, s, -s * cy, 0, 0, 1];
+}
+
+/**
+ * 求 3x3 矩阵的逆
+ * @param {number[]} h - 单应矩阵
+ * @returns {number[]} 逆矩阵 (h[8] 归一化为 1)
+ */
+export function invertHomography(h) {
+  const [a, b, c, d, e, f, g, i, j] = h;
+  const det = a * (e * j - f * i) - b * (d * j - f * g) + c * (d * i - e * g);
+  if (Math.abs(det) < 1e-15) {
+    throw new Error('单应矩阵不可逆');
+  }
+  const inverse = [
+    (e * j - f * i) / det, (c * i - b * j) / det, (b * f - c * e) / det,
+    (f * g - d * j) / det, (a * j - c * g) / det, (c * d - a * f) / det,
+    (d * i - e * g) / det, (b * g - a * i) / det, (a * e - b * d) / det
+  ];
+  return inverse.map(v => v / inverse[8]);
+}
+
+/**
+ * 对点做透视变换
+ * @param {number[]} h - 单应矩阵
+ * @param {number[]} point - [x, y]
+ * @returns {number[]} [u, v]
+ */
+export function applyHomography(h, [x, y]) {
+  const w = h[6] * x + h[7] * y + h[8];
+  return [
+    (h[0] * x + h[1] * y + h[2]) / w,
+    (h[3] * x + h[4] * y + h[5]) / w
+  ];
+}
+
+/**
+ * 由对应点求单应矩阵 (归一化 DLT，h[8] = 1 的最小二乘解)
+ * @param {number[][]} from - 源点 [x, y] 列表
+ * @param {number[][]} to - 目标点 [u, v] 列表 (与 from 一一对应)
+ * @returns {number[]} 把 from 映射到 to 的单应矩阵
+ */
+export function solveHomography(from, to) {
+  if (from.length !== to.length) {
+    throw new Error('对应点数量不一致');
+  }
+  if (from.length < 4) {
+    throw new Error(`求解单应矩阵至少需要 4 对点，当前 ${from.length} 对`);
+  }
+
+  const tFrom = normalization(from);
+  const tTo = normalization(to);
+  const a = Array.from({ length: 8 }, () => new Array(8).fill(0));
+  const b = new Array(8).fill(0);
+  
+  // 法方程 AᵀA h = Aᵀb，每对点贡献两行
+  from.forEach((p, index) => {
+    const [x, y] = applyHomography(tFrom, p);
+    const [u, v] = applyHomography(tTo, to[index]);
+    const rows = [
+      [[x, y, 1, 0, 0, 0, -u * x, -u * y], u],
+      [[0, 0, 0, x, y, 1, -v * x, -v * y], v]
+    ];
+    rows.forEach(([row, rhs]) => {
+      for (let i = 0; i < 8; i++) {
+        for (let k = 0; k < 8; k++) {
+          a[i][k] += row[i] * row[k];
+        }
+        b[i] += row[i] * rhs;
+      }
+    });
+  });
+  
+  const solution = solveLinear(a, b);
+  if (!solution) {
+    throw new Error('对应点退化 (共线或重合)，无法求解单应矩阵');
+  }
+
+  // 反归一化：H = T_to⁻¹ · Hn · T_from
+  const h = multiply(multiply(invertHomography(tTo), [...solution, 1]), tFrom);
+  return h.map(v => v / h[8]);
+}
+
+export default {
+  solveHomography,
+  applyHomography,
+  invertHomography
+};
@@ -0,0 +1,593 @@
+/**
+ * 多语言
+ * 地毯印刷文字与查看器界面共用同一套翻译：以简体中文原文为键，
+ * 其他语言缺少的条目回退为原文。界面中带 data-i18n 的元素由 localizeElement 按语言切换
+ */
+
+// 支持的语言 (font 为地毯标签的无衬线字体)
+export const LOCALES = {
+  'zh-CN': { name: '简体中文', font: '"PingFang SC", "Microsoft YaHei", sans-serif' },
+  en: { name: 'English', font: '"Helvetica Neue", Arial, sans-serif' },
+  ja: { name: '日本語', font: '"Hiragino Sans", "Yu Gothic", "Meiryo", sans-serif' }
+};
+
+export const DEFAULT_LOCALE = 'zh-CN';
+
+// 译文 (键为简体中文原文，{name} 为占位参数)
+export const MESSAGES = {
+  en: {
+    // 地毯文字
+    '{value} (起跳线)': '{value} (START LINE)',
+    '{value} (精密区起点)': '{value} (PRECISION ZONE)',
+    
+    // 界面
+    '立定跳远测量地毯': 'Standing Long Jump Mat',
+    '界面语言 / Language': 'Language',
+    '正在生成地毯...': 'Generating mat...',
+    '区域图例': 'Zones',
+    '起跳区 (0m)': 'Takeoff zone (0m)',
+    '飞行区 (0-1.4m 稀疏刻度)': 'Flight zone (0-1.4m, sparse ticks)',
+    '核心落地区 (1.4-2.8m 精密刻度)': 'Landing zone (1.4-2.8m, fine ticks)',
+    'ArUco 锚点标记': 'ArUco anchor markers',
+    '视图控制': 'View',
+    '相机角度': 'Camera angle',
+    '缩放级别': 'Zoom',
+    '显示选项': 'Display',
+    'ArUco 标记': 'ArUco markers',
+    '精细刻度 (1cm)': 'Fine ticks (1cm)',
+    '辅助网格': 'Grid',
+    '🔗 分享与预设': '🔗 Share & presets',
+    '生成分享链接': 'Create share link',
+    '包含地毯配置、显示选项与视角': 'Mat config, display options and view',
+    '预设名称': 'Preset name',
+    '如 校运会 4 跑道': 'e.g. Sports day, 4 lanes',
+    '保存预设': 'Save preset',
+    '已保存预设': 'Saved presets',
+    '载入': 'Load',
+    '删除': 'Delete',
+    '导出 JSON': 'Export JSON',
+    '导入 JSON': 'Import JSON',
+    '导出': 'Export',
+    '下载 PNG': 'Download PNG',
+    '下载 SVG': 'Download SVG',
+    '下载 PDF': 'Download PDF',
+    '规格书格式': 'Spec sheet format',
+    '示意图 SVG': 'Diagram SVG',
+    '导出规格': 'Export spec',
+    '标定板': 'Calibration board',
+    '标定板格式': 'Board file format',
+    '分色图层': 'Separation layer',
+    '图层 PNG': 'Layer PNG',
+    '图层 SVG': 'Layer SVG',
+    'PDF 版式': 'PDF layout',
+    '印刷分辨率': 'Print resolution',
+    '位图格式': 'Bitmap format',
+    '高清导出': 'High-res export',
+    '取消': 'Cancel',
+    '单页 1:1 (带出血)': 'Single page 1:1 (with bleed)',
+    'A4 拼版': 'A4 tiles',
+    'A3 拼版': 'A3 tiles',
+    '底色': 'Background',
+    '主刻度 (起跳线 / 10cm 及以上)': 'Main ticks (start line / 10cm and up)',
+    '1cm 精细刻度': '1cm fine ticks',
+    '标签': 'Labels',
+    '边框': 'Border',
+    '内装饰线': 'Inner trim line',
+    '🛤️ 多跑道': '🛤️ Lanes',
+    '跑道数量': 'Lane count',
+    '地毯间距': 'Mat spacing',
+    '合并标定板': 'Combined board',
+    '分跑道 SVG (ZIP)': 'SVG per lane (ZIP)',
+    '✏️ 地毯编辑': '✏️ Mat editor',
+    '撤销': 'Undo',
+    '重做': 'Redo',
+    '恢复默认': 'Reset',
+    '尺寸': 'Size',
+    '总长度': 'Total length',
+    '总宽度': 'Total width',
+    '区域分界': 'Zone boundaries',
+    '起跳区起点': 'Takeoff zone start',
+    '飞行区 / 落地区': 'Flight / landing',
+    '落地区 / 扩展区': 'Landing / extended',
+    '刻度': 'Ticks',
+    '单位制': 'Unit system',
+    '公制': 'Metric',
+    '英制': 'Imperial',
+    '公英双制': 'Metric + imperial',
+    '精细刻度间距': 'Fine tick spacing',
+    '精细刻度线宽': 'Fine tick width',
+    '中等刻度间距': 'Medium tick spacing',
+    '中等刻度线宽': 'Medium tick width',
+    '半米刻度间距': 'Half-metre tick spacing',
+    '半米刻度线宽': 'Half-metre tick width',
+    '整米刻度间距': 'Metre tick spacing',
+    '整米刻度线宽': 'Metre tick width',
+    '起跳线宽': 'Start line width',
+    '标记': 'Markers',
+    '标记尺寸': 'Marker size',
+    '白色静区': 'Quiet zone',
+    '距边缘': 'Edge margin',
+    '文字语言': 'Text language',
+    '单位格式': 'Unit format',
+    '颜色': 'Colors',
+    '文字': 'Text',
+    '标记位置': 'Marker positions',
+    '在 3D 地毯上拖动标记': 'Drag markers on the 3D mat',
+    '设计规则检查': 'Design rule check',
+    '📷 照片校验': '📷 Photo check',
+    '上传照片': 'Upload photo',
+    '校验手机画面': 'Check phone view',
+    '关闭': 'Close',
+    '📏 点击测量': '📏 Click to measure',
+    '在 3D 地毯上测量': 'Measure on the 3D mat',
+    '🎯 精度仿真': '🎯 Accuracy simulation',
+    '候选标记位置 (m)': 'Candidate marker positions (m)',
+    '与当前布局对比': 'Compare with current layout',
+    '预设视角': 'Preset views',
+    '俯视': 'Top',
+    '侧视': 'Side',
+    '📱 手机视角': '📱 Phone camera',
+    '镜头高度': 'Lens height',
+    '俯角': 'Tilt',
+    '焦距': 'Focal length',
+    '画中画': 'Picture in picture',
+    '录制演示帧': 'Record demo frames',
+    '导出当前帧': 'Export current frame',
+    '下载录制帧 (ZIP)': 'Download recorded frames (ZIP)',
+    '🎬 模拟演示': '🎬 Jump demo',
+    '场景': 'Scenario',
+    '正常试跳': 'Normal jump',
+    '起跳踩线': 'Toe on the line',
+    '起跳过线': 'Toe over the line',
+    '后倒手撑地': 'Falls back onto hands',
+    '单脚落在地毯外': 'One foot off the mat',
+    '落在地毯末端外': 'Lands beyond the mat',
+    '自定义': 'Custom',
+    '跳跃距离': 'Distance',
+    '起跳角': 'Takeoff angle',
+    '身高': 'Height',
+    '落地方式': 'Landing',
+    '脚跟落地': 'Heels',
+    '后坐': 'Sits back',
+    '手撑地': 'Hand touch',
+    '重置': 'Reset',
+    '回放': 'Playback',
+    '◀ 单帧': '◀ Frame',
+    '单帧 ▶': 'Frame ▶',
+    '慢动作': 'Slow motion',
+    '宽度': 'Width',
+    '落地区精度': 'Landing precision',
+    
+    // 运行时提示
+    '已保存预设「{name}」': 'Saved preset "{name}"',
+    '请先选择预设': 'Select a preset first',
+    '已载入预设「{name}」': 'Loaded preset "{name}"',
+    '已删除预设「{name}」': 'Deleted preset "{name}"',
+    '{file} 不是有效的 JSON': '{file} is not valid JSON',
+    '已导入 {file}': 'Imported {file}',
+    '链接已更新 ({length} 字符)，复制地址栏或上方链接即可分享': 'Link updated ({length} characters); copy the address bar or the link above to share',
+    '已载入链接中的设计': 'Loaded the design from the link',
+    '无法读取本地预设：{message}': 'Cannot read local presets: {message}',
+    '(无)': '(none)',
+    '已修改{field}': 'Changed {field}',
+    '已恢复默认配置': 'Restored the default config',
+    '标记移至 {position}m': 'Moved marker to {position}m',
+    '已撤销': 'Undone',
+    '已重做': 'Redone',
+    '{positions} (两侧共用，吸附 {snap}cm)': '{positions} (shared by both sides, snaps to {snap}cm)',
+    '跑道 {number}': 'Lane {number}',
+    '{lane}：ID {range}': '{lane}: ID {range}',
+    '{count} 项错误，禁止生产导出': '{count} errors, production export blocked',
+    '通过，{count} 条建议': 'Passed with {count} suggestions',
+    '全部通过': 'All checks passed',
+    '设计规则检查未通过，已阻止生产导出:': 'Design rule check failed, production export blocked:',
+    '识别中...': 'Detecting...',
+    '无法读取图片': 'Cannot read the image',
+    '识别 {count} 个标记，最大误差 {error}mm < {tolerance}mm，通过': 'Detected {count} markers, max error {error}mm < {tolerance}mm, passed',
+    '识别 {count} 个标记，最大误差 {error}mm，超出 {tolerance}mm': 'Detected {count} markers, max error {error}mm exceeds {tolerance}mm',
+    '未识别: ID {ids}': 'Not detected: ID {ids}',
+    '非本地毯标记: ID {ids}': 'Not on this mat: ID {ids}',
+    '留一法 (由其余标记求解)': 'Leave-one-out (solved from the other markers)',
+    '拟合残差': 'Fit residual',
+    '{method} · 拟合残差 {fit}mm': '{method} · fit residual {fit}mm',
+    '俯视校正 {width}×{height} → {ppm}px/m · 绿框: 布局位置 · 红点: 检测角点': 'Rectified {width}×{height} → {ppm}px/m · green: layout positions · red: detected corners',
+    '照片': 'Photo',
+    '3D 地毯': '3D mat',
+    '{source}：{distance}': '{source}: {distance}',
+    '演示{summary} ({style})，最近触地点 {nearest} cm，差 {difference} cm': 'Demo: {summary} ({style}), nearest contact {nearest} cm, difference {difference} cm',
+    '无法解析标记位置: {text}': 'Cannot parse marker positions: {text}',
+    '当前': 'Current',
+    '候选': 'Candidate',
+    '{label}: 最差 P95 {p95}': '{label}: worst P95 {p95}',
+    '{current}，{candidate} (要求 {tolerance}mm，{trials} 次仿真)': '{current}, {candidate} (required {tolerance}mm, {trials} trials)',
+    '{ids} (最小边 {side}px)': '{ids} (smallest side {side}px)',
+    '无': 'none',
+    '可见标记: {markers}': 'Visible markers: {markers}',
+    '1cm 刻度间距 ≈ {spacing}px': '1cm tick spacing ≈ {spacing}px',
+    '开始演示': 'Start demo',
+    '暂停': 'Pause',
+    '继续': 'Resume',
+    '再次演示': 'Replay',
+    '下蹲': 'Crouch',
+    '起跳': 'Takeoff',
+    '腾空': 'Flight',
+    '落地': 'Landing',
+    '腾空 {flight}s · 初速度 {speed}m/s · 最高 {apex}cm': 'Flight {flight}s · launch speed {speed}m/s · apex {apex}cm',
+    '成绩 {distance} cm ({style}，触地点 {marks} cm)': 'Result {distance} cm ({style}, contacts {marks} cm)',
+    '裁判观察中…': 'Judge watching…',
+    '犯规': 'Foul',
+    '{title}：{message}': '{title}: {message}',
+    '最近触地点：{part} {distance} cm': 'Nearest contact: {part} {distance} cm',
+    '脚跟': 'heel',
+    '臀部': 'hips',
+    '手': 'hand',
+    '起跳时脚尖越过起跳线 {distance}': 'Toes crossed the start line by {distance} at takeoff',
+    '起跳时脚尖踩在起跳线上': 'Toes on the start line at takeoff',
+    '落在地毯外': 'Landed off the mat',
+    '最近触地点 ({part}) 在地毯外 {distance}，无法测量，须重跳': 'Nearest contact ({part}) is {distance} off the mat; cannot be measured, jump again',
+    '部分落在地毯外': 'Partly off the mat',
+    '一只脚': 'One foot',
+    '双脚': 'Both feet',
+    '{feet}部分落在地毯外 (最多超出 {distance})，最近触地点在地毯上，照常测量': '{feet} partly off the mat (up to {distance}); the nearest contact is on the mat and is measured as usual',
+    '{part}触地': 'Touchdown ({part})',
+    '{part}在脚跟后 {distance} 处触地，成绩按{part}计': 'The {part} touched down {distance} behind the heels; the result is measured to the {part}',
+    '有效 {distance}': 'Valid {distance}',
+    '无效 · {fouls}': 'Invalid · {fouls}',
+    '、': ', ',
+    '{width}×{height} 像素 · 已渲染 {done}/{total} 块 ({percent}%)': '{width}×{height} px · rendered {done}/{total} tiles ({percent}%)',
+    '已导出 {file} ({width}×{height} 像素，{size} MB)': 'Exported {file} ({width}×{height} px, {size} MB)',
+    '导出失败: {message}': 'Export failed: {message}',
+    '{width}×{height} 像素，共 {tiles} 块，开始渲染…': '{width}×{height} px, {tiles} tiles, rendering…',
+    '已取消导出': 'Export cancelled',
+    '分享链接与预设会保存当前地毯配置、显示选项与相机视角': 'Share links and presets store the current mat configuration, display options and camera view',
+    '按印刷分辨率分块渲染，不受浏览器画布尺寸限制': 'Rendered in tiles at print resolution, not limited by the browser canvas size',
+    '修改后即时重新生成地毯，规范要求与检查结果显示在各字段下方': 'The mat regenerates on every change; requirements and check results appear under each field',
+    '上传地毯照片，检测标记并计算透视校正误差': 'Upload a photo of the mat to detect the markers and measure the perspective correction error',
+    '点击鞋跟触地点 (3D 地毯或俯视校正图)，按垂直于起跳线的距离给出成绩': 'Click the heel contact point (3D mat or rectified top view); the result is the distance perpendicular to the take-off line',
+    '按当前手机机位蒙特卡洛仿真落地区的成绩误差': 'Monte Carlo simulation of the landing-zone result error from the current phone position',
+    '个': 'pcs',
+    'ID {id} @ {position}m：最大 {max}mm，RMS {rms}mm': 'ID {id} @ {position}m: max {max}mm, RMS {rms}mm',
+    '最近刻度 {tick} ({offset}cm)': 'Nearest tick {tick} ({offset}cm)',
+    '触地点不在地毯上': 'contact point is off the mat',
+    
+    // 设计规则检查
+    '起跳区': 'Takeoff zone',
+    '飞行区': 'Flight zone',
+    '落地区': 'Landing zone',
+    '扩展区': 'Extended zone',
+    '全部标记': 'All markers',
+    '全部刻度': 'All ticks',
+    '{first}m - {last}m ({count} 条)': '{first}m - {last}m ({count} ticks)',
+    '标记黑色核心区 {size}，要求 ≥ {min}': 'Marker black core {size}, must be ≥ {min}',
+    '白色静区 {size}，要求 ≥ {min}': 'White quiet zone {size}, must be ≥ {min}',
+    '白色静区 {size}，建议 {recommended}': 'White quiet zone {size}, {recommended} recommended',
+    '标记颜色 {color} 必须为纯色 {expected}': 'Marker colour {color} must be pure {expected}',
+    '标记共 {count} 个，至少需要 {min} 个才能构建稳定坐标系': '{count} markers; at least {min} are needed for a stable coordinate frame',
+    '标记 {first} 与 {second} 汉明距离 {distance}，要求 ≥ {required}': 'Markers {first} and {second} have Hamming distance {distance}, must be ≥ {required}',
+    '标记 {id} 旋转后自身距离 {distance}，朝向可能无法判定': 'Marker {id} has rotational self-distance {distance}; its orientation may be ambiguous',
+    '标记 {id} (含静区) 超出地毯边缘': 'Marker {id} (with quiet zone) extends past the mat edge',
+    '标记 {id} 与 {other} 的静区重叠': 'Quiet zones of markers {id} and {other} overlap',
+    '刻度线宽 {width}，低于 {min} 会被摄像头噪点吞没': 'Tick line width {width}; below {min} it is lost in camera noise',
+    '刻度线宽 {width}，建议 ≥ {recommended}': 'Tick line width {width}, ≥ {recommended} recommended',
+    '{position}m 刻度线被标记 {id} 遮挡': '{position}m tick is covered by marker {id}',
+    '标签 "{text}" 被标记 {id} 遮挡': 'Label "{text}" is covered by marker {id}',
+    '底色 {color} 偏亮，应为深色哑光以减少反光': 'Background {color} is too light; use a dark matte colour to reduce glare',
+    '刻度与底色对比度 {contrast}:1，建议 ≥ {min}:1': 'Tick/background contrast {contrast}:1, ≥ {min}:1 recommended'
+  },
+  ja: {
+    // 地毯文字
+    '{value} (起跳线)': '{value} (踏切線)',
+    '{value} (精密区起点)': '{value} (精密計測エリア)',
+    
+    // 界面
+    '立定跳远测量地毯': '立ち幅跳び計測マット',
+    '界面语言 / Language': '表示言語',
+    '正在生成地毯...': 'マットを生成中...',
+    '区域图例': 'エリア凡例',
+    '起跳区 (0m)': '踏切エリア (0m)',
+    '飞行区 (0-1.4m 稀疏刻度)': '飛行エリア (0-1.4m 粗目盛)',
+    '核心落地区 (1.4-2.8m 精密刻度)': '着地エリア (1.4-2.8m 精密目盛)',
+    'ArUco 锚点标记': 'ArUco 基準マーカー',
+    '视图控制': '表示操作',
+    '相机角度': 'カメラ角度',
+    '缩放级别': 'ズーム',
+    '显示选项': '表示設定',
+    'ArUco 标记': 'ArUco マーカー',
+    '精细刻度 (1cm)': '精密目盛 (1cm)',
+    '辅助网格': '補助グリッド',
+    '🔗 分享与预设': '🔗 共有とプリセット',
+    '生成分享链接': '共有リンクを作成',
+    '包含地毯配置、显示选项与视角': 'マット設定・表示設定・視点を含む',
+    '预设名称': 'プリセット名',
+    '如 校运会 4 跑道': '例: 運動会 4 レーン',
+    '保存预设': 'プリセットを保存',
+    '已保存预设': '保存済みプリセット',
+    '载入': '読み込み',
+    '删除': '削除',
+    '导出 JSON': 'JSON 書き出し',
+    '导入 JSON': 'JSON 読み込み',
+    '导出': '書き出し',
+    '下载 PNG': 'PNG をダウンロード',
+    '下载 SVG': 'SVG をダウンロード',
+    '下载 PDF': 'PDF をダウンロード',
+    '规格书格式': '仕様書の形式',
+    '示意图 SVG': '図面 SVG',
+    '导出规格': '仕様書を書き出し',
+    '标定板': 'キャリブレーションボード',
+    '标定板格式': 'ボードファイルの形式',
+    '分色图层': '色分解レイヤー',
+    '图层 PNG': 'レイヤー PNG',
+    '图层 SVG': 'レイヤー SVG',
+    'PDF 版式': 'PDF レイアウト',
+    '印刷分辨率': '印刷解像度',
+    '位图格式': '画像形式',
+    '高清导出': '高解像度で書き出し',
+    '取消': 'キャンセル',
+    '单页 1:1 (带出血)': '1 ページ 1:1 (塗り足し付き)',
+    'A4 拼版': 'A4 分割',
+    'A3 拼版': 'A3 分割',
+    '底色': '地色',
+    '主刻度 (起跳线 / 10cm 及以上)': '主目盛 (踏切線 / 10cm 以上)',
+    '1cm 精细刻度': '1cm 精密目盛',
+    '标签': 'ラベル',
+    '边框': '枠線',
+    '内装饰线': '内側の装飾線',
+    '🛤️ 多跑道': '🛤️ 複数レーン',
+    '跑道数量': 'レーン数',
+    '地毯间距': 'マット間隔',
+    '合并标定板': '統合ボード',
+    '分跑道 SVG (ZIP)': 'レーン別 SVG (ZIP)',
+    '✏️ 地毯编辑': '✏️ マット編集',
+    '撤销': '元に戻す',
+    '重做': 'やり直し',
+    '恢复默认': '初期値に戻す',
+    '尺寸': '寸法',
+    '总长度': '全長',
+    '总宽度': '全幅',
+    '区域分界': 'エリア境界',
+    '起跳区起点': '踏切エリア始点',
+    '飞行区 / 落地区': '飛行 / 着地',
+    '落地区 / 扩展区': '着地 / 延長',
+    '刻度': '目盛',
+    '单位制': '単位系',
+    '公制': 'メートル法',
+    '英制': 'ヤード・ポンド法',
+    '公英双制': 'メートル法 + ヤード・ポンド法',
+    '精细刻度间距': '精密目盛の間隔',
+    '精细刻度线宽': '精密目盛の線幅',
+    '中等刻度间距': '中目盛の間隔',
+    '中等刻度线宽': '中目盛の線幅',
+    '半米刻度间距': '50cm 目盛の間隔',
+    '半米刻度线宽': '50cm 目盛の線幅',
+    '整米刻度间距': '1m 目盛の間隔',
+    '整米刻度线宽': '1m 目盛の線幅',
+    '起跳线宽': '踏切線の線幅',
+    '标记': 'マーカー',
+    '标记尺寸': 'マーカー寸法',
+    '白色静区': '白色余白',
+    '距边缘': '端からの距離',
+    '文字语言': '文字の言語',
+    '单位格式': '単位',
+    '颜色': '色',
+    '文字': '文字',
+    '标记位置': 'マーカー位置',
+    '在 3D 地毯上拖动标记': '3D マット上でマーカーをドラッグ',
+    '设计规则检查': 'デザインルールチェック',
+    '📷 照片校验': '📷 写真検証',
+    '上传照片': '写真をアップロード',
+    '校验手机画面': 'スマホ画面を検証',
+    '关闭': '閉じる',
+    '📏 点击测量': '📏 クリック計測',
+    '在 3D 地毯上测量': '3D マット上で計測',
+    '🎯 精度仿真': '🎯 精度シミュレーション',
+    '候选标记位置 (m)': '候補マーカー位置 (m)',
+    '与当前布局对比': '現在の配置と比較',
+    '预设视角': '視点プリセット',
+    '俯视': '真上',
+    '侧视': '真横',
+    '📱 手机视角': '📱 スマホカメラ',
+    '镜头高度': 'レンズの高さ',
+    '俯角': '俯角',
+    '焦距': '焦点距離',
+    '画中画': 'ピクチャーインピクチャー',
+    '录制演示帧': 'デモのフレームを記録',
+    '导出当前帧': '現在のフレームを書き出し',
+    '下载录制帧 (ZIP)': '記録したフレームをダウンロード (ZIP)',
+    '🎬 模拟演示': '🎬 ジャンプデモ',
+    '场景': 'シナリオ',
+    '正常试跳': '通常の試技',
+    '起跳踩线': '踏切線を踏む',
+    '起跳过线': '踏切線を越える',
+    '后倒手撑地': '後ろに倒れて手をつく',
+    '单脚落在地毯外': '片足がマット外',
+    '落在地毯末端外': 'マット末端を越えて着地',
+    '自定义': 'カスタム',
+    '跳跃距离': '跳躍距離',
+    '起跳角': '踏切角',
+    '身高': '身長',
+    '落地方式': '着地の仕方',
+    '脚跟落地': 'かかと着地',
+    '后坐': '尻もち',
+    '手撑地': '手をつく',
+    '重置': 'リセット',
+    '回放': '再生位置',
+    '◀ 单帧': '◀ 1 コマ',
+    '单帧 ▶': '1 コマ ▶',
+    '慢动作': 'スロー再生',
+    '宽度': '幅',
+    '落地区精度': '着地エリア精度',
+    
+    // 运行时提示
+    '已保存预设「{name}」': 'プリセット「{name}」を保存しました',
+    '请先选择预设': 'プリセットを選択してください',
+    '已载入预设「{name}」': 'プリセット「{name}」を読み込みました',
+    '已删除预设「{name}」': 'プリセット「{name}」を削除しました',
+    '{file} 不是有效的 JSON': '{file} は有効な JSON ではありません',
+    '已导入 {file}': '{file} を読み込みました',
+    '链接已更新 ({length} 字符)，复制地址栏或上方链接即可分享': 'リンクを更新しました ({length} 文字)。アドレスバーか上のリンクをコピーして共有できます',
+    '已载入链接中的设计': 'リンクの設計を読み込みました',
+    '无法读取本地预设：{message}': 'ローカルのプリセットを読み込めません: {message}',
+    '(无)': '(なし)',
+    '已修改{field}': '{field}を変更しました',
+    '已恢复默认配置': '初期設定に戻しました',
+    '标记移至 {position}m': 'マーカーを {position}m に移動しました',
+    '已撤销': '元に戻しました',
+    '已重做': 'やり直しました',
+    '{positions} (两侧共用，吸附 {snap}cm)': '{positions} (両側共通、{snap}cm 単位で吸着)',
+    '跑道 {number}': 'レーン {number}',
+    '{lane}：ID {range}': '{lane}: ID {range}',
+    '{count} 项错误，禁止生产导出': 'エラー {count} 件、本番用の書き出しは不可',
+    '通过，{count} 条建议': '合格、提案 {count} 件',
+    '全部通过': 'すべて合格',
+    '设计规则检查未通过，已阻止生产导出:': 'デザインルールチェックに不合格のため、本番用の書き出しを中止しました:',
+    '识别中...': '検出中...',
+    '无法读取图片': '画像を読み込めません',
+    '识别 {count} 个标记，最大误差 {error}mm < {tolerance}mm，通过': 'マーカー {count} 個を検出、最大誤差 {error}mm < {tolerance}mm、合格',
+    '识别 {count} 个标记，最大误差 {error}mm，超出 {tolerance}mm': 'マーカー {count} 個を検出、最大誤差 {error}mm が {tolerance}mm を超過',
+    '未识别: ID {ids}': '未検出: ID {ids}',
+    '非本地毯标记: ID {ids}': 'このマットにないマーカー: ID {ids}',
+    '留一法 (由其余标记求解)': '1 個抜き検証 (他のマーカーから解く)',
+    '拟合残差': 'フィット残差',
+    '{method} · 拟合残差 {fit}mm': '{method} · フィット残差 {fit}mm',
+    '俯视校正 {width}×{height} → {ppm}px/m · 绿框: 布局位置 · 红点: 检测角点': '俯瞰補正 {width}×{height} → {ppm}px/m · 緑枠: 配置位置 · 赤点: 検出コーナー',
+    '照片': '写真',
+    '3D 地毯': '3D マット',
+    '{source}：{distance}': '{source}: {distance}',
+    '演示{summary} ({style})，最近触地点 {nearest} cm，差 {difference} cm': 'デモ: {summary} ({style})、最も近い接地点 {nearest} cm、差 {difference} cm',
+    '无法解析标记位置: {text}': 'マーカー位置を解釈できません: {text}',
+    '当前': '現在',
+    '候选': '候補',
+    '{label}: 最差 P95 {p95}': '{label}: 最悪 P95 {p95}',
+    '{current}，{candidate} (要求 {tolerance}mm，{trials} 次仿真)': '{current}、{candidate} (要求 {tolerance}mm、{trials} 回試行)',
+    '{ids} (最小边 {side}px)': '{ids} (最小辺 {side}px)',
+    '无': 'なし',
+    '可见标记: {markers}': '見えるマーカー: {markers}',
+    '1cm 刻度间距 ≈ {spacing}px': '1cm 目盛間隔 ≈ {spacing}px',
+    '开始演示': 'デモ開始',
+    '暂停': '一時停止',
+    '继续': '再開',
+    '再次演示': 'もう一度',
+    '下蹲': 'しゃがみ',
+    '起跳': '踏切',
+    '腾空': '滞空',
+    '落地': '着地',
+    '腾空 {flight}s · 初速度 {speed}m/s · 最高 {apex}cm': '滞空 {flight}s · 初速 {speed}m/s · 最高 {apex}cm',
+    '成绩 {distance} cm ({style}，触地点 {marks} cm)': '記録 {distance} cm ({style}、接地点 {marks} cm)',
+    '裁判观察中…': '審判が確認中…',
+    '犯规': 'ファウル',
+    '{title}：{message}': '{title}: {message}',
+    '最近触地点：{part} {distance} cm': '最も近い接地点: {part} {distance} cm',
+    '脚跟': 'かかと',
+    '臀部': 'お尻',
+    '手': '手',
+    '起跳时脚尖越过起跳线 {distance}': '踏切時につま先が踏切線を {distance} 越えた',
+    '起跳时脚尖踩在起跳线上': '踏切時につま先が踏切線に乗っていた',
+    '落在地毯外': 'マット外に着地',
+    '最近触地点 ({part}) 在地毯外 {distance}，无法测量，须重跳': '最も近い接地点 ({part}) がマット外 {distance}、計測できないため再試技',
+    '部分落在地毯外': '一部がマット外',
+    '一只脚': '片足',
+    '双脚': '両足',
+    '{feet}部分落在地毯外 (最多超出 {distance})，最近触地点在地毯上，照常测量': '{feet}が一部マット外 (最大 {distance})、最も近い接地点はマット上のため通常どおり計測',
+    '{part}触地': '{part}が接地',
+    '{part}在脚跟后 {distance} 处触地，成绩按{part}计': '{part}がかかとの {distance} 後方で接地、記録は{part}で計測',
+    '有效 {distance}': '有効 {distance}',
+    '无效 · {fouls}': '無効 · {fouls}',
+    '、': '、',
+    '{width}×{height} 像素 · 已渲染 {done}/{total} 块 ({percent}%)': '{width}×{height} px · {done}/{total} タイル描画済み ({percent}%)',
+    '已导出 {file} ({width}×{height} 像素，{size} MB)': '{file} を書き出しました ({width}×{height} px、{size} MB)',
+    '导出失败: {message}': '書き出しに失敗しました: {message}',
+    '{width}×{height} 像素，共 {tiles} 块，开始渲染…': '{width}×{height} px、{tiles} タイル、描画を開始…',
+    '已取消导出': '書き出しを取り消しました',
+    '分享链接与预设会保存当前地毯配置、显示选项与相机视角': '共有リンクとプリセットには現在のマット設定・表示オプション・カメラ視点が保存されます',
+    '按印刷分辨率分块渲染，不受浏览器画布尺寸限制': '印刷解像度でタイル分割して描画するため、ブラウザのキャンバスサイズに制限されません',
+    '修改后即时重新生成地毯，规范要求与检查结果显示在各字段下方': '変更するとすぐにマットを再生成し、要件とチェック結果を各項目の下に表示します',
+    '上传地毯照片，检测标记并计算透视校正误差': 'マットの写真をアップロードしてマーカーを検出し、透視補正の誤差を計算します',
+    '点击鞋跟触地点 (3D 地毯或俯视校正图)，按垂直于起跳线的距离给出成绩': 'かかとの着地点をクリック (3D マットまたは補正済み俯瞰図) すると、踏切線に垂直な距離を記録として表示します',
+    '按当前手机机位蒙特卡洛仿真落地区的成绩误差': '現在のスマートフォン位置で着地エリアの記録誤差をモンテカルロ法でシミュレーションします',
+    '个': '個',
+    'ID {id} @ {position}m：最大 {max}mm，RMS {rms}mm': 'ID {id} @ {position}m：最大 {max}mm、RMS {rms}mm',
+    '最近刻度 {tick} ({offset}cm)': '最寄りの目盛 {tick} ({offset}cm)',
+    '触地点不在地毯上': '着地点がマット外です',
+    
+    // 设计规则检查
+    '起跳区': '踏切エリア',
+    '飞行区': '飛行エリア',
+    '落地区': '着地エリア',
+    '扩展区': '延長エリア',
+    '全部标记': '全マーカー',
+    '全部刻度': '全目盛',
+    '{first}m - {last}m ({count} 条)': '{first}m - {last}m ({count} 本)',
+    '标记黑色核心区 {size}，要求 ≥ {min}': 'マーカーの黒色コア {size}、{min} 以上が必要',
+    '白色静区 {size}，要求 ≥ {min}': '白色クワイエットゾーン {size}、{min} 以上が必要',
+    '白色静区 {size}，建议 {recommended}': '白色クワイエットゾーン {size}、推奨 {recommended}',
+    '标记颜色 {color} 必须为纯色 {expected}': 'マーカー色 {color} は純色 {expected} にしてください',
+    '标记共 {count} 个，至少需要 {min} 个才能构建稳定坐标系': 'マーカーは {count} 個です。安定した座標系には {min} 個以上が必要です',
+    '标记 {first} 与 {second} 汉明距离 {distance}，要求 ≥ {required}': 'マーカー {first} と {second} のハミング距離 {distance}、{required} 以上が必要',
+    '标记 {id} 旋转后自身距离 {distance}，朝向可能无法判定': 'マーカー {id} の回転時の自己距離 {distance}、向きを判定できない可能性があります',
+    '标记 {id} (含静区) 超出地毯边缘': 'マーカー {id} (クワイエットゾーンを含む) がマットの端からはみ出しています',
+    '标记 {id} 与 {other} 的静区重叠': 'マーカー {id} と {other} のクワイエットゾーンが重なっています',
+    '刻度线宽 {width}，低于 {min} 会被摄像头噪点吞没': '目盛線幅 {width}、{min} 未満はカメラのノイズに埋もれます',
+    '刻度线宽 {width}，建议 ≥ {recommended}': '目盛線幅 {width}、{recommended} 以上を推奨',
+    '{position}m 刻度线被标记 {id} 遮挡': '{position}m の目盛線がマーカー {id} に隠れています',
+    '标签 "{text}" 被标记 {id} 遮挡': 'ラベル "{text}" がマーカー {id} に隠れています',
+    '底色 {color} 偏亮，应为深色哑光以减少反光': '地色 {color} が明るすぎます。反射を抑えるため暗いマット色にしてください',
+    '刻度与底色对比度 {contrast}:1，建议 ≥ {min}:1': '目盛と地色のコントラスト {contrast}:1、{min}:1 以上を推奨'
+  }
+};
+
+/**
+ * 翻译
+ * @param {string} text - 简体中文原文
+ * @param {string} locale - 语言 (LOCALES 的键)
+ * @param {Object} params - 占位参数，替换译文中的 {name}
+ * @returns {string}
+ */
+export function translate(text, locale = DEFAULT_LOCALE, params = {}) {
+  const messages = MESSAGES[locale] || {};
+  const message = messages[text] === undefined ? text : messages[text];
+  return message.replace(/\{(\w+)\}/g, (match, key) => (params[key] === undefined ? match : String(params[key])));
+}
+
+/**
+ * 按浏览器语言偏好选择支持的语言
+ * @param {string[]} languages - 如 navigator.languages
+ * @returns {string} LOCALES 的键，无匹配时为 DEFAULT_LOCALE
+ */
+export function detectLocale(languages = []) {
+  for (const language of languages) {
+    const match = Object.keys(LOCALES).find(locale =>
+      locale.toLowerCase() === language.toLowerCase() || locale.split('-')[0] === language.split('-')[0].toLowerCase());
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * 切换界面语言
+ * 带 data-i18n 的元素翻译文字，带 data-i18n-placeholder / data-i18n-title 的元素翻译对应属性；
+ * 首次调用时把原文记在属性值中，之后按原文翻译
+ * @param {Element} root - 根元素
+ * @param {string} locale - 语言
+ */
+export function localizeElement(root, locale) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    if (!element.dataset.i18n) element.dataset.i18n = element.textContent.trim();
+    element.textContent = translate(element.dataset.i18n, locale);
+  });
+  [['i18nPlaceholder', 'placeholder'], ['i18nTitle', 'title']].forEach(([key, attribute]) => {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+      if (!element.dataset[key]) element.dataset[key] = element.getAttribute(attribute);
+      element.setAttribute(attribute, translate(element.dataset[key], locale));
+    });
+  });
+  document.documentElement.lang = locale;
+}
+
+export default {
+  LOCALES,
+  DEFAULT_LOCALE,
+  MESSAGES,
+  translate,
+  detectLocale,
+  localizeElement
+};
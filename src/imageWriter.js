@@ -0,0 +1,539 @@
+/**
+ * 流式位图写入器
+ * 按行分批写入 RGBA 像素，边写边编码，不需要整幅图像常驻内存 (供分块高分辨率导出)：
+ * - PNG：逐行选 Sub / Up 滤波，deflate 固定哈夫曼编码，只匹配距离为 1 字节或 1 像素的重复 (深色底色大面积单色，压缩率足够)
+ * - TIFF：基线 RGB(A)，PackBits 压缩，按 rowsPerStrip 行分条带
+ * 两者都写入 DPI，finish() 返回 Blob
+ */
+
+// deflate 长度码：基础长度与附加位数 (符号 257 起)
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+// 距离 1-4 的固定距离码 (已按位反转)
+const DISTANCE_CODES = [0, 0, 16, 8, 24];
+
+// 匹配长度范围
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+
+/**
+ * 按位反转 (哈夫曼码高位在前，deflate 位流低位在前)
+ */
+function reverseBits(code, length) {
+  let result = 0;
+  for (let i = 0; i < length; i++) {
+    result = (result << 1) | ((code >> i) & 1);
+  }
+  return result;
+}
+
+/**
+ * 固定哈夫曼编码表 (RFC 1951 3.2.6)，码已按位反转
+ */
+const FIXED_CODES = (() => {
+  const codes = new Uint16Array(288);
+  const lengths = new Uint8Array(288);
+  for (let symbol = 0; symbol < 288; symbol++) {
+    let code;
+    let length;
+    if (symbol < 144) {
+      code = 0x30 + symbol;
+      length = 8;
+    } else if (symbol < 256) {
+      code = 0x190 + symbol - 144;
+      length = 9;
+    } else if (symbol < 280) {
+      code = symbol - 256;
+      length = 7;
+    } else {
+      code = 0xc0 + symbol - 280;
+      length = 8;
+    }
+    codes[symbol] = reverseBits(code, length);
+    lengths[symbol] = length;
+  }
+  return { codes, lengths };
+})();
+
+/**
+ * 匹配长度 -> 长度码序号 (LENGTH_BASE 下标)
+ */
+const LENGTH_INDEX = (() => {
+  const index = new Uint8Array(MAX_MATCH + 1);
+  for (let i = 0; i < LENGTH_BASE.length; i++) {
+    const end = i + 1 < LENGTH_BASE.length ? LENGTH_BASE[i + 1] : MAX_MATCH + 1;
+    for (let length = LENGTH_BASE[i]; length < end; length++) {
+      index[length] = i;
+    }
+  }
+  index[MAX_MATCH] = LENGTH_BASE.length - 1;
+  return index;
+})();
+
+/**
+ * CRC-32 表 (PNG 数据块校验)
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 (PNG 数据块、ZIP 条目校验)
+ * @param {Uint8Array} bytes
+ * @returns {number} 无符号 32 位
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 可增长字节缓冲
+ */
+class ByteBuffer {
+  constructor(capacity = 1 << 16) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;
+  }
+
+  push(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  /**
+   * 取出已写入的字节并清空
+   */
+  take() {
+    const result = this.bytes.slice(0, this.length);
+    this.length = 0;
+    return result;
+  }
+}
+
+/**
+ * 流式 deflate 编码器 (zlib 封装)
+ * 每次 write 输出一个固定哈夫曼块；位流跨块连续，重复匹配可跨越块边界
+ */
+class DeflateStream {
+  /**
+   * @param {number} pixelSize - 每像素字节数 (1-4)，作为第二个匹配距离
+   */
+  constructor(pixelSize = 1) {
+    this.out = new ByteBuffer();
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    this.distances = pixelSize > 1 ? [1, pixelSize] : [1];
+    this.tail = new Int16Array(4).fill(-1); // 上一块末尾的 4 个输入字节 (跨块匹配的参照)
+    this.adlerA = 1;
+    this.adlerB = 0;
+    // zlib 头：deflate、32K 窗口、无预设字典
+    this.out.push(0x78);
+    this.out.push(0x01);
+  }
+
+  writeBits(value, count) {
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      this.out.push(this.bitBuffer & 0xff);
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  writeSymbol(symbol) {
+    this.writeBits(FIXED_CODES.codes[symbol], FIXED_CODES.lengths[symbol]);
+  }
+
+  /**
+   * Adler-32 (分段取模，避免逐字节取模)
+   */
+  updateAdler(bytes) {
+    let a = this.adlerA;
+    let b = this.adlerB;
+    for (let start = 0; start < bytes.length; start += 5552) {
+      const end = Math.min(start + 5552, bytes.length);
+      for (let i = start; i < end; i++) {
+        a += bytes[i];
+        b += a;
+      }
+      a %= 65521;
+      b %= 65521;
+    }
+    this.adlerA = a;
+    this.adlerB = b;
+  }
+
+  /**
+   * 编码一段数据为一个非末尾块
+   * @param {Uint8Array} bytes
+   */
+  write(bytes) {
+    this.updateAdler(bytes);
+    this.writeBits(0, 1); // BFINAL
+    this.writeBits(1, 2); // BTYPE = 01 固定哈夫曼
+    
+    const { tail, distances } = this;
+    const at = (k) => (k >= 0 ? bytes[k] : tail[4 + k]);
+    let i = 0;
+    while (i < bytes.length) {
+      // 取各距离中最长的重复
+      let best = 0;
+      let distance = 1;
+      for (let j = 0; j < distances.length; j++) {
+        const d = distances[j];
+        let run = 0;
+        while (run < MAX_MATCH && i + run < bytes.length && bytes[i + run] === at(i + run - d)) run++;
+        if (run > best) {
+          best = run;
+          distance = d;
+        }
+      }
+      if (best >= MIN_MATCH) {
+        const index = LENGTH_INDEX[best];
+        this.writeSymbol(257 + index);
+        if (LENGTH_EXTRA[index] > 0) this.writeBits(best - LENGTH_BASE[index], LENGTH_EXTRA[index]);
+        this.writeBits(DISTANCE_CODES[distance], 5); // 距离 1-4 对应距离码 0-3，固定 5 位、无附加位
+        i += best;
+      } else {
+        this.writeSymbol(bytes[i]);
+        i++;
+      }
+    }
+    
+    this.writeSymbol(256);
+    for (let k = 0; k < 4; k++) tail[k] = at(bytes.length - 4 + k);
+  }
+
+  /**
+   * 取出目前已编码的字节
+   */
+  take() {
+    return this.out.take();
+  }
+
+  /**
+   * 结束：空的末尾块、补齐字节、Adler-32 校验
+   * @returns {Uint8Array} 剩余字节
+   */
+  finish() {
+    this.writeBits(1, 1);
+    this.writeBits(1, 2);
+    this.writeSymbol(256);
+    if (this.bitCount > 0) this.writeBits(0, 8 - this.bitCount);
+    const adler = ((this.adlerB << 16) | this.adlerA) >>> 0;
+    [24, 16, 8, 0].forEach(shift => this.out.push((adler >>> shift) & 0xff));
+    return this.out.take();
+  }
+}
+
+/**
+ * 检查图像尺寸
+ */
+function checkSize(width, height) {
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new Error(`图像尺寸无效: ${width}×${height}`);
+  }
+}
+
+/**
+ * PNG 数据块 (长度 + 类型 + 数据 + CRC)
+ * @param {string} type - 4 字符块类型，如 'IHDR'
+ * @param {Uint8Array} data - 块数据
+ * @returns {Uint8Array}
+ */
+export function pngChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+export class PngWriter {
+  /**
+   * @param {number} width - 宽度 (像素)
+   * @param {number} height - 高度 (像素)
+   * @param {Object} options - dpi: 分辨率 (写入 pHYs)；alpha: 是否保留透明通道 (否则写 RGB)
+   */
+  constructor(width, height, { dpi = 72, alpha = false } = {}) {
+    checkSize(width, height);
+    this.width = width;
+    this.height = height;
+    this.channels = alpha ? 4 : 3;
+    this.rowsWritten = 0;
+    this.deflate = new DeflateStream(this.channels);
+    this.previousRow = null;
+    this.parts = [new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])];
+    
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header.set([8, alpha ? 6 : 2, 0, 0, 0], 8);
+    this.parts.push(pngChunk('IHDR', header));
+    
+    const pixelsPerMeter = Math.round(dpi / 0.0254);
+    const physical = new Uint8Array(9);
+    const physicalView = new DataView(physical.buffer);
+    physicalView.setUint32(0, pixelsPerMeter);
+    physicalView.setUint32(4, pixelsPerMeter);
+    physical[8] = 1; // 单位：米
+    this.parts.push(pngChunk('pHYs', physical));
+  }
+
+  /**
+   * 写入若干行
+   * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA，每行 width × 4 字节
+   * @param {number} rows - 行数
+   */
+  addRows(pixels, rows) {
+    if (this.rowsWritten + rows > this.height) {
+      throw new Error(`写入行数超出图像高度 ${this.height}`);
+    }
+    const { width, channels } = this;
+    const rowBytes = width * channels;
+    const raw = new Uint8Array(rowBytes);
+    const sub = new Uint8Array(rowBytes + 1);
+    const up = new Uint8Array(rowBytes + 1);
+    sub[0] = 1;
+    up[0] = 2;
+    
+    for (let row = 0; row < rows; row++) {
+      const offset = row * width * 4;
+      for (let x = 0, i = 0; x < width; x++) {
+        for (let c = 0; c < channels; c++) raw[i++] = pixels[offset + x * 4 + c];
+      }
+      
+      // 按差值绝对值之和选择滤波 (首行只用 Sub)
+      let subCost = 0;
+      let upCost = this.previousRow ? 0 : Infinity;
+      for (let i = 0; i < rowBytes; i++) {
+        const left = i >= channels ? raw[i - channels] : 0;
+        const s = (raw[i] - left) & 0xff;
+        sub[i + 1] = s;
+        subCost += s < 128 ? s : 256 - s;
+        if (this.previousRow) {
+          const u = (raw[i] - this.previousRow[i]) & 0xff;
+          up[i + 1] = u;
+          upCost += u < 128 ? u : 256 - u;
+        }
+      }
+      this.deflate.write(upCost < subCost ? up : sub);
+      this.previousRow = this.previousRow || new Uint8Array(rowBytes);
+      this.previousRow.set(raw);
+    }
+    
+    this.rowsWritten += rows;
+    const data = this.deflate.take();
+    if (data.length > 0) this.parts.push(pngChunk('IDAT', data));
+  }
+
+  /**
+   * 结束写入
+   * @returns {Blob} image/png
+   */
+  finish() {
+    if (this.rowsWritten !== this.height) {
+      throw new Error(`PNG 只写入了 ${this.rowsWritten} / ${this.height} 行`);
+    }
+    this.parts.push(pngChunk('IDAT', this.deflate.finish()));
+    this.parts.push(pngChunk('IEND', new Uint8Array(0)));
+    return new Blob(this.parts, { type: 'image/png' });
+  }
+}
+
+/**
+ * PackBits 压缩一行
+ */
+function packBits(row, out) {
+  let i = 0;
+  while (i < row.length) {
+    // 重复段 (2-128 字节)
+    let run = 1;
+    while (run < 128 && i + run < row.length && row[i + run] === row[i]) run++;
+    if (run > 1) {
+      out.push(257 - run);
+      out.push(row[i]);
+      i += run;
+      continue;
+    }
+    // 字面段：直到出现重复或满 128 字节
+    let literal = 1;
+    while (literal < 128 && i + literal < row.length &&
+      !(i + literal + 1 < row.length && row[i + literal] === row[i + literal + 1])) {
+      literal++;
+    }
+    out.push(literal - 1);
+    for (let k = 0; k < literal; k++) out.push(row[i + k]);
+    i += literal;
+  }
+}
+
+// TIFF 字段类型
+const TIFF_SHORT = 3;
+const TIFF_LONG = 4;
+const TIFF_RATIONAL = 5;
+
+export class TiffWriter {
+  /**
+   * @param {number} width - 宽度 (像素)
+   * @param {number} height - 高度 (像素)
+   * @param {Object} options - dpi: 分辨率；alpha: 是否保留透明通道；rowsPerStrip: 每条带行数
+   */
+  constructor(width, height, { dpi = 72, alpha = false, rowsPerStrip = 256 } = {}) {
+    checkSize(width, height);
+    this.width = width;
+    this.height = height;
+    this.dpi = dpi;
+    this.channels = alpha ? 4 : 3;
+    this.rowsPerStrip = rowsPerStrip;
+    this.rowsWritten = 0;
+    this.strip = new ByteBuffer();
+    this.stripRows = 0;
+    this.stripSizes = [];
+    this.parts = [new Uint8Array(8)]; // 文件头，结束时按 IFD 位置填写
+  }
+
+  /**
+   * 写入若干行
+   * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA，每行 width × 4 字节
+   * @param {number} rows - 行数
+   */
+  addRows(pixels, rows) {
+    if (this.rowsWritten + rows > this.height) {
+      throw new Error(`写入行数超出图像高度 ${this.height}`);
+    }
+    const { width, channels } = this;
+    const raw = new Uint8Array(width * channels);
+    
+    for (let row = 0; row < rows; row++) {
+      const offset = row * width * 4;
+      for (let x = 0, i = 0; x < width; x++) {
+        for (let c = 0; c < channels; c++) raw[i++] = pixels[offset + x * 4 + c];
+      }
+      packBits(raw, this.strip);
+      this.stripRows++;
+      if (this.stripRows === this.rowsPerStrip) this.closeStrip();
+    }
+    this.rowsWritten += rows;
+  }
+
+  closeStrip() {
+    const data = this.strip.take();
+    this.parts.push(data);
+    this.stripSizes.push(data.length);
+    this.stripRows = 0;
+  }
+
+  /**
+   * 结束写入：条带之后写 IFD 及其外部数值，再回填文件头
+   * @returns {Blob} image/tiff
+   */
+  finish() {
+    if (this.rowsWritten !== this.height) {
+      throw new Error(`TIFF 只写入了 ${this.rowsWritten} / ${this.height} 行`);
+    }
+    if (this.stripRows > 0) this.closeStrip();
+    
+    let offset = 8 + this.stripSizes.reduce((sum, size) => sum + size, 0);
+    if (offset % 2 === 1) {
+      this.parts.push(new Uint8Array(1));
+      offset++;
+    }
+    const stripOffsets = [];
+    this.stripSizes.reduce((position, size) => {
+      stripOffsets.push(position);
+      return position + size;
+    }, 8);
+    
+    const { channels } = this;
+    const entries = [
+      [256, TIFF_LONG, [this.width]],
+      [257, TIFF_LONG, [this.height]],
+      [258, TIFF_SHORT, new Array(channels).fill(8)],
+      [259, TIFF_SHORT, [32773]],                // PackBits
+      [262, TIFF_SHORT, [2]],                    // RGB
+      [273, TIFF_LONG, stripOffsets],
+      [277, TIFF_SHORT, [channels]],
+      [278, TIFF_LONG, [this.rowsPerStrip]],
+      [279, TIFF_LONG, this.stripSizes],
+      [282, TIFF_RATIONAL, [this.dpi, 1]],
+      [283, TIFF_RATIONAL, [this.dpi, 1]],
+      [284, TIFF_SHORT, [1]],                    // 交错存储
+      [296, TIFF_SHORT, [2]],                    // 分辨率单位：英寸
+      ...(channels === 4 ? [[338, TIFF_SHORT, [2]]] : []) // 非预乘透明通道
+    ];
+    
+    // IFD：条目数 + 12 字节条目 + 下一 IFD 偏移，超过 4 字节的数值放在 IFD 之后
+    const ifdSize = 2 + entries.length * 12 + 4;
+    const valueSize = (type, values) => values.length * (type === TIFF_SHORT ? 2 : 4);
+    const externalSize = entries.reduce((sum, [, type, values]) => {
+      const size = valueSize(type, values);
+      return sum + (size > 4 ? size + (size % 2) : 0);
+    }, 0);
+    const ifd = new Uint8Array(ifdSize + externalSize);
+    const view = new DataView(ifd.buffer);
+    const writeValues = (position, type, values) => {
+      values.forEach((value, i) => {
+        if (type === TIFF_SHORT) {
+          view.setUint16(position + i * 2, value, true);
+        } else {
+          view.setUint32(position + i * 4, value, true);
+        }
+      });
+    };
+    
+    view.setUint16(0, entries.length, true);
+    let external = ifdSize;
+    entries.forEach(([tag, type, values], index) => {
+      const entry = 2 + index * 12;
+      const size = valueSize(type, values);
+      view.setUint16(entry, tag, true);
+      view.setUint16(entry + 2, type, true);
+      view.setUint32(entry + 4, type === TIFF_RATIONAL ? values.length / 2 : values.length, true);
+      if (size <= 4) {
+        writeValues(entry + 8, type, values);
+      } else {
+        view.setUint32(entry + 8, offset + external, true);
+        writeValues(external, type, values);
+        external += size + (size % 2);
+      }
+    });
+    view.setUint32(2 + entries.length * 12, 0, true);
+    this.parts.push(ifd);
+    
+    const header = new DataView(this.parts[0].buffer);
+    header.setUint8(0, 0x49); // 'II' 小端
+    header.setUint8(1, 0x49);
+    header.setUint16(2, 42, true);
+    header.setUint32(4, offset, true);
+    return new Blob(this.parts, { type: 'image/tiff' });
+  }
+}
+
+export default {
+  crc32,
+  pngChunk,
+  PngWriter,
+  TiffWriter
+};
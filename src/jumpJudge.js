@@ -0,0 +1,121 @@
+import { BODY_PARTS } from './demoScene.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+/**
+ * 立定跳远判定
+ * 起跳时脚尖触及 (踩线) 或越过起跳线为犯规；落地后以离起跳线最近的触地点计成绩，
+ * 该点在地毯外时无法测量、须重跳；部分落在地毯外或脚跟后方触地时照常测量并给出提示
+ */
+
+/**
+ * 矩形超出地毯的距离 (m)，未超出时为 0
+ */
+function overhang(area, mat) {
+  return Math.max(
+    mat.zones.takeoff.start - area.x0,
+    area.x1 - mat.totalLength,
+    -mat.totalWidth / 2 - area.z0,
+    area.z1 - mat.totalWidth / 2,
+    0
+  );
+}
+
+/**
+ * 判定一次试跳
+ * @param {Object} plan - planJump 的结果
+ * @param {Object} matConfig - 地毯配置 (MAT_CONFIG 结构，起跳线与地毯范围)
+ * @param {Object} options - locale: 标题、说明与结论的语言 (LOCALES 的键)
+ * @returns {{valid: boolean, distance: number|null, nearest: Object,
+ *   fouls: Array<{rule: string, severity: string, title: string, message: string, time: number, areas: Array}>,
+ *   warnings: Array<{rule: string, severity: string, title: string, message: string, time: number, areas: Array}>,
+ *   summary: string}}
+ *   nearest 为 plan.marks 中离起跳线最近的触地点；distance 为成绩 (无效时为 null)；
+ *   time 为该情况在动作中出现的时刻 (s)，areas 为涉及的鞋底范围 (世界坐标)
+ */
+export function judgeJump(plan, matConfig, { locale = DEFAULT_LOCALE } = {}) {
+  const { startLine } = matConfig.scales;
+  const fouls = [];
+  const warnings = [];
+  const takeoffTime = plan.phases.find(phase => phase.name === 'takeoff').start;
+  const landingTime = plan.phases.find(phase => phase.name === 'landing').start;
+  const cm = (meter) => `${(meter * 100).toFixed(1)} cm`;
+  const t = (text, params) => translate(text, locale, params);
+  const partName = (part) => t(BODY_PARTS[part]);
+  
+  // 起跳：脚尖不得触及起跳线 (线宽计入)
+  const lineBack = startLine.position - startLine.lineWidth / 2;
+  const lineFront = startLine.position + startLine.lineWidth / 2;
+  const toes = plan.footprints.start.filter(foot => foot.x1 >= lineBack);
+  if (toes.length > 0) {
+    const toe = Math.max(...toes.map(foot => foot.x1));
+    const over = toe > lineFront;
+    fouls.push({
+      rule: over ? 'over-line' : 'on-line',
+      severity: 'foul',
+      title: t(over ? '起跳过线' : '起跳踩线'),
+      message: over
+        ? t('起跳时脚尖越过起跳线 {distance}', { distance: cm(toe - lineFront) })
+        : t('起跳时脚尖踩在起跳线上'),
+      time: takeoffTime,
+      areas: toes
+    });
+  }
+
+  // 落地：成绩按离起跳线最近的触地点
+  const nearest = plan.marks.reduce((a, b) => (b.x < a.x ? b : a));
+  const nearestOff = overhang({ x0: nearest.x, x1: nearest.x, z0: nearest.z, z1: nearest.z }, matConfig);
+  if (nearestOff > 0) {
+    fouls.push({
+      rule: 'off-mat',
+      severity: 'foul',
+      title: t('落在地毯外'),
+      message: t('最近触地点 ({part}) 在地毯外 {distance}，无法测量，须重跳', { part: partName(nearest.part), distance: cm(nearestOff) }),
+      time: landingTime,
+      areas: plan.footprints.landing
+    });
+  } else {
+    const outside = plan.footprints.landing.filter(foot => overhang(foot, matConfig) > 0);
+    if (outside.length > 0) {
+      warnings.push({
+        rule: 'partly-off-mat',
+        severity: 'warning',
+        title: t('部分落在地毯外'),
+        message: t('{feet}部分落在地毯外 (最多超出 {distance})，最近触地点在地毯上，照常测量', {
+          feet: t(outside.length === 1 ? '一只脚' : '双脚'),
+          distance: cm(Math.max(...outside.map(foot => overhang(foot, matConfig))))
+        }),
+        time: landingTime,
+        areas: outside
+      });
+    }
+  }
+
+  const heel = Math.min(...plan.marks.filter(mark => mark.part === 'heel').map(mark => mark.x));
+  if (nearest.part !== 'heel') {
+    const part = partName(nearest.part);
+    warnings.push({
+      rule: 'behind-heels',
+      severity: 'warning',
+      title: t('{part}触地', { part }),
+      message: t('{part}在脚跟后 {distance} 处触地，成绩按{part}计', { part, distance: cm(heel - nearest.x) }),
+      time: plan.duration,
+      areas: []
+    });
+  }
+
+  const valid = fouls.length === 0;
+  return {
+    valid,
+    distance: valid ? nearest.x : null,
+    nearest,
+    fouls,
+    warnings,
+    summary: valid
+      ? t('有效 {distance}', { distance: cm(nearest.x) })
+      : t('无效 · {fouls}', { fouls: fouls.map(foul => foul.title).join(t('、')) })
+  };
+}
+
+export default {
+  judgeJump
+};
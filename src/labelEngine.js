@@ -0,0 +1,213 @@
+import { LOCALES, DEFAULT_LOCALE, translate } from './i18n.js';
+
+/**
+ * 标签引擎
+ * 按刻度配置生成地毯上的全部文字：起跳线与精密区起点的竖排标签、底边的刻度标注 (双制地毯公制标注在顶边)。
+ * 数值按 MAT_CONFIG.labels.unit 的单位格式书写 (英制刻度及英制地毯固定为英尺英寸)，文字按 labels.locale 翻译；
+ * 标签与标记 (含静区) 或刻度线重叠时依次尝试备选位置，全部冲突时保留原位 (由 DRC 报告遮挡)
+ *
+ * 坐标：x 沿跳跃方向 (起跳线为 0)，y 为距左侧边缘 (图案上方) 的距离，单位均为米
+ */
+
+// 刻度标注字体 (数字)
+export const FONT_MONO = '"JetBrains Mono", monospace';
+
+// 英寸 (m)
+const INCH = 0.0254;
+
+// 标注单位：scale 为 米 -> 显示值，ftin 按英尺 + 英寸书写
+export const LABEL_UNITS = {
+  mm: { name: 'mm', scale: 1000, symbol: 'mm' },
+  cm: { name: 'cm', scale: 100, symbol: 'cm' },
+  m: { name: 'm', scale: 1, symbol: 'm' },
+  ftin: { name: 'ft/in', scale: 1 / INCH, symbol: '"' }
+};
+
+/**
+ * 按单位格式书写长度
+ * 给出标注间隔 step 时按间隔决定小数位 (同一组标注位数一致；英尺英寸格式的间隔为整英寸时英寸取整，
+ * 否则保留 1 位小数)，不给出时去掉末尾的 0
+ * @param {number} meter - 长度 (m)
+ * @param {string} unit - LABEL_UNITS 的键
+ * @param {number} step - 标注间隔 (m，可省略)
+ * @returns {string} 如 '1.5m'、'1500mm'、`4' 11.1"`、`5' 6"`
+ */
+export function formatLength(meter, unit, step) {
+  const format = LABEL_UNITS[unit];
+  if (!format) {
+    throw new Error(`未知的标注单位: ${unit}`);
+  }
+
+  if (unit === 'ftin') {
+    const stepInches = step / INCH;
+    const digits = step && Math.abs(stepInches - Math.round(stepInches)) < 1e-6 ? 0 : 1;
+    const inches = Number((meter / INCH).toFixed(digits));
+    const feet = Math.floor(inches / 12);
+    const rest = step ? (inches - feet * 12).toFixed(digits) : String(Number((inches - feet * 12).toFixed(1)));
+    return feet > 0 ? `${feet}' ${rest}"` : `${rest}"`;
+  }
+
+  const value = meter * format.scale;
+  const text = step
+    ? value.toFixed(Math.max(0, Math.ceil(-Math.log10(step * format.scale) - 1e-9)))
+    : String(Number(value.toFixed(3)));
+  return `${text}${format.symbol}`;
+}
+
+/**
+ * 标签文字的外框 (米，近似，矩形 [x0, y0, x1, y1])
+ * 按字号估算字宽 (中日韩文字 1em，其余 0.6em)，水平居中、按基线向下延伸，旋转后取轴对齐外框
+ */
+export function getLabelBounds(label) {
+  const { x, y, text, fontSize, rotation, baseline } = label;
+  const width = [...text].reduce((sum, ch) => sum + (ch.charCodeAt(0) >= 0x2e80 ? 1 : 0.6), 0) * fontSize;
+  const top = baseline === 'top' ? 0 : -fontSize / 2;
+  const box = [[-width / 2, top], [width / 2, top], [width / 2, top + fontSize], [-width / 2, top + fontSize]];
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const xs = box.map(([u, v]) => x + u * cos - v * sin);
+  const ys = box.map(([u, v]) => y + u * sin + v * cos);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * 两个矩形 [x0, y0, x1, y1] 是否相交
+ */
+function intersects(a, b) {
+  return a[0] < b[2] && b[0] < a[2] && a[1] < b[3] && b[1] < a[3];
+}
+
+/**
+ * 标签需避让的区域：标记 (含静区) 与刻度线，各自外扩 clearance
+ */
+function getObstacles(config, ticks, markers) {
+  const { aruco } = config;
+  const { clearance } = config.labels;
+  const half = aruco.size / 2 + aruco.borderSize + clearance;
+  return [
+    ...markers.map(marker => [marker.center.x - half, marker.center.y - half, marker.center.x + half, marker.center.y + half]),
+    ...ticks.map(tick => [
+      tick.position - tick.lineWidth / 2 - clearance,
+      tick.y0 - clearance,
+      tick.position + tick.lineWidth / 2 + clearance,
+      tick.y1 + clearance
+    ])
+  ];
+}
+
+/**
+ * 放置标签：取第一个完整落在地毯内且不与障碍重叠的候选位置，都不满足时保留首选位置
+ * @param {Object} label - 标签 (x / y 为首选位置)
+ * @param {Array<{x: number, y: number}>} candidates - 备选位置 (按优先级)
+ * @returns {Object} 标签；moved 表示是否使用了备选位置
+ */
+function placeLabel(label, candidates, obstacles, bounds) {
+  const fits = (item) => {
+    const rect = getLabelBounds(item);
+    return rect[0] >= bounds[0] && rect[1] >= bounds[1] && rect[2] <= bounds[2] && rect[3] <= bounds[3] &&
+      !obstacles.some(obstacle => intersects(rect, obstacle));
+  };
+  if (fits(label)) return { ...label, moved: false };
+  const placed = candidates.map(position => ({ ...label, ...position })).find(fits);
+  return placed ? { ...placed, moved: true } : { ...label, moved: false };
+}
+
+/**
+ * 生成标签布局
+ * @param {Object} config - 地毯配置 (MAT_CONFIG 结构)
+ * @param {Object} layout - ticks: 刻度布局 (MatGenerator.getTickLayout)；markers: 标记布局 (buildMarkerLayout)
+ * @returns {Array<{role: string, anchor: number, text: string, x: number, y: number, rotation: number, fontSize: number,
+ *   bold: boolean, fontFamily: string, baseline: string, moved: boolean, system?: string}>}
+ *   role 为 startLine / precisionStart / tick，anchor 为标签所标注的位置 (m)；刻度标注带所属单位制 system
+ */
+export function buildLabelLayout(config, { ticks = [], markers = [] } = {}) {
+  const { zones, labels, totalLength, totalWidth, scales } = config;
+  const locale = LOCALES[labels.locale] ? labels.locale : DEFAULT_LOCALE;
+  const fontSans = LOCALES[locale].font;
+  const obstacles = getObstacles(config, ticks, markers);
+  const bounds = [zones.takeoff.start, 0, totalLength, totalWidth];
+  const items = [];
+  
+  // 起跳线与精密区起点 (竖排，文字从下往上读)：首选线前，其次线前更远处、线后
+  [
+    { role: 'startLine', anchor: scales.startLine.position, style: labels.startLine, text: '{value} (起跳线)' },
+    { role: 'precisionStart', anchor: zones.landing.start, style: labels.precisionStart, text: '{value} (精密区起点)' }
+  ].forEach(({ role, anchor, style, text }) => {
+    const label = {
+      role,
+      anchor,
+      text: translate(text, locale, { value: formatLength(anchor, scales.system === 'imperial' ? 'ftin' : labels.unit) }),
+      x: anchor + style.offset,
+      y: totalWidth / 2,
+      rotation: Math.PI / 2,
+      fontSize: style.fontSize,
+      bold: true,
+      fontFamily: fontSans,
+      baseline: 'middle'
+    };
+    const candidates = [2, 3, -1, -2].map(k => ({ x: anchor + style.offset * k }));
+    items.push(placeLabel(label, candidates, obstacles, bounds));
+  });
+  
+  // 刻度标注：飞行区按 flightInterval，落地区及扩展区按 landingInterval (加粗放大)，起跳线处已有竖排标签；
+  // 英制刻度按 imperial*Interval 以英尺英寸标注。标注在底边，双制时公制移到顶边；
+  // 与标记冲突时按字高逐步向地毯中线方向内移，最多 maxShift
+  const { ticks: tickLabels } = labels;
+  const dual = scales.system === 'dual';
+  const systems = dual ? ['metric', 'imperial'] : [scales.system];
+  systems.forEach(system => {
+    const imperial = system === 'imperial';
+    const top = dual && !imperial;
+    const unit = imperial ? 'ftin' : labels.unit;
+    const groups = [
+      {
+        start: zones.flight.start,
+        end: zones.landing.start,
+        step: imperial ? tickLabels.imperialFlightInterval : tickLabels.flightInterval,
+        emphasis: false
+      },
+      {
+        start: zones.landing.start,
+        end: totalLength,
+        step: imperial ? tickLabels.imperialLandingInterval : tickLabels.landingInterval,
+        emphasis: true
+      }
+    ];
+    groups.forEach(({ start, end, step, emphasis }) => {
+      const first = Math.ceil(start / step - 1e-6);
+      const last = Math.floor(end / step + 1e-6);
+      for (let i = first; i <= last; i++) {
+        const anchor = Number((i * step).toFixed(6));
+        if (emphasis ? anchor <= start : (anchor >= end || anchor === scales.startLine.position)) continue;
+        const fontSize = emphasis ? tickLabels.emphasisFontSize : tickLabels.fontSize;
+        const label = {
+          role: 'tick',
+          system,
+          anchor,
+          text: formatLength(anchor, unit, step),
+          x: anchor,
+          y: top ? tickLabels.bottomOffset : totalWidth - tickLabels.bottomOffset,
+          rotation: -Math.PI / 4,
+          fontSize,
+          bold: emphasis,
+          fontFamily: FONT_MONO,
+          baseline: 'top'
+        };
+        const candidates = Array.from({ length: Math.floor(tickLabels.maxShift / fontSize) }, (_, k) => ({
+          y: label.y + (top ? 1 : -1) * (k + 1) * fontSize
+        }));
+        items.push(placeLabel(label, candidates, obstacles, bounds));
+      }
+    });
+  });
+  
+  return items;
+}
+
+export default {
+  FONT_MONO,
+  LABEL_UNITS,
+  formatLength,
+  getLabelBounds,
+  buildLabelLayout
+};
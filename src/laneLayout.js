@@ -0,0 +1,91 @@
+import { mergeConfig } from './config.js';
+import { getDictionary } from './aruco.js';
+import { buildMarkerLayout, validateMarkerLayout } from './markerLayout.js';
+
+/**
+ * 多跑道布局
+ * 多条跑道并排铺设时每条跑道一张地毯，各跑道的标记使用互不重叠的连续 ID 块，
+ * 画面中拍到相邻跑道的标记时也能区分所属跑道。
+ * 跑道沿地毯宽度方向 (地毯 y、世界 z 递增) 依次排列，第 1 条跑道位置与单跑道时相同
+ */
+
+/**
+ * 保留 6 位小数
+ */
+function round(value) {
+  return Number(value.toFixed(6));
+}
+
+/**
+ * 为各跑道分配标记 ID
+ * 每条跑道占用 2 × markersPerSide 个连续 ID (左侧在前、右侧在后)，从 firstId 起按跑道顺序排列
+ * @param {number} laneCount - 跑道数量
+ * @param {number} markersPerSide - 每侧标记数量
+ * @param {string} dictionaryName - ArUco 字典名称
+ * @param {number} firstId - 第 1 条跑道的起始 ID
+ * @returns {Array<{left: number[], right: number[]}>} 各跑道的 aruco.ids
+ */
+export function allocateLaneMarkerIds(laneCount, markersPerSide, dictionaryName, firstId = 0) {
+  if (!Number.isInteger(laneCount) || laneCount < 1) {
+    throw new Error(`跑道数量无效: ${laneCount}`);
+  }
+  if (!Number.isInteger(firstId) || firstId < 0) {
+    throw new Error(`起始 ID 无效: ${firstId}`);
+  }
+
+  const dictionarySize = getDictionary(dictionaryName).codes.length;
+  const block = markersPerSide * 2;
+  const end = firstId + laneCount * block;
+  if (end > dictionarySize) {
+    const maxLanes = Math.floor((dictionarySize - firstId) / block);
+    throw new Error(`${laneCount} 条跑道共需 ${laneCount * block} 个标记 ID (${firstId}-${end - 1})，` +
+      `超出字典 ${dictionaryName} 的 ${dictionarySize} 个，最多 ${maxLanes} 条跑道`);
+  }
+
+  return Array.from({ length: laneCount }, (_, lane) => {
+    const start = firstId + lane * block;
+    return {
+      left: Array.from({ length: markersPerSide }, (__, i) => start + i),
+      right: Array.from({ length: markersPerSide }, (__, i) => start + markersPerSide + i)
+    };
+  });
+}
+
+/**
+ * 生成多跑道布局
+ * 单条跑道时沿用配置中的 ID；多条跑道时按 allocateLaneMarkerIds 分配，并校验全部跑道合并后的 ID 唯一
+ * @param {Object} config - 单条跑道的地毯配置 (MAT_CONFIG 结构)
+ * @param {Object} options - count: 跑道数量；spacing: 相邻地毯间距 (m)；firstId: 起始 ID
+ * @returns {Array<{index: number, name: string, offset: number, aruco: {ids: Object}}>}
+ *   offset 为该跑道相对第 1 条跑道沿宽度方向的偏移 (m)；aruco 为覆盖单条跑道配置的字段
+ */
+export function buildLaneLayout(config, { count = 1, spacing = 0, firstId = 0 } = {}) {
+  if (!(spacing >= 0)) {
+    throw new Error(`跑道间距无效: ${spacing}`);
+  }
+
+  const { aruco } = config;
+  const ids = count === 1
+    ? [aruco.ids]
+    : allocateLaneMarkerIds(count, aruco.positions.length, aruco.dictionary, firstId);
+  const lanes = ids.map((laneIds, index) => ({
+    index,
+    name: `跑道 ${index + 1}`,
+    offset: round(index * (config.totalWidth + spacing)),
+    aruco: { ids: laneIds }
+  }));
+  
+  const layout = lanes.flatMap(lane =>
+    buildMarkerLayout(mergeConfig(config, { aruco: lane.aruco }))
+      .map(marker => ({ ...marker, side: `${lane.name} ${marker.side}` })));
+  const errors = validateMarkerLayout(layout, getDictionary(aruco.dictionary).codes.length);
+  if (errors.length > 0) {
+    throw new Error(`多跑道 ArUco 布局无效:\n${errors.join('\n')}`);
+  }
+  return lanes;
+}
+
+export default {
+  allocateLaneMarkerIds,
+  buildLaneLayout
+};
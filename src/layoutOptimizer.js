@@ -0,0 +1,152 @@
+import { RENDER_CONFIG, mergeConfig } from './config.js';
+import { runDesignRuleCheck } from './drc.js';
+import { simulateMeasurementError, withMarkerPositions } from './errorSimulator.js';
+
+/**
+ * ArUco 标记布局优化
+ * 在若干预期机位下，以落地区网格的最差 P95 误差 (各机位取最大) 为目标，
+ * 搜索标记位置 (两侧共用)、尺寸与距边缘距离；候选位置须通过设计规则检查且不遮挡刻度线与标签。
+ * 地毯拉伸误差与布局无关，优化时不计入。配置见 RENDER_CONFIG.layoutOptimizer
+ */
+
+// 候选位置须避开的设计规则 (单个位置即可判定)
+const CONFLICT_RULES = ['marker-bounds', 'tick-occluded', 'label-occluded'];
+
+/**
+ * 在各预期机位下评估布局
+ * @param {MatGenerator} generator - 地毯生成器
+ * @param {Object} options - 覆盖 RENDER_CONFIG.layoutOptimizer (使用 cameraPoses、trials)
+ * @returns {{score: number, poses: Array<{name: string, worstP95: number|null, failureRate: number}>}}
+ *   score 为各机位最差 P95 的最大值 (m)；任一机位无法解算时为 Infinity
+ */
+export function evaluateLayout(generator, options = {}) {
+  const config = mergeConfig(RENDER_CONFIG.layoutOptimizer, options);
+  const poses = config.cameraPoses.map(({ name, ...camera }) => {
+    const result = simulateMeasurementError(generator, {
+      trials: config.trials,
+      stretch: 0,
+      breakdown: false,
+      camera
+    });
+    const total = result.sources.find(source => source.key === 'total');
+    return { name, worstP95: result.worstP95, failureRate: total.failureRate };
+  });
+  
+  const failed = poses.some(pose => pose.worstP95 === null || pose.failureRate > 0);
+  return {
+    score: failed ? Infinity : Math.max(...poses.map(pose => pose.worstP95)),
+    poses
+  };
+}
+
+/**
+ * 与刻度线、标签、地毯边缘不冲突的候选位置
+ */
+function feasiblePositions(generator, aruco, step) {
+  const { zones, totalLength } = generator.config;
+  const positions = [];
+  for (let i = Math.ceil(zones.takeoff.start / step); i * step <= totalLength + 1e-9; i++) {
+    const position = Number((i * step).toFixed(6));
+    const { violations } = runDesignRuleCheck(withMarkerPositions(generator, [position], aruco));
+    if (!violations.some(v => CONFLICT_RULES.includes(v.rule))) positions.push(position);
+  }
+  return positions;
+}
+
+/**
+ * 在给定尺寸与边距下搜索位置：先逐个贪心加入，再逐个位置换到其他候选，直到不再改善
+ */
+function searchPositions(generator, aruco, feasible, config, evaluate) {
+  const spacing = aruco.size + generator.config.aruco.borderSize * 2;
+  const fits = (position, others) => others.every(other => Math.abs(other - position) >= spacing - 1e-9);
+  const score = (positions) => evaluate(withMarkerPositions(generator, [...positions].sort((a, b) => a - b), aruco));
+  
+  let positions = [];
+  let best = Infinity;
+  for (let k = 0; k < config.count; k++) {
+    let choice = null;
+    feasible.filter(p => fits(p, positions)).forEach(p => {
+      const value = score([...positions, p]);
+      if (choice === null || value < choice.value) choice = { position: p, value };
+    });
+    if (!choice) return null;
+    positions = [...positions, choice.position];
+    best = choice.value;
+  }
+
+  for (let sweep = 0; sweep < config.maxSweeps; sweep++) {
+    let improved = false;
+    positions.forEach((_, index) => {
+      const others = positions.filter((__, i) => i !== index);
+      feasible.filter(p => fits(p, others)).forEach(p => {
+        const value = score([...others, p]);
+        if (value < best) {
+          best = value;
+          positions = [...others, p];
+          improved = true;
+        }
+      });
+    });
+    if (!improved) break;
+  }
+
+  return { positions: [...positions].sort((a, b) => a - b), score: best };
+}
+
+/**
+ * 优化标记布局
+ * @param {MatGenerator} generator - 当前地毯生成器 (基准配置)
+ * @param {Object} options - 覆盖 RENDER_CONFIG.layoutOptimizer；onProgress(message) 报告进度
+ * @returns {{proposed: {positions: number[], size: number, margin: number, ids: Object}|null,
+ *   score: number, current: Object, candidates: Array<{size: number, margin: number, positions: number[]|null, score: number}>,
+ *   evaluations: number}}
+ *   proposed 为建议的 MAT_CONFIG.aruco 字段 (无可行布局时为 null)；current 为当前布局的 evaluateLayout 结果；误差单位为米
+ */
+export function optimizeMarkerLayout(generator, { onProgress = () => {}, ...options } = {}) {
+  const config = mergeConfig(RENDER_CONFIG.layoutOptimizer, options);
+  let evaluations = 0;
+  const cache = new Map();
+  const evaluate = (candidate) => {
+    const { positions, size, margin } = candidate.config.aruco;
+    const key = `${size}/${margin}/${positions.join(',')}`;
+    if (!cache.has(key)) {
+      evaluations++;
+      cache.set(key, evaluateLayout(candidate, config).score);
+    }
+    return cache.get(key);
+  };
+  
+  const candidates = [];
+  config.sizes.forEach(size => {
+    config.margins.forEach(margin => {
+      const aruco = { size, margin };
+      const feasible = feasiblePositions(generator, aruco, config.step);
+      onProgress(`尺寸 ${size * 1000}mm，边距 ${margin * 1000}mm：${feasible.length} 个候选位置`);
+      const found = searchPositions(generator, aruco, feasible, config, evaluate);
+      candidates.push({ size, margin, positions: found ? found.positions : null, score: found ? found.score : Infinity });
+    });
+  });
+  
+  const best = candidates.reduce((a, b) => (b.score < a.score ? b : a));
+  const proposed = Number.isFinite(best.score)
+    ? withMarkerPositions(generator, best.positions, { size: best.size, margin: best.margin }).config.aruco
+    : null;
+  
+  return {
+    proposed: proposed && {
+      positions: proposed.positions,
+      size: proposed.size,
+      margin: proposed.margin,
+      ids: proposed.ids
+    },
+    score: best.score,
+    current: evaluateLayout(generator, config),
+    candidates,
+    evaluations
+  };
+}
+
+export default {
+  evaluateLayout,
+  optimizeMarkerLayout
+};
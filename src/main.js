@@ -1,14 +1,40 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import './style.css';
-import { MatGenerator } from './matGenerator.js';
-import { MAT_CONFIG, COLORS, RENDER_CONFIG } from './config.js';
+import { MatGenerator, MAT_LAYERS } from './matGenerator.js';
+import { PhoneCamera } from './phoneCamera.js';
+import { BODY_PARTS, LANDING_STYLES, createPerson, createTripodWithPhone, planJump, poseJumpAt, createLandingMark } from './demoScene.js';
+import { judgeJump } from './jumpJudge.js';
+import { MAT_CONFIG, COLORS, RENDER_CONFIG, mergeConfig } from './config.js';
+import { runDesignRuleCheck } from './drc.js';
+import { verifyPhoto, estimatePointUncertainty, rectifyPhoto, drawVerifyOverlay } from './photoVerify.js';
+import { applyHomography } from './homography.js';
+import { measureJump, formatMeasurement, drawMeasurement } from './measure.js';
+import { simulateMeasurementError, withMarkerPositions, buildErrorBudgetTable, renderErrorHeatmapSVG } from './errorSimulator.js';
+import { buildBoardDescription, buildLaneBoardDescription, toBoardJSON, toOpenCVBoardYAML } from './boardExport.js';
+import { buildLaneLayout } from './laneLayout.js';
+import {
+  createDesignState, parseDesignState, encodeDesignState, decodeDesignState, getDesignFromHash,
+  loadPresets, savePreset, deletePreset, DESIGN_HASH_KEY
+} from './designState.js';
+import {
+  EDITOR_FIELDS, EDITOR_UNITS, getFieldValue, setFieldValue, validateEditorConfig, findMarkerAt, moveMarker, EditHistory
+} from './matEditor.js';
+import { LOCALES, detectLocale, localizeElement, translate } from './i18n.js';
+import { renderArtworkSVG, renderMatSVG } from './svgExport.js';
+import { renderMatPDF } from './pdfExport.js';
+import { RASTER_FORMATS, exportRaster } from './rasterExport.js';
+import { createZip } from './zipWriter.js';
+import { buildSpecSheet, buildSpecDiagram, toSpecMarkdown, toSpecHTML, renderSpecPDF } from './specSheet.js';
 
 /**
  * 立定跳远测量地毯 - Three.js 可视化应用
  * 专为计算机视觉设计的精密测量地毯
  */
 
+// 界面语言的 localStorage 键
+const LOCALE_STORAGE_KEY = 'jump-mat-locale';
+
 class JumpMatViewer {
   constructor() {
     this.container = null;
@@ -18,6 +44,12 @@ class JumpMatViewer {
     this.controls = null;
     this.matMesh = null;
     this.matGenerator = null;
+    this.matConfig = MAT_CONFIG;       // 当前地毯配置 (载入分享链接 / 预设时替换)
+    this.appliedDesignHash = null;     // 最近载入或生成的链接设计参数
+    this.editHistory = new EditHistory(MAT_CONFIG, RENDER_CONFIG.editor.historyLimit);
+    this.markerDrag = null;            // 拖动中的标记 {index, offset, base, pending}
+    this.rasterExport = null;          // 进行中的高清位图导出 (exportRaster 的返回值)
+    this.lanes = [];          // 各跑道 {index, name, offset, aruco, generator, mesh}，第 1 条为当前地毯
     this.animationId = null;
     
     // 配置状态
@@ -26,18 +58,35 @@ class JumpMatViewer {
       showFineScale: true,
       showGrid: false,  // 默认关闭辅助网格
       pixelsPerMeter: 1000,
-      cameraAngle: 45
+      cameraAngle: 45,
+      showPhoneView: false,
+      recordFrames: false,
+      measureMode: false,
+      dragMarkers: false,
+      locale: detectLocale(navigator.languages), // 界面语言 (地毯文字语言见 MAT_CONFIG.labels.locale)
+      laneCount: RENDER_CONFIG.lanes.count,
+      laneSpacing: RENDER_CONFIG.lanes.spacing
     };
     
+    // 照片校验结果 (校正图点击测量时重绘)
+    this.verifyState = null;
+    this.measureMarker = null;
+    
     // 演示模式
     this.demoMode = {
       active: false,
       person: null,
       tripod: null,
       phoneCamera: null,
-      animationPhase: 0,      // 0: 准备, 1: 起跳, 2: 飞行, 3: 落地
-      animationProgress: 0,
-      jumpDistance: 2.1       // 模拟跳跃距离 2.1m
+      params: { ...RENDER_CONFIG.jump }, // 跳跃参数 (距离、起跳角、身高、落地方式)
+      plan: planJump(),       // 当前参数的跳跃规划
+      judgement: null,        // 当前规划的裁判结果 (judgeJump)
+      time: 0,                // 动作时间 (s)
+      speed: 1,               // 播放倍速 (慢动作时为 slowMotion)
+      lastTimestamp: null,    // 上一帧的 requestAnimationFrame 时间戳 (ms)
+      landingMark: null,
+      frames: [],             // 录制的手机画面 (PNG Data URL)
+      frameCount: 0
     };
     
     this.init();
@@ -48,12 +97,15 @@ class JumpMatViewer {
    */
   init() {
     this.createDOM();
+    this.setLocale(this.loadLocale());
     this.initThree();
     this.createScene();
     this.createMat();
+    this.createPhoneCamera();
     this.createLights();
     this.createHelpers();
     this.bindEvents();
+    this.loadDesignFromHash();
     this.hideLoading();
     this.animate();
   }
@@ -67,7 +119,7 @@ class JumpMatViewer {
       <!-- 加载状态 -->
       <div class="loading-overlay">
         <div class="loading-spinner"></div>
-        <div class="loading-text">正在生成地毯...</div>
+        <div class="loading-text" data-i18n>正在生成地毯...</div>
       </div>
       
       <!-- 顶部导航 -->
@@ -77,10 +129,13 @@ class JumpMatViewer {
             <path d="M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5"/>
           </svg>
           <div>
-            <div class="header-title">立定跳远测量地毯 <span>CV</span></div>
+            <div class="header-title"><span data-i18n>立定跳远测量地毯</span> <span class="header-badge">CV</span></div>
             <div class="header-subtitle">Computer Vision Optimized</div>
           </div>
         </div>
+        <select class="select header-locale" id="ui-locale" title="界面语言 / Language" data-i18n-title>
+          ${Object.entries(LOCALES).map(([key, locale]) => `<option value="${key}">${locale.name}</option>`).join('')}
+        </select>
       </header>
       
       <!-- Canvas 容器 -->
@@ -90,33 +145,33 @@ class JumpMatViewer {
       
       <!-- 图例面板 -->
       <div class="legend-panel">
-        <div class="legend-title">区域图例</div>
+        <div class="legend-title" data-i18n>区域图例</div>
         <div class="legend-item">
           <div class="legend-color takeoff"></div>
-          <span>起跳区 (0m)</span>
+          <span data-i18n>起跳区 (0m)</span>
         </div>
         <div class="legend-item">
           <div class="legend-color flight"></div>
-          <span>飞行区 (0-1.4m 稀疏刻度)</span>
+          <span data-i18n>飞行区 (0-1.4m 稀疏刻度)</span>
         </div>
         <div class="legend-item">
           <div class="legend-color landing"></div>
-          <span>核心落地区 (1.4-2.8m 精密刻度)</span>
+          <span data-i18n>核心落地区 (1.4-2.8m 精密刻度)</span>
         </div>
         <div class="legend-item">
           <div class="legend-color aruco"></div>
-          <span>ArUco 锚点标记</span>
+          <span data-i18n>ArUco 锚点标记</span>
         </div>
       </div>
       
       <!-- 控制面板 -->
       <div class="control-panel">
         <div class="panel-section">
-          <div class="panel-title">视图控制</div>
+          <div class="panel-title" data-i18n>视图控制</div>
           
           <div class="slider-group">
             <div class="slider-label">
-              <span class="slider-label-text">相机角度</span>
+              <span class="slider-label-text" data-i18n>相机角度</span>
               <span class="slider-value" id="camera-angle-value">45°</span>
             </div>
             <input type="range" id="camera-angle" min="10" max="90" value="45">
@@ -124,7 +179,7 @@ class JumpMatViewer {
           
           <div class="slider-group">
             <div class="slider-label">
-              <span class="slider-label-text">缩放级别</span>
+              <span class="slider-label-text" data-i18n>缩放级别</span>
               <span class="slider-value" id="zoom-value">100%</span>
             </div>
             <input type="range" id="zoom-level" min="50" max="200" value="100">
@@ -132,46 +187,333 @@ class JumpMatViewer {
         </div>
         
         <div class="panel-section">
-          <div class="panel-title">显示选项</div>
+          <div class="panel-title" data-i18n>显示选项</div>
           
           <div class="toggle-group">
-            <span class="toggle-label">ArUco 标记</span>
+            <span class="toggle-label" data-i18n>ArUco 标记</span>
             <div class="toggle active" id="toggle-aruco"></div>
           </div>
           
           <div class="toggle-group">
-            <span class="toggle-label">精细刻度 (1cm)</span>
+            <span class="toggle-label" data-i18n>精细刻度 (1cm)</span>
             <div class="toggle active" id="toggle-fine-scale"></div>
           </div>
           
           <div class="toggle-group">
-            <span class="toggle-label">辅助网格</span>
+            <span class="toggle-label" data-i18n>辅助网格</span>
             <div class="toggle" id="toggle-grid"></div>
           </div>
         </div>
         
         <div class="panel-section">
-          <div class="panel-title">导出</div>
+          <div class="panel-title" data-i18n>🔗 分享与预设</div>
+          <div class="btn-group">
+            <button class="btn btn-secondary" id="btn-share-link" data-i18n>生成分享链接</button>
+          </div>
+          <input type="text" class="text-input" id="share-link" readonly data-i18n-placeholder placeholder="包含地毯配置、显示选项与视角">
+          <div class="select-group">
+            <span class="toggle-label" data-i18n>预设名称</span>
+            <input type="text" class="text-input" id="preset-name" data-i18n-placeholder placeholder="如 校运会 4 跑道">
+          </div>
+          <div class="btn-group">
+            <button class="btn btn-secondary" id="btn-preset-save" data-i18n>保存预设</button>
+          </div>
+          <div class="select-group">
+            <span class="toggle-label" data-i18n>已保存预设</span>
+            <select class="select" id="preset-list"></select>
+          </div>
+          <div class="btn-group">
+            <button class="btn btn-secondary" id="btn-preset-load" data-i18n>载入</button>
+            <button class="btn btn-secondary" id="btn-preset-delete" data-i18n>删除</button>
+          </div>
+          <div class="btn-group">
+            <button class="btn btn-secondary" id="btn-design-export" data-i18n>导出 JSON</button>
+            <button class="btn btn-secondary" id="btn-design-import" data-i18n>导入 JSON</button>
+          </div>
+          <input type="file" id="design-input" accept="application/json,.json" hidden>
+          <div class="drc-summary" id="design-status" data-i18n>分享链接与预设会保存当前地毯配置、显示选项与相机视角</div>
+        </div>
+        
+        <div class="panel-section">
+          <div class="panel-title" data-i18n>导出</div>
+          <div class="btn-group">
+            <button class="btn btn-primary" id="btn-download-png" data-i18n>下载 PNG</button>
+            <button class="btn btn-primary" id="btn-download-svg" data-i18n>下载 SVG</button>
+          </div>
+          <div class="select-group">
+            <span class="toggle-label" data-i18n>规格书格式</span>
+            <select class="select" id="spec-format">
+              <option value="md">Markdown</option>
+              <option value="html">HTML</option>
+              <option value="pdf">PDF</option>
+              <option value="svg" data-i18n>示意图 SVG</option>
+            </select>
+          </div>
+          <div class="select-group">
+            <span class="toggle-label" data-i18n>标定板格式</span>
+            <select class="select" id="board-format">
+              <option value="json">JSON</option>
+              <option value="yaml">OpenCV YAML</option>
+            </select>
+          </div>
+          <div class="btn-group">
+            <button class="btn btn-secondary" id="btn-download-specs" data-i18n>导出规格</button>
+            <button class="btn btn-secondary" id="btn-download-board" data-i18n>标定板</button>
+          </div>
+          <div class="select-group">
+            <span class="toggle-label" data-i18n>分色图层</span>
+            <select class="select" id="export-layer">
+              ${MAT_LAYERS.map(layer => `<option value="${layer.id}" data-i18n>${layer.name}</option>`).join('')}
+            </select>
+          </div>
+          <div class="btn-group">
+            <button class="btn btn-secondary" id="btn-download-layer-png" data-i18n>图层 PNG</button>
+            <button class="btn btn-secondary" id="btn-download-layer-svg" data-i18n>图层 SVG</button>
+          </div>
+          <div class="select-group">
+            <span class="toggle-label" data-i18n>PDF 版式</span>
+            <select class="select" id="pdf-layout">
+              <option value="single" data-i18n>单页 1:1 (带出血)</option>
+              <option value="A4" data-i18n>A4 拼版</option>
+              <option value="A3" data-i18n>A3 拼版</option>
+            </select>
+          </div>
+          <div class="btn-group">
+            <button class="btn btn-primary" id="btn-download-pdf" data-i18n>下载 PDF</button>
+          </div>
+          <div class="select-group">
+            <span class="toggle-label" data-i18n>印刷分辨率</span>
+            <select class="select" id="raster-dpi">
+              ${RENDER_CONFIG.rasterExport.dpiOptions.map(dpi => `<option value="${dpi}"${dpi === RENDER_CONFIG.rasterExport.defaultDpi ? ' selected' : ''}>${dpi} DPI</option>`).join('')}
+            </select>
+          </div>
+          <div class="select-group">
+            <span class="toggle-label" data-i18n>位图格式</span>
+            <select class="select" id="raster-format">
+              ${Object.entries(RASTER_FORMATS).map(([id, format]) => `<option value="${id}">${format.name}</option>`).join('')}
+            </select>
+          </div>
+          <div class="btn-group">
+            <button class="btn btn-primary" id="btn-download-raster" data-i18n>高清导出</button>
+            <button class="btn btn-secondary" id="btn-cancel-raster" data-i18n disabled>取消</button>
+          </div>
+          <div class="drc-summary" id="raster-status" data-i18n>按印刷分辨率分块渲染，不受浏览器画布尺寸限制</div>
+        </div>
+        
+        <div class="panel-section">
+          <div class="panel-title" data-i18n>🛤️ 多跑道</div>
+          
+          <div class="slider-group">
+            <div class="slider-label">
+              <span class="slider-label-text" data-i18n>跑道数量</span>
+              <span class="slider-value" id="lane-count-value">${RENDER_CONFIG.lanes.count}</span>
+            </div>
+            <input type="range" id="lane-count" min="1" max="${RENDER_CONFIG.lanes.maxCount}" value="${RENDER_CONFIG.lanes.count}">
+          </div>
+          
+          <div class="slider-group">
+            <div class="slider-label">
+              <span class="slider-label-text" data-i18n>地毯间距</span>
+              <span class="slider-value" id="lane-spacing-value">${(RENDER_CONFIG.lanes.spacing * 100).toFixed(0)}cm</span>
+            </div>
+            <input type="range" id="lane-spacing" min="0" max="100" value="${Math.round(RENDER_CONFIG.lanes.spacing * 100)}">
+          </div>
+          
+          <div class="drc-summary" id="lanes-summary"></div>
+          
+          <div class="btn-group">
+            <button class="btn btn-secondary" id="btn-download-lanes-board" data-i18n>合并标定板</button>
+            <button class="btn btn-secondary" id="btn-download-lanes-svg" data-i18n>分跑道 SVG (ZIP)</button>
+          </div>
+        </div>
+        
+        <div class="panel-section">
+          <div class="panel-title" data-i18n>✏️ 地毯编辑</div>
+          <div class="btn-group">
+            <button class="btn btn-secondary" id="btn-editor-undo" title="Ctrl+Z" data-i18n>撤销</button>
+            <button class="btn btn-secondary" id="btn-editor-redo" title="Ctrl+Shift+Z / Ctrl+Y" data-i18n>重做</button>
+            <button class="btn btn-secondary" id="btn-editor-reset" data-i18n>恢复默认</button>
+          </div>
+          ${EDITOR_FIELDS.map((field, index) => `
+          ${index === 0 || EDITOR_FIELDS[index - 1].group !== field.group ? `<div class="editor-group" data-i18n>${field.group}</div>` : ''}
+          <div class="editor-field">
+            <span class="toggle-label" data-i18n>${field.label}</span>
+            ${field.unit === 'select' ? `
+            <select class="select editor-input" id="editor-field-${index}" data-index="${index}">
+              ${field.options.map(option => `<option value="${option.value}" data-i18n>${option.text}</option>`).join('')}
+            </select>` : `
+            <input class="text-input editor-input" id="editor-field-${index}" data-index="${index}"
+              type="${field.unit === 'color' ? 'color' : 'number'}"${field.step ? ` step="${field.step}"` : ''}>`}
+            <span class="editor-unit">${EDITOR_UNITS[field.unit] ? EDITOR_UNITS[field.unit].text : ''}</span>
+          </div>
+          <div class="editor-note" id="editor-note-${index}"></div>`).join('')}
+          <div class="editor-group" data-i18n>标记位置</div>
+          <div class="toggle-group">
+            <span class="toggle-label" data-i18n>在 3D 地毯上拖动标记</span>
+            <div class="toggle" id="toggle-drag-markers"></div>
+          </div>
+          <div class="editor-note" id="editor-markers"></div>
+          <div class="drc-summary" id="editor-status" data-i18n>修改后即时重新生成地毯，规范要求与检查结果显示在各字段下方</div>
+        </div>
+        
+        <div class="panel-section">
+          <div class="panel-title" data-i18n>设计规则检查</div>
+          <div class="drc-summary" id="drc-summary"></div>
+          <ul class="drc-list" id="drc-list"></ul>
+        </div>
+        
+        <div class="panel-section">
+          <div class="panel-title" data-i18n>📷 照片校验</div>
+          <div class="btn-group">
+            <button class="btn btn-secondary" id="btn-verify-upload" data-i18n>上传照片</button>
+            <button class="btn btn-secondary" id="btn-verify-phone" data-i18n>校验手机画面</button>
+          </div>
+          <input type="file" id="verify-photo-input" accept="image/*" hidden>
+          <div class="drc-summary" id="verify-summary" data-i18n>上传地毯照片，检测标记并计算透视校正误差</div>
+          <ul class="drc-list" id="verify-list"></ul>
+        </div>
+        
+        <div class="panel-section">
+          <div class="panel-title" data-i18n>📏 点击测量</div>
+          <div class="toggle-group">
+            <span class="toggle-label" data-i18n>在 3D 地毯上测量</span>
+            <div class="toggle" id="toggle-measure"></div>
+          </div>
+          <div class="drc-summary" id="measure-readout" data-i18n>点击鞋跟触地点 (3D 地毯或俯视校正图)，按垂直于起跳线的距离给出成绩</div>
+        </div>
+        
+        <div class="panel-section">
+          <div class="panel-title" data-i18n>🎯 精度仿真</div>
+          <div class="select-group">
+            <span class="toggle-label" data-i18n>候选标记位置 (m)</span>
+            <input type="text" class="text-input" id="accuracy-positions" value="${MAT_CONFIG.aruco.positions.join(', ')}">
+          </div>
+          <div class="btn-group">
+            <button class="btn btn-secondary" id="btn-accuracy-run" data-i18n>与当前布局对比</button>
+          </div>
+          <div class="drc-summary" id="accuracy-summary" data-i18n>按当前手机机位蒙特卡洛仿真落地区的成绩误差</div>
+          <table class="accuracy-table" id="accuracy-table"></table>
+          <div class="accuracy-heatmap" id="accuracy-heatmap"></div>
+        </div>
+        
+        <div class="panel-section">
+          <div class="panel-title" data-i18n>预设视角</div>
           <div class="btn-group">
-            <button class="btn btn-primary" id="btn-download-png">下载 PNG</button>
-            <button class="btn btn-secondary" id="btn-download-svg">导出规格</button>
+            <button class="btn btn-secondary" id="btn-view-top" data-i18n>俯视</button>
+            <button class="btn btn-secondary" id="btn-view-side" data-i18n>侧视</button>
+            <button class="btn btn-secondary" id="btn-view-3d" data-i18n>3D</button>
           </div>
         </div>
         
         <div class="panel-section">
-          <div class="panel-title">预设视角</div>
+          <div class="panel-title" data-i18n>📱 手机视角</div>
+          
+          <div class="slider-group">
+            <div class="slider-label">
+              <span class="slider-label-text" data-i18n>镜头高度</span>
+              <span class="slider-value" id="phone-height-value">1.80m</span>
+            </div>
+            <input type="range" id="phone-height" min="150" max="250" value="180">
+          </div>
+          
+          <div class="slider-group">
+            <div class="slider-label">
+              <span class="slider-label-text" data-i18n>俯角</span>
+              <span class="slider-value" id="phone-tilt-value">55°</span>
+            </div>
+            <input type="range" id="phone-tilt" min="20" max="90" value="55">
+          </div>
+          
+          <div class="slider-group">
+            <div class="slider-label">
+              <span class="slider-label-text" data-i18n>焦距</span>
+              <span class="slider-value" id="phone-focal-value">4.25mm</span>
+            </div>
+            <input type="range" id="phone-focal" min="200" max="800" value="425">
+          </div>
+          
+          <div class="toggle-group">
+            <span class="toggle-label" data-i18n>画中画</span>
+            <div class="toggle" id="toggle-phone-view"></div>
+          </div>
+          
+          <div class="toggle-group">
+            <span class="toggle-label" data-i18n>录制演示帧</span>
+            <div class="toggle" id="toggle-record-frames"></div>
+          </div>
+          
           <div class="btn-group">
-            <button class="btn btn-secondary" id="btn-view-top">俯视</button>
-            <button class="btn btn-secondary" id="btn-view-side">侧视</button>
-            <button class="btn btn-secondary" id="btn-view-3d">3D</button>
+            <button class="btn btn-secondary" id="btn-capture-frame" data-i18n>导出当前帧</button>
+            <button class="btn btn-secondary" id="btn-download-frames" data-i18n disabled>下载录制帧 (ZIP)</button>
           </div>
         </div>
         
         <div class="panel-section">
-          <div class="panel-title">🎬 模拟演示</div>
+          <div class="panel-title" data-i18n>🎬 模拟演示</div>
+          
+          <div class="select-group">
+            <span class="toggle-label" data-i18n>场景</span>
+            <select class="select" id="demo-scenario">
+              ${RENDER_CONFIG.jumpScenarios.map(scenario => `<option value="${scenario.key}" data-i18n>${scenario.name}</option>`).join('')}
+              <option value="custom" data-i18n>自定义</option>
+            </select>
+          </div>
+          
+          <div class="slider-group">
+            <div class="slider-label">
+              <span class="slider-label-text" data-i18n>跳跃距离</span>
+              <span class="slider-value" id="demo-distance-value">${(RENDER_CONFIG.jump.distance * 100).toFixed(0)}cm</span>
+            </div>
+            <input type="range" id="demo-distance" min="100" max="320" value="${Math.round(RENDER_CONFIG.jump.distance * 100)}">
+          </div>
+          
+          <div class="slider-group">
+            <div class="slider-label">
+              <span class="slider-label-text" data-i18n>起跳角</span>
+              <span class="slider-value" id="demo-angle-value">${RENDER_CONFIG.jump.takeoffAngle}°</span>
+            </div>
+            <input type="range" id="demo-angle" min="15" max="60" value="${RENDER_CONFIG.jump.takeoffAngle}">
+          </div>
+          
+          <div class="slider-group">
+            <div class="slider-label">
+              <span class="slider-label-text" data-i18n>身高</span>
+              <span class="slider-value" id="demo-height-value">${(RENDER_CONFIG.jump.athleteHeight * 100).toFixed(0)}cm</span>
+            </div>
+            <input type="range" id="demo-height" min="110" max="200" value="${Math.round(RENDER_CONFIG.jump.athleteHeight * 100)}">
+          </div>
+          
+          <div class="select-group">
+            <span class="toggle-label" data-i18n>落地方式</span>
+            <select class="select" id="demo-landing-style">
+              ${Object.entries(LANDING_STYLES).map(([key, style]) =>
+                `<option value="${key}"${key === RENDER_CONFIG.jump.landingStyle ? ' selected' : ''} data-i18n>${style.name}</option>`).join('')}
+            </select>
+          </div>
+          
+          <div class="drc-summary" id="demo-plan"></div>
+          
+          <div class="btn-group">
+            <button class="btn btn-primary" id="btn-demo" data-i18n>开始演示</button>
+            <button class="btn btn-secondary" id="btn-reset-demo" data-i18n>重置</button>
+          </div>
+          
+          <div class="slider-group">
+            <div class="slider-label">
+              <span class="slider-label-text" data-i18n>回放</span>
+              <span class="slider-value" id="demo-time-value"></span>
+            </div>
+            <input type="range" id="demo-scrub" min="0" max="1000" value="0">
+          </div>
+          
           <div class="btn-group">
-            <button class="btn btn-primary" id="btn-demo">开始演示</button>
-            <button class="btn btn-secondary" id="btn-reset-demo">重置</button>
+            <button class="btn btn-secondary" id="btn-demo-step-back" data-i18n>◀ 单帧</button>
+            <button class="btn btn-secondary" id="btn-demo-step-forward" data-i18n>单帧 ▶</button>
+          </div>
+          
+          <div class="toggle-group">
+            <span class="toggle-label"><span data-i18n>慢动作</span> (×${RENDER_CONFIG.jump.slowMotion})</span>
+            <div class="toggle" id="toggle-slow-motion"></div>
           </div>
         </div>
       </div>
@@ -179,21 +521,38 @@ class JumpMatViewer {
       <!-- 信息面板 -->
       <div class="info-panel">
         <div class="info-item">
-          <div class="info-label">总长度</div>
+          <div class="info-label" data-i18n>总长度</div>
           <div class="info-value">3.3<span class="info-unit">m</span></div>
         </div>
         <div class="info-item">
-          <div class="info-label">宽度</div>
+          <div class="info-label" data-i18n>宽度</div>
           <div class="info-value">0.9<span class="info-unit">m</span></div>
         </div>
         <div class="info-item">
-          <div class="info-label">落地区精度</div>
+          <div class="info-label" data-i18n>落地区精度</div>
           <div class="info-value">1<span class="info-unit">cm</span></div>
         </div>
         <div class="info-item">
-          <div class="info-label">ArUco 标记</div>
-          <div class="info-value">8<span class="info-unit">个</span></div>
+          <div class="info-label" data-i18n>ArUco 标记</div>
+          <div class="info-value">8<span class="info-unit" data-i18n>个</span></div>
+        </div>
+      </div>
+      
+      <!-- 演示裁判：犯规与成绩判定 -->
+      <div class="judge-overlay hidden" id="judge-overlay"></div>
+      
+      <!-- 手机画面 (画中画，由 WebGL 渲染到该区域) -->
+      <div class="phone-view hidden" id="phone-view">
+        <div class="phone-view-caption" id="phone-view-caption"></div>
+      </div>
+      
+      <!-- 照片校验：俯视校正图 -->
+      <div class="verify-view hidden" id="verify-view">
+        <div class="verify-view-header">
+          <span class="verify-view-caption" id="verify-view-caption"></span>
+          <button class="btn btn-secondary" id="btn-verify-close" data-i18n>关闭</button>
         </div>
+        <canvas class="verify-canvas" id="verify-canvas"></canvas>
       </div>
       
       <!-- 提示框 -->
@@ -268,15 +627,86 @@ class JumpMatViewer {
   }
 
   /**
-   * 创建地毯
+   * 按当前显示选项创建地毯生成器
+   * @param {Object} overrides - 按深度合并覆盖当前地毯配置 (如跑道的标记 ID)
    */
-  createMat() {
-    this.matGenerator = new MatGenerator({
+  createMatGenerator(overrides = {}) {
+    return new MatGenerator({
+      ...mergeConfig(this.matConfig, {
+        ...overrides,
+        layers: {
+          markers: this.state.showAruco,
+          fineScale: this.state.showFineScale
+        }
+      }),
       pixelsPerMeter: this.state.pixelsPerMeter
     });
+  }
+
+  /**
+   * 创建地毯：每条跑道一张，沿宽度方向 (世界 z) 并排，第 1 条跑道为当前地毯 (测量、校验、导出均针对它)
+   */
+  createMat() {
+    const layout = buildLaneLayout(this.matConfig, {
+      count: this.state.laneCount,
+      spacing: this.state.laneSpacing,
+      firstId: RENDER_CONFIG.lanes.firstId
+    });
+    this.lanes = layout.map(lane => {
+      const generator = this.createMatGenerator({ aruco: lane.aruco });
+      const mesh = generator.createMesh();
+      mesh.position.z = lane.offset;
+      this.scene.add(mesh);
+      return { ...lane, generator, mesh };
+    });
+    
+    this.matGenerator = this.lanes[0].generator;
+    this.matMesh = this.lanes[0].mesh;
+    this.updateDRCPanel();
+    this.updateLanesSummary();
+  }
+
+  /**
+   * 多跑道说明：各跑道的标记 ID 块
+   */
+  updateLanesSummary() {
+    const summary = document.getElementById('lanes-summary');
+    const range = (ids) => {
+      const all = [...ids.left, ...ids.right];
+      return `${Math.min(...all)}-${Math.max(...all)}`;
+    };
+    summary.className = 'drc-summary passed';
+    summary.innerHTML = this.lanes
+      .map(lane => this.t('{lane}：ID {range}', { lane: this.getLaneName(lane), range: range(lane.generator.config.aruco.ids) }))
+      .join('<br>');
+  }
+
+  /**
+   * 跑道在界面中的名称 (按界面语言)
+   */
+  getLaneName(lane) {
+    return this.t('跑道 {number}', { number: lane.index + 1 });
+  }
+
+  /**
+   * 修改跑道数量或间距，超出字典容量时拒绝并恢复原设置
+   * @param {Object} options - laneCount / laneSpacing
+   */
+  updateLanes(options) {
+    const next = { laneCount: this.state.laneCount, laneSpacing: this.state.laneSpacing, ...options };
+    try {
+      buildLaneLayout(this.matConfig, { count: next.laneCount, spacing: next.laneSpacing, firstId: RENDER_CONFIG.lanes.firstId });
+    } catch (error) {
+      const summary = document.getElementById('lanes-summary');
+      summary.className = 'drc-summary error';
+      summary.textContent = error.message;
+      document.getElementById('lane-count').value = this.state.laneCount;
+      document.getElementById('lane-count-value').textContent = this.state.laneCount;
+      return;
+    }
     
-    this.matMesh = this.matGenerator.createMesh();
-    this.scene.add(this.matMesh);
+    Object.assign(this.state, next);
+    this.regenerateMat();
   }
 
   /**
@@ -374,119 +804,753 @@ class JumpMatViewer {
     
     document.getElementById('toggle-grid').addEventListener('click', (e) => {
       e.target.classList.toggle('active');
+      this.state.showGrid = e.target.classList.contains('active');
       const grid = this.scene.getObjectByName('gridHelper');
-      if (grid) grid.visible = e.target.classList.contains('active');
+      if (grid) grid.visible = this.state.showGrid;
     });
     
-    // 下载按钮
-    document.getElementById('btn-download-png').addEventListener('click', () => {
-      this.matGenerator.downloadImage('jump-mat-cv-optimized.png');
+    // 分享与预设
+    document.getElementById('btn-share-link').addEventListener('click', () => {
+      this.shareDesignLink();
     });
     
-    document.getElementById('btn-download-svg').addEventListener('click', () => {
-      this.downloadSpecs();
+    document.getElementById('btn-preset-save').addEventListener('click', () => {
+      const name = document.getElementById('preset-name').value;
+      this.runDesignAction(() => {
+        savePreset(localStorage, name, this.getDesignState());
+        this.refreshPresetList(name.trim());
+        return this.t('已保存预设「{name}」', { name: name.trim() });
+      });
     });
     
-    // 预设视角
-    document.getElementById('btn-view-top').addEventListener('click', () => {
-      this.setView('top');
+    document.getElementById('btn-preset-load').addEventListener('click', () => {
+      const name = document.getElementById('preset-list').value;
+      this.runDesignAction(() => {
+        const preset = loadPresets(localStorage)[name];
+        if (!preset) {
+          throw new Error(this.t('请先选择预设'));
+        }
+        this.applyDesignState(parseDesignState(preset));
+        document.getElementById('preset-name').value = name;
+        return this.t('已载入预设「{name}」', { name });
+      });
     });
     
-    document.getElementById('btn-view-side').addEventListener('click', () => {
-      this.setView('side');
+    document.getElementById('btn-preset-delete').addEventListener('click', () => {
+      const name = document.getElementById('preset-list').value;
+      this.runDesignAction(() => {
+        if (!name) {
+          throw new Error(this.t('请先选择预设'));
+        }
+        deletePreset(localStorage, name);
+        this.refreshPresetList();
+        return this.t('已删除预设「{name}」', { name });
+      });
     });
     
-    document.getElementById('btn-view-3d').addEventListener('click', () => {
-      this.setView('3d');
+    document.getElementById('btn-design-export').addEventListener('click', () => {
+      this.downloadText(JSON.stringify(this.getDesignState(), null, 2), 'jump-mat-design.json', 'application/json;charset=utf-8');
     });
     
-    // 演示按钮
-    document.getElementById('btn-demo').addEventListener('click', () => {
-      this.startDemo();
+    document.getElementById('btn-design-import').addEventListener('click', () => {
+      document.getElementById('design-input').click();
     });
     
-    document.getElementById('btn-reset-demo').addEventListener('click', () => {
-      this.resetDemo();
+    document.getElementById('design-input').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        this.runDesignAction(() => {
+          let data;
+          try {
+            data = JSON.parse(reader.result);
+          } catch (error) {
+            throw new Error(this.t('{file} 不是有效的 JSON', { file: file.name }));
+          }
+          this.applyDesignState(parseDesignState(data));
+          return this.t('已导入 {file}', { file: file.name });
+        });
+      };
+      reader.readAsText(file);
+      e.target.value = '';
     });
-  }
-
-  /**
-   * 窗口大小变化处理
-   */
-  onResize() {
-    const width = this.container.clientWidth;
-    const height = this.container.clientHeight;
     
-    this.camera.aspect = width / height;
-    this.camera.updateProjectionMatrix();
-    this.renderer.setSize(width, height);
-  }
-
-  /**
-   * 设置相机角度
-   */
-  setCameraAngle(degrees) {
-    const radians = THREE.MathUtils.degToRad(degrees);
-    const distance = this.camera.position.distanceTo(this.controls.target);
+    window.addEventListener('hashchange', () => this.loadDesignFromHash());
     
-    this.camera.position.y = Math.sin(radians) * distance;
-    this.camera.position.z = Math.cos(radians) * distance * 0.8;
-  }
-
-  /**
-   * 设置缩放
-   */
-  setZoom(factor) {
-    const target = this.controls.target;
-    const direction = new THREE.Vector3().subVectors(this.camera.position, target).normalize();
-    const distance = 3 / factor;
+    // 界面语言
+    document.getElementById('ui-locale').addEventListener('change', (e) => {
+      this.setLocale(e.target.value);
+      try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, this.state.locale);
+      } catch (error) {
+        // 无法写入本地存储时仅本次生效
+      }
+    });
+    this.refreshPresetList();
     
-    this.camera.position.copy(target).add(direction.multiplyScalar(distance));
-  }
-
-  /**
-   * 设置预设视角
-   */
-  setView(view) {
-    const target = new THREE.Vector3(1.5, 0, 0);
-    let position;
+    // 手机视角
+    document.getElementById('phone-height').addEventListener('input', (e) => {
+      const height = parseInt(e.target.value) / 100;
+      document.getElementById('phone-height-value').textContent = height.toFixed(2) + 'm';
+      this.updatePhoneCamera({ height });
+    });
     
-    switch (view) {
-      case 'top':
-        position = new THREE.Vector3(1.5, 4, 0.01);
-        break;
-      case 'side':
-        position = new THREE.Vector3(1.5, 0.5, 3);
-        break;
-      case '3d':
-      default:
-        position = new THREE.Vector3(1.5, 2.5, 2);
-    }
+    document.getElementById('phone-tilt').addEventListener('input', (e) => {
+      const tilt = parseInt(e.target.value);
+      document.getElementById('phone-tilt-value').textContent = tilt + '°';
+      this.updatePhoneCamera({ tilt });
+    });
     
-    // 平滑过渡
-    this.animateCamera(position, target);
-  }
-
-  /**
-   * 相机动画
-   */
-  animateCamera(targetPosition, lookAtTarget) {
-    const startPosition = this.camera.position.clone();
-    const startTime = performance.now();
-    const duration = 800;
+    document.getElementById('phone-focal').addEventListener('input', (e) => {
+      const focalLength = parseInt(e.target.value) / 100;
+      document.getElementById('phone-focal-value').textContent = focalLength.toFixed(2) + 'mm';
+      this.updatePhoneCamera({ focalLength });
+    });
     
-    const animate = (time) => {
-      const elapsed = time - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-      const eased = 1 - Math.pow(1 - progress, 3); // Ease out cubic
-      
-      this.camera.position.lerpVectors(startPosition, targetPosition, eased);
-      this.controls.target.copy(lookAtTarget);
-      this.controls.update();
-      
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      }
+    document.getElementById('toggle-phone-view').addEventListener('click', (e) => {
+      e.target.classList.toggle('active');
+      this.state.showPhoneView = e.target.classList.contains('active');
+      document.getElementById('phone-view').classList.toggle('hidden', !this.state.showPhoneView);
+    });
+    
+    document.getElementById('toggle-record-frames').addEventListener('click', (e) => {
+      e.target.classList.toggle('active');
+      this.state.recordFrames = e.target.classList.contains('active');
+    });
+    
+    document.getElementById('btn-capture-frame').addEventListener('click', () => {
+      this.downloadDataURL(this.demoMode.phoneCamera.captureFrame(this.scene, this.renderer), 'jump-mat-phone-view.png');
+    });
+    
+    document.getElementById('btn-download-frames').addEventListener('click', () => {
+      this.downloadRecordedFrames();
+    });
+    
+    // 照片校验
+    document.getElementById('btn-verify-upload').addEventListener('click', () => {
+      document.getElementById('verify-photo-input').click();
+    });
+    
+    document.getElementById('verify-photo-input').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const url = URL.createObjectURL(file);
+      this.verifyImage(url, () => URL.revokeObjectURL(url));
+      e.target.value = '';
+    });
+    
+    document.getElementById('btn-verify-phone').addEventListener('click', () => {
+      this.verifyImage(this.demoMode.phoneCamera.captureFrame(this.scene, this.renderer));
+    });
+    
+    document.getElementById('btn-verify-close').addEventListener('click', () => {
+      document.getElementById('verify-view').classList.add('hidden');
+    });
+    
+    // 精度仿真
+    document.getElementById('btn-accuracy-run').addEventListener('click', () => {
+      this.runAccuracySimulation();
+    });
+    
+    // 点击测量：校正图上直接点击；3D 视图中按下与抬起位置相近才算点击 (拖动为旋转视角)
+    document.getElementById('verify-canvas').addEventListener('click', (e) => {
+      this.measureOnPhoto(e);
+    });
+    
+    document.getElementById('toggle-measure').addEventListener('click', (e) => {
+      e.target.classList.toggle('active');
+      this.state.measureMode = e.target.classList.contains('active');
+      if (!this.state.measureMode) this.setMeasureMarker(null);
+    });
+    
+    // 地毯编辑
+    document.querySelectorAll('.editor-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const field = EDITOR_FIELDS[Number(e.target.dataset.index)];
+        try {
+          this.applyMatEdit(setFieldValue(this.matConfig, field, e.target.value), this.t('已修改{field}', { field: this.t(field.label) }));
+        } catch (error) {
+          this.setEditorStatus(error.message, 'error');
+          this.updateEditorPanel();
+        }
+      });
+    });
+    
+    document.getElementById('btn-editor-undo').addEventListener('click', () => this.undoMatEdit());
+    document.getElementById('btn-editor-redo').addEventListener('click', () => this.redoMatEdit());
+    document.getElementById('btn-editor-reset').addEventListener('click', () => {
+      this.applyMatEdit(MAT_CONFIG, this.t('已恢复默认配置'));
+    });
+    
+    window.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        this.undoMatEdit();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        this.redoMatEdit();
+      } else {
+        return;
+      }
+      e.preventDefault();
+    });
+    
+    document.getElementById('toggle-drag-markers').addEventListener('click', (e) => {
+      e.target.classList.toggle('active');
+      this.state.dragMarkers = e.target.classList.contains('active');
+      if (!this.state.dragMarkers) this.renderer.domElement.style.cursor = '';
+    });
+    
+    // 拖动标记：按下时命中标记则暂停视角控制，移动中实时重新生成，松开后记为一步编辑
+    this.renderer.domElement.addEventListener('pointerdown', (e) => {
+      if (!this.state.dragMarkers) return;
+      const point = this.getMatPoint(e);
+      const index = point ? findMarkerAt(this.matConfig, point.x, point.y) : -1;
+      if (index < 0) return;
+      
+      this.markerDrag = { index, offset: this.matConfig.aruco.positions[index] - point.x, base: this.matConfig, pending: false };
+      this.controls.enabled = false;
+      this.renderer.domElement.setPointerCapture(e.pointerId);
+      this.renderer.domElement.style.cursor = 'grabbing';
+    });
+    this.renderer.domElement.addEventListener('pointermove', (e) => {
+      if (!this.state.dragMarkers) return;
+      const point = this.getMatPoint(e);
+      if (!this.markerDrag) {
+        const hover = point && findMarkerAt(this.matConfig, point.x, point.y) >= 0;
+        this.renderer.domElement.style.cursor = hover ? 'grab' : '';
+        return;
+      }
+      if (!point) return;
+      
+      const drag = this.markerDrag;
+      const config = moveMarker(drag.base, drag.index, point.x + drag.offset, RENDER_CONFIG.editor.markerSnap);
+      if (config.aruco.positions[drag.index] === this.matConfig.aruco.positions[drag.index]) return;
+      this.matConfig = config;
+      if (drag.pending) return;
+      drag.pending = true;
+      requestAnimationFrame(() => {
+        drag.pending = false;
+        this.regenerateMat();
+      });
+    });
+    this.renderer.domElement.addEventListener('pointerup', () => {
+      if (!this.markerDrag) return;
+      const { base, index } = this.markerDrag;
+      this.markerDrag = null;
+      this.controls.enabled = true;
+      this.renderer.domElement.style.cursor = 'grab';
+      
+      const config = this.matConfig;
+      if (config === base) return;
+      this.matConfig = base;
+      if (!this.applyMatEdit(config, this.t('标记移至 {position}m', { position: config.aruco.positions[index] }))) this.regenerateMat();
+    });
+    // 指针被取消或失去捕获 (如被系统手势打断)：放弃本次拖动，恢复视角控制与原配置
+    const cancelMarkerDrag = () => {
+      if (!this.markerDrag) return;
+      const { base } = this.markerDrag;
+      this.markerDrag = null;
+      this.controls.enabled = true;
+      this.renderer.domElement.style.cursor = '';
+      if (this.matConfig === base) return;
+      this.matConfig = base;
+      this.regenerateMat();
+    };
+    this.renderer.domElement.addEventListener('pointercancel', cancelMarkerDrag);
+    this.renderer.domElement.addEventListener('lostpointercapture', cancelMarkerDrag);
+    
+    let pointerDown = null;
+    this.renderer.domElement.addEventListener('pointerdown', (e) => {
+      pointerDown = { x: e.clientX, y: e.clientY };
+    });
+    this.renderer.domElement.addEventListener('pointerup', (e) => {
+      if (!this.state.measureMode || !pointerDown) return;
+      if (Math.hypot(e.clientX - pointerDown.x, e.clientY - pointerDown.y) < 4) {
+        this.measureOnMat(e);
+      }
+      pointerDown = null;
+    });
+    
+    // 下载按钮
+    document.getElementById('btn-download-png').addEventListener('click', () => {
+      if (!this.checkProductionExport()) return;
+      this.downloadPNG();
+    });
+    
+    document.getElementById('btn-download-svg').addEventListener('click', () => {
+      if (!this.checkProductionExport()) return;
+      this.downloadSVG();
+    });
+    
+    document.getElementById('btn-download-pdf').addEventListener('click', () => {
+      if (!this.checkProductionExport()) return;
+      this.downloadPDF(document.getElementById('pdf-layout').value);
+    });
+    
+    document.getElementById('btn-download-raster').addEventListener('click', () => {
+      if (!this.checkProductionExport()) return;
+      this.downloadRaster(Number(document.getElementById('raster-dpi').value), document.getElementById('raster-format').value);
+    });
+    
+    document.getElementById('btn-cancel-raster').addEventListener('click', () => {
+      this.cancelRasterExport();
+    });
+    
+    document.getElementById('btn-download-layer-png').addEventListener('click', () => {
+      if (!this.checkProductionExport()) return;
+      this.downloadLayer(document.getElementById('export-layer').value, 'png');
+    });
+    
+    document.getElementById('btn-download-layer-svg').addEventListener('click', () => {
+      if (!this.checkProductionExport()) return;
+      this.downloadLayer(document.getElementById('export-layer').value, 'svg');
+    });
+    
+    document.getElementById('btn-download-specs').addEventListener('click', () => {
+      this.downloadSpecs(document.getElementById('spec-format').value);
+    });
+    
+    document.getElementById('btn-download-board').addEventListener('click', () => {
+      this.downloadBoard(document.getElementById('board-format').value);
+    });
+    
+    // 多跑道：拖动时只更新数值，松开后重新生成地毯
+    document.getElementById('lane-count').addEventListener('input', (e) => {
+      document.getElementById('lane-count-value').textContent = e.target.value;
+    });
+    
+    document.getElementById('lane-count').addEventListener('change', (e) => {
+      this.updateLanes({ laneCount: parseInt(e.target.value) });
+    });
+    
+    document.getElementById('lane-spacing').addEventListener('input', (e) => {
+      document.getElementById('lane-spacing-value').textContent = `${e.target.value}cm`;
+    });
+    
+    document.getElementById('lane-spacing').addEventListener('change', (e) => {
+      this.updateLanes({ laneSpacing: parseInt(e.target.value) / 100 });
+    });
+    
+    document.getElementById('btn-download-lanes-board').addEventListener('click', () => {
+      if (!this.checkProductionExport(this.lanes)) return;
+      this.downloadLaneBoard(document.getElementById('board-format').value);
+    });
+    
+    document.getElementById('btn-download-lanes-svg').addEventListener('click', () => {
+      if (!this.checkProductionExport(this.lanes)) return;
+      this.downloadLaneSVGs();
+    });
+    
+    // 预设视角
+    document.getElementById('btn-view-top').addEventListener('click', () => {
+      this.setView('top');
+    });
+    
+    document.getElementById('btn-view-side').addEventListener('click', () => {
+      this.setView('side');
+    });
+    
+    document.getElementById('btn-view-3d').addEventListener('click', () => {
+      this.setView('3d');
+    });
+    
+    // 演示参数
+    [
+      ['demo-distance', 'distance', (v) => v / 100, (v) => `${v}cm`],
+      ['demo-angle', 'takeoffAngle', (v) => v, (v) => `${v}°`],
+      ['demo-height', 'athleteHeight', (v) => v / 100, (v) => `${v}cm`]
+    ].forEach(([id, key, toValue, format]) => {
+      document.getElementById(id).addEventListener('input', (e) => {
+        const value = parseInt(e.target.value);
+        document.getElementById(`${id}-value`).textContent = format(value);
+        document.getElementById('demo-scenario').value = 'custom';
+        this.updateDemoParams({ [key]: toValue(value) });
+      });
+    });
+    
+    document.getElementById('demo-landing-style').addEventListener('change', (e) => {
+      document.getElementById('demo-scenario').value = 'custom';
+      this.updateDemoParams({ landingStyle: e.target.value });
+    });
+    
+    // 犯规 / 边界场景：按场景参数重新规划并从头播放
+    document.getElementById('demo-scenario').addEventListener('change', (e) => {
+      const scenario = RENDER_CONFIG.jumpScenarios.find(s => s.key === e.target.value);
+      if (!scenario) return;
+      this.updateDemoParams({ ...RENDER_CONFIG.jump, ...scenario.params });
+      this.syncDemoInputs();
+      this.startDemo();
+    });
+    
+    // 演示按钮：开始 / 暂停 / 继续
+    document.getElementById('btn-demo').addEventListener('click', () => {
+      if (!this.demoMode.person || this.demoMode.time >= this.demoMode.plan.duration) {
+        this.startDemo();
+      } else {
+        this.setDemoPlaying(!this.demoMode.active);
+      }
+    });
+    
+    document.getElementById('btn-reset-demo').addEventListener('click', () => {
+      this.resetDemo();
+    });
+    
+    // 回放：拖动进度、单帧步进、慢动作
+    document.getElementById('demo-scrub').addEventListener('input', (e) => {
+      this.setDemoPlaying(false);
+      this.setDemoTime(parseInt(e.target.value) / 1000 * this.demoMode.plan.duration);
+    });
+    
+    [['btn-demo-step-back', -1], ['btn-demo-step-forward', 1]].forEach(([id, direction]) => {
+      document.getElementById(id).addEventListener('click', () => {
+        this.setDemoPlaying(false);
+        this.setDemoTime(this.demoMode.time + direction * this.demoMode.params.stepTime);
+      });
+    });
+    
+    document.getElementById('toggle-slow-motion').addEventListener('click', (e) => {
+      e.target.classList.toggle('active');
+      this.demoMode.speed = e.target.classList.contains('active') ? this.demoMode.params.slowMotion : 1;
+    });
+    
+    this.updateDemoParams({});
+  }
+
+  /**
+   * 读取上次选择的界面语言，未选择过时按浏览器语言
+   */
+  loadLocale() {
+    try {
+      return localStorage.getItem(LOCALE_STORAGE_KEY) || this.state.locale;
+    } catch (error) {
+      return this.state.locale;
+    }
+  }
+
+  /**
+   * 切换界面语言 (地毯文字语言在编辑面板中单独设置)
+   * @param {string} locale - LOCALES 的键，不支持时保持原语言
+   */
+  setLocale(locale) {
+    if (LOCALES[locale]) this.state.locale = locale;
+    localizeElement(document.getElementById('app'), this.state.locale);
+    document.getElementById('ui-locale').value = this.state.locale;
+    
+    // 运行时生成的文字按新语言重新生成 (初始化时地毯尚未创建)
+    if (!this.matGenerator) return;
+    this.updateDRCPanel();
+    this.updateLanesSummary();
+    this.updatePhoneCaption();
+    this.refreshPresetList(document.getElementById('preset-list').value);
+    this.updateDemoParams({});
+  }
+
+  /**
+   * 按界面语言翻译运行时文字
+   * @param {string} text - 简体中文原文
+   * @param {Object} params - 占位参数
+   * @returns {string}
+   */
+  t(text, params) {
+    return translate(text, this.state.locale, params);
+  }
+
+  /**
+   * 当前设计状态：地毯配置、显示选项与相机位姿
+   */
+  getDesignState() {
+    return createDesignState(this.matConfig, this.state, {
+      position: this.camera.position.toArray(),
+      target: this.controls.target.toArray()
+    });
+  }
+
+  /**
+   * 应用设计状态 (parseDesignState 的结果)，同步面板控件并重新生成地毯
+   * 跑道数量超出字典容量时整体拒绝，保持当前设计不变
+   */
+  applyDesignState(design) {
+    const view = { ...this.state, ...design.view };
+    buildLaneLayout(design.mat, { count: view.laneCount, spacing: view.laneSpacing, firstId: RENDER_CONFIG.lanes.firstId });
+    
+    this.editHistory.push(design.mat);
+    this.matConfig = design.mat;
+    Object.assign(this.state, design.view);
+    
+    [['toggle-aruco', 'showAruco'], ['toggle-fine-scale', 'showFineScale'], ['toggle-grid', 'showGrid']].forEach(([id, key]) => {
+      document.getElementById(id).classList.toggle('active', this.state[key]);
+    });
+    const grid = this.scene.getObjectByName('gridHelper');
+    if (grid) grid.visible = this.state.showGrid;
+    document.getElementById('lane-count').value = this.state.laneCount;
+    document.getElementById('lane-count-value').textContent = this.state.laneCount;
+    document.getElementById('lane-spacing').value = Math.round(this.state.laneSpacing * 100);
+    document.getElementById('lane-spacing-value').textContent = `${Math.round(this.state.laneSpacing * 100)}cm`;
+    document.getElementById('accuracy-positions').value = this.matConfig.aruco.positions.join(', ');
+    
+    this.regenerateMat();
+    this.updateDemoParams({});
+    
+    if (design.camera) {
+      this.camera.position.fromArray(design.camera.position);
+      this.controls.target.fromArray(design.camera.target);
+      this.controls.update();
+    }
+  }
+
+  /**
+   * 把当前设计写入 URL 片段并显示链接
+   */
+  shareDesignLink() {
+    const encoded = encodeDesignState(this.getDesignState());
+    this.appliedDesignHash = encoded;
+    history.replaceState(null, '', `#${DESIGN_HASH_KEY}=${encoded}`);
+    
+    const input = document.getElementById('share-link');
+    input.value = location.href;
+    input.select();
+    this.setDesignStatus(this.t('链接已更新 ({length} 字符)，复制地址栏或上方链接即可分享', { length: encoded.length }), 'passed');
+  }
+
+  /**
+   * 打开带设计参数的链接时载入 (与上次载入的相同时跳过)
+   */
+  loadDesignFromHash() {
+    const encoded = getDesignFromHash(location.hash);
+    if (!encoded || encoded === this.appliedDesignHash) return;
+    
+    this.appliedDesignHash = encoded;
+    this.runDesignAction(() => {
+      this.applyDesignState(decodeDesignState(encoded));
+      return this.t('已载入链接中的设计');
+    });
+  }
+
+  /**
+   * 刷新预设下拉列表
+   * @param {string} selected - 需选中的预设名称
+   */
+  refreshPresetList(selected) {
+    let names = [];
+    try {
+      names = Object.keys(loadPresets(localStorage)).sort();
+    } catch (error) {
+      this.setDesignStatus(this.t('无法读取本地预设：{message}', { message: error.message }), 'error');
+    }
+    const list = document.getElementById('preset-list');
+    list.innerHTML = '';
+    names.forEach(name => list.add(new Option(name, name)));
+    if (names.length === 0) list.add(new Option(this.t('(无)'), ''));
+    if (selected && names.includes(selected)) list.value = selected;
+  }
+
+  /**
+   * 执行分享 / 预设操作并显示结果
+   * @param {Function} action - 返回成功提示；抛出的错误显示在面板中
+   */
+  runDesignAction(action) {
+    try {
+      this.setDesignStatus(action(), 'passed');
+    } catch (error) {
+      this.setDesignStatus(error.message, 'error');
+    }
+  }
+
+  /**
+   * 分享 / 预设状态提示
+   */
+  setDesignStatus(message, level) {
+    const status = document.getElementById('design-status');
+    delete status.dataset.i18n; // 运行时提示取代初始说明，切换语言时不再还原
+    status.className = `drc-summary ${level}`;
+    status.textContent = message;
+  }
+
+  /**
+   * 应用一步编辑：结构校验 (与多跑道布局) 通过后记入历史并重新生成地毯
+   * @param {Object} config - 新的地毯配置
+   * @param {string} message - 成功提示
+   * @returns {boolean} 是否应用
+   */
+  applyMatEdit(config, message) {
+    const errors = validateEditorConfig(config);
+    if (errors.length === 0) {
+      try {
+        buildLaneLayout(config, { count: this.state.laneCount, spacing: this.state.laneSpacing, firstId: RENDER_CONFIG.lanes.firstId });
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    if (errors.length > 0) {
+      this.setEditorStatus(errors.join('；'), 'error');
+      this.updateEditorPanel();
+      return false;
+    }
+    
+    this.editHistory.push(config);
+    this.setMatConfig(config);
+    this.setEditorStatus(message, 'passed');
+    return true;
+  }
+
+  /**
+   * 撤销一步编辑
+   */
+  undoMatEdit() {
+    const config = this.editHistory.undo();
+    if (!config) return;
+    this.setMatConfig(config);
+    this.setEditorStatus(this.t('已撤销'), 'passed');
+  }
+
+  /**
+   * 重做一步编辑
+   */
+  redoMatEdit() {
+    const config = this.editHistory.redo();
+    if (!config) return;
+    this.setMatConfig(config);
+    this.setEditorStatus(this.t('已重做'), 'passed');
+  }
+
+  /**
+   * 切换地毯配置并重新生成 (不记录历史)
+   */
+  setMatConfig(config) {
+    this.matConfig = config;
+    this.regenerateMat();
+    this.updateDemoParams({});
+  }
+
+  /**
+   * 刷新编辑面板：字段值、规范要求与对应的 DRC 结果、标记位置、撤销 / 重做可用状态
+   */
+  updateEditorPanel() {
+    const { violations } = this.drcResult;
+    const issues = (paths) => violations
+      .filter(v => paths.includes(v.path))
+      .map(v => `<div class="editor-issue ${v.severity}">${v.message}</div>`)
+      .join('');
+    
+    EDITOR_FIELDS.forEach((field, index) => {
+      document.getElementById(`editor-field-${index}`).value = getFieldValue(this.matConfig, field);
+      document.getElementById(`editor-note-${index}`).innerHTML =
+        (field.limit ? `<div class="editor-limit">${field.limit(this.matConfig.drc)}</div>` : '') + issues(field.paths);
+    });
+    
+    const positions = this.matConfig.aruco.positions.map(position => `${position}m`).join(' · ');
+    document.getElementById('editor-markers').innerHTML =
+      `<div class="editor-limit">${this.t('{positions} (两侧共用，吸附 {snap}cm)', { positions, snap: RENDER_CONFIG.editor.markerSnap * 100 })}</div>` +
+      issues(['aruco.positions', 'aruco.ids']);
+    
+    document.getElementById('btn-editor-undo').disabled = !this.editHistory.canUndo();
+    document.getElementById('btn-editor-redo').disabled = !this.editHistory.canRedo();
+  }
+
+  /**
+   * 编辑状态提示
+   */
+  setEditorStatus(message, level) {
+    const status = document.getElementById('editor-status');
+    delete status.dataset.i18n;
+    status.className = `drc-summary ${level}`;
+    status.textContent = message;
+  }
+
+  /**
+   * 指针在地面 (y = 0) 上对应的地毯坐标
+   * @returns {{x: number, y: number}|null} x 沿跳跃方向，y 自地毯左侧边缘起 (m)；未指向地面时为 null
+   */
+  getMatPoint(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    ), this.camera);
+    const point = raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Vector3());
+    return point ? { x: point.x, y: point.z + this.matConfig.totalWidth / 2 } : null;
+  }
+
+  /**
+   * 窗口大小变化处理
+   */
+  onResize() {
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+    
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(width, height);
+  }
+
+  /**
+   * 设置相机角度
+   */
+  setCameraAngle(degrees) {
+    const radians = THREE.MathUtils.degToRad(degrees);
+    const distance = this.camera.position.distanceTo(this.controls.target);
+    
+    this.camera.position.y = Math.sin(radians) * distance;
+    this.camera.position.z = Math.cos(radians) * distance * 0.8;
+  }
+
+  /**
+   * 设置缩放
+   */
+  setZoom(factor) {
+    const target = this.controls.target;
+    const direction = new THREE.Vector3().subVectors(this.camera.position, target).normalize();
+    const distance = 3 / factor;
+    
+    this.camera.position.copy(target).add(direction.multiplyScalar(distance));
+  }
+
+  /**
+   * 设置预设视角
+   */
+  setView(view) {
+    const target = new THREE.Vector3(1.5, 0, 0);
+    let position;
+    
+    switch (view) {
+      case 'top':
+        position = new THREE.Vector3(1.5, 4, 0.01);
+        break;
+      case 'side':
+        position = new THREE.Vector3(1.5, 0.5, 3);
+        break;
+      case '3d':
+      default:
+        position = new THREE.Vector3(1.5, 2.5, 2);
+    }
+    
+    // 平滑过渡
+    this.animateCamera(position, target);
+  }
+
+  /**
+   * 相机动画
+   */
+  animateCamera(targetPosition, lookAtTarget) {
+    const startPosition = this.camera.position.clone();
+    const startTime = performance.now();
+    const duration = 800;
+    
+    const animate = (time) => {
+      const elapsed = time - startTime;
+      const progress = Math.min(elapsed / duration, 1);
+      const eased = 1 - Math.pow(1 - progress, 3); // Ease out cubic
+      
+      this.camera.position.lerpVectors(startPosition, targetPosition, eased);
+      this.controls.target.copy(lookAtTarget);
+      this.controls.update();
+      
+      if (progress < 1) {
+        requestAnimationFrame(animate);
+      }
     };
     
     requestAnimationFrame(animate);
@@ -496,103 +1560,541 @@ class JumpMatViewer {
    * 重新生成地毯
    */
   regenerateMat() {
-    if (this.matMesh) {
-      this.scene.remove(this.matMesh);
-      this.matMesh.geometry.dispose();
-      this.matMesh.material.dispose();
+    this.lanes.forEach(({ mesh }) => {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      // 纹理不随材质释放，拖动标记时每帧重新生成，须一并释放显存
+      if (mesh.material.map) mesh.material.map.dispose();
+      mesh.material.dispose();
+    });
+    
+    this.createMat();
+  }
+
+  /**
+   * 运行设计规则检查并刷新面板
+   */
+  updateDRCPanel() {
+    this.drcResult = runDesignRuleCheck(this.matGenerator, { locale: this.state.locale });
+    const { violations, errorCount, warningCount, passed } = this.drcResult;
+    
+    const summary = document.getElementById('drc-summary');
+    if (!passed) {
+      summary.className = 'drc-summary error';
+      summary.textContent = this.t('{count} 项错误，禁止生产导出', { count: errorCount });
+    } else if (warningCount > 0) {
+      summary.className = 'drc-summary warning';
+      summary.textContent = this.t('通过，{count} 条建议', { count: warningCount });
+    } else {
+      summary.className = 'drc-summary passed';
+      summary.textContent = this.t('全部通过');
     }
     
-    this.matGenerator = new MatGenerator({
-      pixelsPerMeter: this.state.pixelsPerMeter
+    document.getElementById('drc-list').innerHTML = violations.map(v => `
+      <li class="drc-item ${v.severity}">
+        <div class="drc-message">${v.message}</div>
+        <div class="drc-location">${v.location} · ${v.path}</div>
+      </li>
+    `).join('');
+    this.updateEditorPanel();
+  }
+
+  /**
+   * 生产导出前检查：存在 DRC 错误时阻止导出
+   * @param {Array} lanes - 多跑道导出时逐条跑道检查 (各跑道标记 ID 不同)；默认只检查当前地毯
+   * @returns {boolean} 是否继续导出
+   */
+  checkProductionExport(lanes = null) {
+    const errors = lanes
+      ? lanes.flatMap(lane => runDesignRuleCheck(lane.generator, { locale: this.state.locale }).violations
+        .filter(v => v.severity === 'error')
+        .map(v => ({ ...v, location: `${this.getLaneName(lane)} · ${v.location}` })))
+      : this.drcResult.violations.filter(v => v.severity === 'error');
+    if (errors.length === 0) return true;
+    
+    window.alert(
+      this.t('设计规则检查未通过，已阻止生产导出:') + '\n\n' +
+      errors.map(v => `- ${v.message} (${v.location})`).join('\n')
+    );
+    return false;
+  }
+
+  /**
+   * 校验照片：读取像素后检测标记、求解单应矩阵，刷新面板并显示俯视校正图
+   * @param {string} src - 图片地址 (Object URL 或 Data URL)
+   * @param {Function} onLoaded - 图片读取完成后的回调 (释放 Object URL 等)
+   */
+  verifyImage(src, onLoaded = () => {}) {
+    const summary = document.getElementById('verify-summary');
+    delete summary.dataset.i18n;
+    summary.className = 'drc-summary';
+    summary.textContent = this.t('识别中...');
+    document.getElementById('verify-list').innerHTML = '';
+    
+    const img = new Image();
+    img.onerror = () => {
+      onLoaded();
+      summary.className = 'drc-summary error';
+      summary.textContent = this.t('无法读取图片');
+    };
+    img.onload = () => {
+      onLoaded();
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      
+      let result;
+      try {
+        result = verifyPhoto(image, this.matGenerator);
+      } catch (error) {
+        summary.className = 'drc-summary error';
+        summary.textContent = error.message;
+        document.getElementById('verify-view').classList.add('hidden');
+        return;
+      }
+      this.showVerifyResult(image, result);
+    };
+    img.src = src;
+  }
+
+  /**
+   * 显示照片校验结果：逐标记误差 (mm) 与带米制网格的俯视校正图
+   */
+  showVerifyResult(image, result) {
+    const { markers, missing, unexpected, maxError, tolerance, passed } = result;
+    
+    const summary = document.getElementById('verify-summary');
+    summary.className = `drc-summary ${passed ? 'passed' : 'error'}`;
+    summary.textContent = this.t(passed
+      ? '识别 {count} 个标记，最大误差 {error}mm < {tolerance}mm，通过'
+      : '识别 {count} 个标记，最大误差 {error}mm，超出 {tolerance}mm',
+    { count: markers.length, error: maxError.toFixed(2), tolerance });
+    
+    const notes = [];
+    if (missing.length > 0) notes.push(this.t('未识别: ID {ids}', { ids: missing.join(', ') }));
+    if (unexpected.length > 0) notes.push(this.t('非本地毯标记: ID {ids}', { ids: unexpected.join(', ') }));
+    document.getElementById('verify-list').innerHTML = markers.map(m => {
+      const error = (m.holdout || m.fit).max;
+      return `
+        <li class="drc-item ${error < tolerance ? 'passed' : 'error'}">
+          <div class="drc-message">${this.t('ID {id} @ {position}m：最大 {max}mm，RMS {rms}mm', { id: m.id, position: m.position, max: error.toFixed(2), rms: (m.holdout || m.fit).rms.toFixed(2) })}</div>
+          <div class="drc-location">${this.t('{method} · 拟合残差 {fit}mm', { method: this.t(m.holdout ? '留一法 (由其余标记求解)' : '拟合残差'), fit: m.fit.max.toFixed(2) })}</div>
+        </li>
+      `;
+    }).join('') + notes.map(note => `
+      <li class="drc-item warning"><div class="drc-message">${note}</div></li>
+    `).join('');
+    
+    // 俯视校正图
+    const rectified = rectifyPhoto(image, result.homography, this.matGenerator);
+    const canvas = document.getElementById('verify-canvas');
+    canvas.width = rectified.width;
+    canvas.height = rectified.height;
+    this.verifyState = { image, result, rectified };
+    this.drawVerifyView(null);
+    
+    document.getElementById('verify-view-caption').textContent =
+      this.t('俯视校正 {width}×{height} → {ppm}px/m · 绿框: 布局位置 · 红点: 检测角点',
+        { width: image.width, height: image.height, ppm: rectified.pixelsPerMeter });
+    document.getElementById('verify-view').classList.remove('hidden');
+  }
+
+  /**
+   * 绘制俯视校正图与叠加层
+   * @param {Object|null} measurement - 点击测量结果，非空时一并标出
+   */
+  drawVerifyView(measurement) {
+    const { result, rectified } = this.verifyState;
+    const ctx = document.getElementById('verify-canvas').getContext('2d');
+    ctx.putImageData(new ImageData(rectified.data, rectified.width, rectified.height), 0, 0);
+    drawVerifyOverlay(ctx, rectified, result, this.matGenerator);
+    if (measurement) drawMeasurement(ctx, rectified, measurement);
+  }
+
+  /**
+   * 在俯视校正图上测量：点击位置换算为地毯坐标，
+   * 不确定度由单应矩阵的刀切法估计 (反映标记检测误差与外推距离)
+   */
+  measureOnPhoto(event) {
+    if (!this.verifyState) return;
+    const { result, rectified } = this.verifyState;
+    const canvas = event.target;
+    const rect = canvas.getBoundingClientRect();
+    const px = (event.clientX - rect.left) * canvas.width / rect.width;
+    const py = (event.clientY - rect.top) * canvas.height / rect.height;
+    const x = rectified.origin.x + px / rectified.pixelsPerMeter;
+    const y = rectified.origin.y + py / rectified.pixelsPerMeter;
+    
+    const imagePoint = applyHomography(result.homography, [x, y]);
+    const uncertainty = estimatePointUncertainty(result, this.matGenerator, imagePoint).x;
+    const measurement = measureJump(this.matGenerator, x, y, uncertainty);
+    this.drawVerifyView(measurement);
+    this.showMeasurement(measurement, this.t('照片'));
+  }
+
+  /**
+   * 在 3D 地毯上测量：射线与地毯网格求交，
+   * 不确定度取一个屏幕像素在地毯上的跨度 (均匀量化的标准差 = 跨度 / √12)
+   */
+  measureOnMat(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const raycaster = new THREE.Raycaster();
+    const pick = (dx, dy) => {
+      raycaster.setFromCamera(new THREE.Vector2(
+        ((event.clientX + dx - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY + dy - rect.top) / rect.height) * 2 + 1
+      ), this.camera);
+      const hit = raycaster.intersectObject(this.matMesh)[0];
+      return hit ? hit.point : null;
+    };
+    
+    const point = pick(0, 0);
+    if (!point) return;
+    const neighbours = [pick(1, 0), pick(0, 1)].filter(Boolean);
+    const footprint = Math.max(0, ...neighbours.map(p => Math.abs(p.x - point.x)));
+    
+    const { totalWidth } = this.matGenerator.config;
+    const measurement = measureJump(this.matGenerator, point.x, point.z + totalWidth / 2, footprint / Math.sqrt(12));
+    this.setMeasureMarker(measurement);
+    this.showMeasurement(measurement, this.t('3D 地毯'));
+  }
+
+  /**
+   * 显示测量结果；演示进行中时附上演示设定的成绩 (离起跳线最近的触地点) 供裁判核对
+   * @param {Object} measurement - measureJump 的结果
+   * @param {string} source - 测量来源
+   */
+  showMeasurement(measurement, source) {
+    const { distance, detail } = formatMeasurement(measurement, { locale: this.state.locale });
+    const lines = [this.t('{source}：{distance}', { source, distance }), detail];
+    
+    if (this.demoMode.person) {
+      const { plan, judgement } = this.demoMode;
+      lines.push(this.t('演示{summary} ({style})，最近触地点 {nearest} cm，差 {difference} cm', {
+        summary: judgement.summary,
+        style: this.t(LANDING_STYLES[plan.landingStyle].name),
+        nearest: (judgement.nearest.x * 100).toFixed(1),
+        difference: ((measurement.distance - judgement.nearest.x) * 100).toFixed(1)
+      }));
+    }
+    
+    const readout = document.getElementById('measure-readout');
+    delete readout.dataset.i18n;
+    readout.className = `drc-summary ${measurement.onMat ? 'passed' : 'warning'}`;
+    readout.innerHTML = lines.join('<br>');
+  }
+
+  /**
+   * 3D 视图中的测量标记：起跳线到触地点的垂线与触地点十字
+   * @param {Object|null} measurement - 为 null 时移除
+   */
+  setMeasureMarker(measurement) {
+    if (this.measureMarker) {
+      this.scene.remove(this.measureMarker);
+      this.measureMarker.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      this.measureMarker = null;
+    }
+    if (!measurement) return;
+    
+    const z = measurement.y - this.matGenerator.config.totalWidth / 2;
+    const { x } = measurement;
+    const height = 0.003;
+    const size = 0.03;
+    const material = new THREE.LineBasicMaterial({ color: 0xe6ff00, depthTest: false });
+    const segments = [
+      [0, z, x, z],
+      [x - size, z, x + size, z],
+      [x, z - size, x, z + size]
+    ];
+    
+    const group = new THREE.Group();
+    segments.forEach(([x1, z1, x2, z2]) => {
+      const geometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(x1, height, z1),
+        new THREE.Vector3(x2, height, z2)
+      ]);
+      const line = new THREE.Line(geometry, material);
+      line.renderOrder = 10;
+      group.add(line);
+    });
+    group.name = 'measureMarker';
+    this.measureMarker = group;
+    this.scene.add(group);
+  }
+
+  /**
+   * 精度仿真：当前布局与候选标记位置在当前手机机位下的误差预算对比与热力图
+   */
+  runAccuracySimulation() {
+    const summary = document.getElementById('accuracy-summary');
+    delete summary.dataset.i18n;
+    const table = document.getElementById('accuracy-table');
+    const heatmap = document.getElementById('accuracy-heatmap');
+    table.innerHTML = '';
+    heatmap.innerHTML = '';
+    
+    const text = document.getElementById('accuracy-positions').value;
+    const positions = text.split(/[,，\s]+/).filter(Boolean).map(Number);
+    const options = { camera: this.demoMode.phoneCamera.config };
+    
+    let entries;
+    try {
+      if (positions.length === 0 || positions.some(Number.isNaN)) {
+        throw new Error(this.t('无法解析标记位置: {text}', { text }));
+      }
+      const candidate = withMarkerPositions(this.matGenerator, positions);
+      entries = [
+        { label: this.t('当前'), generator: this.matGenerator },
+        { label: this.t('候选'), generator: candidate }
+      ].map(entry => ({ ...entry, result: simulateMeasurementError(entry.generator, options) }));
+    } catch (error) {
+      summary.className = 'drc-summary error';
+      summary.textContent = error.message;
+      return;
+    }
+    
+    const [current, candidate] = entries.map(entry => entry.result);
+    const worse = candidate.worstP95 === null || (current.worstP95 !== null && candidate.worstP95 > current.worstP95);
+    summary.className = `drc-summary ${worse ? 'warning' : 'passed'}`;
+    const [currentText, candidateText] = entries.map(({ label, result }) => this.t('{label}: 最差 P95 {p95}', {
+      label,
+      p95: result.worstP95 === null ? '—' : `${(result.worstP95 * 1000).toFixed(2)}mm`
+    }));
+    summary.textContent = this.t('{current}，{candidate} (要求 {tolerance}mm，{trials} 次仿真)', {
+      current: currentText,
+      candidate: candidateText,
+      tolerance: (current.tolerance * 1000).toFixed(0),
+      trials: current.trials
     });
     
-    this.matMesh = this.matGenerator.createMesh();
-    this.scene.add(this.matMesh);
+    const { headers, rows } = buildErrorBudgetTable(entries);
+    table.innerHTML = `<tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr>` +
+      rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('');
+    heatmap.innerHTML = entries.map(({ label, result, generator }) =>
+      `<div class="accuracy-heatmap-label">${label}</div>${renderErrorHeatmapSVG(result, generator, { xmlDeclaration: false })}`).join('');
+  }
+
+  /**
+   * 下载技术规格书 (由当前配置生成)
+   * 每次一个文件：Markdown 按文件名引用示意图，示意图 SVG 单独选择格式下载
+   * @param {string} format - md / html / pdf / svg
+   */
+  downloadSpecs(format) {
+    const diagram = buildSpecDiagram(this.matGenerator);
+    
+    if (format === 'svg') {
+      this.downloadText(renderArtworkSVG(diagram), 'jump-mat-spec-diagram.svg', 'image/svg+xml;charset=utf-8');
+      return;
+    }
+    
+    const sheet = buildSpecSheet(this.matGenerator);
+    if (format === 'html') {
+      this.downloadText(toSpecHTML(sheet, diagram), 'jump-mat-specs.html', 'text/html;charset=utf-8');
+    } else if (format === 'pdf') {
+      this.downloadText(renderSpecPDF(sheet, diagram), 'jump-mat-specs.pdf', 'application/pdf');
+    } else {
+      this.downloadText(toSpecMarkdown(sheet, 'jump-mat-spec-diagram.svg'), 'jump-mat-specs.md', 'text/markdown;charset=utf-8');
+    }
   }
 
   /**
-   * 下载技术规格
+   * 以当前配置创建生产稿生成器 (不含纹理噪点)
+   * 所有图层强制显示：查看器里隐藏标记 / 精细刻度只影响预览，不能带进印刷稿
+   * @param {MatGenerator} generator - 来源生成器，默认为当前地毯
    */
-  downloadSpecs() {
-    const specs = `
-立定跳远测量地毯 - 技术规格书
-=====================================
+  createProductionGenerator(generator = this.matGenerator) {
+    return new MatGenerator({
+      ...generator.config,
+      pixelsPerMeter: generator.pixelsPerMeter,
+      texture: { mode: 'none' },
+      layers: Object.fromEntries(MAT_LAYERS.map(layer => [layer.id, true]))
+    });
+  }
 
-一、整体尺寸
-- 总长度: 3.3米 (含30cm起跳区)
-- 总宽度: 0.9米 (90cm)
-- 建议厚度: 8-10mm
+  /**
+   * 下载位图 PNG
+   * 生产稿不含纹理噪点，按当前配置另行渲染；文件名带内容哈希，便于核对
+   */
+  downloadPNG() {
+    const generator = this.createProductionGenerator();
+    const hash = generator.getContentHash();
+    generator.downloadImage(`jump-mat-cv-optimized-${hash.slice(0, 8)}.png`);
+  }
 
-二、区域划分
-1. 起跳区: -0.3m ~ 0m
-   - 极简设计，防止干扰
-   - 起跳线位置: 0m
+  /**
+   * 下载矢量 SVG (1:1 毫米单位)
+   */
+  downloadSVG() {
+    const svg = renderMatSVG(this.createProductionGenerator());
+    this.downloadText(svg, 'jump-mat-cv-optimized.svg', 'image/svg+xml;charset=utf-8');
+  }
 
-2. 飞行区: 0m ~ 1.4m
-   - 刻度稀疏 (10cm间隔)
-   - 无1cm精细刻度
+  /**
+   * 下载单个图层 (印刷分色用)，其余图层隐藏，PNG 背景透明
+   * @param {string} layerId - 图层 ID (见 MAT_LAYERS)
+   * @param {string} format - png / svg
+   */
+  downloadLayer(layerId, format) {
+    const generator = this.createProductionGenerator().withLayers([layerId]);
+    
+    if (format === 'svg') {
+      this.downloadText(renderMatSVG(generator), `jump-mat-layer-${layerId}.svg`, 'image/svg+xml;charset=utf-8');
+    } else {
+      generator.downloadImage(`jump-mat-layer-${layerId}.png`);
+    }
+  }
 
-3. 核心落地区: 1.4m ~ 2.8m
-   - 全精度刻度覆盖
-   - 1cm精细刻度 (两侧3cm宽边缘)
-   - 10cm中等刻度 (中央区域)
+  /**
+   * 分块导出高分辨率位图 (生产稿，不含纹理噪点)
+   * 按印刷分辨率逐块渲染并流式编码，面板中显示进度，可取消；文件名带分辨率与内容哈希
+   * @param {number} dpi - 印刷分辨率
+   * @param {string} format - png / tiff (见 RASTER_FORMATS)
+   */
+  downloadRaster(dpi, format) {
+    if (this.rasterExport) return;
+    
+    const generator = this.createProductionGenerator();
+    const hash = generator.getContentHash();
+    const filename = `jump-mat-${dpi}dpi-${hash.slice(0, 8)}.${RASTER_FORMATS[format].extension}`;
+    const finish = () => this.endRasterExport();
+    
+    try {
+      this.rasterExport = exportRaster(generator, { format, dpi }, {
+        onProgress: ({ done, total }) => {
+          const { width, height } = this.rasterExport;
+          this.setRasterStatus(this.t('{width}×{height} 像素 · 已渲染 {done}/{total} 块 ({percent}%)',
+            { width, height, done, total, percent: Math.round(done / total * 100) }), 'warning');
+        },
+        onDone: (blob, { width, height }) => {
+          finish();
+          this.downloadText(blob, filename, blob.type);
+          this.setRasterStatus(this.t('已导出 {file} ({width}×{height} 像素，{size} MB)',
+            { file: filename, width, height, size: (blob.size / 1048576).toFixed(1) }), 'passed');
+        },
+        onError: (error) => {
+          finish();
+          this.setRasterStatus(this.t('导出失败: {message}', { message: error.message }), 'error');
+        }
+      });
+    } catch (error) {
+      finish();
+      this.setRasterStatus(this.t('导出失败: {message}', { message: error.message }), 'error');
+      return;
+    }
+    
+    document.getElementById('btn-download-raster').disabled = true;
+    document.getElementById('btn-cancel-raster').disabled = false;
+    this.setRasterStatus(this.t('{width}×{height} 像素，共 {tiles} 块，开始渲染…', this.rasterExport), 'warning');
+  }
 
-4. 扩展区: 2.8m ~ 3.0m
-   - 稀疏刻度
+  /**
+   * 取消进行中的高清导出
+   */
+  cancelRasterExport() {
+    if (!this.rasterExport) return;
+    this.rasterExport.cancel();
+    this.endRasterExport();
+    this.setRasterStatus(this.t('已取消导出'), 'error');
+  }
 
-三、ArUco标记规格
-- 类型: ArUco 4x4_50 字典
-- 核心区尺寸: 8cm x 8cm
-- 白色边框: 1.5cm
-- 总占用面积: 约11cm x 11cm
-- 位置: 0m, 1.0m, 1.8m, 2.4m 两侧
-- 数量: 8个
+  /**
+   * 高清导出结束 (完成、失败或取消)：恢复按钮状态
+   */
+  endRasterExport() {
+    this.rasterExport = null;
+    document.getElementById('btn-download-raster').disabled = false;
+    document.getElementById('btn-cancel-raster').disabled = true;
+  }
 
-四、刻度线规格
-1. 1cm精细刻度:
-   - 线宽: 1.5mm
-   - 长度: 3cm
-   - 颜色: Pantone 123C (荧光黄) 或纯白
+  /**
+   * 高清导出状态提示
+   */
+  setRasterStatus(message, level) {
+    const status = document.getElementById('raster-status');
+    delete status.dataset.i18n;
+    status.className = `drc-summary ${level}`;
+    status.textContent = message;
+  }
 
-2. 10cm中等刻度:
-   - 线宽: 3mm
-   - 长度: 6-10cm
-   - 颜色: 纯白 #FFFFFF
+  /**
+   * 下载印刷 PDF
+   * @param {string} layout - 'single' 为整幅单页，其余为拼版纸张 (A4 / A3)
+   */
+  downloadPDF(layout) {
+    const options = layout === 'single'
+      ? { mode: 'single' }
+      : { mode: 'tiled', paper: layout };
+    const pdf = renderMatPDF(this.createProductionGenerator(), options);
+    const suffix = layout === 'single' ? 'print' : `tiles-${layout.toLowerCase()}`;
+    this.downloadText(pdf, `jump-mat-${suffix}.pdf`, 'application/pdf');
+  }
 
-3. 整米刻度:
-   - 线宽: 5mm
-   - 长度: 15cm
-   - 颜色: 纯白 #FFFFFF
+  /**
+   * 下载标定板文件 (每次一种格式，避免浏览器拦截同一次点击触发的第二个下载)
+   * @param {string} format - json / yaml (OpenCV FileStorage)
+   */
+  downloadBoard(format) {
+    this.downloadBoardFile(buildBoardDescription(this.matGenerator), 'jump-mat-board', format);
+  }
 
-4. 起跳线:
-   - 线宽: 6mm
-   - 颜色: 红色 #FF4444
+  /**
+   * 按格式下载标定板描述
+   * @param {Object} board - buildBoardDescription 的结果
+   * @param {string} basename - 文件名 (不含扩展名)
+   * @param {string} format - json / yaml
+   */
+  downloadBoardFile(board, basename, format) {
+    if (format === 'yaml') {
+      this.downloadText(toOpenCVBoardYAML(board), `${basename}.yml`, 'text/yaml;charset=utf-8');
+    } else {
+      this.downloadText(toBoardJSON(board), `${basename}.json`, 'application/json;charset=utf-8');
+    }
+  }
 
-五、颜色规格
-- 底色: 深空灰 #1A1A1A (哑光)
-- 刻度线: 荧光黄 #E6FF00 或纯白 #FFFFFF
-- 起跳线: 红色 #FF4444
-- ArUco: 纯黑 #000000 + 纯白 #FFFFFF
+  /**
+   * 下载多跑道合并标定板
+   * @param {string} format - json / yaml (同 downloadBoard)
+   */
+  downloadLaneBoard(format) {
+    this.downloadBoardFile(buildLaneBoardDescription(this.lanes), 'jump-mat-lanes-board', format);
+  }
 
-六、材质要求
-- 推荐: 天然橡胶底 + PU表层 或 加厚TPE
-- 表面: 必须哑光 (Matte Finish)
-- 禁止: 反光/光面处理
+  /**
+   * 下载各跑道矢量 SVG (各跑道标记 ID 不同，需分别印刷)，打包为一个 ZIP
+   */
+  downloadLaneSVGs() {
+    const zip = createZip(this.lanes.map(lane => ({
+      name: `jump-mat-lane-${lane.index + 1}.svg`,
+      content: renderMatSVG(this.createProductionGenerator(lane.generator))
+    })));
+    this.downloadText(zip, 'jump-mat-lanes-svg.zip', zip.type);
+  }
 
-七、印刷精度要求
-- ArUco标记精度: ±0.5mm
-- 刻度线位置精度: ±1mm
-- 颜色色差: ΔE < 3
+  /**
+   * 下载 Data URL (图片)
+   */
+  downloadDataURL(dataURL, filename) {
+    const link = document.createElement('a');
+    link.href = dataURL;
+    link.download = filename;
+    link.click();
+  }
 
-=====================================
-生成时间: ${new Date().toLocaleString('zh-CN')}
-    `.trim();
-    
-    const blob = new Blob([specs], { type: 'text/plain;charset=utf-8' });
+  /**
+   * 下载文本 / 二进制文件
+   */
+  downloadText(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = 'jump-mat-specs.txt';
+    link.download = filename;
     link.click();
     URL.revokeObjectURL(url);
   }
@@ -611,250 +2113,290 @@ class JumpMatViewer {
   }
 
   /**
-   * 创建简易人物模型
+   * 创建手机相机 (演示三脚架上的手机)
    */
-  createPerson() {
-    const group = new THREE.Group();
-    
-    // 身体颜色
-    const skinColor = 0xffdbac;
-    const clothColor = 0x2563eb;
-    const shoeColor = 0xffffff;
-    
-    // 头部
-    const headGeometry = new THREE.SphereGeometry(0.1, 16, 16);
-    const headMaterial = new THREE.MeshStandardMaterial({ color: skinColor });
-    const head = new THREE.Mesh(headGeometry, headMaterial);
-    head.position.y = 1.6;
-    group.add(head);
-    
-    // 身体
-    const bodyGeometry = new THREE.CylinderGeometry(0.12, 0.15, 0.5, 8);
-    const bodyMaterial = new THREE.MeshStandardMaterial({ color: clothColor });
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-    body.position.y = 1.25;
-    group.add(body);
-    
-    // 左臂
-    const armGeometry = new THREE.CylinderGeometry(0.03, 0.04, 0.4, 8);
-    const armMaterial = new THREE.MeshStandardMaterial({ color: skinColor });
-    const leftArm = new THREE.Mesh(armGeometry, armMaterial);
-    leftArm.position.set(-0.18, 1.3, 0);
-    leftArm.rotation.z = Math.PI / 6;
-    leftArm.name = 'leftArm';
-    group.add(leftArm);
-    
-    // 右臂
-    const rightArm = new THREE.Mesh(armGeometry, armMaterial);
-    rightArm.position.set(0.18, 1.3, 0);
-    rightArm.rotation.z = -Math.PI / 6;
-    rightArm.name = 'rightArm';
-    group.add(rightArm);
-    
-    // 左腿
-    const legGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.5, 8);
-    const legMaterial = new THREE.MeshStandardMaterial({ color: clothColor });
-    const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
-    leftLeg.position.set(-0.08, 0.75, 0);
-    leftLeg.name = 'leftLeg';
-    group.add(leftLeg);
-    
-    // 右腿
-    const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
-    rightLeg.position.set(0.08, 0.75, 0);
-    rightLeg.name = 'rightLeg';
-    group.add(rightLeg);
-    
-    // 左脚（运动鞋）
-    const shoeGeometry = new THREE.BoxGeometry(0.08, 0.05, 0.15);
-    const shoeMaterial = new THREE.MeshStandardMaterial({ color: shoeColor });
-    const leftShoe = new THREE.Mesh(shoeGeometry, shoeMaterial);
-    leftShoe.position.set(-0.08, 0.48, 0.02);
-    leftShoe.name = 'leftShoe';
-    group.add(leftShoe);
-    
-    // 右脚
-    const rightShoe = new THREE.Mesh(shoeGeometry, shoeMaterial);
-    rightShoe.position.set(0.08, 0.48, 0.02);
-    rightShoe.name = 'rightShoe';
-    group.add(rightShoe);
-    
-    group.name = 'person';
-    return group;
-  }
-
-  /**
-   * 创建摄像机三脚架模型
-   */
-  createTripodWithPhone() {
-    const group = new THREE.Group();
-    
-    // 使用更亮的颜色 - 银色/白色系
-    const silverColor = 0xb8b8b8;        // 银色
-    const darkSilver = 0x888888;         // 深银色
-    const whiteColor = 0xffffff;         // 白色
-    const phoneFrameColor = 0xe0e0e0;    // 浅灰色手机边框
-    
-    // 三脚架腿 - 银色金属
-    const legGeometry = new THREE.CylinderGeometry(0.012, 0.018, 1.0, 8);
-    const legMaterial = new THREE.MeshStandardMaterial({ 
-      color: silverColor, 
-      metalness: 0.9, 
-      roughness: 0.2 
-    });
-    
-    for (let i = 0; i < 3; i++) {
-      const leg = new THREE.Mesh(legGeometry, legMaterial);
-      const angle = (i * 2 * Math.PI) / 3;
-      leg.position.set(Math.sin(angle) * 0.25, 0.5, Math.cos(angle) * 0.25);
-      leg.rotation.x = Math.PI / 10;
-      leg.rotation.z = -Math.sin(angle) * Math.PI / 10;
-      group.add(leg);
-      
-      // 腿部关节装饰
-      const jointGeometry = new THREE.SphereGeometry(0.02, 8, 8);
-      const joint = new THREE.Mesh(jointGeometry, legMaterial);
-      joint.position.set(Math.sin(angle) * 0.12, 0.95, Math.cos(angle) * 0.12);
-      group.add(joint);
+  createPhoneCamera() {
+    this.demoMode.phoneCamera = new PhoneCamera();
+    this.updatePhoneCaption();
+  }
+
+  /**
+   * 修改手机相机参数，三脚架随之移动
+   */
+  updatePhoneCamera(options) {
+    const phone = this.demoMode.phoneCamera;
+    phone.set(options);
+    if (this.demoMode.tripod) {
+      phone.attachTo(this.demoMode.tripod);
     }
+    this.updatePhoneCaption();
+  }
+
+  /**
+   * 更新画中画尺寸与说明：内参、完整可见的标记、落地区 1cm 刻度的像素间距
+   */
+  updatePhoneCaption() {
+    const phone = this.demoMode.phoneCamera;
+    const { config } = this.matGenerator;
+    const intrinsics = phone.getIntrinsics();
+    const probeX = (config.zones.landing.start + config.zones.landing.end) / 2;
+    const view = phone.analyzeView(this.matGenerator.getMarkerLayout(), config.totalWidth, probeX, config.scales.fine.spacing);
+    const visible = view.markers.filter(m => m.visible);
+    const markerText = visible.length > 0
+      ? this.t('{ids} (最小边 {side}px)', {
+        ids: visible.map(m => m.id).join(', '),
+        side: Math.min(...visible.map(m => m.minSide)).toFixed(0)
+      })
+      : this.t('无');
+    
+    document.getElementById('phone-view').style.aspectRatio = `${intrinsics.width} / ${intrinsics.height}`;
+    document.getElementById('phone-view-caption').innerHTML = `
+      ${intrinsics.width}×${intrinsics.height} · f ${phone.config.focalLength}mm · FOV ${intrinsics.fovX.toFixed(0)}°×${intrinsics.fovY.toFixed(0)}°<br>
+      ${this.t('可见标记: {markers}', { markers: markerText })}<br>
+      ${this.t('1cm 刻度间距 ≈ {spacing}px', { spacing: view.tickSpacing.toFixed(1) })}
+    `;
+  }
+
+  /**
+   * 在画中画区域渲染手机画面
+   */
+  renderPhoneView() {
+    if (!this.state.showPhoneView) return;
+    
+    const canvasRect = this.renderer.domElement.getBoundingClientRect();
+    const rect = document.getElementById('phone-view').getBoundingClientRect();
+    this.demoMode.phoneCamera.renderPiP(this.renderer, this.scene, {
+      left: rect.left - canvasRect.left,
+      bottom: canvasRect.bottom - rect.bottom,
+      width: rect.width,
+      height: rect.height
+    });
+  }
+
+  /**
+   * 演示进行中按间隔录制手机画面
+   */
+  recordDemoFrame() {
+    if (!this.demoMode.active || !this.state.recordFrames) return;
     
-    // 三脚架脚垫 - 橙色橡胶
-    const footMaterial = new THREE.MeshStandardMaterial({ color: 0xff6600, roughness: 0.8 });
-    for (let i = 0; i < 3; i++) {
-      const footGeometry = new THREE.CylinderGeometry(0.025, 0.03, 0.02, 8);
-      const foot = new THREE.Mesh(footGeometry, footMaterial);
-      const angle = (i * 2 * Math.PI) / 3;
-      foot.position.set(Math.sin(angle) * 0.35, 0.01, Math.cos(angle) * 0.35);
-      group.add(foot);
+    const { captureInterval } = this.demoMode.phoneCamera.config;
+    if (this.demoMode.frameCount % captureInterval === 0) {
+      this.demoMode.frames.push(this.demoMode.phoneCamera.captureFrame(this.scene, this.renderer));
+      document.getElementById('btn-download-frames').disabled = false;
     }
-    
-    // 中心连接柱
-    const centerGeometry = new THREE.CylinderGeometry(0.018, 0.022, 0.6, 12);
-    const centerMaterial = new THREE.MeshStandardMaterial({ 
-      color: darkSilver, 
-      metalness: 0.8, 
-      roughness: 0.3 
-    });
-    const center = new THREE.Mesh(centerGeometry, centerMaterial);
-    center.position.y = 1.2;
-    group.add(center);
-    
-    // 云台头 - 球形
-    const headGeometry = new THREE.SphereGeometry(0.04, 16, 16);
-    const head = new THREE.Mesh(headGeometry, centerMaterial);
-    head.position.y = 1.52;
-    group.add(head);
-    
-    // 手机夹持器 - 更精致
-    const holderGeometry = new THREE.BoxGeometry(0.12, 0.04, 0.03);
-    const holderMaterial = new THREE.MeshStandardMaterial({ 
-      color: whiteColor, 
-      metalness: 0.3, 
-      roughness: 0.5 
-    });
-    const holder = new THREE.Mesh(holderGeometry, holderMaterial);
-    holder.position.set(0, 1.58, 0);
-    holder.rotation.x = -Math.PI / 8;
-    group.add(holder);
-    
-    // 手机边框 - 浅灰色
-    const phoneFrameGeometry = new THREE.BoxGeometry(0.085, 0.17, 0.012);
-    const phoneFrameMaterial = new THREE.MeshStandardMaterial({ 
-      color: phoneFrameColor, 
-      metalness: 0.5, 
-      roughness: 0.3 
-    });
-    const phoneFrame = new THREE.Mesh(phoneFrameGeometry, phoneFrameMaterial);
-    phoneFrame.position.set(0, 1.68, 0.02);
-    phoneFrame.rotation.x = -Math.PI / 8;
-    group.add(phoneFrame);
-    
-    // 手机屏幕 - 深色
-    const screenGeometry = new THREE.PlaneGeometry(0.075, 0.15);
-    const screenMaterial = new THREE.MeshStandardMaterial({ 
-      color: 0x1a1a1a,
-      emissive: 0x222222,
-      emissiveIntensity: 0.3
-    });
-    const screen = new THREE.Mesh(screenGeometry, screenMaterial);
-    screen.position.set(0, 1.68, 0.027);
-    screen.rotation.x = -Math.PI / 8;
-    group.add(screen);
-    
-    // 录制指示区域 - 绿色 (表示正在录制)
-    const recordAreaGeometry = new THREE.PlaneGeometry(0.065, 0.12);
-    const recordAreaMaterial = new THREE.MeshBasicMaterial({ 
-      color: 0x22c55e,  // 绿色
-      transparent: true,
-      opacity: 0.9
-    });
-    const recordArea = new THREE.Mesh(recordAreaGeometry, recordAreaMaterial);
-    recordArea.position.set(0, 1.68, 0.028);
-    recordArea.rotation.x = -Math.PI / 8;
-    group.add(recordArea);
-    
-    // 摄像头镜头 - 顶部
-    const lensGeometry = new THREE.CylinderGeometry(0.008, 0.01, 0.005, 16);
-    const lensMaterial = new THREE.MeshStandardMaterial({ 
-      color: 0x111111, 
-      metalness: 0.9, 
-      roughness: 0.1 
-    });
-    const lens = new THREE.Mesh(lensGeometry, lensMaterial);
-    lens.position.set(0, 1.77, 0.03);
-    lens.rotation.x = Math.PI / 2 - Math.PI / 8;
-    group.add(lens);
-    
-    // 录制指示灯（红色闪烁）
-    const indicatorGeometry = new THREE.SphereGeometry(0.008, 8, 8);
-    const indicatorMaterial = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-    const indicator = new THREE.Mesh(indicatorGeometry, indicatorMaterial);
-    indicator.position.set(0.035, 1.77, 0.025);
-    indicator.name = 'recordingIndicator';
-    group.add(indicator);
-    
-    group.name = 'tripod';
-    return group;
-  }
-
-  /**
-   * 开始演示
+    this.demoMode.frameCount++;
+  }
+
+  /**
+   * 把录制的帧打成一个 ZIP 下载 (由按钮点击触发，避免浏览器拦截自动下载)
    */
-  startDemo() {
-    if (this.demoMode.active) return;
-    
-    // 创建人物 (缩小到 0.5 倍)
+  downloadRecordedFrames() {
+    if (this.demoMode.frames.length === 0) return;
+    const zip = createZip(this.demoMode.frames.map((dataURL, index) => ({
+      name: `jump-mat-phone-frame-${String(index).padStart(3, '0')}.png`,
+      content: Uint8Array.from(atob(dataURL.split(',')[1]), ch => ch.charCodeAt(0))
+    })));
+    this.downloadText(zip, 'jump-mat-phone-frames.zip', zip.type);
+  }
+
+  /**
+   * 创建演示人物与三脚架 (已存在时跳过)
+   */
+  ensureDemoScene() {
     if (!this.demoMode.person) {
-      this.demoMode.person = this.createPerson();
-      this.demoMode.person.scale.set(0.5, 0.5, 0.5);  // 缩小人物
-      this.demoMode.person.position.set(-0.15, 0, 0); // 起跳区
+      this.demoMode.person = createPerson();
       this.scene.add(this.demoMode.person);
     }
     
     // 创建三脚架 - 放在地毯侧面，面向人物落地区
     if (!this.demoMode.tripod) {
-      this.demoMode.tripod = this.createTripodWithPhone();
-      this.demoMode.tripod.scale.set(0.55, 0.55, 0.55);  // 稍微缩小
-      // 放在地毯侧面（Z轴负方向），位于落地区附近
-      this.demoMode.tripod.position.set(2.0, 0, -0.7);
-      // 旋转使手机朝向地毯和人物
-      this.demoMode.tripod.rotation.y = Math.PI / 2 + 0.3;
+      this.demoMode.tripod = createTripodWithPhone();
+      // 按手机相机机位放置 (地毯侧面，手机背面朝向落地区)
+      this.demoMode.phoneCamera.attachTo(this.demoMode.tripod);
       this.scene.add(this.demoMode.tripod);
     }
+  }
+
+  /**
+   * 开始演示 (从下蹲开始播放)
+   */
+  startDemo() {
+    this.ensureDemoScene();
     
     // 切换到演示视角 (远距离俯视斜角)
     this.setDemoView();
     
-    // 开始动画
-    this.demoMode.active = true;
-    this.demoMode.animationPhase = 0;
-    this.demoMode.animationProgress = 0;
+    this.demoMode.frames = [];
+    this.demoMode.frameCount = 0;
+    document.getElementById('btn-download-frames').disabled = true;
+    this.setDemoTime(0);
+    this.setDemoPlaying(true);
+  }
+
+  /**
+   * 播放 / 暂停
+   */
+  setDemoPlaying(playing) {
+    this.demoMode.active = playing && Boolean(this.demoMode.person);
+    this.demoMode.lastTimestamp = null;
+    
+    // 原文记在 data-i18n 上，切换语言时按当前状态重新翻译
+    const button = document.getElementById('btn-demo');
+    if (this.demoMode.active) {
+      button.dataset.i18n = '暂停';
+    } else if (!this.demoMode.person) {
+      button.dataset.i18n = '开始演示';
+    } else {
+      button.dataset.i18n = this.demoMode.time >= this.demoMode.plan.duration ? '再次演示' : '继续';
+    }
+    button.textContent = this.t(button.dataset.i18n);
+  }
+
+  /**
+   * 跳到动作的某一时刻：更新人物姿态、回放进度，动作结束时在地毯上显示落地标记与成绩
+   * @param {number} time - 动作时间 (s)，限制在 [0, plan.duration]
+   */
+  setDemoTime(time) {
+    const { plan } = this.demoMode;
+    this.demoMode.time = Math.min(plan.duration, Math.max(0, time));
+    
+    if (this.demoMode.person) {
+      this.demoMode.person.position.z = 0;
+      poseJumpAt(this.demoMode.person, plan, this.demoMode.time);
+    }
+    
+    const landed = Boolean(this.demoMode.person) && this.demoMode.time >= plan.duration;
+    if (landed && !this.demoMode.landingMark) {
+      this.demoMode.landingMark = createLandingMark(plan, this.matGenerator.config.totalWidth, this.demoMode.judgement);
+      this.scene.add(this.demoMode.landingMark);
+    } else if (!landed) {
+      this.removeLandingMark();
+    }
+    
+    this.updateDemoReadout();
+    this.updateJudgeOverlay();
+  }
+
+  /**
+   * 移除落地标记
+   */
+  removeLandingMark() {
+    if (this.demoMode.landingMark) {
+      this.scene.remove(this.demoMode.landingMark);
+      this.demoMode.landingMark = null;
+    }
+  }
+
+  /**
+   * 修改跳跃参数并重新规划，保持当前阶段内的相对进度不变
+   * @param {Object} params - 覆盖 demoMode.params
+   */
+  updateDemoParams(params) {
+    const next = { ...this.demoMode.params, ...params };
+    const readout = document.getElementById('demo-plan');
+    let plan;
+    try {
+      plan = planJump(next);
+    } catch (error) {
+      readout.className = 'drc-summary error';
+      readout.textContent = error.message;
+      return;
+    }
+    
+    const fraction = this.demoMode.plan.duration > 0 ? this.demoMode.time / this.demoMode.plan.duration : 0;
+    this.demoMode.params = next;
+    this.demoMode.plan = plan;
+    this.demoMode.judgement = judgeJump(plan, this.matGenerator.config, { locale: this.state.locale });
+    this.removeLandingMark();
+    this.setDemoTime(fraction * plan.duration);
+  }
+
+  /**
+   * 更新跳跃规划说明与回放进度
+   */
+  updateDemoReadout() {
+    const { plan, time } = this.demoMode;
+    const style = LANDING_STYLES[plan.landingStyle];
+    const flight = plan.phases.find(phase => phase.name === 'flight');
+    const marks = plan.marks
+      .filter((mark, index) => plan.marks.findIndex(m => m.part === mark.part) === index)
+      .map(mark => `${this.t(BODY_PARTS[mark.part])} ${(mark.x * 100).toFixed(1)}`)
+      .join(' · ');
+    
+    const readout = document.getElementById('demo-plan');
+    readout.className = 'drc-summary passed';
+    readout.innerHTML = this.t('腾空 {flight}s · 初速度 {speed}m/s · 最高 {apex}cm', {
+      flight: flight.duration.toFixed(2),
+      speed: plan.speed.toFixed(2),
+      apex: (plan.apex * 100).toFixed(0)
+    }) + '<br>' + this.t('成绩 {distance} cm ({style}，触地点 {marks} cm)', {
+      distance: (plan.measuredDistance * 100).toFixed(1),
+      style: this.t(style.name),
+      marks
+    });
+    
+    const phase = plan.phases.find(p => time < p.start + p.duration) || plan.phases[plan.phases.length - 1];
+    document.getElementById('demo-scrub').value = Math.round(time / plan.duration * 1000);
+    document.getElementById('demo-time-value').textContent =
+      `${time.toFixed(2)} / ${plan.duration.toFixed(2)}s · ${this.t(phase.label)}`;
+  }
+
+  /**
+   * 同步演示参数输入框 (切换场景后)
+   */
+  syncDemoInputs() {
+    const { distance, takeoffAngle, athleteHeight, landingStyle } = this.demoMode.params;
+    [
+      ['demo-distance', Math.round(distance * 100), `${Math.round(distance * 100)}cm`],
+      ['demo-angle', takeoffAngle, `${takeoffAngle}°`],
+      ['demo-height', Math.round(athleteHeight * 100), `${Math.round(athleteHeight * 100)}cm`]
+    ].forEach(([id, value, text]) => {
+      document.getElementById(id).value = value;
+      document.getElementById(`${id}-value`).textContent = text;
+    });
+    document.getElementById('demo-landing-style').value = landingStyle;
+  }
+
+  /**
+   * 更新裁判浮层：列出当前时刻之前出现的犯规与提示，落地结束后给出判定
+   */
+  updateJudgeOverlay() {
+    const overlay = document.getElementById('judge-overlay');
+    const { person, judgement, plan, time } = this.demoMode;
+    overlay.classList.toggle('hidden', !person);
+    if (!person) return;
+    
+    const entries = [...judgement.fouls, ...judgement.warnings]
+      .filter(entry => time >= entry.time)
+      .sort((a, b) => a.time - b.time);
+    const finished = time >= plan.duration;
+    const fouled = entries.some(entry => entry.severity === 'foul');
+    let verdict = this.t('裁判观察中…');
+    if (finished) {
+      verdict = `${judgement.valid ? '✅' : '❌'} ${judgement.summary}`;
+    } else if (fouled) {
+      verdict = `❌ ${this.t('犯规')}`;
+    }
     
-    // 更新按钮状态
-    document.getElementById('btn-demo').textContent = '演示中...';
-    document.getElementById('btn-demo').disabled = true;
+    let status = '';
+    if (fouled) {
+      status = 'error';
+    } else if (entries.length > 0) {
+      status = 'warning';
+    } else if (finished) {
+      status = 'passed';
+    }
+    overlay.className = `judge-overlay ${status}`;
+    overlay.innerHTML = `
+      <div class="judge-verdict">${verdict}</div>
+      ${entries.map(entry => `<div class="judge-entry ${entry.severity}">${this.t('{title}：{message}', entry)}</div>`).join('')}
+      ${finished ? `<div class="judge-entry">${this.t('最近触地点：{part} {distance} cm', {
+        part: this.t(BODY_PARTS[judgement.nearest.part]),
+        distance: (judgement.nearest.x * 100).toFixed(1)
+      })}</div>` : ''}
+    `;
   }
-  
+
   /**
    * 设置演示专用视角
    */
@@ -869,9 +2411,8 @@ class JumpMatViewer {
    * 重置演示
    */
   resetDemo() {
-    this.demoMode.active = false;
-    this.demoMode.animationPhase = 0;
-    this.demoMode.animationProgress = 0;
+    this.demoMode.time = 0;
+    this.removeLandingMark();
     
     // 移除人物
     if (this.demoMode.person) {
@@ -886,130 +2427,52 @@ class JumpMatViewer {
     }
     
     // 恢复按钮状态
-    document.getElementById('btn-demo').textContent = '开始演示';
-    document.getElementById('btn-demo').disabled = false;
+    this.setDemoPlaying(false);
+    this.updateDemoReadout();
+    this.updateJudgeOverlay();
   }
 
   /**
-   * 更新演示动画
+   * 更新演示动画：按真实经过的时间 (乘以播放倍速) 推进动作
+   * @param {number} timestamp - requestAnimationFrame 时间戳 (ms)
    */
-  updateDemoAnimation() {
-    if (!this.demoMode.active || !this.demoMode.person) return;
-    
-    const person = this.demoMode.person;
-    const speed = 0.015;
-    this.demoMode.animationProgress += speed;
-    
-    const progress = this.demoMode.animationProgress;
-    const jumpDist = this.demoMode.jumpDistance;
-    
-    switch (this.demoMode.animationPhase) {
-      case 0: // 准备阶段 - 下蹲
-        if (progress < 1) {
-          // 下蹲动作 (参数适配缩小后的人物)
-          person.position.y = -0.05 * Math.sin(progress * Math.PI);
-          person.rotation.x = 0.2 * Math.sin(progress * Math.PI);
-          
-          // 手臂向后摆
-          const leftArm = person.getObjectByName('leftArm');
-          const rightArm = person.getObjectByName('rightArm');
-          if (leftArm) leftArm.rotation.x = -0.5 * Math.sin(progress * Math.PI);
-          if (rightArm) rightArm.rotation.x = -0.5 * Math.sin(progress * Math.PI);
-        } else {
-          this.demoMode.animationPhase = 1;
-          this.demoMode.animationProgress = 0;
-        }
-        break;
-        
-      case 1: // 起跳阶段
-        if (progress < 0.3) {
-          const t = progress / 0.3;
-          person.position.y = 0.15 * t;  // 降低起跳高度
-          person.position.x = -0.15 + jumpDist * 0.1 * t;
-          person.rotation.x = -0.3 * t;
-          
-          // 手臂向上摆
-          const leftArm = person.getObjectByName('leftArm');
-          const rightArm = person.getObjectByName('rightArm');
-          if (leftArm) leftArm.rotation.x = -Math.PI / 3 * t;
-          if (rightArm) rightArm.rotation.x = -Math.PI / 3 * t;
-        } else {
-          this.demoMode.animationPhase = 2;
-          this.demoMode.animationProgress = 0;
-        }
-        break;
-        
-      case 2: // 飞行阶段 - 抛物线
-        if (progress < 1) {
-          const startX = -0.15 + jumpDist * 0.1;
-          const endX = -0.15 + jumpDist;
-          
-          // 抛物线轨迹 (降低飞行高度)
-          person.position.x = startX + (endX - startX) * progress;
-          person.position.y = 0.15 + 0.25 * Math.sin(progress * Math.PI); // 最高点约 0.4m
-          
-          // 身体前倾
-          person.rotation.x = -0.3 + 0.4 * progress;
-          
-          // 腿部动作
-          const leftLeg = person.getObjectByName('leftLeg');
-          const rightLeg = person.getObjectByName('rightLeg');
-          if (leftLeg) leftLeg.rotation.x = 0.5 * Math.sin(progress * Math.PI * 2);
-          if (rightLeg) rightLeg.rotation.x = -0.5 * Math.sin(progress * Math.PI * 2);
-        } else {
-          this.demoMode.animationPhase = 3;
-          this.demoMode.animationProgress = 0;
-        }
-        break;
-        
-      case 3: // 落地阶段
-        if (progress < 0.5) {
-          const t = progress / 0.5;
-          person.position.y = 0 + 0.05 * (1 - t); // 下蹲缓冲
-          person.rotation.x = 0.1 * (1 - t);
-          
-          // 手臂前伸保持平衡
-          const leftArm = person.getObjectByName('leftArm');
-          const rightArm = person.getObjectByName('rightArm');
-          if (leftArm) leftArm.rotation.x = 0.3 * (1 - t);
-          if (rightArm) rightArm.rotation.x = 0.3 * (1 - t);
-        } else {
-          // 演示完成，回到初始状态
-          setTimeout(() => {
-            this.demoMode.animationPhase = 0;
-            this.demoMode.animationProgress = 0;
-            if (this.demoMode.person) {
-              this.demoMode.person.position.set(-0.15, 0, 0);
-              this.demoMode.person.rotation.x = 0;
-            }
-          }, 1500);
-          this.demoMode.active = false;
-          document.getElementById('btn-demo').textContent = '再次演示';
-          document.getElementById('btn-demo').disabled = false;
-        }
-        break;
-    }
-    
+  updateDemoAnimation(timestamp) {
     // 摄像头指示灯闪烁
     if (this.demoMode.tripod) {
       const indicator = this.demoMode.tripod.getObjectByName('recordingIndicator');
       if (indicator) {
-        indicator.visible = Math.floor(Date.now() / 500) % 2 === 0;
+        indicator.visible = !this.demoMode.active || Math.floor(timestamp / 500) % 2 === 0;
       }
     }
+    
+    if (!this.demoMode.active || !this.demoMode.person) return;
+    
+    // 切回标签页等长时间间隔按一帧 0.1s 计，避免动作跳过
+    const last = this.demoMode.lastTimestamp;
+    this.demoMode.lastTimestamp = timestamp;
+    if (last === null) return;
+    const elapsed = Math.min(0.1, (timestamp - last) / 1000) * this.demoMode.speed;
+    this.setDemoTime(this.demoMode.time + elapsed);
+    
+    if (this.demoMode.time >= this.demoMode.plan.duration) {
+      // 演示完成：停在落地姿态并显示成绩 (录制的帧由按钮打包下载)
+      this.setDemoPlaying(false);
+    }
   }
 
   /**
    * 动画循环
    */
-  animate() {
-    this.animationId = requestAnimationFrame(() => this.animate());
+  animate(timestamp = performance.now()) {
+    this.animationId = requestAnimationFrame((t) => this.animate(t));
     
     // 更新演示动画
-    this.updateDemoAnimation();
+    this.updateDemoAnimation(timestamp);
     
     this.controls.update();
     this.renderer.render(this.scene, this.camera);
+    this.renderPhoneView();
+    this.recordDemoFrame();
   }
 
   /**
@@ -1020,6 +2483,7 @@ class JumpMatViewer {
       cancelAnimationFrame(this.animationId);
     }
     
+    this.demoMode.phoneCamera.dispose();
     this.renderer.dispose();
     this.controls.dispose();
   }
@@ -0,0 +1,144 @@
+import { MAT_CONFIG } from './config.js';
+
+/**
+ * ArUco 标记布局模型 - 地毯上所有标记的唯一权威来源
+ * 渲染器按此布局绘制，检测端按此布局解算坐标
+ *
+ * 世界坐标系 (单位：米)：
+ * - x 轴沿跳跃方向，起跳线为 0
+ * - y 轴沿地毯宽度方向，左侧边缘 (图案上方) 为 0，向右侧递增
+ * - 角点顺序与 OpenCV 一致：左上、右上、右下、左下 (按标记正向朝向)
+ */
+
+// 两侧边缘 (沿跳跃方向看：左侧在图案上方，右侧在图案下方)
+export const MARKER_SIDES = ['left', 'right'];
+
+/**
+ * 由地毯配置生成标记布局
+ * @param {Object} config - 地毯配置 (默认 MAT_CONFIG)
+ * @returns {Array<{id: number, side: string, position: number, label: string,
+ *   size: number, center: {x: number, y: number}, corners: number[][]}>}
+ */
+export function buildMarkerLayout(config = MAT_CONFIG) {
+  const { aruco, totalWidth } = config;
+  const quietSize = aruco.size + aruco.borderSize * 2;
+  const round = (v) => Number(v.toFixed(6));
+  const layout = [];
+  
+  MARKER_SIDES.forEach(side => {
+    const ids = aruco.ids[side];
+    if (!ids || ids.length !== aruco.positions.length) {
+      throw new Error(`aruco.ids.${side} 数量与 aruco.positions 不一致`);
+    }
+    
+    // 静默区外框顶边
+    const boxTop = side === 'left' ? aruco.margin : totalWidth - aruco.margin - quietSize;
+    const centerY = boxTop + quietSize / 2;
+    
+    aruco.positions.forEach((position, index) => {
+      const half = aruco.size / 2;
+      layout.push({
+        id: ids[index],
+        side,
+        position,
+        label: `${Number(position.toFixed(3))}m`,
+        size: aruco.size,
+        center: { x: position, y: round(centerY) },
+        corners: [
+          [round(position - half), round(centerY - half)],
+          [round(position + half), round(centerY - half)],
+          [round(position + half), round(centerY + half)],
+          [round(position - half), round(centerY + half)]
+        ]
+      });
+    });
+  });
+  
+  return layout;
+}
+
+/**
+ * 校验布局本身：ID 唯一且在字典范围内
+ * @param {Array} layout - buildMarkerLayout 的结果
+ * @param {number} dictionarySize - 字典码字数量
+ * @returns {string[]} 错误信息，空数组表示通过
+ */
+export function validateMarkerLayout(layout, dictionarySize) {
+  const errors = [];
+  const seen = new Map();
+  
+  layout.forEach(marker => {
+    if (!Number.isInteger(marker.id) || marker.id < 0 || marker.id >= dictionarySize) {
+      errors.push(`标记 ${marker.id} (${marker.side} ${marker.label}) 超出字典范围 0-${dictionarySize - 1}`);
+    }
+    if (seen.has(marker.id)) {
+      const other = seen.get(marker.id);
+      errors.push(`标记 ${marker.id} 重复：${other.side} ${other.label} 与 ${marker.side} ${marker.label}`);
+    } else {
+      seen.set(marker.id, marker);
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * 比对实际印刷的标记与声明的布局
+ * @param {Array<{id: number, side: string, position: number}>} printed - 渲染时记录 (id 为解码结果)
+ * @param {Array} layout - 声明的布局
+ * @returns {string[]} 不一致项，空数组表示一致
+ */
+export function compareMarkerLayout(printed, layout) {
+  const errors = [];
+  const key = (m) => `${m.side}@${m.position}`;
+  const printedByKey = new Map(printed.map(m => [key(m), m]));
+  
+  layout.forEach(marker => {
+    const actual = printedByKey.get(key(marker));
+    if (!actual) {
+      errors.push(`${marker.side} ${marker.label} 未印刷标记 (应为 ${marker.id})`);
+    } else if (actual.id !== marker.id) {
+      errors.push(`${marker.side} ${marker.label} 印刷的是 ${actual.id ?? '无法识别的标记'}，布局声明为 ${marker.id}`);
+    }
+    printedByKey.delete(key(marker));
+  });
+  
+  printedByKey.forEach(extra => {
+    errors.push(`${extra.side} ${extra.position}m 印刷了布局中不存在的标记 ${extra.id}`);
+  });
+  
+  return errors;
+}
+
+/**
+ * 导出布局为可序列化对象
+ * @param {Object} config - 地毯配置
+ * @returns {Object}
+ */
+export function exportMarkerLayout(config = MAT_CONFIG) {
+  return {
+    dictionary: config.aruco.dictionary,
+    units: 'm',
+    frame: {
+      origin: '起跳线与左侧边缘交点',
+      x: '沿跳跃方向',
+      y: '沿宽度方向，由左侧边缘指向右侧边缘'
+    },
+    width: config.totalWidth,
+    markers: buildMarkerLayout(config).map(({ id, side, position, size, corners }) => ({
+      id,
+      side,
+      position,
+      size,
+      corners
+    }))
+  };
+}
+
+export default {
+  MARKER_SIDES,
+  buildMarkerLayout,
+  validateMarkerLayout,
+  compareMarkerLayout,
+  exportMarkerLayout
+};
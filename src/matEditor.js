@@ -0,0 +1,328 @@
+import { mergeConfig } from './config.js';
+import { buildMarkerLayout } from './markerLayout.js';
+import { LABEL_UNITS } from './labelEngine.js';
+import { SCALE_SYSTEMS } from './matGenerator.js';
+import { LOCALES } from './i18n.js';
+
+/**
+ * 地毯编辑器
+ * 面板字段定义、配置的不可变修改与结构校验、标记拖动，以及撤销 / 重做历史。
+ * 每次修改都生成新的配置对象 (不改动原对象)，历史中直接保存各步的配置
+ */
+
+const mm = (meter) => `${Number((meter * 1000).toFixed(2))}mm`;
+
+// 单位换算：界面显示值 = 米 × scale
+export const EDITOR_UNITS = {
+  cm: { scale: 100, text: 'cm' },
+  mm: { scale: 1000, text: 'mm' }
+};
+
+/**
+ * 编辑字段
+ * paths 为同时写入的配置路径 (如相邻区域共用的分界)，首个路径为显示值来源；
+ * unit 为 cm / mm / color / select (options 为可选值)；limit 由 MAT_CONFIG.drc 生成规范要求说明
+ */
+export const EDITOR_FIELDS = [
+  { group: '尺寸', label: '总长度', paths: ['totalLength', 'zones.extended.end'], unit: 'cm', step: 1 },
+  { group: '尺寸', label: '总宽度', paths: ['totalWidth'], unit: 'cm', step: 1 },
+  { group: '区域分界', label: '起跳区起点', paths: ['zones.takeoff.start'], unit: 'cm', step: 1 },
+  { group: '区域分界', label: '飞行区 / 落地区', paths: ['zones.flight.end', 'zones.landing.start'], unit: 'cm', step: 1 },
+  { group: '区域分界', label: '落地区 / 扩展区', paths: ['zones.landing.end', 'zones.extended.start'], unit: 'cm', step: 1 },
+  {
+    group: '刻度', label: '单位制', paths: ['scales.system'], unit: 'select',
+    options: Object.entries(SCALE_SYSTEMS).map(([value, system]) => ({ value, text: system.name }))
+  },
+  { group: '刻度', label: '精细刻度间距', paths: ['scales.fine.spacing'], unit: 'mm', step: 1 },
+  {
+    group: '刻度', label: '精细刻度线宽', paths: ['scales.fine.lineWidth'], unit: 'mm', step: 0.1,
+    limit: (drc) => `≥ ${mm(drc.fineMinWidth)}，建议 ${mm(drc.fineRecommendedWidth)}`
+  },
+  { group: '刻度', label: '中等刻度间距', paths: ['scales.medium.spacing'], unit: 'cm', step: 1 },
+  {
+    group: '刻度', label: '中等刻度线宽', paths: ['scales.medium.lineWidth'], unit: 'mm', step: 0.1,
+    limit: (drc) => `≥ ${mm(drc.fineMinWidth)}，建议 ${mm(drc.mediumRecommendedWidth)}`
+  },
+  { group: '刻度', label: '半米刻度间距', paths: ['scales.half.spacing'], unit: 'cm', step: 1 },
+  {
+    group: '刻度', label: '半米刻度线宽', paths: ['scales.half.lineWidth'], unit: 'mm', step: 0.1,
+    limit: (drc) => `≥ ${mm(drc.fineMinWidth)}，建议 ${mm(drc.mediumRecommendedWidth)}`
+  },
+  { group: '刻度', label: '整米刻度间距', paths: ['scales.major.spacing'], unit: 'cm', step: 1 },
+  {
+    group: '刻度', label: '整米刻度线宽', paths: ['scales.major.lineWidth'], unit: 'mm', step: 0.1,
+    limit: (drc) => `≥ ${mm(drc.fineMinWidth)}，建议 ${mm(drc.majorRecommendedWidth)}`
+  },
+  {
+    group: '刻度', label: '起跳线宽', paths: ['scales.startLine.lineWidth'], unit: 'mm', step: 0.1,
+    limit: (drc) => `≥ ${mm(drc.fineMinWidth)}，建议 ${mm(drc.majorRecommendedWidth)}`
+  },
+  {
+    group: '标记', label: '标记尺寸', paths: ['aruco.size'], unit: 'mm', step: 1,
+    limit: (drc) => `黑色核心区 ≥ ${mm(drc.markerMinSize)}`
+  },
+  {
+    group: '标记', label: '白色静区', paths: ['aruco.borderSize'], unit: 'mm', step: 1,
+    limit: (drc) => `≥ ${mm(drc.quietZoneMin)}，建议 ${mm(drc.quietZoneRecommended)}`
+  },
+  { group: '标记', label: '距边缘', paths: ['aruco.margin'], unit: 'mm', step: 1 },
+  {
+    group: '标签', label: '文字语言', paths: ['labels.locale'], unit: 'select',
+    options: Object.entries(LOCALES).map(([value, locale]) => ({ value, text: locale.name }))
+  },
+  {
+    group: '标签', label: '单位格式', paths: ['labels.unit'], unit: 'select',
+    options: Object.entries(LABEL_UNITS).map(([value, unit]) => ({ value, text: unit.name }))
+  },
+  {
+    group: '颜色', label: '底色', paths: ['colors.background'], unit: 'color',
+    limit: (drc) => `深色，相对亮度 ≤ ${drc.maxBackgroundLuminance}`
+  },
+  {
+    group: '颜色', label: '刻度', paths: ['scales.color'], unit: 'color',
+    limit: (drc) => `与底色对比度 ≥ ${drc.minScaleContrast}:1`
+  },
+  { group: '颜色', label: '文字', paths: ['colors.label'], unit: 'color' },
+  { group: '颜色', label: '边框', paths: ['colors.border'], unit: 'color' }
+];
+
+/**
+ * 按路径读取配置值
+ * @param {Object} config - 地毯配置
+ * @param {string} path - 如 'scales.fine.lineWidth'
+ */
+export function getConfigValue(config, path) {
+  return path.split('.').reduce((value, key) => (value === undefined ? undefined : value[key]), config);
+}
+
+/**
+ * 按路径写入配置值 (返回新配置)
+ * @param {Object} config - 地毯配置
+ * @param {string[]} paths - 配置路径
+ * @param {*} value - 新值
+ * @returns {Object}
+ */
+export function setConfigValues(config, paths, value) {
+  return paths.reduce((result, path) => {
+    const keys = path.split('.');
+    const override = keys.reduceRight((inner, key) => ({ [key]: inner }), value);
+    return mergeConfig(result, override);
+  }, config);
+}
+
+/**
+ * 字段的显示值 (数值按单位换算，颜色与选项原样)
+ * @param {Object} config - 地毯配置
+ * @param {Object} field - EDITOR_FIELDS 中的字段
+ */
+export function getFieldValue(config, field) {
+  const value = getConfigValue(config, field.paths[0]);
+  if (field.unit === 'color' || field.unit === 'select') return value;
+  return Number((value * EDITOR_UNITS[field.unit].scale).toFixed(3));
+}
+
+/**
+ * 按显示值修改字段 (返回新配置)
+ * @param {Object} config - 地毯配置
+ * @param {Object} field - EDITOR_FIELDS 中的字段
+ * @param {string} text - 输入框中的值
+ * @returns {Object}
+ */
+export function setFieldValue(config, field, text) {
+  if (field.unit === 'color') {
+    if (!/^#[0-9a-f]{6}$/i.test(text)) {
+      throw new Error(`${field.label}颜色无效: ${text}`);
+    }
+    return setConfigValues(config, field.paths, text);
+  }
+  if (field.unit === 'select') {
+    if (!field.options.some(option => option.value === text)) {
+      throw new Error(`${field.label}无效: ${text}`);
+    }
+    return setConfigValues(config, field.paths, text);
+  }
+
+  const value = Number(text);
+  if (text === '' || !Number.isFinite(value)) {
+    throw new Error(`${field.label}不是有效数值: ${text}`);
+  }
+  return setConfigValues(config, field.paths, Number((value / EDITOR_UNITS[field.unit].scale).toFixed(6)));
+}
+
+/**
+ * 结构校验：区域首尾相接且依次递增、尺寸与间距为正、标记位于地毯范围内、标签单位与语言受支持
+ * 印刷规范 (线宽、静区、对比度等) 由 DRC 检查，不在此拒绝
+ * @param {Object} config - 地毯配置
+ * @returns {string[]} 错误信息，空数组表示可以应用
+ */
+export function validateEditorConfig(config) {
+  const { zones, scales, aruco, labels, totalLength, totalWidth } = config;
+  const errors = [];
+  
+  if (!(totalWidth > 0)) {
+    errors.push('总宽度必须大于 0');
+  }
+  if (!(zones.takeoff.start < zones.takeoff.end)) {
+    errors.push(`起跳区起点须在起跳线 (${zones.takeoff.end}m) 之前`);
+  }
+  const boundaries = [
+    ['飞行区 / 落地区分界', zones.flight.end],
+    ['落地区 / 扩展区分界', zones.landing.end],
+    ['总长度', totalLength]
+  ];
+  boundaries.reduce((previous, [label, value]) => {
+    if (!(value > previous.value)) {
+      errors.push(`${label} (${value}m) 须大于${previous.label} (${previous.value}m)`);
+    }
+    return { label, value };
+  }, { label: '起跳线', value: zones.flight.start });
+  
+  ['fine', 'medium', 'half', 'major'].forEach(tier => {
+    if (!(scales[tier].spacing > 0) || !(scales[tier].lineWidth > 0)) {
+      errors.push(`scales.${tier} 的间距与线宽必须大于 0`);
+    }
+    if (!(scales.imperial[tier].spacing > 0)) {
+      errors.push(`scales.imperial.${tier} 的间距必须大于 0`);
+    }
+  });
+  if (!SCALE_SYSTEMS[scales.system]) {
+    errors.push(`不支持的刻度单位制: ${scales.system}`);
+  }
+  if (!(scales.edgeOffset >= 0) || scales.edgeOffset >= totalWidth / 2) {
+    errors.push(`双制刻度边距 ${scales.edgeOffset}m 须在 0 与半宽之间`);
+  }
+  if (!(scales.startLine.lineWidth > 0)) {
+    errors.push('起跳线宽必须大于 0');
+  }
+
+  if (!(aruco.size > 0) || !(aruco.borderSize >= 0) || !(aruco.margin >= 0)) {
+    errors.push('标记尺寸必须大于 0，静区与边距不能为负');
+  }
+  aruco.positions.forEach(position => {
+    if (position < zones.takeoff.start || position > totalLength) {
+      errors.push(`标记位置 ${position}m 超出地毯范围`);
+    }
+  });
+  
+  if (!LABEL_UNITS[labels.unit]) {
+    errors.push(`不支持的标注单位: ${labels.unit}`);
+  }
+  if (!LOCALES[labels.locale]) {
+    errors.push(`不支持的文字语言: ${labels.locale}`);
+  }
+
+  return errors;
+}
+
+/**
+ * 查找地毯坐标处的标记 (含白色静区)
+ * @param {Object} config - 地毯配置
+ * @param {number} x - 沿跳跃方向 (m，起跳线为 0)
+ * @param {number} y - 沿宽度方向 (m，左侧边缘为 0)
+ * @returns {number} aruco.positions 中的序号，未命中为 -1
+ */
+export function findMarkerAt(config, x, y) {
+  const half = config.aruco.size / 2 + config.aruco.borderSize;
+  const marker = buildMarkerLayout(config)
+    .find(m => Math.abs(m.center.x - x) <= half && Math.abs(m.center.y - y) <= half);
+  return marker ? config.aruco.positions.indexOf(marker.position) : -1;
+}
+
+/**
+ * 沿跳跃方向移动一对标记 (两侧共用位置，返回新配置)
+ * 位置按 snap 吸附并限制在地毯范围内，ID 顺序不变
+ * @param {Object} config - 地毯配置
+ * @param {number} index - aruco.positions 中的序号
+ * @param {number} position - 目标位置 (m)
+ * @param {number} snap - 吸附步长 (m)
+ * @returns {Object}
+ */
+export function moveMarker(config, index, position, snap) {
+  const half = config.aruco.size / 2 + config.aruco.borderSize;
+  const min = config.zones.takeoff.start + half;
+  const max = config.totalLength - half;
+  const snapped = Number((Math.round(position / snap) * snap).toFixed(6));
+  const positions = [...config.aruco.positions];
+  positions[index] = Math.min(max, Math.max(min, snapped));
+  return mergeConfig(config, { aruco: { positions } });
+}
+
+/**
+ * 撤销 / 重做历史
+ * 保存各步的完整配置；撤销后再修改会丢弃可重做的步骤
+ */
+export class EditHistory {
+  /**
+   * @param {Object} initial - 初始配置
+   * @param {number} limit - 最多保留的可撤销步数
+   */
+  constructor(initial, limit = 100) {
+    this.limit = limit;
+    this.reset(initial);
+  }
+
+  /**
+   * 清空历史
+   */
+  reset(state) {
+    this.past = [];
+    this.present = state;
+    this.future = [];
+  }
+
+  /**
+   * 记录新的一步 (与当前相同时忽略)
+   * @returns {boolean} 是否记录
+   */
+  push(state) {
+    if (state === this.present) return false;
+    this.past.push(this.present);
+    if (this.past.length > this.limit) this.past.shift();
+    this.present = state;
+    this.future = [];
+    return true;
+  }
+
+  canUndo() {
+    return this.past.length > 0;
+  }
+
+  canRedo() {
+    return this.future.length > 0;
+  }
+
+  /**
+   * 撤销
+   * @returns {Object|null} 撤销后的配置，无可撤销时为 null
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+    this.future.push(this.present);
+    this.present = this.past.pop();
+    return this.present;
+  }
+
+  /**
+   * 重做
+   * @returns {Object|null} 重做后的配置，无可重做时为 null
+   */
+  redo() {
+    if (!this.canRedo()) return null;
+    this.past.push(this.present);
+    this.present = this.future.pop();
+    return this.present;
+  }
+}
+
+export default {
+  EDITOR_UNITS,
+  EDITOR_FIELDS,
+  getConfigValue,
+  setConfigValues,
+  getFieldValue,
+  setFieldValue,
+  validateEditorConfig,
+  findMarkerAt,
+  moveMarker,
+  EditHistory
+};
@@ -1,6 +1,33 @@
 import * as THREE from 'three';
-import { MAT_CONFIG, COLORS } from './config.js';
-import { createArucoMarker } from './aruco.js';
+import { MAT_CONFIG, RENDER_CONFIG, mergeConfig } from './config.js';
+import { createArucoMarker, decodeArucoMarker, getDictionary } from './aruco.js';
+import { buildMarkerLayout, validateMarkerLayout, compareMarkerLayout } from './markerLayout.js';
+import { createRandom, stableStringify, hashBytes, hashString } from './random.js';
+import { buildLabelLayout } from './labelEngine.js';
+
+/**
+ * 图层 (按绘制顺序)，显示开关见 MAT_CONFIG.layers
+ * 印刷分色时可单独导出某一图层
+ */
+export const MAT_LAYERS = [
+  { id: 'background', name: '底色' },
+  { id: 'coarseScale', name: '主刻度 (起跳线 / 10cm 及以上)' },
+  { id: 'fineScale', name: '1cm 精细刻度' },
+  { id: 'labels', name: '标签' },
+  { id: 'border', name: '边框' },
+  { id: 'decoration', name: '内装饰线' },
+  { id: 'markers', name: 'ArUco 标记' }
+];
+
+/**
+ * 刻度单位制 (MAT_CONFIG.scales.system)
+ * systems 为实际绘制的刻度组；双制时公制刻度靠左侧边缘 (图案上方)，英制刻度靠右侧边缘 (图案下方)
+ */
+export const SCALE_SYSTEMS = {
+  metric: { name: '公制', systems: ['metric'] },
+  imperial: { name: '英制', systems: ['imperial'] },
+  dual: { name: '公英双制', systems: ['metric', 'imperial'] }
+};
 
 /**
  * 地毯几何体生成器 - 产品化版本
@@ -8,40 +35,56 @@ import { createArucoMarker } from './aruco.js';
  */
 
 export class MatGenerator {
+  /**
+   * @param {Object} options - 除 pixelsPerMeter 外的字段按深度合并覆盖 MAT_CONFIG
+   */
   constructor(options = {}) {
-    this.config = { ...MAT_CONFIG, ...options };
-    this.pixelsPerMeter = options.pixelsPerMeter || 1200; // 提高分辨率
+    const { pixelsPerMeter, ...overrides } = options;
+    this.config = mergeConfig(MAT_CONFIG, overrides);
+    this.pixelsPerMeter = pixelsPerMeter || 1200; // 提高分辨率
     this.canvas = null;
     this.ctx = null;
     this.texture = null;
+    this.markerLayout = null;
+    this.markerImages = null;
+    this.tickLayout = null;
     
     // 颜色配置
-    this.colors = {
-      background: '#1a1a1a',      // 深黑色背景
-      border: '#c9a227',          // 金色边框
-      scaleYellow: '#c9a227',     // 金黄色刻度
-      scaleFine: '#c9a227',       // 精密刻度
-      textGold: '#c9a227',        // 金色文字
-      textWhite: '#ffffff',       // 白色文字
-      arucoWhite: '#ffffff',
-      arucoBlack: '#000000'
+    this.colors = this.config.colors;
+  }
+
+  /**
+   * 整幅图像的像素尺寸
+   * @returns {{width: number, height: number}}
+   */
+  getPixelSize() {
+    return {
+      width: Math.round(this.getMatLength() * this.pixelsPerMeter),
+      height: Math.round(this.config.totalWidth * this.pixelsPerMeter)
     };
   }
 
+  /**
+   * 创建画布
+   */
+  createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    return { canvas, ctx };
+  }
+
   /**
    * 初始化 Canvas
    */
   initCanvas() {
-    const width = (this.config.totalLength + 0.3) * this.pixelsPerMeter;
-    const height = this.config.totalWidth * this.pixelsPerMeter;
-    
-    this.canvas = document.createElement('canvas');
-    this.canvas.width = width;
-    this.canvas.height = height;
-    this.ctx = this.canvas.getContext('2d');
-    
-    this.ctx.imageSmoothingEnabled = true;
-    this.ctx.imageSmoothingQuality = 'high';
+    const { width, height } = this.getPixelSize();
+    const { canvas, ctx } = this.createCanvas(width, height);
+    this.canvas = canvas;
+    this.ctx = ctx;
   }
 
   /**
@@ -51,11 +94,118 @@ export class MatGenerator {
     return meter * this.pixelsPerMeter;
   }
 
+  /**
+   * 地毯实际长度 (含起跳区)
+   */
+  getMatLength() {
+    return this.config.totalLength - this.config.zones.takeoff.start;
+  }
+
   /**
    * 获取 X 坐标 (位置转像素，考虑起跳区偏移)
    */
   getX(position) {
-    return this.meterToPixel(position + 0.3);
+    return this.meterToPixel(position - this.config.zones.takeoff.start);
+  }
+
+  /**
+   * 按间距生成区间内的刻度位置 (整数步进，避免浮点累积误差)
+   * @param {number} start - 起点 (含)
+   * @param {number} end - 终点 (含)
+   * @param {number} spacing - 间距
+   * @returns {number[]}
+   */
+  getTickPositions(start, end, spacing) {
+    const positions = [];
+    const first = Math.ceil(start / spacing - 1e-6);
+    const last = Math.floor(end / spacing + 1e-6);
+    for (let i = first; i <= last; i++) {
+      positions.push(Number((i * spacing).toFixed(6)));
+    }
+    return positions;
+  }
+
+  /**
+   * 判断位置是否落在某一间距的整数倍上
+   */
+  isMultiple(position, spacing) {
+    const ratio = position / spacing;
+    return Math.abs(ratio - Math.round(ratio)) < 1e-6;
+  }
+
+  /**
+   * 绘制一条竖直刻度线 (沿宽度方向从 y0 到 y1)
+   */
+  drawTick(tick) {
+    const ctx = this.ctx;
+    const x = this.getX(tick.position);
+    
+    ctx.lineWidth = this.meterToPixel(tick.lineWidth);
+    ctx.beginPath();
+    ctx.moveTo(x, this.meterToPixel(tick.y0));
+    ctx.lineTo(x, this.meterToPixel(tick.y1));
+    ctx.stroke();
+  }
+
+  /**
+   * 纹理噪点禁区 (像素矩形 [x0, y0, x1, y1])：刻度线与 ArUco 标记 (含白边) 外扩 clearance
+   */
+  getTextureKeepOut() {
+    const { aruco, texture } = this.config;
+    const clearance = texture.clearance;
+    const origin = this.config.zones.takeoff.start;
+    const regions = [];
+    
+    this.getTickLayout().forEach(tick => {
+      const x = tick.position - origin;
+      regions.push([
+        x - tick.lineWidth / 2 - clearance,
+        tick.y0 - clearance,
+        x + tick.lineWidth / 2 + clearance,
+        tick.y1 + clearance
+      ]);
+    });
+    
+    const half = aruco.size / 2 + aruco.borderSize + clearance;
+    this.getMarkerLayout().forEach(marker => {
+      const x = marker.center.x - origin;
+      regions.push([x - half, marker.center.y - half, x + half, marker.center.y + half]);
+    });
+    
+    return regions.map(region => region.map(v => this.meterToPixel(v)));
+  }
+
+  /**
+   * 生成纹理噪点 (像素坐标)
+   * seeded 模式下每次生成结果相同，none 模式返回空数组
+   * @returns {Array<{x: number, y: number, size: number}>}
+   */
+  getTextureSpecks() {
+    const { texture } = this.config;
+    if (texture.mode === 'none') return [];
+    if (texture.mode !== 'seeded') {
+      throw new Error(`未知的纹理模式: ${texture.mode}`);
+    }
+    
+    const { width, height } = this.getPixelSize();
+    const keepOut = this.getTextureKeepOut();
+    const random = createRandom(texture.seed);
+    const specks = [];
+    
+    // 落入禁区的噪点重新取样，限制尝试次数防止禁区过大时死循环
+    for (let attempt = 0; specks.length < texture.count && attempt < texture.count * 20; attempt++) {
+      const x = random() * width;
+      const y = random() * height;
+      const size = texture.minSize + random() * (texture.maxSize - texture.minSize);
+      const blocked = keepOut.some(([x0, y0, x1, y1]) =>
+        x + size > x0 && x < x1 && y + size > y0 && y < y1
+      );
+      if (!blocked) {
+        specks.push({ x, y, size });
+      }
+    }
+    
+    return specks;
   }
 
   /**
@@ -63,21 +213,17 @@ export class MatGenerator {
    */
   drawBackground() {
     const ctx = this.ctx;
-    const width = this.canvas.width;
-    const height = this.canvas.height;
+    const { width, height } = this.getPixelSize();
     
     // 填充深黑色背景
     ctx.fillStyle = this.colors.background;
     ctx.fillRect(0, 0, width, height);
     
     // 添加微妙的纹理效果（模拟哑光材质）
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
-    for (let i = 0; i < 50; i++) {
-      const x = Math.random() * width;
-      const y = Math.random() * height;
-      const size = Math.random() * 2 + 0.5;
+    ctx.fillStyle = this.config.texture.color;
+    this.getTextureSpecks().forEach(({ x, y, size }) => {
       ctx.fillRect(x, y, size, size);
-    }
+    });
   }
 
   /**
@@ -85,314 +231,350 @@ export class MatGenerator {
    */
   drawBorder() {
     const ctx = this.ctx;
-    const width = this.canvas.width;
-    const height = this.canvas.height;
-    const borderWidth = this.meterToPixel(0.008); // 8mm 边框
+    const { width, height } = this.getPixelSize();
+    const { border } = this.config;
+    const borderWidth = this.meterToPixel(border.width);
     
     ctx.strokeStyle = this.colors.border;
     ctx.lineWidth = borderWidth;
     ctx.strokeRect(borderWidth / 2, borderWidth / 2, width - borderWidth, height - borderWidth);
-    
-    // 添加内边框装饰线
-    const innerOffset = this.meterToPixel(0.015);
-    ctx.strokeStyle = 'rgba(201, 162, 39, 0.3)';
-    ctx.lineWidth = 1;
-    ctx.strokeRect(innerOffset, innerOffset, width - innerOffset * 2, height - innerOffset * 2);
   }
 
   /**
-   * 绘制 ArUco 标记 - 按规范放置在 0m、1m、1.8m、2.4m 两侧边缘
+   * 绘制内边框装饰线
    */
-  drawArucoMarkers() {
+  drawDecoration() {
     const ctx = this.ctx;
-    const size = this.meterToPixel(0.08); // 8cm 核心区 (规范要求)
-    const quietZone = this.meterToPixel(0.015); // 1.5cm 白色静默区 (规范要求)
-    const totalSize = size + quietZone * 2;
-    const margin = this.meterToPixel(0.02); // 距离边缘 2cm
+    const { width, height } = this.getPixelSize();
+    const { border } = this.config;
+    const innerOffset = this.meterToPixel(border.innerOffset);
+    ctx.strokeStyle = this.colors.borderInner;
+    ctx.lineWidth = border.innerLineWidth;
+    ctx.strokeRect(innerOffset, innerOffset, width - innerOffset * 2, height - innerOffset * 2);
+  }
+
+  /**
+   * 获取标记布局 (唯一权威来源，见 markerLayout.js)
+   */
+  getMarkerLayout() {
+    if (!this.markerLayout) {
+      this.markerLayout = buildMarkerLayout(this.config);
+    }
+    return this.markerLayout;
+  }
+
+  /**
+   * 生成各标记的图像 (按当前分辨率，缓存后供整幅与分块绘制共用)
+   * 每个标记生成后回读解码，印刷内容与布局不一致时中止生成
+   * @returns {Array<{marker: Object, image: HTMLCanvasElement}>}
+   */
+  getMarkerImages() {
+    if (this.markerImages) {
+      return this.markerImages;
+    }
     
-    // ArUco 位置：0m、1.0m、1.8m、2.4m 两侧边缘
-    const arucoPositions = [0, 1.0, 1.8, 2.4];
+    const { aruco } = this.config;
+    const layout = this.getMarkerLayout();
     
-    arucoPositions.forEach((pos, index) => {
-      const x = this.getX(pos);
+    const layoutErrors = validateMarkerLayout(layout, getDictionary(aruco.dictionary).codes.length);
+    if (layoutErrors.length > 0) {
+      throw new Error(`ArUco 布局无效:\n${layoutErrors.join('\n')}`);
+    }
+    
+    const size = this.meterToPixel(aruco.size);
+    const printed = [];
+    const images = layout.map(marker => {
+      const image = createArucoMarker(marker.id, size, 0, {
+        dictionary: aruco.dictionary
+      });
       
-      // 左侧 (上方) ArUco
-      const leftId = index;
-      const leftY = margin;
+      // 回读印刷内容
+      const decoded = decodeArucoMarker(image, { dictionary: aruco.dictionary });
+      printed.push({
+        id: decoded && decoded.rotation === 0 ? decoded.id : null,
+        side: marker.side,
+        position: marker.position
+      });
+      return { marker, image };
+    });
+    
+    const mismatches = compareMarkerLayout(printed, layout);
+    if (mismatches.length > 0) {
+      throw new Error(`印刷的 ArUco 标记与布局不一致:\n${mismatches.join('\n')}`);
+    }
+    
+    this.markerImages = images;
+    return images;
+  }
+
+  /**
+   * 绘制 ArUco 标记 - 按布局模型放置在两侧边缘
+   */
+  drawArucoMarkers() {
+    const ctx = this.ctx;
+    const { aruco } = this.config;
+    const size = this.meterToPixel(aruco.size);
+    const quietZone = this.meterToPixel(aruco.borderSize);
+    
+    this.getMarkerImages().forEach(({ marker, image }) => {
+      const x = this.getX(marker.center.x);
+      const y = this.meterToPixel(marker.center.y);
       
       // 白色静默区背景
       ctx.fillStyle = this.colors.arucoWhite;
-      ctx.fillRect(x - totalSize / 2, leftY, totalSize, totalSize);
+      ctx.fillRect(x - size / 2 - quietZone, y - size / 2 - quietZone, size + quietZone * 2, size + quietZone * 2);
       
       // 绘制 ArUco 标记
-      const leftMarker = createArucoMarker(leftId, size, 0);
-      ctx.drawImage(leftMarker, x - size / 2, leftY + quietZone, size, size);
+      ctx.drawImage(image, x - size / 2, y - size / 2, size, size);
+    });
+  }
+
+  /**
+   * 获取刻度布局 - 绘制与标定板导出共用
+   * tier 为刻度所属级别 (start / major / half / medium / fine)，system 为所属单位制 (metric / imperial，
+   * 起跳线为各单位制共用，取 scales.system)；英制刻度按 scales.imperial 的间距分级，线宽与长度同公制同级刻度。
+   * 刻度线沿宽度方向从 y0 画到 y1 (距左侧边缘，m)，length 为实际长度：单一单位制时居中，
+   * 双制时公制从顶边向内 scales.edgeOffset 处画起、英制从底边向内 scales.edgeOffset 处画起，
+   * 各取一半长度、朝中线延伸 (起跳线占满整个宽度)
+   * @returns {Array<{position: number, tier: string, zone: string, system: string, length: number,
+   *   y0: number, y1: number, lineWidth: number}>}
+   */
+  getTickLayout() {
+    if (this.tickLayout) {
+      return this.tickLayout;
+    }
+    
+    const { zones, scales, totalWidth } = this.config;
+    const { medium, sparse, startLine } = scales;
+    const scaleSystem = SCALE_SYSTEMS[scales.system];
+    if (!scaleSystem) {
+      throw new Error(`未知的刻度单位制: ${scales.system}`);
+    }
+    const dual = scaleSystem.systems.length > 1;
+    const center = totalWidth / 2;
+    const ticks = [];
+    
+    // 起跳线
+    ticks.push({
+      position: startLine.position,
+      tier: 'start',
+      zone: 'takeoff',
+      system: scales.system,
+      length: totalWidth,
+      y0: 0,
+      y1: totalWidth,
+      lineWidth: startLine.lineWidth
+    });
+    
+    scaleSystem.systems.forEach(system => {
+      const spacing = (tier) => (system === 'imperial' ? scales.imperial[tier] : scales[tier]).spacing;
+      const tierOf = (pos, tiers) => tiers.find(name => this.isMultiple(pos, spacing(name))) || tiers[tiers.length - 1];
+      const add = (position, tier, zone, lineLength, lineWidth) => {
+        const length = dual ? lineLength / 2 : lineLength;
+        let y0 = center - lineLength / 2;
+        if (dual) {
+          y0 = system === 'imperial' ? totalWidth - scales.edgeOffset - length : scales.edgeOffset;
+        }
+        y0 = Number(y0.toFixed(6));
+        ticks.push({ position, tier, zone, system, length, y0, y1: Number((y0 + length).toFixed(6)), lineWidth });
+      };
       
-      // 右侧 (下方) ArUco
-      const rightId = index + 4;
-      const rightY = this.canvas.height - totalSize - margin;
+      // 飞行区稀疏刻度 (公制每 10cm)，精密区起点由落地区绘制
+      this.getTickPositions(zones.flight.start, zones.flight.end, spacing('medium'))
+        .filter(pos => pos > zones.flight.start && pos < zones.landing.start)
+        .forEach(position => {
+          const tier = tierOf(position, ['major', 'half', 'medium']);
+          const length = tier === 'medium' ? sparse.flightLineLength : sparse.flightEmphasisLength;
+          add(position, tier, 'flight', length, medium.lineWidth);
+        });
       
-      // 白色静默区背景
-      ctx.fillStyle = this.colors.arucoWhite;
-      ctx.fillRect(x - totalSize / 2, rightY, totalSize, totalSize);
+      // 核心落地区的精密刻度 (公制每 1cm)，按所在最粗的刻度级别决定长度和线宽
+      this.getTickPositions(zones.landing.start, zones.landing.end, spacing('fine'))
+        .forEach(position => {
+          const tier = tierOf(position, ['major', 'half', 'medium', 'fine']);
+          add(position, tier, 'landing', scales[tier].lineLength, scales[tier].lineWidth);
+        });
       
-      // 绘制 ArUco 标记
-      const rightMarker = createArucoMarker(rightId, size, 0);
-      ctx.drawImage(rightMarker, x - size / 2, rightY + quietZone, size, size);
+      // 扩展区稀疏刻度 (公制每 10cm)
+      this.getTickPositions(zones.extended.start, zones.extended.end, spacing('medium'))
+        .filter(pos => pos > zones.landing.end)
+        .forEach(position => {
+          add(position, tierOf(position, ['major', 'half', 'medium']), 'extended', sparse.extendedLineLength, medium.lineWidth);
+        });
     });
+    
+    this.tickLayout = ticks;
+    return ticks;
+  }
+
+  /**
+   * 刻度所属图层：1cm 精细刻度单独成层，其余为主刻度
+   */
+  getTickLayer(tick) {
+    return tick.tier === 'fine' ? 'fineScale' : 'coarseScale';
   }
 
   /**
    * 绘制起跳区刻度 (稀疏)
    */
   drawTakeoffZoneScales() {
-    const ctx = this.ctx;
-    const startX = this.getX(0);
-    const endX = this.getX(1.4); // 0-1.4m 稀疏区 (飞行区)
-    const centerY = this.canvas.height / 2;
-    
-    ctx.strokeStyle = this.colors.scaleYellow;
-    ctx.fillStyle = this.colors.textGold;
-    
-    // 起跳线 (0m) - 占满整个宽度
-    ctx.lineWidth = this.meterToPixel(0.004); // 4mm 线宽
-    
-    ctx.beginPath();
-    ctx.moveTo(startX, 0);
-    ctx.lineTo(startX, this.canvas.height);
-    ctx.stroke();
+    this.ctx.strokeStyle = this.config.scales.color;
     
-    // 稀疏刻度 (每 10cm) - 飞行区
-    for (let pos = 0.1; pos <= 1.4; pos += 0.1) {
-      const x = this.getX(pos);
-      const height = (pos * 10) % 5 === 0 ? this.meterToPixel(0.25) : this.meterToPixel(0.15);
-      
-      ctx.lineWidth = this.meterToPixel(0.002);
-      ctx.beginPath();
-      ctx.moveTo(x, centerY - height / 2);
-      ctx.lineTo(x, centerY + height / 2);
-      ctx.stroke();
-    }
+    // 起跳线 (占满整个宽度) 与飞行区稀疏刻度
+    this.getTickLayout()
+      .filter(tick => tick.zone === 'takeoff' || tick.zone === 'flight')
+      .filter(tick => this.isLayerVisible(this.getTickLayer(tick)))
+      .forEach(tick => this.drawTick(tick));
   }
 
   /**
    * 绘制精密区刻度 (密集) - CV 核心区域
    */
   drawPrecisionZoneScales() {
-    const ctx = this.ctx;
-    const startPos = 1.4; // 精密区从 1.4m 开始 (核心落地区)
-    const endPos = 2.8;   // 到 2.8m 结束 (规范要求)
-    const centerY = this.canvas.height / 2;
-    
-    ctx.strokeStyle = this.colors.scaleFine;
-    
-    // 绘制每 1cm 的精密刻度
-    for (let pos = startPos; pos <= endPos; pos += 0.01) {
-      const x = this.getX(pos);
-      const cmValue = Math.round(pos * 100);
-      
-      // 根据位置决定刻度高度
-      let height;
-      let lineWidth;
-      
-      if (cmValue % 100 === 0) {
-        // 整米刻度 - 最长
-        height = this.meterToPixel(0.45);
-        lineWidth = this.meterToPixel(0.003);
-      } else if (cmValue % 50 === 0) {
-        // 50cm 刻度
-        height = this.meterToPixel(0.35);
-        lineWidth = this.meterToPixel(0.0025);
-      } else if (cmValue % 10 === 0) {
-        // 10cm 刻度
-        height = this.meterToPixel(0.25);
-        lineWidth = this.meterToPixel(0.002);
-      } else {
-        // 1cm 精密刻度
-        height = this.meterToPixel(0.12);
-        lineWidth = this.meterToPixel(0.0012);
-      }
-      
-      ctx.lineWidth = lineWidth;
-      ctx.beginPath();
-      ctx.moveTo(x, centerY - height / 2);
-      ctx.lineTo(x, centerY + height / 2);
-      ctx.stroke();
-    }
+    this.ctx.strokeStyle = this.config.scales.color;
     
-    // 扩展区稀疏刻度 (2.8m - 3.0m，每 10cm)
-    for (let pos = 2.9; pos <= 3.0; pos += 0.1) {
-      const x = this.getX(pos);
-      const height = this.meterToPixel(0.2);
-      
-      ctx.lineWidth = this.meterToPixel(0.002);
-      ctx.beginPath();
-      ctx.moveTo(x, centerY - height / 2);
-      ctx.lineTo(x, centerY + height / 2);
-      ctx.stroke();
+    // 核心落地区精密刻度与扩展区稀疏刻度
+    this.getTickLayout()
+      .filter(tick => tick.zone === 'landing' || tick.zone === 'extended')
+      .filter(tick => this.isLayerVisible(this.getTickLayer(tick)))
+      .forEach(tick => this.drawTick(tick));
+  }
+
+  /**
+   * 获取标签布局 - Canvas 与 SVG 渲染共用 (由 labelEngine.js 按刻度配置生成，避让标记与刻度线)
+   * x 为沿跳跃方向的位置，y 为距左侧边缘 (图案上方) 的距离，单位均为米
+   * @returns {Array<{role: string, anchor: number, text: string, x: number, y: number, rotation: number,
+   *   fontSize: number, bold: boolean, fontFamily: string, baseline: string, moved: boolean}>}
+   */
+  getLabelLayout() {
+    let markers = [];
+    try {
+      markers = this.getMarkerLayout();
+    } catch (error) {
+      // 标记布局无效时 (由 DRC 报告) 标签不做避让
     }
+    return buildLabelLayout(this.config, { ticks: this.getTickLayout(), markers });
   }
 
   /**
-   * 绘制标签 - 只在关键位置标注
+   * 绘制标签
    */
   drawLabels() {
     const ctx = this.ctx;
-    const height = this.canvas.height;
     
-    ctx.fillStyle = this.colors.textGold;
+    ctx.fillStyle = this.colors.label;
     ctx.textAlign = 'center';
     
-    // 起跳线标签
-    ctx.save();
-    ctx.translate(this.getX(0), height - this.meterToPixel(0.08));
-    ctx.rotate(-Math.PI / 2);
-    ctx.font = `bold ${this.meterToPixel(0.025)}px "PingFang SC", "Microsoft YaHei", sans-serif`;
-    ctx.fillText('0mm (起跳线)', 0, 0);
-    ctx.restore();
-    
-    // 精密区起点标签
-    ctx.save();
-    ctx.translate(this.getX(1.2), height - this.meterToPixel(0.08));
-    ctx.rotate(-Math.PI / 2);
-    ctx.font = `bold ${this.meterToPixel(0.022)}px "PingFang SC", "Microsoft YaHei", sans-serif`;
-    ctx.fillText('1200mm (精密区起点)', 0, 0);
-    ctx.restore();
-    
-    // 底部刻度标签 - 只标注关键位置
-    ctx.font = `${this.meterToPixel(0.018)}px "JetBrains Mono", monospace`;
-    ctx.textBaseline = 'top';
-    
-    // 稀疏区标签
-    const sparseLabels = [
-      { pos: 0, label: '1cm/10cm' },
-      { pos: 0.2, label: '200mm' },
-      { pos: 0.4, label: '400mm' },
-      { pos: 0.6, label: '600mm' },
-      { pos: 0.8, label: '800mm' },
-      { pos: 1.0, label: '1000mm' }
-    ];
-    
-    sparseLabels.forEach(item => {
+    this.getLabelLayout().forEach(item => {
       ctx.save();
-      ctx.translate(this.getX(item.pos), height - this.meterToPixel(0.035));
-      ctx.rotate(-Math.PI / 4);
-      ctx.fillText(item.label, 0, 0);
+      ctx.translate(this.getX(item.x), this.meterToPixel(item.y));
+      ctx.rotate(item.rotation);
+      ctx.font = `${item.bold ? 'bold ' : ''}${this.meterToPixel(item.fontSize)}px ${item.fontFamily}`;
+      ctx.textBaseline = item.baseline;
+      ctx.fillText(item.text, 0, 0);
       ctx.restore();
     });
-    
-    // 精密区标签 - 每 10cm 标注一次
-    const precisionLabels = [];
-    for (let i = 1200; i <= 3000; i += 100) {
-      precisionLabels.push({ pos: i / 1000, label: i + 'mm' });
+  }
+
+  /**
+   * 图层是否显示
+   */
+  isLayerVisible(layerId) {
+    if (!MAT_LAYERS.some(layer => layer.id === layerId)) {
+      throw new Error(`未知图层: ${layerId}`);
     }
-    
-    precisionLabels.forEach(item => {
-      ctx.save();
-      ctx.translate(this.getX(item.pos), height - this.meterToPixel(0.035));
-      ctx.rotate(-Math.PI / 4);
-      ctx.font = `${this.meterToPixel(0.014)}px "JetBrains Mono", monospace`;
-      ctx.fillText(item.label, 0, 0);
-      ctx.restore();
-    });
+    return this.config.layers[layerId] !== false;
   }
 
   /**
-   * 绘制简化版标签 - 只保留关键米数
+   * 以相同配置创建只显示指定图层的生成器 (用于分色导出)
+   * @param {string[]} layerIds - 要显示的图层
+   * @returns {MatGenerator}
    */
-  drawSimplifiedLabels() {
-    const ctx = this.ctx;
-    const height = this.canvas.height;
-    
-    ctx.fillStyle = this.colors.textGold;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    
-    // 起跳线标签 (左侧，竖向) - 正向旋转90度
-    ctx.save();
-    ctx.translate(this.getX(-0.08), height / 2);
-    ctx.rotate(Math.PI / 2);  // 正向旋转，文字从下往上读
-    ctx.font = `bold ${this.meterToPixel(0.035)}px "PingFang SC", "Microsoft YaHei", sans-serif`;
-    ctx.fillText('0mm (起跳线)', 0, 0);
-    ctx.restore();
-    
-    // 精密区起点标签
-    ctx.save();
-    ctx.translate(this.getX(1.35), height / 2);  // 1.4m 位置附近
-    ctx.rotate(Math.PI / 2);  // 正向旋转
-    ctx.font = `bold ${this.meterToPixel(0.03)}px "PingFang SC", "Microsoft YaHei", sans-serif`;
-    ctx.fillText('1.4m (精密区起点)', 0, 0);
-    ctx.restore();
-    
-    // 底部关键刻度标签 - 只标 0.5m 间隔
-    ctx.font = `${this.meterToPixel(0.016)}px "JetBrains Mono", monospace`;
-    ctx.textBaseline = 'top';
-    
-    const keyLabels = [
-      { pos: 0, label: '0' },
-      { pos: 0.5, label: '500mm' },
-      { pos: 1.0, label: '1000mm' },
-      { pos: 1.5, label: '1.5m' },
-      { pos: 1.6, label: '1.6m' },
-      { pos: 1.7, label: '1.7m' },
-      { pos: 1.8, label: '1.8m' },
-      { pos: 1.9, label: '1.9m' },
-      { pos: 2.0, label: '2.0m' },
-      { pos: 2.1, label: '2.1m' },
-      { pos: 2.2, label: '2.2m' },
-      { pos: 2.3, label: '2.3m' },
-      { pos: 2.4, label: '2.4m' },
-      { pos: 2.5, label: '2.5m' },
-      { pos: 2.6, label: '2.6m' },
-      { pos: 2.7, label: '2.7m' },
-      { pos: 2.8, label: '2.8m' },
-      { pos: 2.9, label: '2.9m' },
-      { pos: 3.0, label: '3.0m' }
-    ];
-    
-    keyLabels.forEach(item => {
-      ctx.save();
-      ctx.translate(this.getX(item.pos), height - this.meterToPixel(0.04));
-      ctx.rotate(-Math.PI / 4);
-      
-      // 整米数用更大字体
-      if (item.pos >= 1.5 && item.label.includes('m')) {
-        ctx.font = `bold ${this.meterToPixel(0.018)}px "JetBrains Mono", monospace`;
-      } else {
-        ctx.font = `${this.meterToPixel(0.014)}px "JetBrains Mono", monospace`;
-      }
-      
-      ctx.fillText(item.label, 0, 0);
-      ctx.restore();
+  withLayers(layerIds) {
+    const layers = {};
+    MAT_LAYERS.forEach(layer => {
+      layers[layer.id] = layerIds.includes(layer.id);
     });
+    return new MatGenerator({ ...this.config, pixelsPerMeter: this.pixelsPerMeter, layers });
+  }
+
+  /**
+   * 以相同配置创建指定分辨率的生成器 (高分辨率导出、低分辨率预览纹理)
+   * @param {number} pixelsPerMeter - 分辨率 (像素 / 米)
+   * @returns {MatGenerator}
+   */
+  withResolution(pixelsPerMeter) {
+    return new MatGenerator({ ...this.config, pixelsPerMeter });
+  }
+
+  /**
+   * 按层级绘制到当前画布 (刻度线的主 / 精细图层在绘制时按级别过滤)
+   */
+  drawLayers() {
+    if (this.isLayerVisible('background')) this.drawBackground();
+    this.drawTakeoffZoneScales();
+    this.drawPrecisionZoneScales();
+    if (this.isLayerVisible('labels')) this.drawLabels();
+    if (this.isLayerVisible('border')) this.drawBorder();
+    if (this.isLayerVisible('decoration')) this.drawDecoration();
+    if (this.isLayerVisible('markers')) this.drawArucoMarkers();
   }
 
   /**
    * 生成完整地毯纹理
+   * 隐藏的图层不绘制；底色隐藏时画布保持透明
    */
   generate() {
     this.initCanvas();
-    
-    // 按层级绘制
-    this.drawBackground();
-    this.drawTakeoffZoneScales();
-    this.drawPrecisionZoneScales();
-    this.drawSimplifiedLabels();
-    this.drawBorder();
-    this.drawArucoMarkers();
-    
+    this.drawLayers();
     return this.canvas;
   }
 
+  /**
+   * 渲染整幅图像中的一块 (像素坐标同 generate 的画布)
+   * 各块使用同一套绘制流程，只平移画布原点，拼接后与整幅渲染一致；
+   * 高分辨率下整幅画布超出浏览器限制时逐块渲染 (见 rasterExport.js)
+   * @param {number} x - 块左上角 x (像素)
+   * @param {number} y - 块左上角 y (像素)
+   * @param {number} width - 块宽度 (像素)
+   * @param {number} height - 块高度 (像素)
+   * @returns {HTMLCanvasElement}
+   */
+  renderTile(x, y, width, height) {
+    const { canvas, ctx } = this.createCanvas(width, height);
+    const previous = this.ctx;
+    this.ctx = ctx;
+    try {
+      ctx.translate(-x, -y);
+      this.drawLayers();
+    } finally {
+      this.ctx = previous;
+    }
+    return canvas;
+  }
+
+  /**
+   * 3D 预览纹理画布
+   * 整幅图像最长边不超过 RENDER_CONFIG.rasterExport.textureMaxSize 时直接使用 generate 的画布，
+   * 否则按比例降低分辨率另行渲染 (高分辨率输出走分块导出)
+   * @returns {HTMLCanvasElement}
+   */
+  getPreviewCanvas() {
+    const { textureMaxSize } = RENDER_CONFIG.rasterExport;
+    const { width, height } = this.getPixelSize();
+    const longest = Math.max(width, height);
+    if (longest <= textureMaxSize) {
+      return this.canvas || this.generate();
+    }
+    return this.withResolution(this.pixelsPerMeter * textureMaxSize / longest).generate();
+  }
+
   /**
    * 创建 Three.js 纹理
    */
   createTexture() {
-    if (!this.canvas) {
-      this.generate();
-    }
-    
-    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture = new THREE.CanvasTexture(this.getPreviewCanvas());
     this.texture.colorSpace = THREE.SRGBColorSpace;
     this.texture.anisotropy = 16;
     this.texture.minFilter = THREE.LinearMipmapLinearFilter;
@@ -408,8 +590,9 @@ export class MatGenerator {
     const texture = this.createTexture();
     
     // 几何体 (平面)
+    const matLength = this.getMatLength();
     const geometry = new THREE.PlaneGeometry(
-      this.config.totalLength + 0.3,
+      matLength,
       this.config.totalWidth
     );
     
@@ -425,7 +608,7 @@ export class MatGenerator {
     const mesh = new THREE.Mesh(geometry, material);
     mesh.rotation.x = -Math.PI / 2;
     mesh.position.set(
-      (this.config.totalLength + 0.3) / 2 - 0.3,
+      matLength / 2 + this.config.zones.takeoff.start,
       0,
       0
     );
@@ -433,6 +616,40 @@ export class MatGenerator {
     return mesh;
   }
 
+  /**
+   * 内容哈希：配置 + 分辨率 + 渲染像素
+   * 同一配置重复生成应得到相同哈希，可用于核对导出文件与快照
+   * @returns {string}
+   */
+  getContentHash() {
+    if (!this.canvas) {
+      this.generate();
+    }
+    const { width, height } = this.canvas;
+    const pixels = this.ctx.getImageData(0, 0, width, height).data;
+    const header = stableStringify({ config: this.config, pixelsPerMeter: this.pixelsPerMeter, width, height });
+    return hashBytes(pixels, header);
+  }
+
+  /**
+   * 设计哈希：配置 + 分辨率 + 绘制数据 (刻度、标记、标签、纹理噪点)，不读取像素
+   * 与 getContentHash 一样可复现，但不需要 DOM 画布，可在 Node 脚本与测试中调用
+   * @returns {string}
+   */
+  getDesignHash() {
+    const { width, height } = this.getPixelSize();
+    return hashString(stableStringify({
+      config: this.config,
+      pixelsPerMeter: this.pixelsPerMeter,
+      width,
+      height,
+      ticks: this.getTickLayout(),
+      markers: this.getMarkerLayout(),
+      labels: this.getLabelLayout(),
+      specks: this.getTextureSpecks()
+    }));
+  }
+
   /**
    * 获取 Canvas 的 Data URL
    */
@@ -0,0 +1,108 @@
+import { formatLength } from './labelEngine.js';
+import { DEFAULT_LOCALE, translate } from './i18n.js';
+
+/**
+ * 点击测量
+ * 由地毯坐标上的鞋跟触地点计算跳远成绩：成绩为触地点到起跳线的垂直距离 (即 x 坐标)，
+ * 并给出最近刻度与测量不确定度；坐标系同 markerLayout (米，x 沿跳跃方向、起跳线为 0，y 从左侧边缘起)
+ */
+
+/**
+ * 测量一点
+ * @param {MatGenerator} generator - 地毯生成器 (刻度与区域)
+ * @param {number} x - 触地点 x (m)
+ * @param {number} y - 触地点 y (m)
+ * @param {number} uncertainty - 沿跳跃方向的不确定度 (m，1σ)
+ * @returns {{x: number, y: number, distance: number, onMat: boolean, zone: string|null,
+ *   nearestTick: {position: number, tier: string, system: string, offset: number}, uncertainty: number}}
+ *   distance 单位为米；nearestTick.offset 为触地点相对最近刻度的偏移 (m，正值在刻度之后)，
+ *   双制地毯取两种单位制中最近的一条
+ */
+export function measureJump(generator, x, y, uncertainty = 0) {
+  const { config } = generator;
+  const { zones } = config;
+  const onMat = x >= zones.takeoff.start && x <= config.totalLength && y >= 0 && y <= config.totalWidth;
+  const zone = Object.keys(zones).find(name => x >= zones[name].start && x < zones[name].end) || null;
+  
+  const nearest = generator.getTickLayout().reduce((best, tick) =>
+    (Math.abs(tick.position - x) < Math.abs(best.position - x) ? tick : best));
+  
+  return {
+    x,
+    y,
+    distance: x,
+    onMat,
+    zone,
+    nearestTick: {
+      position: nearest.position,
+      tier: nearest.tier,
+      system: nearest.system,
+      offset: x - nearest.position
+    },
+    uncertainty
+  };
+}
+
+/**
+ * 测量结果文本
+ * @param {Object} measurement - measureJump 的结果
+ * @param {Object} options - locale: 说明文字的语言 (LOCALES 的键)
+ * @returns {{distance: string, detail: string}}
+ */
+export function formatMeasurement(measurement, { locale = DEFAULT_LOCALE } = {}) {
+  const { distance, nearestTick, uncertainty, onMat } = measurement;
+  const cm = (meter) => (meter * 100).toFixed(1);
+  const offset = nearestTick.offset >= 0 ? `+${cm(nearestTick.offset)}` : cm(nearestTick.offset);
+  const tick = nearestTick.system === 'imperial'
+    ? `${formatLength(nearestTick.position, 'ftin')} (${Number(nearestTick.position.toFixed(4))}m)`
+    : `${Number(nearestTick.position.toFixed(3))}m`;
+  return {
+    distance: `${cm(distance)} cm ± ${cm(uncertainty)} cm`,
+    detail: translate('最近刻度 {tick} ({offset}cm)', locale, { tick, offset })
+      + (onMat ? '' : ` · ${translate('触地点不在地毯上', locale)}`)
+  };
+}
+
+/**
+ * 在俯视校正图上标出测量：触地点十字与到起跳线的垂线
+ * @param {CanvasRenderingContext2D} ctx - 画布
+ * @param {{pixelsPerMeter: number, origin: {x: number, y: number}}} view - 地毯坐标到画布的映射 (rectifyPhoto 的结果)
+ * @param {Object} measurement - measureJump 的结果
+ */
+export function drawMeasurement(ctx, view, measurement) {
+  const { pixelsPerMeter, origin } = view;
+  const px = (measurement.x - origin.x) * pixelsPerMeter;
+  const py = (measurement.y - origin.y) * pixelsPerMeter;
+  const startX = -origin.x * pixelsPerMeter;
+  
+  ctx.save();
+  ctx.strokeStyle = '#e6ff00';
+  ctx.fillStyle = '#e6ff00';
+  ctx.lineWidth = 1.5;
+  
+  // 垂直于起跳线的测量线
+  ctx.setLineDash([6, 4]);
+  ctx.beginPath();
+  ctx.moveTo(startX, py);
+  ctx.lineTo(px, py);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  
+  // 触地点十字
+  ctx.beginPath();
+  ctx.moveTo(px - 8, py);
+  ctx.lineTo(px + 8, py);
+  ctx.moveTo(px, py - 8);
+  ctx.lineTo(px, py + 8);
+  ctx.stroke();
+  
+  ctx.font = 'bold 13px "JetBrains Mono", monospace';
+  ctx.fillText(formatMeasurement(measurement).distance, px + 10, py - 10);
+  ctx.restore();
+}
+
+export default {
+  measureJump,
+  formatMeasurement,
+  drawMeasurement
+};
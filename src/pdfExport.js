@@ -0,0 +1,440 @@
+import { buildArtwork, parseColor, fmt } from './artwork.js';
+import { PdfDocument, PT_PER_MM, pdfName, pdfNumber } from './pdfWriter.js';
+
+/**
+ * 印刷 PDF 导出
+ * - single：单页 1:1，含出血、裁切线
+ * - tiled：按 A4 / A3 拼版，含重叠区、对位标记，用于试印校对
+ * 每页附 10cm 校验尺；刻度墨色按 config.print.spotColor 输出为专色 (Separation)
+ *
+ * 内容流相关的辅助函数 (文本、图元、资源) 同时供规格书 PDF 使用
+ */
+
+// 纸张尺寸 (mm，纵向)
+export const PAPER_SIZES = {
+  A4: { width: 210, height: 297 },
+  A3: { width: 297, height: 420 }
+};
+
+// 套准色 (所有分版都印)，用于裁切线、对位标记、校验尺
+const REGISTRATION = 'registration';
+
+/**
+ * RGB 转 CMYK (简单换算，纯黑输出为单黑 K100)
+ */
+function rgbToCMYK({ r, g, b }) {
+  const k = 1 - Math.max(r, g, b);
+  if (k >= 1) return [0, 0, 0, 1];
+  return [
+    (1 - r - k) / (1 - k),
+    (1 - g - k) / (1 - k),
+    (1 - b - k) / (1 - k),
+    k
+  ].map(v => fmt(v));
+}
+
+/**
+ * 文本转 UCS-2 十六进制 (配合 UniGB-UCS2-H 编码)
+ */
+function encodeText(text) {
+  let hex = '';
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    hex += (code > 0xffff ? 0x3f : code).toString(16).padStart(4, '0');
+  }
+  return `<${hex.toUpperCase()}>`;
+}
+
+/**
+ * 估算文本宽度 (em)：西文半角，中文全角，与字体 /W 设置一致
+ */
+export function textWidth(text) {
+  let width = 0;
+  for (const ch of String(text)) {
+    width += ch.codePointAt(0) < 0x80 ? 0.5 : 1;
+  }
+  return width;
+}
+
+/**
+ * 创建颜色映射：角色名 -> PDF 填充 / 描边操作符
+ */
+export function createColorMapper(palette, spotColor) {
+  const spotRoles = new Set(spotColor ? spotColor.roles : []);
+  
+  const resolve = (role) => {
+    if (role === REGISTRATION) {
+      return { space: '/Reg', tint: 1 };
+    }
+    const color = parseColor(palette[role]);
+    if (spotRoles.has(role)) {
+      // 半透明专色按网点比例 (tint) 输出
+      return { space: '/Spot', tint: color.a };
+    }
+    return { cmyk: rgbToCMYK(color) };
+  };
+  
+  return {
+    fill(role) {
+      const c = resolve(role);
+      return c.space ? `${c.space} cs ${pdfNumber(c.tint)} scn` : `${c.cmyk.map(pdfNumber).join(' ')} k`;
+    },
+    stroke(role) {
+      const c = resolve(role);
+      return c.space ? `${c.space} CS ${pdfNumber(c.tint)} SCN` : `${c.cmyk.map(pdfNumber).join(' ')} K`;
+    }
+  };
+}
+
+/**
+ * 绘制文本 (当前坐标系为 mm、y 轴向下)
+ * @param {string} anchor - start / middle
+ * @param {string} baseline - top / middle / alphabetic
+ */
+export function textOps(text, x, y, fontSize, { rotation = 0, anchor = 'start', baseline = 'alphabetic', bold = false, fillOp, strokeOp }) {
+  const rad = rotation * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const dx = anchor === 'middle' ? -textWidth(text) * fontSize / 2 : 0;
+  const dy = { top: -0.8, middle: -0.35, alphabetic: 0 }[baseline] * fontSize;
+  
+  return [
+    'q',
+    `1 0 0 1 ${pdfNumber(x)} ${pdfNumber(y)} cm`,
+    `${pdfNumber(cos)} ${pdfNumber(sin)} ${pdfNumber(-sin)} ${pdfNumber(cos)} 0 0 cm`,
+    '1 0 0 -1 0 0 cm',
+    fillOp,
+    // 粗体用填充加描边模拟
+    bold ? `${strokeOp} ${pdfNumber(fontSize * 0.03)} w 2 Tr` : '0 Tr',
+    `BT /F1 ${pdfNumber(fontSize)} Tf ${pdfNumber(dx)} ${pdfNumber(dy)} Td ${encodeText(text)} Tj ET`,
+    'Q'
+  ].join('\n');
+}
+
+/**
+ * 图元包围盒 (mm)，文本按最大可能范围估算
+ */
+function itemBounds(item) {
+  switch (item.type) {
+    case 'line':
+      return [Math.min(item.x1, item.x2), Math.min(item.y1, item.y2), Math.max(item.x1, item.x2), Math.max(item.y1, item.y2)];
+    case 'text': {
+      const reach = textWidth(item.text) * item.fontSize;
+      return [item.x - reach, item.y - reach, item.x + reach, item.y + reach];
+    }
+    default:
+      return [item.x, item.y, item.x + item.width, item.y + item.height];
+  }
+}
+
+/**
+ * 图元列表转内容流
+ * @param {Object} artwork - buildArtwork 的结果
+ * @param {Object} colors - 颜色映射
+ * @param {Object} options - bleed: 背景向外扩展的出血量 (mm)；clip: 只输出与该区域相交的图元 [x0, y0, x1, y1]
+ */
+export function artworkOps(artwork, colors, { bleed = 0, clip = null } = {}) {
+  const visible = (item) => {
+    if (!clip) return true;
+    const [x0, y0, x1, y1] = itemBounds(item);
+    return x1 >= clip[0] && x0 <= clip[2] && y1 >= clip[1] && y0 <= clip[3];
+  };
+  
+  return artwork.items.filter(visible).map(item => {
+    switch (item.type) {
+      case 'rect': {
+        if (item.fill) {
+          const grow = item.layer === 'background' ? bleed : 0;
+          return `${colors.fill(item.fill)} ${pdfNumber(item.x - grow)} ${pdfNumber(item.y - grow)} ` +
+            `${pdfNumber(item.width + grow * 2)} ${pdfNumber(item.height + grow * 2)} re f`;
+        }
+        return `${colors.stroke(item.stroke)} ${pdfNumber(item.strokeWidth)} w ` +
+          `${pdfNumber(item.x)} ${pdfNumber(item.y)} ${pdfNumber(item.width)} ${pdfNumber(item.height)} re S`;
+      }
+      
+      case 'line':
+        return `${colors.stroke(item.stroke)} ${pdfNumber(item.strokeWidth)} w ` +
+          `${pdfNumber(item.x1)} ${pdfNumber(item.y1)} m ${pdfNumber(item.x2)} ${pdfNumber(item.y2)} l S`;
+      
+      case 'text':
+        return textOps(item.text, item.x, item.y, item.fontSize, {
+          rotation: item.rotation,
+          anchor: 'middle',
+          baseline: item.baseline,
+          bold: item.bold,
+          fillOp: colors.fill(item.fill),
+          strokeOp: colors.stroke(item.fill)
+        });
+      
+      default:
+        throw new Error(`未知图元类型: ${item.type}`);
+    }
+  }).join('\n');
+}
+
+/**
+ * 10cm 校验尺 (1mm 细刻度、5mm 中刻度、1cm 长刻度)，左上角位于 (x, y)
+ */
+function rulerOps(x, y, colors) {
+  const ops = [colors.stroke(REGISTRATION), '0.15 w'];
+  for (let i = 0; i <= 100; i++) {
+    const length = i % 10 === 0 ? 4 : i % 5 === 0 ? 3 : 2;
+    ops.push(`${pdfNumber(x + i)} ${pdfNumber(y)} m ${pdfNumber(x + i)} ${pdfNumber(y + length)} l S`);
+  }
+  ops.push(`${pdfNumber(x)} ${pdfNumber(y)} m ${pdfNumber(x + 100)} ${pdfNumber(y)} l S`);
+  
+  const label = { fillOp: colors.fill(REGISTRATION), strokeOp: colors.stroke(REGISTRATION) };
+  ops.push(textOps('0', x, y + 7, 2.5, { ...label, anchor: 'middle' }));
+  ops.push(textOps('10 cm', x + 100, y + 7, 2.5, { ...label, anchor: 'middle' }));
+  ops.push(textOps('校验尺 100.0 mm (实测偏差应 ≤ 0.5 mm)', x + 108, y + 4, 2.5, label));
+  return ops.join('\n');
+}
+
+/**
+ * 裁切线：四角各一对，与成品边缘对齐，距成品边缘 offset
+ */
+function cropMarkOps(x, y, width, height, offset, colors) {
+  const length = 5;
+  const ops = [colors.stroke(REGISTRATION), '0.2 w'];
+  [[x, y, -1, -1], [x + width, y, 1, -1], [x, y + height, -1, 1], [x + width, y + height, 1, 1]]
+    .forEach(([cx, cy, sx, sy]) => {
+      ops.push(`${pdfNumber(cx + sx * offset)} ${pdfNumber(cy)} m ${pdfNumber(cx + sx * (offset + length))} ${pdfNumber(cy)} l S`);
+      ops.push(`${pdfNumber(cx)} ${pdfNumber(cy + sy * offset)} m ${pdfNumber(cx)} ${pdfNumber(cy + sy * (offset + length))} l S`);
+    });
+  return ops.join('\n');
+}
+
+/**
+ * 对位标记 (十字加圆)，中心位于 (x, y)
+ */
+function registrationMarkOps(x, y, colors) {
+  const r = 2;
+  const k = 0.5523 * r; // 贝塞尔近似圆
+  return [
+    colors.stroke(REGISTRATION),
+    '0.15 w',
+    `${pdfNumber(x - r - 1.5)} ${pdfNumber(y)} m ${pdfNumber(x + r + 1.5)} ${pdfNumber(y)} l S`,
+    `${pdfNumber(x)} ${pdfNumber(y - r - 1.5)} m ${pdfNumber(x)} ${pdfNumber(y + r + 1.5)} l S`,
+    `${pdfNumber(x + r)} ${pdfNumber(y)} m`,
+    `${pdfNumber(x + r)} ${pdfNumber(y + k)} ${pdfNumber(x + k)} ${pdfNumber(y + r)} ${pdfNumber(x)} ${pdfNumber(y + r)} c`,
+    `${pdfNumber(x - k)} ${pdfNumber(y + r)} ${pdfNumber(x - r)} ${pdfNumber(y + k)} ${pdfNumber(x - r)} ${pdfNumber(y)} c`,
+    `${pdfNumber(x - r)} ${pdfNumber(y - k)} ${pdfNumber(x - k)} ${pdfNumber(y - r)} ${pdfNumber(x)} ${pdfNumber(y - r)} c`,
+    `${pdfNumber(x + k)} ${pdfNumber(y - r)} ${pdfNumber(x + r)} ${pdfNumber(y - k)} ${pdfNumber(x + r)} ${pdfNumber(y)} c S`
+  ].join('\n');
+}
+
+/**
+ * 页面内容外层变换：mm、原点在左上角、y 轴向下
+ */
+export function pageTransform(pageHeight) {
+  return `${pdfNumber(PT_PER_MM)} 0 0 ${pdfNumber(-PT_PER_MM)} 0 ${pdfNumber(pageHeight * PT_PER_MM)} cm`;
+}
+
+/**
+ * 添加共享资源 (中文字体、专色、套准色)，返回资源字典
+ */
+export function addResources(pdf, spotColor) {
+  const descriptorId = pdf.addObject(
+    '<< /Type /FontDescriptor /FontName /STSong-Light /Flags 6 /FontBBox [-25 -254 1000 880]' +
+    ' /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>'
+  );
+  const cidFontId = pdf.addObject(
+    '<< /Type /Font /Subtype /CIDFontType0 /BaseFont /STSong-Light' +
+    ' /CIDSystemInfo << /Registry (Adobe) /Ordering (GB1) /Supplement 2 >>' +
+    ` /FontDescriptor ${descriptorId} 0 R /DW 1000 /W [1 95 500] >>`
+  );
+  const fontId = pdf.addObject(
+    '<< /Type /Font /Subtype /Type0 /BaseFont /STSong-Light /Encoding /UniGB-UCS2-H' +
+    ` /DescendantFonts [${cidFontId} 0 R] >>`
+  );
+  
+  const separation = (name, cmyk) =>
+    `[/Separation ${pdfName(name)} /DeviceCMYK << /FunctionType 2 /Domain [0 1] /C0 [0 0 0 0] /C1 [${cmyk.map(pdfNumber).join(' ')}] /N 1 >>]`;
+  const colorSpaces = [`/Reg ${separation('All', [1, 1, 1, 1])}`];
+  if (spotColor) {
+    colorSpaces.push(`/Spot ${separation(spotColor.name, spotColor.cmyk)}`);
+  }
+
+  return `<< /Font << /F1 ${fontId} 0 R >> /ColorSpace << ${colorSpaces.join(' ')} >> >>`;
+}
+
+/**
+ * 单页 1:1 印刷稿
+ */
+function addSinglePage(pdf, artwork, colors, resources, print) {
+  const bleed = print.bleed * 1000;
+  const slug = print.slug * 1000;
+  const pageWidth = artwork.width + slug * 2;
+  const pageHeight = artwork.height + slug * 2;
+  
+  const content = [
+    pageTransform(pageHeight),
+    'q',
+    `1 0 0 1 ${pdfNumber(slug)} ${pdfNumber(slug)} cm`,
+    artworkOps(artwork, colors, { bleed }),
+    'Q',
+    cropMarkOps(slug, slug, artwork.width, artwork.height, bleed + 2, colors),
+    rulerOps(slug + 30, slug + artwork.height + bleed + 4, colors),
+    textOps(
+      `立定跳远测量地毯 1:1  成品 ${artwork.width} × ${artwork.height} mm  出血 ${bleed} mm`,
+      slug + 30, slug - bleed - 4, 3,
+      { fillOp: colors.fill(REGISTRATION), strokeOp: colors.stroke(REGISTRATION) }
+    )
+  ].join('\n');
+  
+  const toPt = (v) => v * PT_PER_MM;
+  pdf.addPage({
+    width: toPt(pageWidth),
+    height: toPt(pageHeight),
+    content,
+    resources,
+    boxes: {
+      BleedBox: [toPt(slug - bleed), toPt(slug - bleed), toPt(slug + artwork.width + bleed), toPt(slug + artwork.height + bleed)],
+      TrimBox: [toPt(slug), toPt(slug), toPt(slug + artwork.width), toPt(slug + artwork.height)]
+    }
+  });
+}
+
+/**
+ * 计算拼版分块
+ * @returns {Array<{row: number, col: number, x: number, y: number, width: number, height: number}>} 单位 mm
+ */
+export function computeTiles(artworkWidth, artworkHeight, printableWidth, printableHeight, overlap) {
+  const stepX = printableWidth - overlap;
+  const stepY = printableHeight - overlap;
+  if (stepX <= 0 || stepY <= 0) {
+    throw new Error('拼版重叠量不能大于纸张可打印区域');
+  }
+
+  const cols = Math.max(1, Math.ceil((artworkWidth - overlap) / stepX));
+  const rows = Math.max(1, Math.ceil((artworkHeight - overlap) / stepY));
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x = col * stepX;
+      const y = row * stepY;
+      tiles.push({
+        row,
+        col,
+        rows,
+        cols,
+        x,
+        y,
+        width: Math.min(printableWidth, artworkWidth - x),
+        height: Math.min(printableHeight, artworkHeight - y)
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * 拼版页
+ */
+function addTiledPages(pdf, artwork, colors, resources, print, paper, orientation) {
+  const size = PAPER_SIZES[paper];
+  if (!size) {
+    throw new Error(`不支持的纸张: ${paper}`);
+  }
+  const landscape = orientation === 'landscape';
+  const pageWidth = landscape ? size.height : size.width;
+  const pageHeight = landscape ? size.width : size.height;
+  const margin = print.tileMargin * 1000;
+  const overlap = print.tileOverlap * 1000;
+  const label = { fillOp: colors.fill(REGISTRATION), strokeOp: colors.stroke(REGISTRATION) };
+  
+  const tiles = computeTiles(artwork.width, artwork.height, pageWidth - margin * 2, pageHeight - margin * 2, overlap);
+  tiles.forEach(tile => {
+    const name = `${String.fromCharCode(65 + tile.row)}${tile.col + 1}`;
+    const ops = [
+      pageTransform(pageHeight),
+      // 当前分块内容 (裁剪到可打印区域)
+      'q',
+      `${pdfNumber(margin)} ${pdfNumber(margin)} ${pdfNumber(tile.width)} ${pdfNumber(tile.height)} re W n`,
+      `1 0 0 1 ${pdfNumber(margin - tile.x)} ${pdfNumber(margin - tile.y)} cm`,
+      artworkOps(artwork, colors, { clip: [tile.x, tile.y, tile.x + tile.width, tile.y + tile.height] }),
+      'Q',
+      cropMarkOps(margin, margin, tile.width, tile.height, 1, colors),
+      textOps(
+        `${name}  (第 ${tile.row + 1}/${tile.rows} 行，第 ${tile.col + 1}/${tile.cols} 列)  ` +
+        `x ${fmt(tile.x)}–${fmt(tile.x + tile.width)} mm  y ${fmt(tile.y)}–${fmt(tile.y + tile.height)} mm  重叠 ${overlap} mm`,
+        margin + 8, margin - 5, 3, label
+      ),
+      rulerOps(margin + 8, margin + tile.height + 3, colors)
+    ];
+    
+    // 对位标记：标在与相邻分块重叠区的中线上，拼接时两张纸的标记重合
+    if (tile.col < tile.cols - 1) {
+      const x = margin + tile.width - overlap / 2;
+      ops.push(registrationMarkOps(x, margin / 2, colors), registrationMarkOps(x, margin + tile.height + margin / 2, colors));
+    }
+    if (tile.col > 0) {
+      const x = margin + overlap / 2;
+      ops.push(registrationMarkOps(x, margin / 2, colors), registrationMarkOps(x, margin + tile.height + margin / 2, colors));
+    }
+    if (tile.row < tile.rows - 1) {
+      const y = margin + tile.height - overlap / 2;
+      ops.push(registrationMarkOps(margin / 2, y, colors), registrationMarkOps(margin + tile.width + margin / 2, y, colors));
+    }
+    if (tile.row > 0) {
+      const y = margin + overlap / 2;
+      ops.push(registrationMarkOps(margin / 2, y, colors), registrationMarkOps(margin + tile.width + margin / 2, y, colors));
+    }
+    
+    pdf.addPage({
+      width: pageWidth * PT_PER_MM,
+      height: pageHeight * PT_PER_MM,
+      content: ops.join('\n'),
+      resources
+    });
+  });
+}
+
+/**
+ * 生成印刷 PDF
+ * @param {MatGenerator} generator - 地毯生成器
+ * @param {Object} options - 选项
+ * @param {string} options.mode - single (单页 1:1) / tiled (拼版)
+ * @param {string} options.paper - 拼版纸张 A4 / A3
+ * @param {string} options.orientation - 拼版方向 landscape / portrait
+ * @returns {Uint8Array}
+ */
+export function renderMatPDF(generator, options = {}) {
+  const { mode = 'single', paper = 'A4', orientation = 'landscape' } = options;
+  const { print } = generator.config;
+  const artwork = buildArtwork(generator);
+  const { spotColor } = print;
+  
+  const pdf = new PdfDocument({
+    Title: '立定跳远测量地毯 印刷稿',
+    Creator: 'standing-long-jump-mat',
+    Subject: mode === 'single' ? '1:1 单页 (含出血与裁切线)' : `${paper} 拼版试印`,
+    Keywords: spotColor
+      ? `专色 ${spotColor.name} CMYK(${spotColor.cmyk.map(v => Math.round(v * 100)).join(',')}) 用于: ${spotColor.roles.join(', ')}`
+      : 'CMYK'
+  });
+  const resources = addResources(pdf, spotColor);
+  const colors = createColorMapper(artwork.palette, spotColor);
+  
+  if (mode === 'single') {
+    addSinglePage(pdf, artwork, colors, resources, print);
+  } else if (mode === 'tiled') {
+    addTiledPages(pdf, artwork, colors, resources, print, paper, orientation);
+  } else {
+    throw new Error(`未知的 PDF 导出模式: ${mode}`);
+  }
+
+  return pdf.build();
+}
+
+export default {
+  PAPER_SIZES,
+  textWidth,
+  createColorMapper,
+  textOps,
+  artworkOps,
+  pageTransform,
+  addResources,
+  computeTiles,
+  renderMatPDF
+};
@@ -0,0 +1,128 @@
+/**
+ * 最小 PDF 写入器
+ * 只实现矢量印刷稿需要的部分：页面、内容流、页面框 (TrimBox / BleedBox)、
+ * 共享资源 (字体、专色色彩空间) 与文档信息
+ */
+
+// 1 毫米对应的 PDF 点数
+export const PT_PER_MM = 72 / 25.4;
+
+/**
+ * PDF 名称转义 (空格等字符写成 #xx)
+ */
+export function pdfName(name) {
+  return '/' + name.replace(/[^A-Za-z0-9\-_.]/g, ch => '#' + ch.charCodeAt(0).toString(16).padStart(2, '0'));
+}
+
+/**
+ * 文本字符串转为 UTF-16BE 十六进制串 (带 BOM，用于文档信息)
+ */
+export function pdfTextString(text) {
+  let hex = 'FEFF';
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    if (code > 0xffff) {
+      const offset = code - 0x10000;
+      hex += (0xd800 + (offset >> 10)).toString(16).padStart(4, '0');
+      hex += (0xdc00 + (offset & 0x3ff)).toString(16).padStart(4, '0');
+    } else {
+      hex += code.toString(16).padStart(4, '0');
+    }
+  }
+  return `<${hex.toUpperCase()}>`;
+}
+
+/**
+ * 数值格式化 (去掉多余小数位)
+ */
+export function pdfNumber(value) {
+  return String(Number(value.toFixed(4)));
+}
+
+export class PdfDocument {
+  /**
+   * @param {Object} info - 文档信息 (Title / Author / Subject 等，值为字符串)
+   */
+  constructor(info = {}) {
+    this.info = info;
+    this.objects = [null, null]; // 1: Catalog，2: Pages，构建时填充
+    this.pageIds = [];
+  }
+
+  /**
+   * 添加间接对象
+   * @param {string} body - 对象内容
+   * @returns {number} 对象编号
+   */
+  addObject(body) {
+    this.objects.push(body);
+    return this.objects.length;
+  }
+
+  /**
+   * 添加页面
+   * @param {Object} page
+   * @param {number} page.width - 页面宽度 (pt)
+   * @param {number} page.height - 页面高度 (pt)
+   * @param {string} page.content - 内容流
+   * @param {string} page.resources - 资源字典
+   * @param {Object} page.boxes - 额外页面框，如 { TrimBox: [x0, y0, x1, y1] } (pt)
+   */
+  addPage({ width, height, content, resources, boxes = {} }) {
+    const contentId = this.addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    const boxEntries = Object.entries(boxes)
+      .map(([name, box]) => ` /${name} [${box.map(pdfNumber).join(' ')}]`)
+      .join('');
+    const pageId = this.addObject(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNumber(width)} ${pdfNumber(height)}]${boxEntries}` +
+      ` /Resources ${resources} /Contents ${contentId} 0 R >>`
+    );
+    this.pageIds.push(pageId);
+    return pageId;
+  }
+
+  /**
+   * 输出 PDF 字节
+   * @returns {Uint8Array}
+   */
+  build() {
+    this.objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+    this.objects[1] = `<< /Type /Pages /Kids [${this.pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pageIds.length} >>`;
+    
+    const infoEntries = Object.entries(this.info)
+      .map(([key, value]) => `/${key} ${pdfTextString(value)}`)
+      .join(' ');
+    const infoId = this.addObject(`<< ${infoEntries} >>`);
+    
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = (text) => {
+      const bytes = encoder.encode(text);
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+    
+    write('%PDF-1.6\n%âãÏÓ\n');
+    this.objects.forEach((body, index) => {
+      offsets.push(length);
+      write(`${index + 1} 0 obj\n${body}\nendobj\n`);
+    });
+    
+    const xrefOffset = length;
+    write(`xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    write(`trailer\n<< /Size ${this.objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    
+    const output = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(bytes => {
+      output.set(bytes, position);
+      position += bytes.length;
+    });
+    return output;
+  }
+}
+
+export default PdfDocument;
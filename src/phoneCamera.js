@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+import { RENDER_CONFIG, mergeConfig } from './config.js';
+
+/**
+ * 手机相机模拟
+ * 按手机内参 (焦距、传感器宽度、分辨率) 建立 Three.js 相机并挂到演示三脚架的手机上，
+ * 用于打印前检查给定机位下 ArUco 标记与刻度线在画面中的可见性和像素大小
+ */
+
+// 三脚架模型中镜头的高度 (模型坐标，未缩放)
+const TRIPOD_LENS_HEIGHT = 1.77;
+
+export class PhoneCamera {
+  /**
+   * @param {Object} options - 按深度合并覆盖 RENDER_CONFIG.phoneCamera
+   */
+  constructor(options = {}) {
+    this.config = mergeConfig(RENDER_CONFIG.phoneCamera, options);
+    this.camera = new THREE.PerspectiveCamera();
+    this.camera.rotation.order = 'YXZ'; // 先水平朝向，再俯仰
+    this.captureRenderer = null;
+    this.update();
+  }
+
+  /**
+   * 修改参数并更新相机
+   */
+  set(options) {
+    this.config = mergeConfig(this.config, options);
+    this.update();
+  }
+
+  /**
+   * 水平朝向角 (绕 Y 轴，相机默认朝 -Z)
+   */
+  getYaw() {
+    const { position, aimX } = this.config;
+    return Math.atan2(-(aimX - position.x), position.z);
+  }
+
+  /**
+   * 按内参与机位更新相机
+   */
+  update() {
+    const { focalLength, sensorWidth, resolution, position, height, tilt } = this.config;
+    const camera = this.camera;
+    
+    // 与 Three.js 胶片模型一致：filmGauge 为传感器长边 (竖拍时对应画面高度)，短边按宽高比
+    camera.aspect = resolution.width / resolution.height;
+    camera.filmGauge = sensorWidth;
+    camera.near = 0.05;
+    camera.far = 30;
+    camera.setFocalLength(focalLength);
+    
+    camera.position.set(position.x, height, position.z);
+    camera.rotation.set(-tilt * Math.PI / 180, this.getYaw(), 0);
+    camera.updateMatrixWorld();
+  }
+
+  /**
+   * 相机内参 (像素)，与 OpenCV 相机矩阵对应
+   * 传感器宽度按画面长边换算 (同 Three.js filmGauge)，横拍与竖拍的像素焦距相同
+   * @returns {{fx: number, fy: number, cx: number, cy: number, width: number, height: number, fovX: number, fovY: number}}
+   */
+  getIntrinsics() {
+    const { focalLength, sensorWidth, resolution } = this.config;
+    const f = focalLength * Math.max(resolution.width, resolution.height) / sensorWidth;
+    return {
+      fx: f,
+      fy: f,
+      cx: resolution.width / 2,
+      cy: resolution.height / 2,
+      width: resolution.width,
+      height: resolution.height,
+      fovX: 2 * Math.atan(resolution.width / (2 * f)) * 180 / Math.PI,
+      fovY: this.camera.fov
+    };
+  }
+
+  /**
+   * 把三脚架模型放到当前机位：镜头高度对齐 height，手机背面朝向地毯
+   * @param {THREE.Object3D} tripod - createTripodWithPhone 创建的模型
+   */
+  attachTo(tripod) {
+    const { position, height } = this.config;
+    const scale = height / TRIPOD_LENS_HEIGHT;
+    tripod.position.set(position.x, 0, position.z);
+    tripod.scale.set(scale, scale, scale);
+    tripod.rotation.y = this.getYaw();
+  }
+
+  /**
+   * 世界坐标点投影到图像
+   * @returns {{u: number, v: number, inFront: boolean}} 像素坐标 (原点左上角)
+   */
+  projectPoint(x, y, z) {
+    const { resolution } = this.config;
+    const point = new THREE.Vector3(x, y, z);
+    const inFront = point.clone().applyMatrix4(this.camera.matrixWorldInverse).z < 0;
+    point.project(this.camera);
+    return {
+      u: (point.x + 1) / 2 * resolution.width,
+      v: (1 - point.y) / 2 * resolution.height,
+      inFront
+    };
+  }
+
+  /**
+   * 分析地毯在画面中的可见性
+   * @param {Array} markerLayout - MatGenerator.getMarkerLayout() 的结果 (地毯坐标)
+   * @param {number} totalWidth - 地毯宽度 (m)，用于换算到世界坐标 (z = y - totalWidth / 2)
+   * @param {number} probeX - 测量刻度像素间距的位置 (m)
+   * @param {number} spacing - 刻度间距 (m)
+   * @returns {{markers: Array<{id: number, visible: boolean, minSide: number}>, tickSpacing: number}}
+   *   minSide 为标记在图像中的最短边 (px)；tickSpacing 为 probeX 处相邻刻度的像素间距
+   */
+  analyzeView(markerLayout, totalWidth, probeX, spacing) {
+    const { resolution } = this.config;
+    const inImage = (p) => p.inFront && p.u >= 0 && p.u <= resolution.width && p.v >= 0 && p.v <= resolution.height;
+    
+    const markers = markerLayout.map(marker => {
+      const corners = marker.corners.map(([x, y]) => this.projectPoint(x, 0, y - totalWidth / 2));
+      const sides = corners.map((p, i) => {
+        const q = corners[(i + 1) % 4];
+        return Math.hypot(q.u - p.u, q.v - p.v);
+      });
+      return {
+        id: marker.id,
+        visible: corners.every(inImage),
+        minSide: Math.min(...sides)
+      };
+    });
+    
+    const a = this.projectPoint(probeX, 0, 0);
+    const b = this.projectPoint(probeX + spacing, 0, 0);
+    const tickSpacing = a.inFront && b.inFront ? Math.hypot(b.u - a.u, b.v - a.v) : 0;
+    
+    return { markers, tickSpacing };
+  }
+
+  /**
+   * 在主画布的指定区域渲染画中画
+   * @param {THREE.WebGLRenderer} renderer - 主渲染器
+   * @param {THREE.Scene} scene - 场景
+   * @param {{left: number, bottom: number, width: number, height: number}} rect - 画布内区域 (CSS 像素，原点左下角)
+   */
+  renderPiP(renderer, scene, rect) {
+    const size = renderer.getSize(new THREE.Vector2());
+    
+    renderer.setScissorTest(true);
+    renderer.setViewport(rect.left, rect.bottom, rect.width, rect.height);
+    renderer.setScissor(rect.left, rect.bottom, rect.width, rect.height);
+    renderer.render(scene, this.camera);
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, size.x, size.y);
+  }
+
+  /**
+   * 按完整分辨率渲染一帧
+   * 使用独立渲染器 (保留绘图缓冲区)，色调映射等输出设置与主渲染器一致
+   * @param {THREE.Scene} scene - 场景
+   * @param {THREE.WebGLRenderer} reference - 主渲染器
+   * @returns {string} PNG Data URL
+   */
+  captureFrame(scene, reference) {
+    const { resolution } = this.config;
+    
+    if (!this.captureRenderer) {
+      this.captureRenderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+    }
+    const renderer = this.captureRenderer;
+    renderer.setPixelRatio(1);
+    renderer.setSize(resolution.width, resolution.height, false);
+    renderer.setClearColor(reference.getClearColor(new THREE.Color()), reference.getClearAlpha());
+    renderer.outputColorSpace = reference.outputColorSpace;
+    renderer.toneMapping = reference.toneMapping;
+    renderer.toneMappingExposure = reference.toneMappingExposure;
+    
+    renderer.render(scene, this.camera);
+    return renderer.domElement.toDataURL('image/png');
+  }
+
+  /**
+   * 释放截图渲染器
+   */
+  dispose() {
+    if (this.captureRenderer) {
+      this.captureRenderer.dispose();
+      this.captureRenderer = null;
+    }
+  }
+}
+
+export default PhoneCamera;
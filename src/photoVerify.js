@@ -0,0 +1,258 @@
+import { detectMarkers } from './arucoDetector.js';
+import { solveHomography, applyHomography, invertHomography } from './homography.js';
+
+/**
+ * 照片校验
+ * 在实拍照片 (或模拟手机画面) 中检测 ArUco 标记，按布局模型中的标记角点求解 地毯平面 -> 图像 的单应矩阵，
+ * 输出俯视校正图，并按毫米报告每个标记的重投影误差，用于验证 要求.txt 中
+ * "透视校正精度损失 < 1mm" (MAT_CONFIG.spec.tolerances.perspective)
+ */
+
+// 要求.txt：扫到任意两个码即可解算坐标系
+export const MIN_MARKERS = 2;
+
+/**
+ * 均方根与最大值
+ */
+function errorStats(errors) {
+  return {
+    rms: Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length),
+    max: Math.max(...errors)
+  };
+}
+
+/**
+ * 标记角点在地毯平面上的误差 (mm)：图像角点经逆变换回地毯平面，与布局角点比较
+ */
+function cornerErrors(inverse, match) {
+  return match.detected.corners.map((corner, i) => {
+    const [x, y] = applyHomography(inverse, corner);
+    const [ex, ey] = match.marker.corners[i];
+    return Math.hypot(x - ex, y - ey) * 1000;
+  });
+}
+
+/**
+ * 校验照片
+ * @param {ImageData} image - 照片像素
+ * @param {MatGenerator} generator - 地毯生成器 (标记布局与字典)
+ * @returns {{detections: Array, unexpected: number[], missing: number[], homography: number[],
+ *   markers: Array<{id: number, position: number, side: string, corners: number[][],
+ *   fit: {rms: number, max: number}, holdout: {rms: number, max: number}|null}>,
+ *   maxError: number, tolerance: number, passed: boolean}}
+ *   homography 把地毯坐标 (米，x 沿跳跃方向、y 从左侧边缘起) 映射到图像像素；
+ *   fit 为参与求解时的残差，holdout 为去掉该标记、由其余标记求解时的误差 (其余标记不足 2 个时为 null)；
+ *   误差单位均为 mm，maxError 优先取 holdout
+ */
+export function verifyPhoto(image, generator) {
+  const { config } = generator;
+  const layout = generator.getMarkerLayout();
+  const detections = detectMarkers(image, { dictionary: config.aruco.dictionary });
+  
+  const matches = [];
+  const unexpected = [];
+  detections.forEach(detected => {
+    const marker = layout.find(m => m.id === detected.id);
+    if (marker) {
+      matches.push({ marker, detected });
+    } else {
+      unexpected.push(detected.id);
+    }
+  });
+  if (matches.length < MIN_MARKERS) {
+    throw new Error(`照片中识别到 ${matches.length} 个地毯标记，至少需要 ${MIN_MARKERS} 个才能解算坐标系`);
+  }
+
+  const solve = (list) => solveHomography(
+    list.flatMap(m => m.marker.corners),
+    list.flatMap(m => m.detected.corners)
+  );
+  const homography = solve(matches);
+  const inverse = invertHomography(homography);
+  
+  const markers = matches.map(match => {
+    const others = matches.filter(m => m !== match);
+    const holdout = others.length >= MIN_MARKERS
+      ? errorStats(cornerErrors(invertHomography(solve(others)), match))
+      : null;
+    return {
+      id: match.marker.id,
+      position: match.marker.position,
+      side: match.marker.side,
+      corners: match.detected.corners,
+      fit: errorStats(cornerErrors(inverse, match)),
+      holdout
+    };
+  });
+  
+  const tolerance = config.spec.tolerances.perspective * 1000;
+  const maxError = Math.max(...markers.map(m => (m.holdout || m.fit).max));
+  
+  return {
+    detections,
+    unexpected,
+    missing: layout.filter(m => !matches.some(match => match.marker === m)).map(m => m.id),
+    homography,
+    markers,
+    maxError,
+    tolerance,
+    passed: maxError < tolerance
+  };
+}
+
+/**
+ * 图像点映射到地毯平面的不确定度 (刀切法)
+ * 依次去掉一个标记重新求解单应矩阵，按各次结果的离散程度估计该点坐标的标准差，
+ * 反映标记角点检测误差与标记分布 (外推距离) 对该点的影响
+ * @param {Object} result - verifyPhoto 的结果
+ * @param {MatGenerator} generator - 地毯生成器
+ * @param {number[]} imagePoint - 图像像素坐标 [u, v]
+ * @returns {{x: number, y: number}} 各方向标准差 (m)
+ */
+export function estimatePointUncertainty(result, generator, imagePoint) {
+  const layout = generator.getMarkerLayout();
+  const { markers } = result;
+  const n = markers.length;
+  
+  const estimates = markers.map(excluded => {
+    const others = markers.filter(m => m !== excluded);
+    const h = solveHomography(
+      others.flatMap(m => layout.find(marker => marker.id === m.id).corners),
+      others.flatMap(m => m.corners)
+    );
+    return applyHomography(invertHomography(h), imagePoint);
+  });
+  
+  // 刀切法方差：(n - 1) / n · Σ (θᵢ - θ̄)²
+  const spread = (k) => {
+    const mean = estimates.reduce((sum, p) => sum + p[k], 0) / n;
+    return Math.sqrt((n - 1) / n * estimates.reduce((sum, p) => sum + (p[k] - mean) * (p[k] - mean), 0));
+  };
+  return { x: spread(0), y: spread(1) };
+}
+
+/**
+ * 生成俯视校正图 (双线性采样)
+ * @param {ImageData} image - 照片像素
+ * @param {number[]} homography - verifyPhoto 求得的 地毯 -> 图像 单应矩阵
+ * @param {MatGenerator} generator - 地毯生成器
+ * @param {Object} options - pixelsPerMeter: 校正图分辨率；margin: 地毯四周额外范围 (米)
+ * @returns {{width: number, height: number, data: Uint8ClampedArray, pixelsPerMeter: number, origin: {x: number, y: number}}}
+ *   origin 为左上角像素对应的地毯坐标 (米)；照片范围外为黑色
+ */
+export function rectifyPhoto(image, homography, generator, { pixelsPerMeter = 250, margin = 0.1 } = {}) {
+  const { config } = generator;
+  const origin = { x: config.zones.takeoff.start - margin, y: -margin };
+  const width = Math.round((generator.getMatLength() + margin * 2) * pixelsPerMeter);
+  const height = Math.round((config.totalWidth + margin * 2) * pixelsPerMeter);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const source = image.data;
+  
+  for (let py = 0; py < height; py++) {
+    for (let px = 0; px < width; px++) {
+      const target = (py * width + px) * 4;
+      data[target + 3] = 255;
+      const [u, v] = applyHomography(homography, [
+        origin.x + (px + 0.5) / pixelsPerMeter,
+        origin.y + (py + 0.5) / pixelsPerMeter
+      ]);
+      const fx = u - 0.5;
+      const fy = v - 0.5;
+      if (fx < 0 || fy < 0 || fx >= image.width - 1 || fy >= image.height - 1) continue;
+      
+      const x0 = Math.floor(fx);
+      const y0 = Math.floor(fy);
+      const tx = fx - x0;
+      const ty = fy - y0;
+      const i = (y0 * image.width + x0) * 4;
+      const row = image.width * 4;
+      for (let k = 0; k < 3; k++) {
+        data[target + k] =
+          (source[i + k] * (1 - tx) + source[i + 4 + k] * tx) * (1 - ty) +
+          (source[i + row + k] * (1 - tx) + source[i + row + 4 + k] * tx) * ty;
+      }
+    }
+  }
+
+  return { width, height, data, pixelsPerMeter, origin };
+}
+
+/**
+ * 在校正图上叠加米制网格与标记比对
+ * 10cm 细线、整米粗线并标注；标记布局角点 (绿色框) 与照片检测角点 (红点) 对比
+ * @param {CanvasRenderingContext2D} ctx - 已绘制校正图的画布
+ * @param {Object} rectified - rectifyPhoto 的结果
+ * @param {Object} result - verifyPhoto 的结果
+ * @param {MatGenerator} generator - 地毯生成器
+ */
+export function drawVerifyOverlay(ctx, rectified, result, generator) {
+  const { config } = generator;
+  const { pixelsPerMeter, origin } = rectified;
+  const toX = (x) => (x - origin.x) * pixelsPerMeter;
+  const toY = (y) => (y - origin.y) * pixelsPerMeter;
+  const inverse = invertHomography(result.homography);
+  
+  ctx.save();
+  
+  // 地毯外框
+  ctx.strokeStyle = 'rgba(0, 212, 255, 0.9)';
+  ctx.lineWidth = 1.5;
+  ctx.strokeRect(toX(config.zones.takeoff.start), toY(0),
+    generator.getMatLength() * pixelsPerMeter, config.totalWidth * pixelsPerMeter);
+  
+  // 10cm 网格与整米线
+  ctx.font = '12px "JetBrains Mono", monospace';
+  ctx.fillStyle = 'rgba(0, 212, 255, 0.9)';
+  const first = Math.ceil(config.zones.takeoff.start * 10);
+  const last = Math.floor(config.totalLength * 10);
+  for (let i = first; i <= last; i++) {
+    const major = i % 10 === 0;
+    ctx.strokeStyle = major ? 'rgba(0, 212, 255, 0.9)' : 'rgba(0, 212, 255, 0.35)';
+    ctx.lineWidth = major ? 1.5 : 1;
+    ctx.beginPath();
+    ctx.moveTo(toX(i / 10), toY(0));
+    ctx.lineTo(toX(i / 10), toY(config.totalWidth));
+    ctx.stroke();
+    if (major) ctx.fillText(`${i / 10}m`, toX(i / 10) + 3, toY(config.totalWidth) + 14);
+  }
+  for (let j = 1; j < config.totalWidth * 10; j++) {
+    ctx.strokeStyle = 'rgba(0, 212, 255, 0.35)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(toX(config.zones.takeoff.start), toY(j / 10));
+    ctx.lineTo(toX(config.totalLength), toY(j / 10));
+    ctx.stroke();
+  }
+
+  // 标记：布局位置与检测角点
+  result.markers.forEach(marker => {
+    const expected = generator.getMarkerLayout().find(m => m.id === marker.id).corners;
+    ctx.strokeStyle = '#00ff88';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    expected.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(toX(x), toY(y)) : ctx.lineTo(toX(x), toY(y))));
+    ctx.closePath();
+    ctx.stroke();
+    
+    ctx.fillStyle = '#ff4444';
+    marker.corners.forEach(corner => {
+      const [x, y] = applyHomography(inverse, corner);
+      ctx.beginPath();
+      ctx.arc(toX(x), toY(y), 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    
+    const error = (marker.holdout || marker.fit).max;
+    ctx.fillStyle = error < result.tolerance ? '#00ff88' : '#ff4444';
+    ctx.fillText(`#${marker.id} ${error.toFixed(2)}mm`, toX(expected[0][0]), toY(expected[0][1]) - 6);
+  });
+  
+  ctx.restore();
+}
+
+export default {
+  verifyPhoto,
+  estimatePointUncertainty,
+  rectifyPhoto,
+  drawVerifyOverlay
+};
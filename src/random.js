@@ -0,0 +1,81 @@
+/**
+ * 确定性随机数与内容哈希
+ * 用于纹理噪点等需要"看起来随机"但必须可复现的绘制，以及渲染结果校验
+ */
+
+/**
+ * 创建固定种子的伪随机数生成器 (mulberry32)
+ * @param {number} seed - 32 位整数种子
+ * @returns {function(): number} 返回 [0, 1) 的随机数
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 标准正态随机 (Box-Muller)
+ * @param {function(): number} random - createRandom 返回的生成器
+ */
+export function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * 键排序后的 JSON，保证相同内容的对象序列化结果一致
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 字节序列哈希 (FNV-1a，两路 32 位拼成 64 位)
+ * @param {Uint8Array|Uint8ClampedArray} bytes - 字节数据
+ * @param {string} prefix - 先于字节参与哈希的文本 (如配置)
+ * @returns {string} 16 位十六进制
+ */
+export function hashBytes(bytes, prefix = '') {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x01000193 ^ 0x5bd1e995;
+  const step = (byte) => {
+    h1 = Math.imul(h1 ^ byte, 0x01000193);
+    h2 = Math.imul(h2 ^ byte, 0x5bd1e995);
+    h2 ^= h2 >>> 13;
+  };
+  
+  for (const byte of new TextEncoder().encode(prefix)) {
+    step(byte);
+  }
+  for (let i = 0; i < bytes.length; i++) {
+    step(bytes[i]);
+  }
+
+  return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * 文本哈希
+ */
+export function hashString(text) {
+  return hashBytes(new Uint8Array(0), text);
+}
+
+export default {
+  createRandom,
+  gaussian,
+  stableStringify,
+  hashBytes,
+  hashString
+};
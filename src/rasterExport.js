@@ -0,0 +1,123 @@
+import { RENDER_CONFIG, mergeConfig } from './config.js';
+import { PngWriter, TiffWriter } from './imageWriter.js';
+
+/**
+ * 分块高分辨率位图导出
+ * 按印刷分辨率 (DPI) 以相同配置新建生成器，逐块渲染 (单块不超过 tileWidth × tileHeight，避开浏览器画布尺寸限制)，
+ * 同一行的块拼成条带后交给流式写入器编码，整幅图像不在内存中常驻。
+ * 块与块之间让出主线程，通过回调报告进度，可中途取消
+ */
+
+// 英寸 (m)
+const INCH = 0.0254;
+
+// 导出格式
+export const RASTER_FORMATS = {
+  png: { name: 'PNG', extension: 'png', Writer: PngWriter },
+  tiff: { name: 'TIFF', extension: 'tif', Writer: TiffWriter }
+};
+
+/**
+ * DPI -> 像素 / 米
+ */
+export function dpiToPixelsPerMeter(dpi) {
+  return dpi / INCH;
+}
+
+/**
+ * 规划分块 (按行优先，同一行的块高度相同)
+ * @param {number} width - 整幅宽度 (像素)
+ * @param {number} height - 整幅高度 (像素)
+ * @param {number} tileWidth - 最大块宽
+ * @param {number} tileHeight - 最大块高
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ */
+export function planTiles(width, height, tileWidth, tileHeight) {
+  const tiles = [];
+  for (let y = 0; y < height; y += tileHeight) {
+    for (let x = 0; x < width; x += tileWidth) {
+      tiles.push({ x, y, width: Math.min(tileWidth, width - x), height: Math.min(tileHeight, height - y) });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * 分块导出位图
+ * 透明背景 (底色图层隐藏，如分色导出) 时保留透明通道，否则写 RGB
+ * @param {MatGenerator} generator - 地毯生成器 (取其配置与图层显示，分辨率按 dpi 重新设定)
+ * @param {Object} options - format: png / tiff；dpi: 分辨率；其余字段覆盖 RENDER_CONFIG.rasterExport
+ * @param {Object} callbacks - onProgress({done, total}) 每块完成后调用；onDone(blob, {width, height, dpi, format})；onError(error)
+ * @returns {{width: number, height: number, tiles: number, cancel: Function}} 整幅尺寸 (像素)、块数与取消函数
+ */
+export function exportRaster(generator, { format = 'png', dpi, ...options } = {}, callbacks = {}) {
+  const { onProgress = () => {}, onDone = () => {}, onError = () => {} } = callbacks;
+  const settings = mergeConfig(RENDER_CONFIG.rasterExport, options);
+  const resolution = dpi || settings.defaultDpi;
+  const target = RASTER_FORMATS[format];
+  if (!target) {
+    throw new Error(`不支持的导出格式: ${format}`);
+  }
+  if (!(resolution > 0)) {
+    throw new Error(`分辨率无效: ${dpi}`);
+  }
+
+  const renderer = generator.withResolution(dpiToPixelsPerMeter(resolution));
+  const { width, height } = renderer.getPixelSize();
+  const tiles = planTiles(width, height, settings.tileWidth, settings.tileHeight);
+  const writer = new target.Writer(width, height, {
+    dpi: resolution,
+    alpha: !renderer.isLayerVisible('background'),
+    rowsPerStrip: settings.tileHeight
+  });
+  const band = new Uint8ClampedArray(width * Math.min(settings.tileHeight, height) * 4);
+  let index = 0;
+  let timer = null;
+  let cancelled = false;
+  
+  const step = () => {
+    if (cancelled) return;
+    try {
+      const tile = tiles[index];
+      const data = renderer.renderTile(tile.x, tile.y, tile.width, tile.height)
+        .getContext('2d')
+        .getImageData(0, 0, tile.width, tile.height).data;
+      for (let row = 0; row < tile.height; row++) {
+        band.set(data.subarray(row * tile.width * 4, (row + 1) * tile.width * 4), (row * width + tile.x) * 4);
+      }
+      index++;
+      
+      // 一行块渲染完成后编码该条带
+      if (index === tiles.length || tiles[index].y !== tile.y) {
+        writer.addRows(band, tile.height);
+      }
+      onProgress({ done: index, total: tiles.length });
+      
+      if (index < tiles.length) {
+        timer = setTimeout(step, 0);
+      } else {
+        onDone(writer.finish(), { width, height, dpi: resolution, format });
+      }
+    } catch (error) {
+      onError(error);
+    }
+  };
+  timer = setTimeout(step, 0);
+  
+  return {
+    width,
+    height,
+    tiles: tiles.length,
+    cancel: () => {
+      cancelled = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+export default {
+  RASTER_FORMATS,
+  dpiToPixelsPerMeter,
+  planTiles,
+  exportRaster
+};
@@ -0,0 +1,384 @@
+import * as THREE from 'three';
+import { parseColor } from './artwork.js';
+
+/**
+ * 软件渲染器 (无 GPU / 无 DOM)
+ * 在 Node 或 CI 机器上代替 WebGL 渲染演示场景，用于批量生成合成数据：
+ * - 地面 (含地毯) 逐采样点从相机发射光线求与 y = 0 平面的交点，按矢量图元着色
+ * - 人物等网格按三角形光栅化，深度缓冲消隐，平面 Lambert 着色
+ * - 多次曝光累加实现运动模糊，supersample 超采样抗锯齿
+ * 颜色为 0-1 浮点 (按 sRGB 数值直接计算光照，不做线性化)
+ */
+
+// 地毯采样网格索引的单元尺寸 (mm)
+const GRID_CELL = 20;
+
+/**
+ * 图元的覆盖区域 (mm 矩形 [x0, y0, x1, y1] 列表，用于建立网格索引)
+ */
+function itemBounds(item) {
+  switch (item.type) {
+    case 'rect': {
+      const { x, y, width, height } = item;
+      if (item.fill) return [[x, y, x + width, y + height]];
+      const h = item.strokeWidth / 2;
+      return [
+        [x - h, y - h, x + width + h, y + h],
+        [x - h, y + height - h, x + width + h, y + height + h],
+        [x - h, y - h, x + h, y + height + h],
+        [x + width - h, y - h, x + width + h, y + height + h]
+      ];
+    }
+    case 'line': {
+      const h = item.strokeWidth / 2;
+      return [[
+        Math.min(item.x1, item.x2) - h,
+        Math.min(item.y1, item.y2) - h,
+        Math.max(item.x1, item.x2) + h,
+        Math.max(item.y1, item.y2) + h
+      ]];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * 点是否落在图元上
+ */
+function hitItem(item, x, y) {
+  switch (item.type) {
+    case 'rect': {
+      const inside = x >= item.x && x < item.x + item.width && y >= item.y && y < item.y + item.height;
+      if (item.fill) return inside;
+      const h = item.strokeWidth / 2;
+      const outer = x >= item.x - h && x < item.x + item.width + h && y >= item.y - h && y < item.y + item.height + h;
+      const inner = x >= item.x + h && x < item.x + item.width - h && y >= item.y + h && y < item.y + item.height - h;
+      return outer && !inner;
+    }
+    case 'line': {
+      // 平头线段：沿线方向不延伸，垂直方向半线宽
+      const dx = item.x2 - item.x1;
+      const dy = item.y2 - item.y1;
+      const length = Math.hypot(dx, dy);
+      if (length === 0) return false;
+      const along = ((x - item.x1) * dx + (y - item.y1) * dy) / length;
+      const across = Math.abs((x - item.x1) * dy - (y - item.y1) * dx) / length;
+      return along >= 0 && along <= length && across <= item.strokeWidth / 2;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * 由印刷稿图元列表建立地毯采样函数
+ * 文字图元不参与 (无字体光栅化)，其余按绘制顺序叠加，半透明颜色与下层混合
+ * @param {Object} artwork - buildArtwork 的结果 (mm，原点为地毯左上角)
+ * @returns {function(number, number): number[]|null} (x, y) mm -> [r, g, b]，地毯外返回 null
+ */
+export function createArtworkSampler(artwork) {
+  const { width, height, palette } = artwork;
+  const colors = {};
+  Object.entries(palette).forEach(([role, css]) => {
+    colors[role] = parseColor(css);
+  });
+  
+  // 网格索引：每个单元按绘制顺序记录可能覆盖它的图元
+  const columns = Math.ceil(width / GRID_CELL);
+  const rows = Math.ceil(height / GRID_CELL);
+  const cells = Array.from({ length: columns * rows }, () => []);
+  const clamp = (v, max) => Math.min(max - 1, Math.max(0, Math.floor(v / GRID_CELL)));
+  artwork.items.forEach(item => {
+    itemBounds(item).forEach(([x0, y0, x1, y1]) => {
+      for (let row = clamp(y0, rows); row <= clamp(y1, rows); row++) {
+        for (let column = clamp(x0, columns); column <= clamp(x1, columns); column++) {
+          const cell = cells[row * columns + column];
+          if (cell[cell.length - 1] !== item) cell.push(item);
+        }
+      }
+    });
+  });
+  
+  return (x, y) => {
+    if (x < 0 || x >= width || y < 0 || y >= height) return null;
+    const cell = cells[clamp(y, rows) * columns + clamp(x, columns)];
+    
+    // 自上而下查找，遇到不透明颜色即停止
+    const color = [0, 0, 0];
+    let remaining = 1;
+    for (let i = cell.length - 1; i >= 0 && remaining > 0; i--) {
+      const item = cell[i];
+      if (!hitItem(item, x, y)) continue;
+      const { r, g, b, a } = colors[item.fill || item.stroke];
+      color[0] += r * a * remaining;
+      color[1] += g * a * remaining;
+      color[2] += b * a * remaining;
+      remaining *= 1 - a;
+    }
+    return color;
+  };
+}
+
+/**
+ * 光照参数 -> 计算用的方向与强度
+ * @param {{ambient: number, directional: number, direction: THREE.Vector3, tint: number[]}} lighting
+ */
+function prepareLighting(lighting) {
+  return {
+    ambient: lighting.ambient,
+    directional: lighting.directional,
+    direction: lighting.direction.clone().normalize(),
+    tint: lighting.tint || [1, 1, 1]
+  };
+}
+
+export class SoftwareRenderer {
+  /**
+   * @param {number} width - 输出宽度 (px)
+   * @param {number} height - 输出高度 (px)
+   * @param {Object} options - supersample: 每像素 supersample² 个采样点
+   */
+  constructor(width, height, { supersample = 2 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.supersample = supersample;
+    this.bufferWidth = width * supersample;
+    this.bufferHeight = height * supersample;
+    
+    const size = this.bufferWidth * this.bufferHeight;
+    this.groundColor = new Float32Array(size * 3);
+    this.groundDepth = new Float32Array(size);
+    this.color = new Float32Array(size * 3);
+    this.depth = new Float32Array(size);
+    this.objectDepth = new Float32Array(size);
+    this.accumulation = new Float32Array(size * 3);
+    this.exposures = 0;
+    this.camera = null;
+  }
+
+  /**
+   * 设置相机 (Three.js 透视相机，宽高比应与输出一致)
+   */
+  setCamera(camera) {
+    camera.updateMatrixWorld();
+    this.camera = camera;
+    
+    // 由投影矩阵取像素焦距，与 WebGL 渲染结果一致
+    const p = camera.projectionMatrix.elements;
+    this.fx = p[0] * this.bufferWidth / 2;
+    this.fy = p[5] * this.bufferHeight / 2;
+    this.cx = this.bufferWidth / 2;
+    this.cy = this.bufferHeight / 2;
+  }
+
+  /**
+   * 绘制地面 (静止部分，多次曝光共用)
+   * @param {function(number, number): number[]} sampleGround - 世界坐标 (x, z) -> [r, g, b] 反照率
+   * @param {Object} lighting - 光照参数
+   */
+  drawGround(sampleGround, lighting) {
+    const light = prepareLighting(lighting);
+    const shade = light.ambient + light.directional * Math.max(0, light.direction.y);
+    const rotation = new THREE.Matrix3().setFromMatrix4(this.camera.matrixWorld);
+    const origin = this.camera.getWorldPosition(new THREE.Vector3());
+    const dir = new THREE.Vector3();
+    const { bufferWidth, bufferHeight, fx, fy, cx, cy } = this;
+    
+    for (let py = 0; py < bufferHeight; py++) {
+      for (let px = 0; px < bufferWidth; px++) {
+        const index = py * bufferWidth + px;
+        
+        // 相机坐标系光线 (z = -1 平面)，t 即沿视线方向的深度
+        dir.set((px + 0.5 - cx) / fx, -(py + 0.5 - cy) / fy, -1).applyMatrix3(rotation);
+        let color = null;
+        let depth = Infinity;
+        if (dir.y < 0) {
+          const t = -origin.y / dir.y;
+          color = sampleGround(origin.x + dir.x * t, origin.z + dir.z * t);
+          depth = t;
+        }
+        this.groundDepth[index] = depth;
+        const c = color || [0, 0, 0];
+        for (let k = 0; k < 3; k++) {
+          this.groundColor[index * 3 + k] = c[k] * shade * light.tint[k];
+        }
+      }
+    }
+  }
+
+  /**
+   * 开始一次曝光：以地面为底，清空物体深度
+   */
+  beginExposure() {
+    this.color.set(this.groundColor);
+    this.depth.set(this.groundDepth);
+    this.objectDepth.fill(Infinity);
+  }
+
+  /**
+   * 光栅化对象树中的全部可见网格
+   * 支持 MeshStandardMaterial (Lambert 着色) 与 MeshBasicMaterial (不受光照)
+   * @param {THREE.Object3D} root - 对象树 (需已 updateMatrixWorld)
+   * @param {Object} lighting - 光照参数
+   */
+  drawObject(root, lighting) {
+    const light = prepareLighting(lighting);
+    const view = this.camera.matrixWorldInverse;
+    
+    root.traverseVisible(object => {
+      if (!object.isMesh) return;
+      const { geometry, material } = object;
+      const position = geometry.attributes.position;
+      const index = geometry.index;
+      const count = index ? index.count : position.count;
+      const base = material.color ? [material.color.r, material.color.g, material.color.b] : [1, 1, 1];
+      const opacity = material.transparent ? material.opacity : 1;
+      const lit = !material.isMeshBasicMaterial;
+      
+      const world = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+      const eye = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+      const normal = new THREE.Vector3();
+      const edge = new THREE.Vector3();
+      
+      for (let i = 0; i < count; i += 3) {
+        for (let k = 0; k < 3; k++) {
+          const vertex = index ? index.getX(i + k) : i + k;
+          world[k].fromBufferAttribute(position, vertex).applyMatrix4(object.matrixWorld);
+          eye[k].copy(world[k]).applyMatrix4(view);
+        }
+        // 近平面裁剪：简化为整块丢弃跨越近平面的三角形
+        if (eye.some(v => v.z > -this.camera.near)) continue;
+        
+        normal.subVectors(world[1], world[0]).cross(edge.subVectors(world[2], world[0])).normalize();
+        const shade = lit ? light.ambient + light.directional * Math.abs(normal.dot(light.direction)) : 1;
+        const color = base.map((c, k) => c * shade * (lit ? light.tint[k] : 1));
+        this.rasterizeTriangle(eye, color, opacity);
+      }
+    });
+  }
+
+  /**
+   * 光栅化相机坐标系中的三角形 (双面，深度按 1/z 透视校正插值)
+   */
+  rasterizeTriangle(eye, color, opacity) {
+    const { bufferWidth, bufferHeight, fx, fy, cx, cy } = this;
+    const screen = eye.map(v => ({
+      x: cx + fx * v.x / -v.z,
+      y: cy - fy * v.y / -v.z,
+      w: 1 / -v.z
+    }));
+    const [a, b, c] = screen;
+    const area = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    if (Math.abs(area) < 1e-12) return;
+    
+    const minX = Math.max(0, Math.floor(Math.min(a.x, b.x, c.x)));
+    const maxX = Math.min(bufferWidth - 1, Math.ceil(Math.max(a.x, b.x, c.x)));
+    const minY = Math.max(0, Math.floor(Math.min(a.y, b.y, c.y)));
+    const maxY = Math.min(bufferHeight - 1, Math.ceil(Math.max(a.y, b.y, c.y)));
+    
+    for (let py = minY; py <= maxY; py++) {
+      const sy = py + 0.5;
+      for (let px = minX; px <= maxX; px++) {
+        const sx = px + 0.5;
+        const w0 = ((b.x - sx) * (c.y - sy) - (b.y - sy) * (c.x - sx)) / area;
+        const w1 = ((c.x - sx) * (a.y - sy) - (c.y - sy) * (a.x - sx)) / area;
+        const w2 = 1 - w0 - w1;
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+        
+        const depth = 1 / (w0 * a.w + w1 * b.w + w2 * c.w);
+        const index = py * bufferWidth + px;
+        if (depth >= this.depth[index]) continue;
+        
+        // 半透明面只混合颜色，不写深度
+        for (let k = 0; k < 3; k++) {
+          const offset = index * 3 + k;
+          this.color[offset] = color[k] * opacity + this.color[offset] * (1 - opacity);
+        }
+        if (opacity === 1) {
+          this.depth[index] = depth;
+          this.objectDepth[index] = depth;
+        }
+      }
+    }
+  }
+
+  /**
+   * 把当前曝光累加到输出
+   */
+  endExposure() {
+    for (let i = 0; i < this.accumulation.length; i++) {
+      this.accumulation[i] += this.color[i];
+    }
+    this.exposures += 1;
+  }
+
+  /**
+   * 图像坐标 (输出像素) 处最近一次曝光中物体的深度与地面深度
+   * 用于判断地面上的点是否被物体遮挡
+   * @returns {{object: number, ground: number}} 无物体时 object 为 Infinity
+   */
+  depthAt(u, v) {
+    const px = Math.floor(u * this.supersample);
+    const py = Math.floor(v * this.supersample);
+    if (px < 0 || py < 0 || px >= this.bufferWidth || py >= this.bufferHeight) {
+      return { object: Infinity, ground: Infinity };
+    }
+    const index = py * this.bufferWidth + px;
+    return { object: this.objectDepth[index], ground: this.groundDepth[index] };
+  }
+
+  /**
+   * 平均各次曝光并按超采样下采样
+   * @returns {Float32Array} 输出分辨率 RGB (0-1)，清空累加缓冲
+   */
+  resolve() {
+    const { width, height, supersample, bufferWidth } = this;
+    const output = new Float32Array(width * height * 3);
+    const scale = 1 / (Math.max(1, this.exposures) * supersample * supersample);
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        for (let sy = 0; sy < supersample; sy++) {
+          for (let sx = 0; sx < supersample; sx++) {
+            const source = ((y * supersample + sy) * bufferWidth + x * supersample + sx) * 3;
+            const target = (y * width + x) * 3;
+            output[target] += this.accumulation[source];
+            output[target + 1] += this.accumulation[source + 1];
+            output[target + 2] += this.accumulation[source + 2];
+          }
+        }
+      }
+    }
+    for (let i = 0; i < output.length; i++) {
+      output[i] *= scale;
+    }
+    
+    this.accumulation.fill(0);
+    this.exposures = 0;
+    return output;
+  }
+}
+
+/**
+ * 浮点 RGB 转 8 位 RGBA (与 ImageData 布局相同)
+ * @param {Float32Array} rgb - 0-1 浮点 RGB
+ * @returns {Uint8ClampedArray}
+ */
+export function toRGBA(rgb) {
+  const pixels = rgb.length / 3;
+  const rgba = new Uint8ClampedArray(pixels * 4);
+  for (let i = 0; i < pixels; i++) {
+    rgba[i * 4] = Math.round(rgb[i * 3] * 255);
+    rgba[i * 4 + 1] = Math.round(rgb[i * 3 + 1] * 255);
+    rgba[i * 4 + 2] = Math.round(rgb[i * 3 + 2] * 255);
+    rgba[i * 4 + 3] = 255;
+  }
+  return rgba;
+}
+
+export default {
+  createArtworkSampler,
+  SoftwareRenderer,
+  toRGBA
+};
@@ -0,0 +1,551 @@
+import { buildArtwork, mm, fmt } from './artwork.js';
+import { analyzeMarkerSet, getDictionary } from './aruco.js';
+import { BOARD_FORMAT_VERSION } from './boardExport.js';
+import { renderArtworkSVG } from './svgExport.js';
+import { PdfDocument, PT_PER_MM } from './pdfWriter.js';
+import { LABEL_UNITS, formatLength } from './labelEngine.js';
+import { SCALE_SYSTEMS } from './matGenerator.js';
+import { LOCALES } from './i18n.js';
+import {
+  PAPER_SIZES,
+  textWidth,
+  createColorMapper,
+  textOps,
+  artworkOps,
+  pageTransform,
+  addResources
+} from './pdfExport.js';
+
+/**
+ * 技术规格书
+ * 全部数据取自 MatGenerator 的配置与布局 (与印刷稿同源)，输出 Markdown / HTML / PDF，
+ * 附带标注尺寸、区域与标记 ID 的示意图
+ */
+
+const ZONE_NAMES = {
+  takeoff: '起跳区',
+  flight: '飞行区',
+  landing: '核心落地区',
+  extended: '扩展区'
+};
+
+const TIER_NAMES = {
+  start: '起跳线',
+  major: '整米刻度',
+  half: '半米刻度',
+  medium: '10cm 刻度',
+  fine: '1cm 精细刻度'
+};
+
+const IMPERIAL_TIER_NAMES = {
+  major: '整英尺刻度',
+  half: '6 英寸刻度',
+  medium: '3 英寸刻度',
+  fine: '1 英寸精细刻度'
+};
+
+// 刻度线沿宽度方向的位置 (双制时公制靠顶边、英制靠底边)
+const TICK_PLACEMENT = {
+  single: '居中',
+  metric: '靠顶边 (左侧)',
+  imperial: '靠底边 (右侧)'
+};
+
+const SIDE_NAMES = {
+  left: '左侧 (图案上方)',
+  right: '右侧 (图案下方)'
+};
+
+// 示意图标注样式 (单位 mm，与地毯同比例)
+const DIAGRAM = {
+  margin: { top: 160, right: 260, bottom: 340, left: 160 },
+  fontSize: 45,
+  lineWidth: 4,
+  color: '#333333'
+};
+
+/**
+ * 米 -> "x m"
+ */
+function meters(value) {
+  return `${fmt(value)} m`;
+}
+
+/**
+ * 米 -> "x mm"
+ */
+function millimeters(value) {
+  return `${mm(value)} mm`;
+}
+
+/**
+ * 生成规格书内容
+ * @param {MatGenerator} generator - 地毯生成器
+ * @param {Object} options - generatedAt: 生成时间；hash: 写入规格书的哈希，默认为设计哈希 (不需要 DOM 画布)
+ * @returns {{title: string, meta: Array<[string, string]>,
+ *   sections: Array<{title: string, rows?: Array<[string, string]>, table?: {headers: string[], rows: string[][]}}>}}
+ */
+export function buildSpecSheet(generator, { generatedAt = new Date(), hash = generator.getDesignHash() } = {}) {
+  const { config } = generator;
+  const { zones, scales, aruco, border, labels, colors, print, spec } = config;
+  const matLength = generator.getMatLength();
+  const ticks = generator.getTickLayout();
+  const markers = generator.getMarkerLayout();
+  const dictionary = getDictionary(aruco.dictionary);
+  const markerSet = analyzeMarkerSet(markers.map(marker => marker.id), aruco.dictionary);
+  const spotRoles = print.spotColor ? print.spotColor.roles : [];
+  const withSpot = (role, color) => spotRoles.includes(role) ? `${color} (专色 ${print.spotColor.name})` : color;
+  const labelText = (role) => generator.getLabelLayout().find(label => label.role === role).text;
+  
+  const dual = SCALE_SYSTEMS[scales.system].systems.length > 1;
+  const imperial = (tick) => tick.system === 'imperial' && tick.tier !== 'start';
+  const tierName = (tick) => (imperial(tick) ? IMPERIAL_TIER_NAMES : TIER_NAMES)[tick.tier];
+  const position = (tick, value) => (imperial(tick) ? formatLength(value, 'ftin') : meters(value));
+  
+  // 刻度按 单位制 + 级别 + 区域 + 尺寸 分组，记录首末位置
+  const tickGroups = [];
+  ticks.forEach(tick => {
+    const group = tickGroups.find(g => g.system === tick.system && g.tier === tick.tier && g.zone === tick.zone &&
+      g.length === tick.length && g.lineWidth === tick.lineWidth);
+    if (group) {
+      group.count++;
+      group.last = tick.position;
+    } else {
+      tickGroups.push({
+        system: tick.system,
+        tier: tick.tier,
+        zone: tick.zone,
+        length: tick.length,
+        lineWidth: tick.lineWidth,
+        first: tick.position,
+        last: tick.position,
+        count: 1
+      });
+    }
+  });
+  const spacing = (g) => {
+    if (g.tier === 'start') return '—';
+    const value = (imperial(g) ? scales.imperial : scales)[g.tier].spacing;
+    return imperial(g) ? `${millimeters(value)} (${formatLength(value, 'ftin')})` : millimeters(value);
+  };
+  const placement = (g) => {
+    if (g.tier === 'start') return '全宽';
+    return dual ? `${TICK_PLACEMENT[g.system]}，距边 ${millimeters(scales.edgeOffset)}` : TICK_PLACEMENT.single;
+  };
+  
+  const zoneRows = Object.entries(zones).map(([id, zone]) => {
+    const tiers = [...new Set(ticks.filter(t => t.zone === id).map(tierName))];
+    return [ZONE_NAMES[id] || id, `${meters(zone.start)} ~ ${meters(zone.end)}`, tiers.join('、') || '—'];
+  });
+  
+  return {
+    title: '立定跳远测量地毯 - 技术规格书',
+    meta: [
+      ['生成时间', generatedAt.toLocaleString('zh-CN')],
+      ['设计哈希', hash],
+      ['标定板格式版本', String(BOARD_FORMAT_VERSION)]
+    ],
+    sections: [
+      {
+        title: '一、整体尺寸',
+        rows: [
+          ['总长度', `${meters(matLength)} (含 ${meters(-zones.takeoff.start)} 起跳区)`],
+          ['总宽度', meters(config.totalWidth)],
+          ['建议厚度', spec.thickness],
+          ['坐标原点', `起跳线 (${meters(scales.startLine.position)})，沿跳跃方向为正`]
+        ]
+      },
+      {
+        title: '二、区域划分',
+        table: { headers: ['区域', '范围', '刻度'], rows: zoneRows }
+      },
+      {
+        title: '三、刻度线规格',
+        rows: [
+          ['单位制', SCALE_SYSTEMS[scales.system].name + (dual ? ` (公制靠顶边、英制靠底边，各距边缘 ${millimeters(scales.edgeOffset)}，各为半长)` : '')],
+          ['颜色', withSpot('scale', scales.color)],
+          ['起跳线', `位于 ${meters(scales.startLine.position)}，线宽 ${millimeters(scales.startLine.lineWidth)}，贯穿全宽`]
+        ],
+        table: {
+          headers: ['级别', '区域', '位置', '间距', '线宽', '长度', '数量'],
+          rows: tickGroups.map(g => [
+            tierName(g),
+            ZONE_NAMES[g.zone],
+            g.count === 1 ? position(g, g.first) : `${position(g, g.first)} ~ ${position(g, g.last)}`,
+            spacing(g),
+            millimeters(g.lineWidth),
+            `${millimeters(g.length)} (${placement(g)})`,
+            String(g.count)
+          ])
+        }
+      },
+      {
+        title: '四、ArUco 标记规格',
+        rows: [
+          ['字典', `${aruco.dictionary} (${dictionary.markerSize}x${dictionary.markerSize} 数据位)`],
+          ['标记尺寸 (含黑边)', `${millimeters(aruco.size)} x ${millimeters(aruco.size)}`],
+          ['白色静区', millimeters(aruco.borderSize)],
+          ['总占用面积', `${millimeters(aruco.size + aruco.borderSize * 2)} x ${millimeters(aruco.size + aruco.borderSize * 2)}`],
+          ['距边缘', millimeters(aruco.margin)],
+          ['数量', String(markers.length)],
+          ['最小汉明距离', `${markerSet.minDistance} (要求 ≥ ${markerSet.requiredDistance})`]
+        ],
+        table: {
+          headers: ['ID', '位置', '侧', '中心 x', '中心 y'],
+          rows: markers.map(marker => [
+            String(marker.id),
+            meters(marker.position),
+            SIDE_NAMES[marker.side],
+            millimeters(marker.center.x),
+            millimeters(marker.center.y)
+          ])
+        }
+      },
+      {
+        title: '五、标签',
+        rows: [
+          ['起跳线标签', `"${labelText('startLine')}"，字高 ${millimeters(labels.startLine.fontSize)}，竖排`],
+          ['精密区起点标签', `"${labelText('precisionStart')}"，字高 ${millimeters(labels.precisionStart.fontSize)}，竖排`],
+          ['标注格式', `单位 ${LABEL_UNITS[labels.unit].name}，文字 ${LOCALES[labels.locale].name}`],
+          ['飞行区刻度标注', `每 ${millimeters(labels.ticks.flightInterval)}，字高 ${millimeters(labels.ticks.fontSize)}`],
+          ['落地区刻度标注', `每 ${millimeters(labels.ticks.landingInterval)}，字高 ${millimeters(labels.ticks.emphasisFontSize)} (加粗)`],
+          ...(SCALE_SYSTEMS[scales.system].systems.includes('imperial') ? [
+            ['英制刻度标注', `飞行区每 ${formatLength(labels.ticks.imperialFlightInterval, 'ftin')}、` +
+              `落地区每 ${formatLength(labels.ticks.imperialLandingInterval, 'ftin')}，英尺英寸格式` +
+              (dual ? '，位于底边 (公制标注在顶边)' : '')]
+          ] : []),
+          ['颜色', withSpot('label', colors.label)]
+        ]
+      },
+      {
+        title: '六、颜色规格',
+        rows: [
+          ['底色', `${colors.background} (哑光)`],
+          ['刻度线', withSpot('scale', scales.color)],
+          ['边框', `${withSpot('border', colors.border)}，宽 ${millimeters(border.width)}`],
+          ['内装饰线', `${withSpot('borderInner', colors.borderInner)}，距边缘 ${millimeters(border.innerOffset)}`],
+          ['ArUco', `${colors.arucoBlack} + ${colors.arucoWhite}`],
+          ...(print.spotColor
+            ? [['专色', `${print.spotColor.name} (CMYK ${print.spotColor.cmyk.map(v => Math.round(v * 100)).join('/')})`]]
+            : [])
+        ]
+      },
+      {
+        title: '七、材质要求',
+        rows: [
+          ['材质', spec.material],
+          ['表面', spec.surface]
+        ]
+      },
+      {
+        title: '八、印刷精度要求',
+        rows: [
+          ['ArUco 标记精度', `±${millimeters(spec.tolerances.marker)}`],
+          ['刻度线位置精度', `±${millimeters(spec.tolerances.tick)}`],
+          ['透视校正误差', `< ${millimeters(spec.tolerances.perspective)}`],
+          ['成绩测量精度', `±${millimeters(spec.tolerances.measurement)}`],
+          ['颜色色差', `ΔE < ${spec.tolerances.deltaE}`],
+          ['出血', millimeters(print.bleed)]
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * 平移图元
+ */
+function translateItem(item, dx, dy) {
+  if (item.type === 'line') {
+    return { ...item, x1: fmt(item.x1 + dx), y1: fmt(item.y1 + dy), x2: fmt(item.x2 + dx), y2: fmt(item.y2 + dy) };
+  }
+  return { ...item, x: fmt(item.x + dx), y: fmt(item.y + dy) };
+}
+
+/**
+ * 生成标注示意图 (buildArtwork 格式，单位 mm)
+ * 地毯图案外围标注区域范围、总尺寸与标记 ID
+ * @param {MatGenerator} generator - 地毯生成器
+ * @returns {{width: number, height: number, palette: Object, items: Array}}
+ */
+export function buildSpecDiagram(generator) {
+  const artwork = buildArtwork(generator);
+  const { config } = generator;
+  const { margin, fontSize, lineWidth } = DIAGRAM;
+  const origin = config.zones.takeoff.start;
+  const left = margin.left;
+  const top = margin.top;
+  const bottom = top + artwork.height;
+  const getX = (position) => fmt(left + mm(position - origin));
+  
+  const items = artwork.items.map(item => translateItem(item, left, top));
+  const line = (x1, y1, x2, y2) => {
+    items.push({
+      type: 'line',
+      layer: 'annotation',
+      x1: fmt(x1),
+      y1: fmt(y1),
+      x2: fmt(x2),
+      y2: fmt(y2),
+      strokeWidth: lineWidth,
+      stroke: 'annotation'
+    });
+  };
+  const text = (value, x, y, rotation = 0) => {
+    items.push({
+      type: 'text',
+      layer: 'annotation',
+      text: value,
+      x: fmt(x),
+      y: fmt(y),
+      rotation,
+      fontSize,
+      fontFamily: 'sans-serif',
+      bold: false,
+      baseline: 'middle',
+      fill: 'annotation'
+    });
+  };
+  
+  // 水平尺寸线 (两端带竖向短线)，文字在线下方
+  const dimension = (x1, x2, y, label) => {
+    line(x1, y, x2, y);
+    line(x1, y - fontSize / 2, x1, y + fontSize / 2);
+    line(x2, y - fontSize / 2, x2, y + fontSize / 2);
+    text(label, (x1 + x2) / 2, y + fontSize);
+  };
+  
+  // 各区域范围
+  Object.entries(config.zones).forEach(([id, zone]) => {
+    dimension(getX(zone.start), getX(zone.end), bottom + 150, `${ZONE_NAMES[id] || id} ${fmt(zone.start)}~${fmt(zone.end)}m`);
+  });
+  
+  // 总长
+  dimension(left, left + artwork.width, bottom + 270, `总长 ${artwork.width} mm`);
+  
+  // 总宽 (右侧竖向)
+  const rightX = left + artwork.width + 100;
+  line(rightX, top, rightX, bottom);
+  line(rightX - fontSize / 2, top, rightX + fontSize / 2, top);
+  line(rightX - fontSize / 2, bottom, rightX + fontSize / 2, bottom);
+  text(`总宽 ${artwork.height} mm`, rightX + fontSize, (top + bottom) / 2, 90);
+  
+  // 标记 ID：左侧标记标在图案上方，右侧标在下方
+  generator.getMarkerLayout().forEach(marker => {
+    const y = marker.side === 'left' ? top - 60 : bottom + 60;
+    text(`ID ${marker.id} @ ${fmt(marker.position)}m`, getX(marker.center.x), y);
+  });
+  
+  return {
+    width: fmt(left + artwork.width + margin.right),
+    height: fmt(bottom + margin.bottom),
+    palette: { ...artwork.palette, annotation: DIAGRAM.color },
+    items
+  };
+}
+
+/**
+ * Markdown 表格单元格转义
+ */
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+/**
+ * 规格书 Markdown
+ * @param {Object} sheet - buildSpecSheet 的结果
+ * @param {string} diagramFile - 示意图 SVG 的相对路径
+ * @returns {string}
+ */
+export function toSpecMarkdown(sheet, diagramFile = 'jump-mat-spec-diagram.svg') {
+  const table = (headers, rows) => [
+    `| ${headers.map(escapeCell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+  ];
+  
+  const lines = [
+    `# ${sheet.title}`,
+    '',
+    ...sheet.meta.map(([key, value]) => `- ${key}: ${value}`),
+    '',
+    `![标注示意图](${diagramFile})`
+  ];
+  
+  sheet.sections.forEach(section => {
+    lines.push('', `## ${section.title}`, '');
+    if (section.rows) {
+      lines.push(...table(['项目', '规格'], section.rows));
+    }
+    if (section.table) {
+      if (section.rows) lines.push('');
+      lines.push(...table(section.table.headers, section.table.rows));
+    }
+  });
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * HTML 转义
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 规格书 HTML (单文件，示意图内嵌 SVG)
+ * @param {Object} sheet - buildSpecSheet 的结果
+ * @param {Object} diagram - buildSpecDiagram 的结果
+ * @returns {string}
+ */
+export function toSpecHTML(sheet, diagram) {
+  const table = (headers, rows) =>
+    `<table>\n<tr>${headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr>\n` +
+    rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('\n') +
+    '\n</table>';
+  
+  const sections = sheet.sections.map(section => [
+    `<h2>${escapeHTML(section.title)}</h2>`,
+    section.rows ? table(['项目', '规格'], section.rows) : '',
+    section.table ? table(section.table.headers, section.table.rows) : ''
+  ].filter(Boolean).join('\n'));
+  
+  // 示意图按页面宽度缩放
+  const svg = renderArtworkSVG(diagram, { xmlDeclaration: false })
+    .replace(/ width="[^"]+mm" height="[^"]+mm"/, ' width="100%"');
+  
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(sheet.title)}</title>
+<style>
+  body { font-family: "PingFang SC", "Microsoft YaHei", sans-serif; color: #222; max-width: 960px; margin: 32px auto; padding: 0 16px; }
+  h1 { font-size: 24px; }
+  h2 { font-size: 18px; margin-top: 28px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; margin-top: 8px; font-size: 13px; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  th { background: #f3f3f3; }
+  .meta { color: #666; font-size: 13px; }
+  figure { margin: 16px 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(sheet.title)}</h1>
+<p class="meta">${sheet.meta.map(([key, value]) => `${escapeHTML(key)}: ${escapeHTML(value)}`).join('<br>')}</p>
+<figure>
+${svg}
+</figure>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * 规格书 PDF (A4 横向，首页为示意图，其后按需分页)
+ * @param {Object} sheet - buildSpecSheet 的结果
+ * @param {Object} diagram - buildSpecDiagram 的结果
+ * @returns {Uint8Array}
+ */
+export function renderSpecPDF(sheet, diagram) {
+  const pageWidth = PAPER_SIZES.A4.height;
+  const pageHeight = PAPER_SIZES.A4.width;
+  const margin = 15;
+  const fontSize = 3.5;
+  const lineHeight = 6;
+  const contentWidth = pageWidth - margin * 2;
+  
+  const pdf = new PdfDocument({ Title: sheet.title, Creator: 'standing-long-jump-mat' });
+  const resources = addResources(pdf, null);
+  const colors = createColorMapper({ ...diagram.palette, text: '#222222', rule: '#cccccc' }, null);
+  const style = { fillOp: colors.fill('text'), strokeOp: colors.stroke('text') };
+  
+  const pages = [];
+  let ops = null;
+  let y = 0;
+  const newPage = () => {
+    ops = [pageTransform(pageHeight)];
+    pages.push(ops);
+    y = margin;
+  };
+  // 剩余高度不足时换页
+  const reserve = (height) => {
+    if (y + height > pageHeight - margin) newPage();
+  };
+  const write = (value, x, size = fontSize, bold = false) => {
+    ops.push(textOps(value, x, y, size, { ...style, baseline: 'top', bold }));
+  };
+  const rule = () => {
+    ops.push(`${colors.stroke('rule')} 0.2 w ${margin} ${fmt(y - 1.5)} m ${margin + contentWidth} ${fmt(y - 1.5)} l S`);
+  };
+  const table = (headers, rows) => {
+    const colWidth = contentWidth / headers.length;
+    [headers, ...rows].forEach((row, index) => {
+      reserve(lineHeight);
+      row.forEach((cell, col) => write(cell, margin + col * colWidth, fontSize, index === 0));
+      y += lineHeight;
+      rule();
+    });
+  };
+  
+  newPage();
+  write(sheet.title, margin, 7, true);
+  y += 11;
+  sheet.meta.forEach(([key, value]) => {
+    write(`${key}: ${value}`, margin, 3);
+    y += 4.5;
+  });
+  
+  // 示意图缩放到正文宽度
+  const scale = contentWidth / diagram.width;
+  y += 4;
+  ops.push('q', `${fmt(scale)} 0 0 ${fmt(scale)} ${margin} ${fmt(y)} cm`, artworkOps(diagram, colors), 'Q');
+  y += diagram.height * scale + 8;
+  
+  sheet.sections.forEach(section => {
+    reserve(lineHeight * 3);
+    write(section.title, margin, 4.5, true);
+    y += lineHeight + 2;
+    if (section.rows) {
+      section.rows.forEach(([key, value]) => {
+        reserve(lineHeight);
+        write(key, margin, fontSize);
+        write(value, margin + 55, fontSize);
+        y += lineHeight;
+      });
+    }
+    if (section.table) {
+      y += 2;
+      table(section.table.headers, section.table.rows);
+    }
+    y += 4;
+  });
+  
+  // 页脚页码
+  pages.forEach((pageOps, index) => {
+    const footer = `${index + 1} / ${pages.length}`;
+    pageOps.push(textOps(footer, pageWidth - margin - textWidth(footer) * 3, pageHeight - margin / 2, 3, style));
+    pdf.addPage({
+      width: pageWidth * PT_PER_MM,
+      height: pageHeight * PT_PER_MM,
+      content: pageOps.join('\n'),
+      resources
+    });
+  });
+  
+  return pdf.build();
+}
+
+export default {
+  buildSpecSheet,
+  buildSpecDiagram,
+  toSpecMarkdown,
+  toSpecHTML,
+  renderSpecPDF
+};
@@ -0,0 +1,97 @@
+import { buildArtwork } from './artwork.js';
+
+/**
+ * 矢量 SVG 导出
+ * 与 Canvas 渲染共用 MatGenerator 的刻度 / 标签 / 标记布局 (经 artwork.js 图元列表)，
+ * 以毫米为单位输出 1:1 的印刷稿；ArUco 标记由矩形拼成，不嵌入位图
+ */
+
+/**
+ * XML 文本转义
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 单个图元转 SVG 元素
+ */
+function renderItem(item, palette) {
+  switch (item.type) {
+    case 'rect':
+      return item.fill
+        ? `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" fill="${palette[item.fill]}"/>`
+        : `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" fill="none" stroke="${palette[item.stroke]}" stroke-width="${item.strokeWidth}"/>`;
+    
+    case 'line':
+      return `<line x1="${item.x1}" y1="${item.y1}" x2="${item.x2}" y2="${item.y2}" stroke="${palette[item.stroke]}" stroke-width="${item.strokeWidth}"/>`;
+    
+    case 'text': {
+      const baseline = item.baseline === 'top' ? 'hanging' : 'central';
+      return `<text transform="translate(${item.x} ${item.y}) rotate(${item.rotation})" ` +
+        `font-family="${escapeXML(item.fontFamily)}" font-size="${item.fontSize}" ` +
+        `font-weight="${item.bold ? 'bold' : 'normal'}" text-anchor="middle" dominant-baseline="${baseline}" ` +
+        `fill="${palette[item.fill]}">${escapeXML(item.text)}</text>`;
+    }
+    
+    default:
+      throw new Error(`未知图元类型: ${item.type}`);
+  }
+}
+
+/**
+ * 图元列表转 SVG
+ * @param {Object} artwork - buildArtwork 格式的图元列表 ({width, height, palette, items})
+ * @param {Object} options - xmlDeclaration: 是否输出 XML 声明 (内嵌到 HTML 时关闭)
+ * @returns {string} SVG 文本，尺寸单位为 mm
+ */
+export function renderArtworkSVG(artwork, { xmlDeclaration = true } = {}) {
+  const { width, height, palette, items } = artwork;
+  
+  const parts = [
+    ...(xmlDeclaration ? ['<?xml version="1.0" encoding="UTF-8"?>'] : []),
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">`
+  ];
+  
+  // 按图层 / 标记分组输出，便于在设计软件中选取
+  let layer = null;
+  let group = null;
+  items.forEach(item => {
+    if (item.layer !== layer) {
+      if (group) parts.push('</g>');
+      if (layer) parts.push('</g>');
+      layer = item.layer;
+      group = null;
+      parts.push(`<g id="${layer}" shape-rendering="${layer === 'labels' ? 'auto' : 'crispEdges'}">`);
+    }
+    if (item.group !== group) {
+      if (group) parts.push('</g>');
+      group = item.group || null;
+      if (group) parts.push(`<g id="${group}">`);
+    }
+    parts.push(renderItem(item, palette));
+  });
+  if (group) parts.push('</g>');
+  if (layer) parts.push('</g>');
+  
+  parts.push('</svg>');
+  return parts.join('\n');
+}
+
+/**
+ * 生成地毯 SVG
+ * @param {MatGenerator} generator - 地毯生成器
+ * @returns {string} SVG 文本，尺寸单位为 mm
+ */
+export function renderMatSVG(generator) {
+  return renderArtworkSVG(buildArtwork(generator));
+}
+
+export default {
+  renderArtworkSVG,
+  renderMatSVG
+};
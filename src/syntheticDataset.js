@@ -0,0 +1,375 @@
+import * as THREE from 'three';
+import { RENDER_CONFIG, mergeConfig } from './config.js';
+import { MatGenerator } from './matGenerator.js';
+import { PhoneCamera } from './phoneCamera.js';
+import { buildArtwork, parseColor } from './artwork.js';
+import { createRandom, gaussian } from './random.js';
+import { JUMP_PHASES, createPerson, planJump, poseJumpAt } from './demoScene.js';
+import { SoftwareRenderer, createArtworkSampler, toRGBA } from './softwareRenderer.js';
+
+/**
+ * 合成数据集生成
+ * 基于演示场景 (地毯 + 人物跳跃动作 + 手机机位) 批量渲染带标注的图像，用于训练与评测落地检测：
+ * 每帧随机跳跃距离、动作时刻、机位、光照、运动模糊、传感器噪声，人物横向偏移时会部分遮挡标记。
+ * 使用软件渲染器，无需 GPU / DOM，可在 Node (CI) 中运行，参数见 RENDER_CONFIG.dataset
+ *
+ * 坐标系与演示场景一致 (米)：x 沿跳跃方向 (起跳线为 0)，y 向上，z = 地毯 y - totalWidth / 2
+ */
+
+/**
+ * 保留指定位数小数
+ */
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+/**
+ * 区间内均匀随机
+ */
+function uniform(random, range) {
+  return range.min + random() * (range.max - range.min);
+}
+
+/**
+ * 按权重选取序号
+ */
+function pickWeighted(random, weights) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let r = random() * total;
+  for (let i = 0; i < weights.length; i++) {
+    r -= weights[i];
+    if (r < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+/**
+ * 手机抖动：沿固定方向的线性模糊 (最近邻取样)
+ */
+function applyShake(rgb, width, height, length, angle) {
+  const steps = Math.ceil(length);
+  if (steps < 1) return rgb;
+  const dx = Math.cos(angle) * length / steps;
+  const dy = Math.sin(angle) * length / steps;
+  const output = new Float32Array(rgb.length);
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const target = (y * width + x) * 3;
+      for (let s = 0; s <= steps; s++) {
+        const offset = s - steps / 2;
+        const sx = Math.min(width - 1, Math.max(0, Math.round(x + dx * offset)));
+        const sy = Math.min(height - 1, Math.max(0, Math.round(y + dy * offset)));
+        const source = (sy * width + sx) * 3;
+        output[target] += rgb[source];
+        output[target + 1] += rgb[source + 1];
+        output[target + 2] += rgb[source + 2];
+      }
+      output[target] /= steps + 1;
+      output[target + 1] /= steps + 1;
+      output[target + 2] /= steps + 1;
+    }
+  }
+  return output;
+}
+
+/**
+ * 暗角与传感器噪声 (读出噪声 + 随亮度增长的散粒噪声)
+ */
+function applySensor(rgb, width, height, { vignette, read, shot }, random) {
+  const cx = width / 2;
+  const cy = height / 2;
+  const radius = Math.hypot(cx, cy);
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const falloff = 1 - vignette * Math.pow(Math.hypot(x + 0.5 - cx, y + 0.5 - cy) / radius, 2);
+      for (let k = 0; k < 3; k++) {
+        const index = (y * width + x) * 3 + k;
+        const value = Math.max(0, rgb[index] * falloff);
+        const sigma = read + shot * Math.sqrt(value);
+        rgb[index] = value + sigma * gaussian(random);
+      }
+    }
+  }
+}
+
+export class SyntheticDataset {
+  /**
+   * @param {Object} options - 按深度合并覆盖 RENDER_CONFIG.dataset
+   * @param {MatGenerator} generator - 地毯生成器 (默认生产配置：无纹理噪点)
+   */
+  constructor(options = {}, generator = new MatGenerator({ texture: { mode: 'none' } })) {
+    this.config = mergeConfig(RENDER_CONFIG.dataset, options);
+    this.generator = generator;
+    
+    const { resolution, supersample } = this.config;
+    this.renderer = new SoftwareRenderer(resolution.width, resolution.height, { supersample });
+    this.phoneCamera = new PhoneCamera({ resolution });
+    
+    // 地毯采样：世界坐标 -> 地毯图元 (mm)，地毯外为地面颜色
+    const { config } = generator;
+    const origin = config.zones.takeoff.start;
+    const matSampler = createArtworkSampler(buildArtwork(generator));
+    const floor = parseColor(this.config.floorColor);
+    const floorColor = [floor.r, floor.g, floor.b];
+    this.sampleGround = (x, z) =>
+      matSampler((x - origin) * 1000, (z + config.totalWidth / 2) * 1000) || floorColor;
+    
+    this.person = createPerson();
+    this.shoes = ['leftShoe', 'rightShoe'].map(name => this.person.getObjectByName(name));
+  }
+
+  /**
+   * 帧数
+   */
+  getFrameCount() {
+    return this.config.count;
+  }
+
+  /**
+   * 设置人物在某一时刻的姿态
+   */
+  poseJumper(plan, time) {
+    poseJumpAt(this.person, plan, time);
+  }
+
+  /**
+   * 两只鞋的世界坐标包围盒
+   */
+  getShoeBounds() {
+    const bounds = new THREE.Box3();
+    this.shoes.forEach(shoe => bounds.expandByObject(shoe, true));
+    return bounds;
+  }
+
+  /**
+   * 随机抽取一帧的场景参数
+   */
+  sampleParameters(random) {
+    const { jumpDistance, phaseWeights, lateralOffset, camera, lighting, motionBlur, noise } = this.config;
+    
+    const phase = pickWeighted(random, phaseWeights);
+    const side = random() < 0.5 ? -1 : 1;
+    const x = uniform(random, camera.x);
+    const distance = uniform(random, camera.distance);
+    const height = uniform(random, camera.height);
+    const aimX = uniform(random, camera.aimX);
+    const tilt = Math.atan2(height, Math.hypot(aimX - x, distance)) * 180 / Math.PI +
+      (random() * 2 - 1) * camera.tiltJitter;
+    
+    const elevation = uniform(random, lighting.elevation) * Math.PI / 180;
+    const azimuth = random() * 2 * Math.PI;
+    const blurred = random() < motionBlur.probability;
+    
+    const jump = uniform(random, jumpDistance);
+    const phaseProgress = random();
+    const plan = planJump({ distance: jump, lateralOffset: uniform(random, lateralOffset) });
+    const { start, duration } = plan.phases[phase];
+    
+    return {
+      plan,
+      phase,
+      time: start + phaseProgress * duration,
+      camera: {
+        focalLength: uniform(random, camera.focalLength),
+        position: { x, z: side * distance },
+        height,
+        tilt,
+        aimX
+      },
+      lighting: {
+        ambient: uniform(random, lighting.ambient),
+        directional: uniform(random, lighting.directional),
+        direction: new THREE.Vector3(
+          Math.cos(elevation) * Math.cos(azimuth),
+          Math.sin(elevation),
+          Math.cos(elevation) * Math.sin(azimuth)
+        ),
+        tint: [0, 1, 2].map(() => 1 + (random() * 2 - 1) * lighting.tint),
+        vignette: uniform(random, lighting.vignette)
+      },
+      motionBlur: {
+        exposure: blurred ? uniform(random, motionBlur.exposure) : 0,
+        shake: blurred ? uniform(random, motionBlur.shake) : 0,
+        shakeAngle: random() * Math.PI
+      },
+      noise: {
+        read: uniform(random, noise.read),
+        shot: uniform(random, noise.shot)
+      }
+    };
+  }
+
+  /**
+   * 快门时间内的动作时刻采样 (限制在当前阶段内)，最后一个为快门中点，供遮挡标注使用
+   */
+  getExposureTimes(params) {
+    const { samples } = this.config.motionBlur;
+    const { plan, phase, time, motionBlur } = params;
+    const span = motionBlur.exposure;
+    if (span === 0 || samples < 2) return [time];
+    
+    const { start, duration } = plan.phases[phase];
+    const clamp = (t) => Math.min(start + duration, Math.max(start, t));
+    const times = [];
+    for (let i = 0; i < samples; i++) {
+      times.push(clamp(time + span * (i / (samples - 1) - 0.5)));
+    }
+    // 把最接近中点的采样移到最后
+    times.sort((a, b) => Math.abs(b - time) - Math.abs(a - time));
+    return times;
+  }
+
+  /**
+   * 相机标注：OpenCV 约定的内参矩阵与外参 (世界 -> 相机，相机 x 右、y 下、z 前)
+   */
+  getCameraAnnotation(params) {
+    const { fx, fy, cx, cy } = this.phoneCamera.getIntrinsics();
+    const camera = this.phoneCamera.camera;
+    const view = camera.matrixWorldInverse.elements;
+    
+    // Three.js 相机 y 上、朝 -z，翻转 y / z 轴得到 OpenCV 约定
+    const flip = [1, -1, -1];
+    const rotation = [0, 1, 2].map(row => [0, 1, 2].map(column => round(flip[row] * view[column * 4 + row], 9)));
+    const translation = [0, 1, 2].map(row => round(flip[row] * view[12 + row], 9));
+    
+    return {
+      matrix: [[round(fx, 6), 0, round(cx, 6)], [0, round(fy, 6), round(cy, 6)], [0, 0, 1]],
+      distortion: [0, 0, 0, 0, 0],
+      rotation,
+      translation,
+      position: {
+        x: round(camera.position.x, 6),
+        y: round(camera.position.y, 6),
+        z: round(camera.position.z, 6)
+      },
+      focalLength: round(params.camera.focalLength, 4),
+      tilt: round(params.camera.tilt, 4),
+      yaw: round(this.phoneCamera.getYaw() * 180 / Math.PI, 4)
+    };
+  }
+
+  /**
+   * 标记标注：角点像素坐标 (顺序同 markerLayout)、是否完整在画面内、被人物遮挡的比例
+   * 遮挡比例在标记黑色核心区内 8x8 网格点上按深度判断
+   */
+  getMarkerAnnotations() {
+    const { width, height } = this.config.resolution;
+    const { totalWidth } = this.generator.config;
+    const grid = 8;
+    
+    return this.generator.getMarkerLayout().map(marker => {
+      const project = (x, y) => this.phoneCamera.projectPoint(x, 0, y - totalWidth / 2);
+      const corners = marker.corners.map(([x, y]) => project(x, y));
+      const inFrame = corners.every(p => p.inFront && p.u >= 0 && p.u <= width && p.v >= 0 && p.v <= height);
+      
+      let occluded = 0;
+      let sampled = 0;
+      const [[x0, y0], , [x1, y1]] = marker.corners;
+      for (let i = 0; i < grid; i++) {
+        for (let j = 0; j < grid; j++) {
+          const p = project(x0 + (x1 - x0) * (i + 0.5) / grid, y0 + (y1 - y0) * (j + 0.5) / grid);
+          if (!p.inFront || p.u < 0 || p.u >= width || p.v < 0 || p.v >= height) continue;
+          const depth = this.renderer.depthAt(p.u, p.v);
+          sampled += 1;
+          if (depth.object < depth.ground) occluded += 1;
+        }
+      }
+      
+      return {
+        id: marker.id,
+        corners: corners.map(p => [round(p.u, 3), round(p.v, 3)]),
+        inFrame,
+        occlusion: sampled > 0 ? round(occluded / sampled, 4) : 0
+      };
+    });
+  }
+
+  /**
+   * 渲染一帧
+   * @param {number} index - 帧序号 (同一种子下每帧参数只取决于序号)
+   * @returns {{image: {width: number, height: number, data: Uint8ClampedArray}, annotation: Object}}
+   *   image.data 为 RGBA (ImageData 布局)；annotation 为该帧的真值
+   */
+  renderFrame(index) {
+    const { seed, resolution } = this.config;
+    const random = createRandom(seed ^ Math.imul(index + 1, 0x9e3779b1));
+    const params = this.sampleParameters(random);
+    const { width, height } = resolution;
+    
+    // 落地真值：落地缓冲结束时的鞋跟 (鞋底最靠后的点) 位置
+    const { plan } = params;
+    this.poseJumper(plan, plan.duration);
+    const heelLandingX = this.getShoeBounds().min.x;
+    
+    // 机位
+    this.phoneCamera.set(params.camera);
+    const renderer = this.renderer;
+    renderer.setCamera(this.phoneCamera.camera);
+    renderer.drawGround(this.sampleGround, params.lighting);
+    
+    // 快门时间内多次曝光，最后一次为快门中点
+    let shoes = null;
+    this.getExposureTimes(params).forEach(time => {
+      this.poseJumper(plan, time);
+      renderer.beginExposure();
+      renderer.drawObject(this.person, params.lighting);
+      renderer.endExposure();
+      shoes = this.getShoeBounds();
+    });
+    const markers = this.getMarkerAnnotations();
+    
+    let rgb = renderer.resolve();
+    rgb = applyShake(rgb, width, height, params.motionBlur.shake, params.motionBlur.shakeAngle);
+    applySensor(rgb, width, height, { vignette: params.lighting.vignette, ...params.noise }, random);
+    
+    const { lighting, motionBlur, noise } = params;
+    const annotation = {
+      index,
+      seed,
+      image: { width, height },
+      camera: this.getCameraAnnotation(params),
+      jump: {
+        distance: round(plan.distance, 6),
+        takeoffAngle: plan.takeoffAngle,
+        athleteHeight: plan.athleteHeight,
+        phase: JUMP_PHASES[params.phase].name,
+        time: round(params.time, 6),
+        progress: round((params.time - plan.phases[params.phase].start) / plan.phases[params.phase].duration, 6),
+        landed: params.phase === JUMP_PHASES.length - 1,
+        heelLandingX: round(heelLandingX, 6),
+        heelX: round(shoes.min.x, 6),
+        heelHeight: round(Math.max(0, shoes.min.y), 6),
+        lateralOffset: round(plan.lateralOffset, 6)
+      },
+      markers,
+      visibleMarkerIds: markers.filter(m => m.inFrame && m.occlusion === 0).map(m => m.id),
+      conditions: {
+        lighting: {
+          ambient: round(lighting.ambient, 4),
+          directional: round(lighting.directional, 4),
+          direction: lighting.direction.toArray().map(v => round(v, 4)),
+          tint: lighting.tint.map(v => round(v, 4)),
+          vignette: round(lighting.vignette, 4)
+        },
+        motionBlur: {
+          exposure: round(motionBlur.exposure, 6),
+          shake: round(motionBlur.shake, 3),
+          shakeAngle: round(motionBlur.shakeAngle * 180 / Math.PI, 2)
+        },
+        noise: {
+          read: round(noise.read, 5),
+          shot: round(noise.shot, 5)
+        }
+      }
+    };
+    
+    return {
+      image: { width, height, data: toRGBA(rgb) },
+      annotation
+    };
+  }
+}
+
+export default SyntheticDataset;
@@ -0,0 +1,83 @@
+import { crc32 } from './imageWriter.js';
+
+/**
+ * ZIP 打包 (仅存储，不压缩)
+ * 一次点击需要下载多个文件时 (如各跑道的印刷稿) 打成一个压缩包，避免浏览器拦截后续下载。
+ * 文件名按 UTF-8 编码，修改时间固定为 1980-01-01，相同内容得到相同的压缩包
+ */
+
+// DOS 日期 1980-01-01 (时间 00:00:00 为 0)
+const DOS_DATE = (1 << 5) | 1;
+
+// 通用标志：文件名为 UTF-8
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * 打包文件
+ * @param {Array<{name: string, content: string|Uint8Array}>} files - 文件名与内容 (字符串按 UTF-8 编码)
+ * @returns {Blob} application/zip
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    const crc = crc32(data);
+
+    // 本地文件头
+    const local = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(local.buffer);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true);           // 解压所需版本 2.0
+    view.setUint16(6, FLAG_UTF8, true);
+    view.setUint16(8, 0, true);            // 存储
+    view.setUint16(10, 0, true);
+    view.setUint16(12, DOS_DATE, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, data.length, true);
+    view.setUint32(22, data.length, true);
+    view.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    parts.push(local, data);
+
+    // 中央目录条目
+    const entry = new Uint8Array(46 + nameBytes.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014b50, true);
+    entryView.setUint16(4, 20, true);      // 创建版本
+    entryView.setUint16(6, 20, true);
+    entryView.setUint16(8, FLAG_UTF8, true);
+    entryView.setUint16(10, 0, true);
+    entryView.setUint16(12, 0, true);
+    entryView.setUint16(14, DOS_DATE, true);
+    entryView.setUint32(16, crc, true);
+    entryView.setUint32(20, data.length, true);
+    entryView.setUint32(24, data.length, true);
+    entryView.setUint16(28, nameBytes.length, true);
+    entryView.setUint32(42, offset, true);
+    entry.set(nameBytes, 46);
+    central.push(entry);
+
+    offset += local.length + data.length;
+  });
+
+  // 中央目录结束记录
+  const centralSize = central.reduce((sum, entry) => sum + entry.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+export default {
+  createZip
+};
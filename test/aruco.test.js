@@ -0,0 +1,143 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMarkerBits, createArucoMarker, sampleMarkerGrid, rotateBits, getDictionary, identifyMarkerGrid } from '../src/aruco.js';
+import { installHeadlessCanvas } from './helpers/canvas.js';
+
+/**
+ * OpenCV 参考码字 (predefined_dictionaries.hpp 中 bytesList 第 0 个旋转方向)
+ * 每字节高位在前；位数不足 8 的末字节只占低位 (同 cv::aruco::Dictionary::getBitsFromByteList)。
+ * 位为 1 的格子是白色 (generateImageMarker 写入 bits * 255)
+ */
+const OPENCV_REFERENCE = {
+  DICT_4X4_50: {
+    0: [181, 50],
+    25: [148, 113],
+    49: [80, 19]
+  },
+  DICT_5X5_100: {
+    0: [162, 217, 94, 0],
+    50: [141, 172, 114, 0],
+    99: [34, 71, 126, 1]
+  },
+  DICT_APRILTAG_36h11: {
+    0: [213, 214, 40, 88, 4],
+    293: [130, 100, 100, 126, 15],
+    586: [232, 59, 228, 183, 3]
+  }
+};
+
+// DICT_4X4_50 标记 0 的四个旋转方向 (OpenCV bytesList 顺序)
+const OPENCV_MARKER0_ROTATIONS = [[181, 50], [235, 72], [76, 173], [18, 215]];
+
+/**
+ * 按 OpenCV 规则把字节列表展开为位矩阵
+ */
+function unpackBytes(bytes, markerSize) {
+  const total = markerSize * markerSize;
+  const flat = [];
+  bytes.forEach((byte, index) => {
+    const count = Math.min(8, total - index * 8);
+    for (let bit = count - 1; bit >= 0; bit--) {
+      flat.push((byte >> bit) & 1);
+    }
+  });
+  const bits = [];
+  for (let row = 0; row < markerSize; row++) {
+    bits.push(flat.slice(row * markerSize, (row + 1) * markerSize));
+  }
+  return bits;
+}
+
+describe('getMarkerBits', () => {
+  Object.entries(OPENCV_REFERENCE).forEach(([dictionary, references]) => {
+    const { markerSize } = getDictionary(dictionary);
+    Object.entries(references).forEach(([id, bytes]) => {
+      it(`${dictionary} 标记 ${id} 与 OpenCV 参考一致`, () => {
+        assert.deepEqual(getMarkerBits(Number(id), dictionary), unpackBytes(bytes, markerSize));
+      });
+    });
+  });
+
+  it('DICT_4X4_50 的码字取值与 OpenCV 一致 (0xb532)', () => {
+    assert.equal(getDictionary('DICT_4X4_50').codes[0], 0xb532);
+  });
+
+  it('顺时针旋转依次得到 OpenCV 的逆序旋转方向', () => {
+    let bits = getMarkerBits(0, 'DICT_4X4_50');
+    for (let turn = 0; turn < 4; turn++) {
+      assert.deepEqual(bits, unpackBytes(OPENCV_MARKER0_ROTATIONS[(4 - turn) % 4], 4));
+      bits = rotateBits(bits);
+    }
+  });
+
+  it('超出字典范围的 ID 抛出错误', () => {
+    assert.throws(() => getMarkerBits(50, 'DICT_4X4_50'));
+    assert.throws(() => getMarkerBits(-1, 'DICT_4X4_50'));
+  });
+});
+
+describe('createArucoMarker', () => {
+  before(installHeadlessCanvas);
+
+  /**
+   * 按像素读出每个单元格中心的颜色：255 = 白色，0 = 黑色 (含外边框，不含静区)
+   */
+  function cellColors(canvas, markerSize, cell, quiet) {
+    const { data, width } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    return Array.from({ length: markerSize + 2 }, (_, row) => Array.from({ length: markerSize + 2 }, (_, col) => {
+      const x = quiet + col * cell + cell / 2;
+      const y = quiet + row * cell + cell / 2;
+      return data[(y * width + x) * 4];
+    }));
+  }
+
+  Object.entries(OPENCV_REFERENCE).forEach(([dictionary, references]) => {
+    const { markerSize } = getDictionary(dictionary);
+    Object.entries(references).forEach(([id, bytes]) => {
+      it(`${dictionary} 标记 ${id} 的像素与 OpenCV 参考一致`, () => {
+        const canvas = createArucoMarker(Number(id), 10 * (markerSize + 2), 10, { dictionary });
+        assert.equal(canvas.width, 10 * (markerSize + 4));
+
+        const colors = cellColors(canvas, markerSize, 10, 10);
+        const border = [...colors[0], ...colors[markerSize + 1], ...colors.map(row => row[0]), ...colors.map(row => row[markerSize + 1])];
+        assert.ok(border.every(color => color === 0), '外边框应全部为黑色');
+        assert.deepEqual(
+          colors.slice(1, -1).map(row => row.slice(1, -1)),
+          unpackBytes(bytes, markerSize).map(row => row.map(bit => bit * 255))
+        );
+        assert.deepEqual(sampleMarkerGrid(canvas, markerSize).slice(1, -1).map(row => row.slice(1, -1)), unpackBytes(bytes, markerSize));
+      });
+    });
+  });
+
+  it('DICT_4X4_50 标记 0 数据区首行为 白-黑-白-白', () => {
+    const colors = cellColors(createArucoMarker(0, 60, 10), 4, 10, 10);
+    assert.deepEqual(colors[1].slice(1, -1), [255, 0, 255, 255]);
+  });
+});
+
+describe('identifyMarkerGrid', () => {
+  /**
+   * 标记 id 的完整网格 (含黑色外边框，0 = 黑色)，外边框前 broken 格改为白色
+   */
+  function gridWithBrokenBorder(id, broken) {
+    const bits = getMarkerBits(id, 'DICT_4X4_50');
+    const grid = [Array(6).fill(0), ...bits.map(row => [0, ...row, 0]), Array(6).fill(0)];
+    const border = [];
+    for (let i = 0; i < 6; i++) border.push([0, i], [5, i]);
+    for (let i = 1; i < 5; i++) border.push([i, 0], [i, 5]);
+    border.slice(0, broken).forEach(([row, col]) => { grid[row][col] = 1; });
+    return grid;
+  }
+
+  it('外边框错误格不超过 35% 时仍识别', () => {
+    const match = identifyMarkerGrid(gridWithBrokenBorder(7, 7));
+    assert.equal(match.id, 7);
+    assert.equal(match.borderErrors, 7);
+  });
+
+  it('外边框错误格超过 35% 时拒绝，即使数据位完全匹配', () => {
+    assert.equal(identifyMarkerGrid(gridWithBrokenBorder(7, 8)), null);
+    assert.equal(identifyMarkerGrid(gridWithBrokenBorder(7, 8), 'DICT_4X4_50', { maxBorderErrorRate: 0.5 }).id, 7);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAT_CONFIG } from '../src/config.js';
+import {
+  DESIGN_FORMAT,
+  DESIGN_SCHEMA_VERSION,
+  createDesignState,
+  parseDesignState,
+  encodeDesignState,
+  decodeDesignState
+} from '../src/designState.js';
+
+/**
+ * v1 设计文件：只保存改动过的字段，标签带固定的起跳线文字与精密区后缀
+ */
+function designV1() {
+  return {
+    format: DESIGN_FORMAT,
+    version: 1,
+    mat: {
+      totalLength: 3.5,
+      zones: { extended: { end: 3.5 } },
+      labels: {
+        unit: 'cm',
+        startLine: { text: '起跳线', offset: -0.1, fontSize: 0.04 },
+        precisionStart: { suffix: ' (精密区)', offset: -0.06 }
+      }
+    },
+    view: { showAruco: false, laneCount: 2, unknown: true },
+    camera: { position: [1.5, 2, 3], target: [1.5, 0, 0.45] }
+  };
+}
+
+describe('设计状态读取与迁移', () => {
+  it('v1 设计迁移到当前版本：去掉固定标签文字，保留其余改动并按 MAT_CONFIG 补全', () => {
+    const state = parseDesignState(designV1());
+    assert.equal(state.version, DESIGN_SCHEMA_VERSION);
+    assert.equal(state.format, DESIGN_FORMAT);
+
+    const { labels } = state.mat;
+    assert.deepEqual(labels.startLine, { offset: -0.1, fontSize: 0.04 });
+    assert.deepEqual(labels.precisionStart, { offset: -0.06, fontSize: MAT_CONFIG.labels.precisionStart.fontSize });
+    assert.equal(labels.unit, 'cm');
+    assert.deepEqual(labels.ticks, MAT_CONFIG.labels.ticks);
+
+    assert.equal(state.mat.totalLength, 3.5);
+    assert.equal(state.mat.zones.extended.end, 3.5);
+    assert.deepEqual(state.mat.aruco, MAT_CONFIG.aruco);
+    assert.deepEqual(state.view, { showAruco: false, laneCount: 2 });
+    assert.deepEqual(state.camera, { position: [1.5, 2, 3], target: [1.5, 0, 0.45] });
+  });
+
+  it('v1 分享链接解码后与直接读取一致', () => {
+    assert.deepEqual(decodeDesignState(encodeDesignState(designV1())), parseDesignState(designV1()));
+  });
+
+  it('当前版本往返不变', () => {
+    const saved = createDesignState(MAT_CONFIG, { showGrid: true, laneSpacing: 1.2 }, { position: [1, 2, 3], target: [0, 0, 0] });
+    const state = parseDesignState(JSON.parse(JSON.stringify(saved)));
+    assert.deepEqual(state.mat, MAT_CONFIG);
+    assert.deepEqual(state.view, { showGrid: true, laneSpacing: 1.2 });
+    assert.deepEqual(state.camera, saved.camera);
+  });
+
+  it('拒绝更新版本创建的设计文件', () => {
+    const future = { ...designV1(), version: DESIGN_SCHEMA_VERSION + 1 };
+    assert.throws(() => parseDesignState(future), new RegExp(`更新版本创建 \\(v${DESIGN_SCHEMA_VERSION + 1}\\)`));
+    assert.throws(() => decodeDesignState(encodeDesignState(future)), /更新版本创建/);
+  });
+
+  it('拒绝无效版本号与非设计文件', () => {
+    [0, 1.5, '2', undefined].forEach(version => {
+      assert.throws(() => parseDesignState({ ...designV1(), version }), /设计文件版本无效/);
+    });
+    assert.throws(() => parseDesignState({ ...designV1(), format: 'other' }), /不是地毯设计文件/);
+    assert.throws(() => decodeDesignState('!!!'), /已损坏/);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * 测试用的最小无头画布
+ * 实现标记与地毯绘制用到的 2D 接口：fillRect / strokeRect / 直线路径 stroke / drawImage / fillText、
+ * translate / rotate / save / restore 与 getImageData，颜色支持 #RRGGBB 与 rgb() / rgba()。
+ * 按像素中心是否落在图形内着色 (无抗锯齿)，半透明颜色按 source-over 混合；
+ * fillText 不排字形，只按字号与字数填充文字外框。结果与浏览器像素不同，但对同一绘制调用序列完全确定，
+ * 供 createArucoMarker、MatGenerator.getContentHash 等依赖 document.createElement('canvas') 的函数在 Node 中运行
+ */
+
+// 无头 fillText 的字宽 (相对字号)
+const GLYPH_WIDTH = 0.6;
+
+function parseColor(color) {
+  if (color.startsWith('#')) {
+    const value = parseInt(color.slice(1), 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff, 1];
+  }
+  const match = color.match(/^rgba?\(([^)]*)\)$/);
+  if (!match) {
+    throw new Error(`无头画布不支持颜色: ${color}`);
+  }
+  const [r, g, b, a = 1] = match[1].split(',').map(Number);
+  return [r, g, b, a];
+}
+
+/**
+ * 仿射变换作用于点 ([a, b, c, d, e, f] 同 CanvasRenderingContext2D.setTransform)
+ */
+function apply([a, b, c, d, e, f], x, y) {
+  return [a * x + c * y + e, b * x + d * y + f];
+}
+
+class HeadlessContext {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.fillStyle = '#000000';
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+    this.transform = [1, 0, 0, 1, 0, 0];
+    this.stack = [];
+    this.path = [];
+    this.data = null;
+  }
+
+  ensure() {
+    const { width, height } = this.canvas;
+    if (!this.data || this.data.length !== width * height * 4) {
+      this.data = new Uint8ClampedArray(width * height * 4);
+    }
+  }
+
+  save() {
+    const { fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, transform } = this;
+    this.stack.push({ fillStyle, strokeStyle, lineWidth, font, textAlign, textBaseline, transform });
+  }
+
+  restore() {
+    if (this.stack.length > 0) Object.assign(this, this.stack.pop());
+  }
+
+  translate(x, y) {
+    const [a, b, c, d, e, f] = this.transform;
+    this.transform = [a, b, c, d, a * x + c * y + e, b * x + d * y + f];
+  }
+
+  rotate(angle) {
+    const [a, b, c, d, e, f] = this.transform;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform = [a * cos + c * sin, b * cos + d * sin, c * cos - a * sin, d * cos - b * sin, e, f];
+  }
+
+  /**
+   * 按像素中心着色：shade(px, py) 返回该处的 [r, g, b, a] (a 为 0-1)，不着色时返回 null
+   */
+  paint(corners, shade) {
+    this.ensure();
+    const { width, height } = this.canvas;
+    const xs = corners.map(corner => corner[0]);
+    const ys = corners.map(corner => corner[1]);
+    const x0 = Math.max(0, Math.floor(Math.min(...xs)));
+    const y0 = Math.max(0, Math.floor(Math.min(...ys)));
+    const x1 = Math.min(width, Math.ceil(Math.max(...xs)));
+    const y1 = Math.min(height, Math.ceil(Math.max(...ys)));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const color = shade(px + 0.5, py + 0.5);
+        if (!color || color[3] <= 0) continue;
+        const [r, g, b, alpha] = color;
+        const i = (py * width + px) * 4;
+        const below = this.data[i + 3] / 255 * (1 - alpha);
+        const out = alpha + below;
+        this.data[i] = (r * alpha + this.data[i] * below) / out;
+        this.data[i + 1] = (g * alpha + this.data[i + 1] * below) / out;
+        this.data[i + 2] = (b * alpha + this.data[i + 2] * below) / out;
+        this.data[i + 3] = out * 255;
+      }
+    }
+  }
+
+  /**
+   * 填充当前变换下的矩形 (变换后为平行四边形)
+   */
+  fillQuad(x, y, w, h, style) {
+    if (w < 0) [x, w] = [x + w, -w];
+    if (h < 0) [y, h] = [y + h, -h];
+    if (w === 0 || h === 0) return;
+    const corners = [[x, y], [x + w, y], [x + w, y + h], [x, y + h]].map(([cx, cy]) => apply(this.transform, cx, cy));
+    // 像素中心在四条边的同一侧即在图形内 (顶点顺序随变换可能反向，取符号一致)
+    const sign = Math.sign(this.transform[0] * this.transform[3] - this.transform[1] * this.transform[2]);
+    const color = parseColor(style);
+    this.paint(corners, (px, py) =>
+      (corners.every(([ax, ay], k) => {
+        const [bx, by] = corners[(k + 1) % 4];
+        return sign * ((bx - ax) * (py - ay) - (by - ay) * (px - ax)) >= 0;
+      }) ? color : null));
+  }
+
+  fillRect(x, y, w, h) {
+    this.fillQuad(x, y, w, h, this.fillStyle);
+  }
+
+  /**
+   * 斜接描边矩形：上下两边占满外框宽度，左右两边夹在中间，互不重叠
+   */
+  strokeRect(x, y, w, h) {
+    const half = this.lineWidth / 2;
+    this.fillQuad(x - half, y - half, w + this.lineWidth, this.lineWidth, this.strokeStyle);
+    this.fillQuad(x - half, y + h - half, w + this.lineWidth, this.lineWidth, this.strokeStyle);
+    this.fillQuad(x - half, y + half, this.lineWidth, h - this.lineWidth, this.strokeStyle);
+    this.fillQuad(x + w - half, y + half, this.lineWidth, h - this.lineWidth, this.strokeStyle);
+  }
+
+  beginPath() {
+    this.path = [];
+  }
+
+  moveTo(x, y) {
+    this.path.push([[x, y]]);
+  }
+
+  lineTo(x, y) {
+    if (this.path.length === 0) this.path.push([]);
+    this.path[this.path.length - 1].push([x, y]);
+  }
+
+  /**
+   * 平头描边：每段线段按线宽展开为矩形
+   */
+  stroke() {
+    this.path.forEach(points => {
+      for (let k = 1; k < points.length; k++) {
+        const [ax, ay] = points[k - 1];
+        const [bx, by] = points[k];
+        const length = Math.hypot(bx - ax, by - ay);
+        if (length === 0) continue;
+        this.save();
+        this.translate(ax, ay);
+        this.rotate(Math.atan2(by - ay, bx - ax));
+        this.fillQuad(0, -this.lineWidth / 2, length, this.lineWidth, this.strokeStyle);
+        this.restore();
+      }
+    });
+  }
+
+  /**
+   * 最近邻采样绘制另一块无头画布
+   */
+  drawImage(image, dx, dy, dw = image.width, dh = image.height) {
+    const source = image.getContext('2d');
+    source.ensure();
+    const [a, b, c, d, e, f] = this.transform;
+    const det = a * d - b * c;
+    const corners = [[dx, dy], [dx + dw, dy], [dx + dw, dy + dh], [dx, dy + dh]].map(([cx, cy]) => apply(this.transform, cx, cy));
+    this.paint(corners, (px, py) => {
+      // 逆变换回用户坐标，再映射到源像素
+      const ux = (d * (px - e) - c * (py - f)) / det;
+      const uy = (a * (py - f) - b * (px - e)) / det;
+      const sx = Math.floor((ux - dx) / dw * image.width);
+      const sy = Math.floor((uy - dy) / dh * image.height);
+      if (sx < 0 || sy < 0 || sx >= image.width || sy >= image.height) return null;
+      const i = (sy * image.width + sx) * 4;
+      return [source.data[i], source.data[i + 1], source.data[i + 2], source.data[i + 3] / 255];
+    });
+  }
+
+  /**
+   * 文字外框：宽 = 字数 × 字号 × GLYPH_WIDTH，高 = 字号，按 textAlign / textBaseline 对齐
+   */
+  fillText(text, x, y) {
+    const size = Number(this.font.match(/([\d.]+)px/)[1]);
+    const width = [...text].length * size * GLYPH_WIDTH;
+    const left = { center: -width / 2, right: -width, end: -width }[this.textAlign] || 0;
+    const top = { top: 0, hanging: 0, middle: -size / 2, bottom: -size, ideographic: -size }[this.textBaseline] ?? -size * 0.8;
+    this.fillQuad(x + left, y + top, width, size, this.fillStyle);
+  }
+
+  getImageData(x, y, w, h) {
+    this.ensure();
+    const out = new Uint8ClampedArray(w * h * 4);
+    for (let row = 0; row < h; row++) {
+      const start = ((y + row) * this.canvas.width + x) * 4;
+      out.set(this.data.subarray(start, start + w * 4), row * w * 4);
+    }
+    return { data: out, width: w, height: h };
+  }
+}
+
+/**
+ * 安装全局 document (只支持 createElement('canvas'))
+ */
+export function installHeadlessCanvas() {
+  globalThis.document = {
+    createElement(tag) {
+      if (tag !== 'canvas') {
+        throw new Error(`无头画布不支持元素: ${tag}`);
+      }
+      const canvas = { width: 0, height: 0 };
+      const ctx = new HeadlessContext(canvas);
+      canvas.getContext = () => ctx;
+      return canvas;
+    }
+  };
+}
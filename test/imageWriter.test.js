@@ -0,0 +1,167 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'node:zlib';
+import { crc32, PngWriter, TiffWriter } from '../src/imageWriter.js';
+
+/**
+ * 测试图像 (RGBA)：左侧大块单色 (PackBits 重复段)，右侧逐像素变化 (字面段)
+ */
+function testPixels(width, height) {
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      pixels.set(x < 60 ? [26, 26, 26, 255] : [(x * 7) & 0xff, (y * 13) & 0xff, (x + y) & 0xff, 200], i);
+    }
+  }
+  return pixels;
+}
+
+/**
+ * 去掉透明通道
+ */
+function toChannels(pixels, channels) {
+  return pixels.filter((value, i) => i % 4 < channels);
+}
+
+async function readBlob(blob) {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * 解析小端 TIFF 的文件头与第一个 IFD
+ * @returns {Map<number, number[]>} 标签 -> 数值 (RATIONAL 展开为分子、分母)
+ */
+function parseTiff(bytes) {
+  const view = new DataView(bytes.buffer);
+  assert.equal(String.fromCharCode(bytes[0], bytes[1]), 'II');
+  assert.equal(view.getUint16(2, true), 42);
+  const ifd = view.getUint32(4, true);
+  assert.equal(ifd % 2, 0, 'IFD 偏移须为偶数');
+
+  const tags = new Map();
+  const count = view.getUint16(ifd, true);
+  for (let k = 0; k < count; k++) {
+    const entry = ifd + 2 + k * 12;
+    const tag = view.getUint16(entry, true);
+    const type = view.getUint16(entry + 2, true);
+    const n = view.getUint32(entry + 4, true) * (type === 5 ? 2 : 1);
+    const size = n * (type === 3 ? 2 : 4);
+    const base = size > 4 ? view.getUint32(entry + 8, true) : entry + 8;
+    tags.set(tag, Array.from({ length: n }, (_, i) =>
+      (type === 3 ? view.getUint16(base + i * 2, true) : view.getUint32(base + i * 4, true))));
+  }
+  assert.equal(view.getUint32(ifd + 2 + count * 12, true), 0, '只有一个 IFD');
+  return tags;
+}
+
+/**
+ * PackBits 解压
+ */
+function unpackBits(bytes) {
+  const out = [];
+  let i = 0;
+  while (i < bytes.length) {
+    const n = bytes[i] > 127 ? bytes[i] - 256 : bytes[i];
+    if (n >= 0) {
+      out.push(...bytes.subarray(i + 1, i + 2 + n));
+      i += n + 2;
+    } else {
+      for (let k = 0; k < 1 - n; k++) out.push(bytes[i + 1]);
+      i += 2;
+    }
+  }
+  return out;
+}
+
+describe('crc32', () => {
+  it('与标准校验值一致', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+  });
+});
+
+describe('TiffWriter', () => {
+  const width = 150;
+  const height = 5;
+
+  [false, true].forEach(alpha => {
+    it(`${alpha ? 'RGBA' : 'RGB'} 文件头、IFD 与像素往返一致`, async () => {
+      const pixels = testPixels(width, height);
+      const writer = new TiffWriter(width, height, { dpi: 300, alpha, rowsPerStrip: 2 });
+      writer.addRows(pixels.subarray(0, width * 3 * 4), 3);
+      writer.addRows(pixels.subarray(width * 3 * 4), 2);
+      const blob = writer.finish();
+      assert.equal(blob.type, 'image/tiff');
+
+      const bytes = await readBlob(blob);
+      const tags = parseTiff(bytes);
+      const channels = alpha ? 4 : 3;
+      assert.deepEqual(tags.get(256), [width]);
+      assert.deepEqual(tags.get(257), [height]);
+      assert.deepEqual(tags.get(258), new Array(channels).fill(8));
+      assert.deepEqual(tags.get(259), [32773]);
+      assert.deepEqual(tags.get(262), [2]);
+      assert.deepEqual(tags.get(277), [channels]);
+      assert.deepEqual(tags.get(278), [2]);
+      assert.deepEqual(tags.get(282), [300, 1]);
+      assert.deepEqual(tags.get(283), [300, 1]);
+      assert.deepEqual(tags.get(296), [2]);
+      assert.equal(tags.has(338), alpha);
+
+      // 3 个条带 (2 + 2 + 1 行)，逐条解压拼接后与输入像素一致
+      const offsets = tags.get(273);
+      const sizes = tags.get(279);
+      assert.equal(offsets.length, 3);
+      const decoded = offsets.flatMap((offset, i) => unpackBits(bytes.subarray(offset, offset + sizes[i])));
+      assert.deepEqual(decoded, Array.from(toChannels(pixels, channels)));
+    });
+  });
+
+  it('写入行数不符时报错', () => {
+    const writer = new TiffWriter(4, 2);
+    assert.throws(() => writer.addRows(new Uint8Array(4 * 3 * 4), 3), /超出图像高度/);
+    writer.addRows(new Uint8Array(4 * 4), 1);
+    assert.throws(() => writer.finish(), /只写入了 1 \/ 2 行/);
+  });
+});
+
+describe('PngWriter', () => {
+  it('数据块校验正确，解压去滤波后像素往返一致', async () => {
+    const width = 150;
+    const height = 5;
+    const pixels = testPixels(width, height);
+    const writer = new PngWriter(width, height, { dpi: 254 });
+    writer.addRows(pixels.subarray(0, width * 2 * 4), 2);
+    writer.addRows(pixels.subarray(width * 2 * 4), 3);
+    const bytes = await readBlob(writer.finish());
+    const view = new DataView(bytes.buffer);
+
+    const chunks = [];
+    for (let i = 8; i < bytes.length;) {
+      const length = view.getUint32(i);
+      const type = String.fromCharCode(...bytes.subarray(i + 4, i + 8));
+      assert.equal(view.getUint32(i + 8 + length), crc32(bytes.subarray(i + 4, i + 8 + length)), `${type} 块 CRC`);
+      chunks.push({ type, data: bytes.subarray(i + 8, i + 8 + length) });
+      i += length + 12;
+    }
+    assert.deepEqual([...new Set(chunks.map(chunk => chunk.type))], ['IHDR', 'pHYs', 'IDAT', 'IEND']);
+    const physical = new DataView(chunks[1].data.buffer, chunks[1].data.byteOffset);
+    assert.equal(physical.getUint32(0), 10000); // 254 dpi = 10000 像素/米
+
+    // 只用到 Sub (1) 与 Up (2) 滤波
+    const raw = inflateSync(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)));
+    const rowBytes = width * 3;
+    const decoded = [];
+    for (let y = 0; y < height; y++) {
+      const filter = raw[y * (rowBytes + 1)];
+      for (let i = 0; i < rowBytes; i++) {
+        const value = raw[y * (rowBytes + 1) + 1 + i];
+        const reference = filter === 1
+          ? (i >= 3 ? decoded[y * rowBytes + i - 3] : 0)
+          : decoded[(y - 1) * rowBytes + i];
+        decoded.push((value + reference) & 0xff);
+      }
+    }
+    assert.deepEqual(decoded, Array.from(toChannels(pixels, 3)));
+  });
+});
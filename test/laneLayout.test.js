@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAT_CONFIG } from '../src/config.js';
+import { allocateLaneMarkerIds, buildLaneLayout } from '../src/laneLayout.js';
+
+/**
+ * 全部跑道的标记 ID (按跑道顺序，左侧在前)
+ */
+function allIds(lanes) {
+  return lanes.flatMap(ids => [...ids.left, ...ids.right]);
+}
+
+describe('多跑道标记 ID 分配', () => {
+  it('各跑道 ID 互不重叠，按跑道顺序连续分配', () => {
+    const lanes = allocateLaneMarkerIds(6, 4, 'DICT_4X4_50');
+    const ids = allIds(lanes);
+    assert.equal(new Set(ids).size, ids.length);
+    assert.deepEqual(ids, Array.from({ length: 48 }, (_, i) => i));
+    assert.deepEqual(lanes[1], { left: [8, 9, 10, 11], right: [12, 13, 14, 15] });
+  });
+
+  it('起始 ID 平移整个分配', () => {
+    const ids = allIds(allocateLaneMarkerIds(3, 2, 'DICT_4X4_50', 20));
+    assert.deepEqual(ids, Array.from({ length: 12 }, (_, i) => 20 + i));
+  });
+
+  it('字典 ID 用尽时报错并给出最多跑道数', () => {
+    // DICT_4X4_50：每条跑道 8 个 ID，最多 6 条
+    assert.throws(() => allocateLaneMarkerIds(7, 4, 'DICT_4X4_50'),
+      /7 条跑道共需 56 个标记 ID \(0-55\)，超出字典 DICT_4X4_50 的 50 个，最多 6 条跑道/);
+    assert.throws(() => allocateLaneMarkerIds(6, 4, 'DICT_4X4_50', 10), /最多 5 条跑道/);
+    assert.equal(allocateLaneMarkerIds(12, 4, 'DICT_5X5_100').length, 12);
+  });
+
+  it('跑道数量与起始 ID 无效时报错', () => {
+    assert.throws(() => allocateLaneMarkerIds(0, 4, 'DICT_4X4_50'), /跑道数量无效/);
+    assert.throws(() => allocateLaneMarkerIds(2, 4, 'DICT_4X4_50', -1), /起始 ID 无效/);
+  });
+});
+
+describe('多跑道布局', () => {
+  it('单条跑道沿用配置中的 ID', () => {
+    const [lane] = buildLaneLayout(MAT_CONFIG);
+    assert.deepEqual(lane.aruco.ids, MAT_CONFIG.aruco.ids);
+    assert.equal(lane.offset, 0);
+  });
+
+  it('多条跑道合并后 ID 唯一，按地毯宽度加间距依次偏移', () => {
+    const lanes = buildLaneLayout(MAT_CONFIG, { count: 4, spacing: 0.3 });
+    const ids = allIds(lanes.map(lane => lane.aruco.ids));
+    assert.equal(new Set(ids).size, ids.length);
+    assert.deepEqual(lanes.map(lane => lane.offset), [0, 1.2, 2.4, 3.6]);
+  });
+
+  it('跑道过多时布局报错', () => {
+    assert.throws(() => buildLaneLayout(MAT_CONFIG, { count: 7 }), /超出字典 DICT_4X4_50/);
+    assert.throws(() => buildLaneLayout(MAT_CONFIG, { count: 2, spacing: -0.1 }), /跑道间距无效/);
+  });
+});
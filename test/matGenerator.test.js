@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MatGenerator } from '../src/matGenerator.js';
+import { installHeadlessCanvas } from './helpers/canvas.js';
+
+installHeadlessCanvas();
+
+describe('MatGenerator 布局由配置驱动', () => {
+  const baseline = new MatGenerator();
+
+  it('默认配置下刻度覆盖起跳线到地毯末端', () => {
+    const ticks = baseline.getTickLayout();
+    assert.equal(ticks[0].tier, 'start');
+    assert.equal(Math.max(...ticks.map(tick => tick.position)), 3.0);
+    assert.equal(ticks.filter(tick => tick.tier === 'fine').length, 141 - 15); // 1.4-2.8m 每 1cm，去掉 10cm 整倍数
+  });
+
+  it('地毯长度改变刻度布局', () => {
+    const longer = new MatGenerator({ totalLength: 3.5, zones: { extended: { end: 3.5 } } });
+    const positions = longer.getTickLayout().filter(tick => tick.zone === 'extended').map(tick => tick.position);
+    assert.deepEqual(positions, [2.9, 3.0, 3.1, 3.2, 3.3, 3.4, 3.5]);
+    assert.notDeepEqual(longer.getTickLayout(), baseline.getTickLayout());
+    assert.equal(longer.getPixelSize().width, Math.round(3.8 * longer.pixelsPerMeter));
+  });
+
+  it('刻度间距与长度改变刻度布局', () => {
+    const coarse = new MatGenerator({ scales: { fine: { spacing: 0.02, lineLength: 0.1 } } });
+    const fine = coarse.getTickLayout().filter(tick => tick.tier === 'fine');
+    assert.ok(fine.length > 0);
+    assert.ok(fine.every(tick => Math.round(tick.position * 100) % 2 === 0));
+    assert.ok(fine.every(tick => tick.length === 0.1));
+  });
+
+  it('标记尺寸改变标记布局', () => {
+    const larger = new MatGenerator({ aruco: { size: 0.1 } });
+    const marker = larger.getMarkerLayout()[0];
+    assert.equal(marker.size, 0.1);
+    // 左侧静默区顶边 = margin，中心下移 (0.1 - 0.08) / 2
+    assert.equal(marker.center.y, 0.02 + 0.015 + 0.05);
+    assert.notDeepEqual(larger.getMarkerLayout(), baseline.getMarkerLayout());
+  });
+
+  it('标记位置与 ID 改变标记布局', () => {
+    const moved = new MatGenerator({
+      aruco: { positions: [0.5, 2.0], ids: { left: [10, 11], right: [12, 13] } }
+    });
+    const layout = moved.getMarkerLayout();
+    assert.deepEqual(layout.map(marker => marker.id), [10, 11, 12, 13]);
+    assert.deepEqual(layout.map(marker => marker.center.x), [0.5, 2.0, 0.5, 2.0]);
+    assert.ok(layout.filter(marker => marker.side === 'right').every(marker => marker.center.y > 0.45));
+  });
+
+  it('双制时公制刻度靠顶边、英制刻度靠底边', () => {
+    const dual = new MatGenerator({ scales: { system: 'dual' } });
+    const { totalWidth, scales } = dual.config;
+    const ticks = dual.getTickLayout().filter(tick => tick.tier !== 'start');
+    const metric = ticks.filter(tick => tick.system === 'metric');
+    const imperial = ticks.filter(tick => tick.system === 'imperial');
+    assert.ok(metric.length > 0 && imperial.length > 0);
+    assert.ok(metric.every(tick => tick.y0 === scales.edgeOffset && tick.y1 <= totalWidth / 2));
+    assert.ok(imperial.every(tick => Math.abs(tick.y1 - (totalWidth - scales.edgeOffset)) < 1e-9 && tick.y0 >= totalWidth / 2));
+    assert.equal(metric.find(tick => tick.position === 2.0).length, scales.major.lineLength / 2);
+  });
+
+  it('标记 ID 与位置数量不一致时报错', () => {
+    const broken = new MatGenerator({ aruco: { positions: [0.5, 2.0] } });
+    assert.throws(() => broken.getMarkerLayout(), /数量与 aruco.positions 不一致/);
+  });
+});
+
+describe('MatGenerator 可复现渲染', () => {
+  // 快照：绘制逻辑或默认配置变化时需同步更新
+  const SNAPSHOTS = {
+    seeded: 'ac79f3c1f3048fef',
+    none: '4a7fd97273597d6e'
+  };
+  // 像素快照 (无头画布渲染，见 test/helpers/canvas.js)：覆盖绘制顺序、颜色与坐标换算，布局不变时也能发现绘制回归
+  const CONTENT_SNAPSHOTS = {
+    seeded: 'dc53751102c3bbdc',
+    none: 'e289124700861605'
+  };
+
+  it('默认固定种子纹理的设计哈希与快照一致', () => {
+    assert.equal(new MatGenerator().getDesignHash(), SNAPSHOTS.seeded);
+  });
+
+  it('无纹理 (生产稿) 的设计哈希与快照一致', () => {
+    const generator = new MatGenerator({ texture: { mode: 'none' } });
+    assert.deepEqual(generator.getTextureSpecks(), []);
+    assert.equal(generator.getDesignHash(), SNAPSHOTS.none);
+  });
+
+  it('默认固定种子纹理的像素哈希与快照一致', () => {
+    assert.equal(new MatGenerator().getContentHash(), CONTENT_SNAPSHOTS.seeded);
+  });
+
+  it('无纹理 (生产稿) 的像素哈希与快照一致', () => {
+    assert.equal(new MatGenerator({ texture: { mode: 'none' } }).getContentHash(), CONTENT_SNAPSHOTS.none);
+  });
+
+  it('同一种子重复生成噪点完全相同，换种子则不同', () => {
+    const first = new MatGenerator().getTextureSpecks();
+    assert.equal(first.length, 50);
+    assert.deepEqual(new MatGenerator().getTextureSpecks(), first);
+    assert.notDeepEqual(new MatGenerator({ texture: { seed: 7 } }).getTextureSpecks(), first);
+    assert.notEqual(new MatGenerator({ texture: { seed: 7 } }).getDesignHash(), SNAPSHOTS.seeded);
+  });
+
+  it('噪点避开刻度线与标记', () => {
+    const generator = new MatGenerator({ texture: { count: 500 } });
+    const keepOut = generator.getTextureKeepOut();
+    generator.getTextureSpecks().forEach(({ x, y, size }) => {
+      assert.ok(!keepOut.some(([x0, y0, x1, y1]) => x + size > x0 && x < x1 && y + size > y0 && y < y1));
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PhoneCamera } from '../src/phoneCamera.js';
+
+/**
+ * 相机坐标系中的点 (OpenCV 约定：x 向右、y 向下、z 向前) 按针孔模型投影，与 Three.js 相机投影比较
+ */
+function assertPinholeMatches(phone) {
+  const { fx, fy, cx, cy } = phone.getIntrinsics();
+  [[0.3, -0.2, 2], [-0.5, 0.4, 3], [0.1, 0.1, 1.5]].forEach(([x, y, z]) => {
+    const world = new THREE.Vector3(x, -y, -z).applyMatrix4(phone.camera.matrixWorld);
+    const { u, v } = phone.projectPoint(world.x, world.y, world.z);
+    assert.ok(Math.abs(u - (cx + fx * x / z)) < 1e-6, `u: ${u}`);
+    assert.ok(Math.abs(v - (cy + fy * y / z)) < 1e-6, `v: ${v}`);
+  });
+}
+
+describe('PhoneCamera.getIntrinsics', () => {
+  it('横拍内参与 Three.js 投影一致', () => {
+    const phone = new PhoneCamera({ resolution: { width: 1920, height: 1440 } });
+    assert.equal(phone.getIntrinsics().fx, 4.25 * 1920 / 5.6);
+    assertPinholeMatches(phone);
+  });
+
+  it('竖拍内参按画面长边换算，与 Three.js 投影一致', () => {
+    const phone = new PhoneCamera({ resolution: { width: 1440, height: 1920 } });
+    const intrinsics = phone.getIntrinsics();
+    assert.equal(intrinsics.fx, 4.25 * 1920 / 5.6);
+    assert.equal(intrinsics.cx, 720);
+    assert.equal(intrinsics.cy, 960);
+    assert.ok(Math.abs(intrinsics.fovX - 2 * Math.atan(720 / intrinsics.fx) * 180 / Math.PI) < 1e-9);
+    assertPinholeMatches(phone);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MatGenerator } from '../src/matGenerator.js';
+import { buildSpecSheet, buildSpecDiagram, toSpecMarkdown, renderSpecPDF } from '../src/specSheet.js';
+
+describe('buildSpecSheet', () => {
+  const generatedAt = new Date(2024, 5, 1);
+
+  it('不依赖 DOM 生成，默认写入设计哈希', () => {
+    const generator = new MatGenerator();
+    const sheet = buildSpecSheet(generator, { generatedAt });
+    assert.deepEqual(sheet.meta.find(([key]) => key === '设计哈希'), ['设计哈希', generator.getDesignHash()]);
+    assert.match(toSpecMarkdown(sheet), /设计哈希: [0-9a-f]{16}/);
+    assert.ok(renderSpecPDF(sheet, buildSpecDiagram(generator)).length > 0);
+  });
+
+  it('可传入外部计算的哈希', () => {
+    const sheet = buildSpecSheet(new MatGenerator(), { generatedAt, hash: 'abc123' });
+    assert.deepEqual(sheet.meta.find(([key]) => key === '设计哈希'), ['设计哈希', 'abc123']);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip } from '../src/zipWriter.js';
+import { crc32 } from '../src/imageWriter.js';
+
+/**
+ * 按中央目录读出压缩包中的文件
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  const decoder = new TextDecoder();
+  const files = [];
+  let entry = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(entry, true), 0x02014b50);
+    const size = view.getUint32(entry + 24, true);
+    const nameLength = view.getUint16(entry + 28, true);
+    const local = view.getUint32(entry + 42, true);
+    assert.equal(view.getUint32(local, true), 0x04034b50);
+    const start = local + 30 + view.getUint16(local + 26, true);
+    files.push({
+      name: decoder.decode(bytes.subarray(entry + 46, entry + 46 + nameLength)),
+      crc: view.getUint32(entry + 16, true),
+      data: bytes.subarray(start, start + size)
+    });
+    entry += 46 + nameLength;
+  }
+  return files;
+}
+
+describe('createZip', () => {
+  it('按顺序存储各文件，文件名为 UTF-8，校验和正确', async () => {
+    const blob = createZip([
+      { name: 'jump-mat-lane-1.svg', content: '<svg>跑道 1</svg>' },
+      { name: '跑道-2.bin', content: new Uint8Array([0, 1, 2, 255]) }
+    ]);
+    assert.equal(blob.type, 'application/zip');
+    const files = readZip(new Uint8Array(await blob.arrayBuffer()));
+    assert.deepEqual(files.map(file => file.name), ['jump-mat-lane-1.svg', '跑道-2.bin']);
+    assert.equal(new TextDecoder().decode(files[0].data), '<svg>跑道 1</svg>');
+    assert.deepEqual([...files[1].data], [0, 1, 2, 255]);
+    files.forEach(file => assert.equal(file.crc, crc32(file.data)));
+  });
+
+  it('crc32 与标准校验值一致', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+  });
+});